@@ -0,0 +1,30 @@
+// --- Credential storage ---
+// Profiles (`public/data/profiles`) are the public index of usernames that member invites look up; they hold only the
+// username and when it was registered. Password hashes, salts and the lockout state are kept in
+// `private/data/credentials/{username}`, which firestore.rules match nothing under, so no client can read or write them.
+const { FieldValue } = require('firebase-admin/firestore');
+const { CREDENTIAL_FIELDS, hasCredentialFields, legacyCredentials } = require('./passwords');
+
+// Must match `appId` in src/App.js.
+const appId = 'pro-team-app-prod';
+
+const profilesCollection = (db) => db.collection(`artifacts/${appId}/public/data/profiles`);
+const credentialsRef = (db, username) => db.doc(`artifacts/${appId}/private/data/credentials/${username}`);
+
+// Moves a profile written before credentials were kept apart into the private collection and strips the credential
+// fields from the profile. Hashing happens before the transaction; if the credentials were written in the meantime
+// they win, and only the profile is cleaned up.
+const migrateProfile = async (db, profileRef) => {
+    const profile = (await profileRef.get()).data();
+    if (!profile || !hasCredentialFields(profile)) return;
+    const credentials = await legacyCredentials(profile);
+    const ref = credentialsRef(db, profile.username);
+    await db.runTransaction(async (transaction) => {
+        const [current, existing] = [await transaction.get(profileRef), await transaction.get(ref)];
+        if (!existing.exists) transaction.create(ref, credentials);
+        const stale = CREDENTIAL_FIELDS.filter(field => field in (current.data() || {}));
+        if (stale.length > 0) transaction.update(profileRef, Object.fromEntries(stale.map(field => [field, FieldValue.delete()])));
+    });
+};
+
+module.exports = { appId, profilesCollection, credentialsRef, migrateProfile };
@@ -0,0 +1,82 @@
+// --- Cloud Functions: login and registration ---
+// Passwords are checked here rather than in the browser, so the failed-attempt counter and lockout cannot be reset by
+// the client. Profiles and credentials (see credentials.js) are only ever written by this code.
+// A successful call returns a custom token for `signInWithCustomToken`; its `username` claim is the identity
+// firestore.rules trust. Minting it needs the functions' service account to hold the Service Account Token Creator role.
+const { initializeApp } = require('firebase-admin/app');
+const { getAuth } = require('firebase-admin/auth');
+const { getFirestore, FieldValue } = require('firebase-admin/firestore');
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const { MAX_FAILED_LOGINS, hashPassword, verifyPassword, needsRehash, lockoutMinutesLeft, failedLoginChanges, registrationProblem } = require('./passwords');
+const { profilesCollection, credentialsRef, migrateProfile } = require('./credentials');
+
+initializeApp();
+const db = getFirestore();
+
+const profileQuery = (username) => profilesCollection(db).where('username', '==', username).limit(1);
+
+// One Firebase Auth uid per username, so the same person keeps the same uid across devices.
+const signInToken = (username) => getAuth().createCustomToken(`user-${username}`, { username });
+
+const readCredentials = (data) => {
+    const { username, password } = data || {};
+    if (typeof username !== 'string' || typeof password !== 'string') {
+        throw new HttpsError('invalid-argument', 'A username and password are required.', { reason: 'missing' });
+    }
+    return { username: username.toLowerCase(), password };
+};
+
+exports.login = onCall(async (request) => {
+    const { username, password } = readCredentials(request.data);
+    const found = await profileQuery(username).get();
+    if (found.empty) throw new HttpsError('not-found', 'Unknown username.');
+    const profile = found.docs[0].data();
+    // Profiles the one-off migration (migrate-credentials.js) has not reached yet are moved over on first use.
+    await migrateProfile(db, found.docs[0].ref);
+    const ref = credentialsRef(db, profile.username);
+    const credentials = (await ref.get()).data() || {};
+
+    const minutesLeft = lockoutMinutesLeft(credentials, Date.now());
+    if (minutesLeft > 0) throw new HttpsError('resource-exhausted', 'Login is locked.', { minutesLeft });
+
+    // PBKDF2 is slow, so the password is checked before the transaction; the attempt is then recorded against the
+    // credentials as they stand, and a lockout set by a concurrent attempt in the meantime wins even over a right password.
+    const valid = await verifyPassword(password, credentials);
+    const rehash = valid && needsRehash(credentials) ? await hashPassword(password) : {};
+    const outcome = await db.runTransaction(async (transaction) => {
+        const current = (await transaction.get(ref)).data() || {};
+        const now = Date.now();
+        const lockedFor = lockoutMinutesLeft(current, now);
+        if (lockedFor > 0) return { lockedFor };
+        if (!valid) {
+            const changes = failedLoginChanges(current, now);
+            transaction.set(ref, changes, { merge: true });
+            return { changes, now };
+        }
+        transaction.set(ref, { failedAttempts: 0, lockedUntil: 0, ...rehash }, { merge: true });
+        return {};
+    });
+
+    if (outcome.lockedFor) throw new HttpsError('resource-exhausted', 'Login is locked.', { minutesLeft: outcome.lockedFor });
+    if (outcome.changes && outcome.changes.lockedUntil) {
+        throw new HttpsError('resource-exhausted', 'Too many failed attempts.', { minutesLeft: lockoutMinutesLeft(outcome.changes, outcome.now), justLocked: true });
+    }
+    if (outcome.changes) throw new HttpsError('permission-denied', 'Wrong password.', { attemptsLeft: MAX_FAILED_LOGINS - outcome.changes.failedAttempts });
+    return { username: profile.username, token: await signInToken(profile.username) };
+});
+
+exports.register = onCall(async (request) => {
+    const { username: rawUsername, password } = (request.data || {});
+    const problem = registrationProblem(rawUsername, password);
+    if (problem) throw new HttpsError('invalid-argument', 'Invalid username or password.', { reason: problem });
+    const username = rawUsername.toLowerCase();
+    const passwordFields = await hashPassword(password);
+
+    await db.runTransaction(async (transaction) => {
+        const existing = await transaction.get(profileQuery(username));
+        if (!existing.empty) throw new HttpsError('already-exists', 'Username is taken.');
+        transaction.create(profilesCollection(db).doc(), { username, createdAt: FieldValue.serverTimestamp() });
+        transaction.set(credentialsRef(db, username), { ...passwordFields, failedAttempts: 0, lockedUntil: 0 });
+    });
+    return { username, token: await signInToken(username) };
+});
@@ -0,0 +1,24 @@
+// One-off migration: moves every legacy profile's password (hashing plain-text ones) and lockout state into the private
+// credentials collection, so none of it stays readable on profiles until each user happens to log in again.
+// Run once after deploying, with application default credentials for the project: `npm run migrate:credentials`.
+const { initializeApp } = require('firebase-admin/app');
+const { getFirestore } = require('firebase-admin/firestore');
+const { hasCredentialFields } = require('./passwords');
+const { profilesCollection, migrateProfile } = require('./credentials');
+
+initializeApp();
+const db = getFirestore();
+
+const main = async () => {
+    const snapshot = await profilesCollection(db).get();
+    const legacy = snapshot.docs.filter(profileDoc => hasCredentialFields(profileDoc.data()));
+    for (const profileDoc of legacy) {
+        await migrateProfile(db, profileDoc.ref);
+    }
+    console.log(`Migrated ${legacy.length} of ${snapshot.size} profiles.`);
+};
+
+main().catch((error) => {
+    console.error('Migrating credentials failed:', error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,87 @@
+// --- Password hashing and login throttling ---
+// Passwords are never stored as plain text: each user's credentials keep a PBKDF2-SHA256 hash with its own random salt.
+// Hashes written by the earlier browser-side code (WebCrypto, 256 bits, hex) verify unchanged here.
+// Credentials, failed attempts and the lockout live apart from the public profile (see credentials.js), where no client
+// can read or write them.
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const pbkdf2 = promisify(crypto.pbkdf2);
+
+const PASSWORD_HASH_ITERATIONS = 310000;
+const MAX_FAILED_LOGINS = 5;
+const LOGIN_LOCKOUT_MS = 15 * 60 * 1000;
+const MIN_PASSWORD_LENGTH = 6;
+
+const hashPassword = async (password, saltHex, iterations = PASSWORD_HASH_ITERATIONS) => {
+    const salt = saltHex ? Buffer.from(saltHex, 'hex') : crypto.randomBytes(16);
+    const hash = await pbkdf2(password, salt, iterations, 32, 'sha256');
+    return { passwordHash: hash.toString('hex'), salt: salt.toString('hex'), iterations };
+};
+
+// Compares in constant time so the time taken does not reveal how much of the hash matched.
+const constantTimeEquals = (a, b) => {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+const verifyPassword = async (password, credentials) => {
+    if (!credentials.passwordHash) return false;
+    const { passwordHash } = await hashPassword(password, credentials.salt, credentials.iterations);
+    return constantTimeEquals(passwordHash, credentials.passwordHash);
+};
+
+// Hashes made with fewer iterations are upgraded once the password is known.
+const needsRehash = (credentials) => (credentials.iterations || 0) < PASSWORD_HASH_ITERATIONS;
+
+// Fields that profiles written before credentials.js existed still carry, legacy plain-text `password` included.
+const CREDENTIAL_FIELDS = ['password', 'passwordHash', 'salt', 'iterations', 'failedAttempts', 'lockedUntil'];
+
+const hasCredentialFields = (profile) => CREDENTIAL_FIELDS.some(field => field in profile);
+
+// The credentials document for a legacy profile. A plain-text password is hashed here, so it never reaches the
+// credentials collection; hashes are kept as they are and upgraded on the next login.
+const legacyCredentials = async (profile) => {
+    const hashed = profile.passwordHash
+        ? { passwordHash: profile.passwordHash, salt: profile.salt, iterations: profile.iterations || PASSWORD_HASH_ITERATIONS }
+        : typeof profile.password === 'string' ? await hashPassword(profile.password) : {};
+    return { ...hashed, failedAttempts: profile.failedAttempts || 0, lockedUntil: profile.lockedUntil || 0 };
+};
+
+// Minutes left on the profile's lockout, or 0 when it may try to log in.
+const lockoutMinutesLeft = (profile, now) => {
+    const lockedUntil = profile.lockedUntil || 0;
+    return lockedUntil > now ? Math.ceil((lockedUntil - now) / 60000) : 0;
+};
+
+// The profile fields to write after a wrong password. The counter restarts once it triggers a lockout.
+const failedLoginChanges = (profile, now) => {
+    const failedAttempts = (profile.failedAttempts || 0) + 1;
+    if (failedAttempts >= MAX_FAILED_LOGINS) return { failedAttempts: 0, lockedUntil: now + LOGIN_LOCKOUT_MS };
+    return { failedAttempts };
+};
+
+// Returns the reason a new username/password pair is refused, or null.
+const registrationProblem = (username, password) => {
+    if (typeof username !== 'string' || !/^[a-zA-Z0-9]+$/.test(username)) return 'username-format';
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) return 'password-too-short';
+    return null;
+};
+
+module.exports = {
+    PASSWORD_HASH_ITERATIONS,
+    MAX_FAILED_LOGINS,
+    LOGIN_LOCKOUT_MS,
+    MIN_PASSWORD_LENGTH,
+    hashPassword,
+    constantTimeEquals,
+    verifyPassword,
+    needsRehash,
+    CREDENTIAL_FIELDS,
+    hasCredentialFields,
+    legacyCredentials,
+    lockoutMinutesLeft,
+    failedLoginChanges,
+    registrationProblem,
+};
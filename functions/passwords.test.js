@@ -0,0 +1,83 @@
+const { webcrypto } = require('crypto');
+const {
+    PASSWORD_HASH_ITERATIONS, MAX_FAILED_LOGINS, LOGIN_LOCKOUT_MS,
+    hashPassword, verifyPassword, needsRehash, hasCredentialFields, legacyCredentials, lockoutMinutesLeft, failedLoginChanges, registrationProblem,
+} = require('./passwords');
+
+// Few iterations keep the tests fast; the stored iteration count is what verification uses.
+const ITERATIONS = 1000;
+
+describe('hashPassword', () => {
+    it('salts every hash and reproduces it from the stored salt', async () => {
+        const first = await hashPassword('secret1', undefined, ITERATIONS);
+        const second = await hashPassword('secret1', undefined, ITERATIONS);
+        expect(first.salt).not.toBe(second.salt);
+        expect(first.passwordHash).toMatch(/^[0-9a-f]{64}$/);
+        expect(await hashPassword('secret1', first.salt, ITERATIONS)).toEqual(first);
+    });
+
+    it('matches hashes made in the browser with WebCrypto', async () => {
+        const salt = '00112233445566778899aabbccddeeff';
+        const key = await webcrypto.subtle.importKey('raw', new TextEncoder().encode('كلمة-سر'), 'PBKDF2', false, ['deriveBits']);
+        const bits = await webcrypto.subtle.deriveBits({ name: 'PBKDF2', salt: Buffer.from(salt, 'hex'), iterations: ITERATIONS, hash: 'SHA-256' }, key, 256);
+        expect((await hashPassword('كلمة-سر', salt, ITERATIONS)).passwordHash).toBe(Buffer.from(bits).toString('hex'));
+    });
+});
+
+describe('verifyPassword', () => {
+    it('accepts only the right password', async () => {
+        const profile = await hashPassword('secret1', undefined, ITERATIONS);
+        expect(await verifyPassword('secret1', profile)).toBe(true);
+        expect(await verifyPassword('secret2', profile)).toBe(false);
+    });
+
+    it('never accepts a plain-text password and flags weak hashes for rehashing', async () => {
+        expect(await verifyPassword('secret1', { password: 'secret1' })).toBe(false);
+        expect(await verifyPassword('secret1', {})).toBe(false);
+        expect(needsRehash({ passwordHash: 'ab', iterations: ITERATIONS })).toBe(true);
+        expect(needsRehash({ passwordHash: 'ab', iterations: PASSWORD_HASH_ITERATIONS })).toBe(false);
+    });
+});
+
+describe('legacyCredentials', () => {
+    it('hashes a plain-text password so it verifies without being kept', async () => {
+        const profile = { username: 'sara', password: 'secret1', failedAttempts: 2 };
+        expect(hasCredentialFields(profile)).toBe(true);
+        expect(hasCredentialFields({ username: 'sara', createdAt: 1 })).toBe(false);
+        const credentials = await legacyCredentials(profile);
+        expect(credentials).not.toHaveProperty('password');
+        expect(credentials).toMatchObject({ failedAttempts: 2, lockedUntil: 0, iterations: PASSWORD_HASH_ITERATIONS });
+        expect(await verifyPassword('secret1', credentials)).toBe(true);
+    });
+
+    it('keeps an existing hash and lockout as they are', async () => {
+        const hashed = await hashPassword('secret1', undefined, ITERATIONS);
+        const credentials = await legacyCredentials({ username: 'sara', ...hashed, lockedUntil: 5 });
+        expect(credentials).toEqual({ ...hashed, failedAttempts: 0, lockedUntil: 5 });
+        expect(await verifyPassword('secret1', credentials)).toBe(true);
+    });
+});
+
+describe('login throttling', () => {
+    const now = 1700000000000;
+
+    it('counts failures and locks the profile on the last allowed one', () => {
+        expect(failedLoginChanges({}, now)).toEqual({ failedAttempts: 1 });
+        expect(failedLoginChanges({ failedAttempts: MAX_FAILED_LOGINS - 1 }, now)).toEqual({ failedAttempts: 0, lockedUntil: now + LOGIN_LOCKOUT_MS });
+    });
+
+    it('reports the minutes left on a lockout, rounded up', () => {
+        expect(lockoutMinutesLeft({ lockedUntil: now + 61 * 1000 }, now)).toBe(2);
+        expect(lockoutMinutesLeft({ lockedUntil: now - 1 }, now)).toBe(0);
+        expect(lockoutMinutesLeft({}, now)).toBe(0);
+    });
+});
+
+describe('registrationProblem', () => {
+    it('requires an alphanumeric username and a long enough password', () => {
+        expect(registrationProblem('sara1', 'secret')).toBeNull();
+        expect(registrationProblem('سارة', 'secret')).toBe('username-format');
+        expect(registrationProblem('sara', '12345')).toBe('password-too-short');
+        expect(registrationProblem(undefined, 'secret')).toBe('username-format');
+    });
+});
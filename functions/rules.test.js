@@ -0,0 +1,74 @@
+// Checks firestore.rules against the Firestore emulator. Run with `npm run test:rules`, which starts the emulator;
+// under plain `npm test` (no FIRESTORE_EMULATOR_HOST) these tests are skipped.
+const fs = require('fs');
+const path = require('path');
+const { initializeTestEnvironment, assertSucceeds, assertFails } = require('@firebase/rules-unit-testing');
+const { doc, getDoc, setDoc, serverTimestamp } = require('firebase/firestore');
+
+const describeWithEmulator = process.env.FIRESTORE_EMULATOR_HOST ? describe : describe.skip;
+
+// Must match `appId` in src/App.js.
+const workspacesPath = 'artifacts/pro-team-app-prod/public/data/workspaces';
+const profilesPath = 'artifacts/pro-team-app-prod/public/data/profiles';
+const credentialsPath = 'artifacts/pro-team-app-prod/private/data/credentials';
+
+describeWithEmulator('firestore.rules', () => {
+    let testEnv;
+
+    beforeAll(async () => {
+        testEnv = await initializeTestEnvironment({
+            projectId: 'demo-pro-team',
+            firestore: { rules: fs.readFileSync(path.join(__dirname, '..', 'firestore.rules'), 'utf8') },
+        });
+    });
+
+    afterEach(() => testEnv.clearFirestore());
+    afterAll(() => testEnv.cleanup());
+
+    const firestoreAs = (username) => testEnv.authenticatedContext(`user-${username}`, { username }).firestore();
+    const personalWorkspace = (username) => ({
+        name: username,
+        ownerUsername: username,
+        members: { [username]: 'owner' },
+        memberUsernames: [username],
+        personal: true,
+        createdAt: serverTimestamp(),
+    });
+
+    describe('first login', () => {
+        it('lets a new user look for their personal workspace and create it', async () => {
+            const db = firestoreAs('sara');
+            const workspaceRef = doc(db, workspacesPath, 'sara');
+            const snapshot = await assertSucceeds(getDoc(workspaceRef));
+            expect(snapshot.exists()).toBe(false);
+            await assertSucceeds(setDoc(workspaceRef, personalWorkspace('sara')));
+            expect((await assertSucceeds(getDoc(workspaceRef))).data().ownerUsername).toBe('sara');
+        });
+
+        it('keeps other users out of a personal workspace, created or not', async () => {
+            const omar = firestoreAs('omar');
+            await assertFails(getDoc(doc(omar, workspacesPath, 'sara')));
+            await assertFails(setDoc(doc(omar, workspacesPath, 'sara'), personalWorkspace('sara')));
+            await assertSucceeds(setDoc(doc(firestoreAs('sara'), workspacesPath, 'sara'), personalWorkspace('sara')));
+            await assertFails(getDoc(doc(omar, workspacesPath, 'sara')));
+        });
+
+        it('refuses unauthenticated reads', async () => {
+            await assertFails(getDoc(doc(testEnv.unauthenticatedContext().firestore(), workspacesPath, 'sara')));
+        });
+    });
+
+    describe('credentials', () => {
+        it('keeps every client away from credentials, its own included, and out of writing profiles', async () => {
+            await testEnv.withSecurityRulesDisabled(async (context) => {
+                await setDoc(doc(context.firestore(), profilesPath, 'p1'), { username: 'sara' });
+                await setDoc(doc(context.firestore(), credentialsPath, 'sara'), { passwordHash: 'ab', salt: 'cd', iterations: 1 });
+            });
+            const db = firestoreAs('sara');
+            await assertSucceeds(getDoc(doc(db, profilesPath, 'p1')));
+            await assertFails(setDoc(doc(db, profilesPath, 'p1'), { username: 'sara', failedAttempts: 0 }));
+            await assertFails(getDoc(doc(db, credentialsPath, 'sara')));
+            await assertFails(setDoc(doc(db, credentialsPath, 'sara'), { failedAttempts: 0 }));
+        });
+    });
+});
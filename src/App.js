@@ -1,9 +1,28 @@
-import React, { useState, useEffect, useCallback, useRef } from 'react';
+import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
+import { Routes, Route, Navigate, NavLink, Link, useLocation, useNavigate, useParams, useSearchParams } from 'react-router-dom';
 import { initializeApp } from 'firebase/app';
-import { getAuth, onAuthStateChanged, signInAnonymously } from 'firebase/auth';
-import { getFirestore, collection, doc, addDoc, onSnapshot, updateDoc, deleteDoc, query, where, getDocs, serverTimestamp, runTransaction } from 'firebase/firestore';
+import { getAuth, onAuthStateChanged, signInWithCustomToken, signOut, setPersistence, browserLocalPersistence, browserSessionPersistence } from 'firebase/auth';
+import { getFunctions, httpsCallable } from 'firebase/functions';
+import { getFirestore, collection, doc, addDoc, getDoc, setDoc, onSnapshot, updateDoc, deleteDoc, deleteField, arrayUnion, arrayRemove, query, where, orderBy, limit, startAfter, getDocs, serverTimestamp, runTransaction, writeBatch, Timestamp } from 'firebase/firestore';
 import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
-import { LayoutDashboard, FileText, Users, Briefcase, Settings, PlusCircle, X, ChevronDown, Edit, Trash2, ArrowRight, Sun, Moon, LogOut, User, Lock, ClipboardCheck } from 'lucide-react';
+import { LayoutDashboard, FileText, Users, Briefcase, Settings, PlusCircle, X, ChevronDown, ChevronUp, Edit, Trash2, ArrowRight, Sun, Moon, LogOut, User, Lock, ClipboardCheck, Monitor, Building2, Eye, Printer, Download, Ban, FileMinus, Wallet, Receipt, FileSignature, Repeat, BarChart3, FileSpreadsheet, Upload, History } from 'lucide-react';
+import { QRCodeSVG } from 'qrcode.react';
+import { zatcaQrForInvoice } from './zatca.js';
+import { amountToArabicWords } from './tafqeet.js';
+import { PAYMENT_TERMS, AGING_BUCKETS, round2, todayIso, computeDueDate, dueDateOf, isPastDue, buildAgingReport, buildStatement, suggestAllocations, releaseAllocations } from './receivables.js';
+import { PAYMENT_METHODS, ACCOUNT_TYPES, UNASSIGNED_ACCOUNT, paymentMethodOf, accountBalances, buildDailyClosing } from './cashbook.js';
+import { QUOTATION_STATUSES, defaultValidUntil, quotationStatus, canConvertQuotation, canEditQuotation, quotationToInvoice } from './quotations.js';
+import { FREQUENCIES, SCHEDULE_STATUSES, RUN_OUTCOMES, SKIP_REASONS, advanceSchedule, planRuns } from './recurring.js';
+import { expenseAmount, buildProfitSummary } from './profit.js';
+import { PERIODS, periodRange, previousRange, inRange, percentChange, monthlySeries, hijriMonthLabel } from './periods.js';
+import { COLLECTION_GRANULARITIES, salesByCustomer, salesByService, collectionsByPeriod, vatReturn } from './reports.js';
+import { toCsv, toTable, parseCsv } from './csv.js';
+import { IMPORT_FIELDS, IMPORT_STATUSES, guessMapping, buildImportPreview } from './importing.js';
+import { BACKUP_COLLECTIONS, RESTORE_MODES, BackupValidationError, createBackupArchive, validateBackupArchive, planRestore, encodeValue, decodeValue } from './backup.js';
+import { AUDIT_ACTIONS, AUDITED_COLLECTIONS, AUDIT_FIELD_LABELS, buildAuditEntry, filterAuditEntries, readAuditEntry } from './audit.js';
+import { PAGE_SIZE, LIST_SPECS, defaultListState, isFiltered, readListState, writeListState, listQueryPlan, matchesListState } from './listing.js';
+import { newSessionToken, sha256Hex, sessionExpiresAt, readStoredSession, storeSession, clearStoredSession, touchLastActivity, getLastActivity, isIdle, isSessionValid } from './sessions.js';
+import { LOGIN_PATH, SECTION_VIEWS, parseSectionPath, sectionPath, documentKey, returnPathAfterLogin } from './routes.js';
 
 // --- Firebase Configuration ---
 // This function safely reads the configuration from either the Vercel environment or the local/Canvas environment.
@@ -48,20 +67,723 @@ try {
 
 const auth = getAuth(app);
 const db = getFirestore(app);
+const functions = getFunctions(app);
+
+// --- Login ---
+// Passwords are hashed, verified and throttled by the `login` and `register` Cloud Functions (functions/), never in
+// the browser, so the failed-attempt counter and the lockout cannot be reset from a client. On success they return a
+// Firebase custom token whose `username` claim is what firestore.rules trust as the caller's identity.
+const loginWithPassword = httpsCallable(functions, 'login');
+const registerWithPassword = httpsCallable(functions, 'register');
+
+// Turns a refusal from the login functions into the message shown under the form; null for unexpected errors.
+const loginErrorMessage = (error) => {
+    const details = error.details || {};
+    switch (error.code) {
+        case 'functions/not-found': return 'اسم المستخدم غير موجود.';
+        case 'functions/already-exists': return 'اسم المستخدم هذا مستخدم بالفعل.';
+        case 'functions/permission-denied': return `كلمة المرور غير صحيحة. المحاولات المتبقية: ${details.attemptsLeft}.`;
+        case 'functions/resource-exhausted': return details.justLocked
+            ? `تم إيقاف تسجيل الدخول لمدة ${details.minutesLeft} دقيقة بسبب محاولات فاشلة متكررة.`
+            : `تم إيقاف تسجيل الدخول مؤقتاً بسبب محاولات فاشلة متكررة. حاول مرة أخرى بعد ${details.minutesLeft} دقيقة.`;
+        case 'functions/invalid-argument': return details.reason === 'password-too-short'
+            ? 'كلمة المرور يجب أن تتكون من 6 أحرف على الأقل.'
+            : 'اسم المستخدم يجب أن يحتوي على أحرف وأرقام إنجليزية فقط.';
+        default: return null;
+    }
+};
+
+// --- Sessions ---
+// One Firestore document per login; what the browser keeps and when a session may be resumed is in sessions.js.
+const sessionsPath = `artifacts/${appId}/public/data/sessions`;
+const sessionChannel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel('pro-team-session') : null;
+
+const createSession = async (username, remember) => {
+    const token = newSessionToken();
+    const sessionRef = await addDoc(collection(db, sessionsPath), {
+        username,
+        tokenHash: await sha256Hex(token),
+        remember,
+        userAgent: navigator.userAgent,
+        createdAt: serverTimestamp(),
+        lastActiveAt: Date.now(),
+        expiresAt: sessionExpiresAt(remember, Date.now()),
+        revoked: false
+    });
+    storeSession(sessionRef.id, token, remember);
+    touchLastActivity();
+    return sessionRef.id;
+};
+
+// `authUser` is the Firebase user kept from the last login; the session must belong to the username it was issued for.
+const restoreSession = async (authUser) => {
+    const stored = readStoredSession();
+    if (!stored || !stored.sessionId || !stored.token) return null;
+
+    const [sessionSnap, tokenResult] = await Promise.all([getDoc(doc(db, sessionsPath, stored.sessionId)), authUser.getIdTokenResult()]);
+    const session = sessionSnap.exists() ? sessionSnap.data() : null;
+    const isValid = isSessionValid({
+        session,
+        username: tokenResult.claims.username,
+        tokenHash: await sha256Hex(stored.token),
+        lastActivity: getLastActivity(),
+        now: Date.now(),
+    });
+
+    if (!isValid) {
+        clearStoredSession();
+        return null;
+    }
+    return { username: session.username, sessionId: sessionSnap.id, remember: Boolean(session.remember) };
+};
+
+// Forgets the session in this browser and drops the Firebase identity that carries the username claim.
+const clearLocalSession = () => {
+    clearStoredSession();
+    return signOut(auth).catch(error => console.error("Sign-out failed", error));
+};
+
+const endSession = async (sessionId) => {
+    try {
+        await updateDoc(doc(db, sessionsPath, sessionId), { revoked: true, endedAt: serverTimestamp() });
+    } catch (error) {
+        console.error("Failed to end session", error);
+    }
+};
+
+// --- Company Profile ---
+// Stored per workspace at `userdata/${workspaceId}/settings/company` and used for branding, numbering and currency on every document.
+const CURRENCIES = {
+    SAR: { label: 'ر.س', name: 'ريال سعودي', subunit: 'هللة', subunits: 100 },
+    AED: { label: 'د.إ', name: 'درهم إماراتي', subunit: 'فلس', subunits: 100 },
+    KWD: { label: 'د.ك', name: 'دينار كويتي', subunit: 'فلس', subunits: 1000 },
+    BHD: { label: 'د.ب', name: 'دينار بحريني', subunit: 'فلس', subunits: 1000 },
+    OMR: { label: 'ر.ع', name: 'ريال عماني', subunit: 'بيسة', subunits: 1000 },
+    QAR: { label: 'ر.ق', name: 'ريال قطري', subunit: 'درهم', subunits: 100 },
+    EGP: { label: 'ج.م', name: 'جنيه مصري', subunit: 'قرش', subunits: 100 },
+    USD: { label: '$', name: 'دولار أمريكي', subunit: 'سنت', subunits: 100 },
+};
+
+const DEFAULT_COMPANY_PROFILE = {
+    legalName: 'الفريق المحترف',
+    commercialRegistration: '',
+    vatNumber: '',
+    address: '',
+    logo: '',
+    currency: 'SAR',
+    invoicePrefix: 'INV-',
+    voucherPrefix: 'VCH-',
+    creditNotePrefix: 'CN-',
+    disbursementPrefix: 'PV-',
+    quotationPrefix: 'QT-',
+    resetNumberingYearly: false,
+    numberPadding: 4,
+};
+
+const MAX_LOGO_BYTES = 200 * 1024;
+
+const formatMoney = (amount, profile = DEFAULT_COMPANY_PROFILE) => {
+    const currency = CURRENCIES[profile.currency] ? CURRENCIES[profile.currency].label : profile.currency;
+    return `${currency} ${Number(amount || 0).toLocaleString()}`;
+};
+
+const formatAmountInWords = (amount, profile = DEFAULT_COMPANY_PROFILE) => {
+    const currency = CURRENCIES[profile.currency] || CURRENCIES.SAR;
+    return amountToArabicWords(amount, { unit: currency.name, subunit: currency.subunit, subunits: currency.subunits });
+};
+
+// Documents issued by a numbering series keep the formatted number they were issued with (`invoiceNo`/`voucherNo`);
+// older documents only have the sequence, so the current prefix is applied to them.
+const formatInvoiceNumber = ({ invoiceNo, invoiceNumber }, profile = DEFAULT_COMPANY_PROFILE) => invoiceNo || `${profile.invoicePrefix}${invoiceNumber}`;
+const formatVoucherNumber = ({ voucherNo, voucherNumber }, profile = DEFAULT_COMPANY_PROFILE) => voucherNo || `${profile.voucherPrefix}${voucherNumber}`;
+const formatCreditNoteNumber = ({ creditNoteNo, creditNoteNumber }, profile = DEFAULT_COMPANY_PROFILE) => creditNoteNo || `${profile.creditNotePrefix}${creditNoteNumber}`;
+const formatQuotationNumber = ({ quotationNo, quotationNumber }, profile = DEFAULT_COMPANY_PROFILE) => quotationNo || `${profile.quotationPrefix}${quotationNumber}`;
+const formatDisbursementNumber = ({ disbursementNo, disbursementNumber }, profile = DEFAULT_COMPANY_PROFILE) => disbursementNo || `${profile.disbursementPrefix}${disbursementNumber}`;
+
+// --- VAT ---
+// Amounts are rounded to halalas per line, and invoice totals are the sums of the rounded lines.
+const VAT_CATEGORIES = {
+    standard: { label: 'خاضع للنسبة الأساسية (15%)', rate: 0.15 },
+    zero: { label: 'خاضع لنسبة الصفر', rate: 0 },
+    exempt: { label: 'معفى من الضريبة', rate: 0 },
+};
+
+const itemVatRate = (item) => {
+    const category = VAT_CATEGORIES[item.vatCategory] ? item.vatCategory : 'standard';
+    return item.vatRate !== undefined && category === 'standard' ? Number(item.vatRate) : VAT_CATEGORIES[category].rate;
+};
+
+// Splits the invoice discount across lines in proportion to their amounts; the last line absorbs the rounding difference.
+const allocateDiscount = (amounts, discount) => {
+    const gross = amounts.reduce((sum, amount) => sum + amount, 0);
+    const totalDiscount = round2(Math.min(Math.max(Number(discount) || 0, 0), gross));
+    let allocated = 0;
+    return amounts.map((amount, index) => {
+        if (index === amounts.length - 1) return round2(totalDiscount - allocated);
+        const share = gross > 0 ? round2(totalDiscount * amount / gross) : 0;
+        allocated = round2(allocated + share);
+        return share;
+    });
+};
+
+const calculateInvoiceTotals = (items, { pricesIncludeVat = false, discount = 0 } = {}) => {
+    const amounts = items.map(item => round2(Number(item.quantity) * Number(item.price)));
+    const discounts = allocateDiscount(amounts, discount);
+
+    const lines = items.map((item, index) => {
+        const rate = itemVatRate(item);
+        const amount = amounts[index];
+        const discountedAmount = round2(amount - discounts[index]);
+        const grossNet = pricesIncludeVat ? round2(amount / (1 + rate)) : amount;
+        const netAmount = pricesIncludeVat ? round2(discountedAmount / (1 + rate)) : discountedAmount;
+        const vatAmount = pricesIncludeVat ? round2(discountedAmount - netAmount) : round2(netAmount * rate);
+        return { ...item, vatCategory: item.vatCategory || 'standard', vatRate: rate, grossNet, netAmount, vatAmount, lineTotal: round2(netAmount + vatAmount) };
+    });
+
+    const sum = (field) => round2(lines.reduce((total, line) => total + line[field], 0));
+    const subtotal = sum('grossNet');
+    const taxableAmount = sum('netAmount');
+    const vatAmount = sum('vatAmount');
+    return {
+        items: lines.map(({ grossNet, ...line }) => line),
+        subtotal,
+        discount: round2(subtotal - taxableAmount),
+        taxableAmount,
+        vatAmount,
+        grandTotal: round2(taxableAmount + vatAmount),
+    };
+};
+
+// Invoices saved before VAT support only have `total`, which was already the amount due.
+const invoiceGrandTotal = (invoice) => Number(invoice.grandTotal !== undefined ? invoice.grandTotal : invoice.total) || 0;
+// Credit notes reduce what the customer owes; the invoice itself is never changed once a credit note is issued against it.
+const invoiceAmountDue = (invoice) => round2(invoiceGrandTotal(invoice) - (Number(invoice.creditedAmount) || 0));
+const invoiceRemaining = (invoice) => round2(invoiceAmountDue(invoice) - (Number(invoice.paidAmount) || 0));
+
+// Payment status after the paid amount changes; used whenever an invoice is saved, credited or a voucher is added, edited or voided.
+const paymentStatusFor = (invoice, paidAmount) => {
+    const amountDue = invoiceAmountDue(invoice);
+    if (Number(invoice.creditedAmount) > 0 && amountDue <= 0) return 'ملغاة';
+    const remaining = round2(amountDue - paidAmount);
+    if (remaining <= 0) return 'مدفوعة';
+    if (isPastDue(invoice, remaining)) return 'متأخرة';
+    return paidAmount <= 0 ? 'قيد الانتظار' : 'مدفوعة جزئياً';
+};
+
+// --- Credit Notes ---
+// A credit note reverses all or part of the quantity on an invoice's lines. Each credited unit takes its share of the
+// line's discounted net and VAT, and crediting the last unit of a line takes whatever is left, so a line credited across
+// several notes always adds back up to the invoice exactly. `creditedItems` on the invoice tracks what each line has given back.
+const calculateCreditNote = (invoice, quantities) => {
+    const alreadyCredited = invoice.creditedItems || [];
+    const lines = calculateInvoiceTotals(invoice.items || [], invoice).items.map((line, index) => {
+        const previous = alreadyCredited[index] || { quantity: 0, netAmount: 0, vatAmount: 0 };
+        const available = round2(Number(line.quantity) - previous.quantity);
+        const quantity = Math.min(Math.max(Number(quantities[index]) || 0, 0), available);
+        const isRemainder = quantity > 0 && quantity === available;
+        const share = Number(line.quantity) > 0 ? quantity / Number(line.quantity) : 0;
+        const netAmount = isRemainder ? round2(line.netAmount - previous.netAmount) : round2(line.netAmount * share);
+        const vatAmount = isRemainder ? round2(line.vatAmount - previous.vatAmount) : round2(line.vatAmount * share);
+        return {
+            line: { ...line, invoiceLine: index, quantity, netAmount, vatAmount, lineTotal: round2(netAmount + vatAmount) },
+            available,
+            credited: { quantity: round2(previous.quantity + quantity), netAmount: round2(previous.netAmount + netAmount), vatAmount: round2(previous.vatAmount + vatAmount) },
+        };
+    });
+
+    const items = lines.map(({ line }) => line).filter(line => line.quantity > 0);
+    const sum = (field) => round2(items.reduce((total, line) => total + line[field], 0));
+    const taxableAmount = sum('netAmount');
+    const vatAmount = sum('vatAmount');
+    return {
+        items,
+        available: lines.map(({ available }) => available),
+        creditedItems: lines.map(({ credited }) => credited),
+        taxableAmount,
+        vatAmount,
+        grandTotal: round2(taxableAmount + vatAmount),
+    };
+};
+
+// The fields an invoice is stored with. Totals are always recomputed from the lines so a stale form value can never
+// reach the ledger.
+const buildInvoiceDocument = (invoiceData) => {
+    const totals = calculateInvoiceTotals(invoiceData.items, invoiceData);
+    const invoice = {
+        ...invoiceData,
+        ...totals,
+        pricesIncludeVat: Boolean(invoiceData.pricesIncludeVat),
+        total: totals.grandTotal,
+        paidAmount: Number(invoiceData.paidAmount) || 0,
+        paymentTerms: invoiceData.paymentTerms || 'dueOnReceipt',
+        dueDate: computeDueDate(invoiceData.date, invoiceData.paymentTerms, invoiceData.dueDate),
+    };
+    invoice.remainingAmount = invoiceRemaining(invoice);
+    invoice.status = paymentStatusFor(invoice, invoice.paidAmount);
+    return invoice;
+};
+
+class InvoiceValidationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'InvoiceValidationError';
+    }
+}
+
+// The document an edited invoice is saved as. Payments and credits belong to vouchers and credit notes, and the
+// number to the series, so those are taken from the `stored` invoice read in the save transaction, never from the form.
+const mergeInvoiceEdit = (stored, invoiceData) => {
+    if (Number(stored.creditedAmount) > 0) {
+        throw new InvoiceValidationError('لا يمكن تعديل فاتورة صدر لها إشعار دائن. أصدر إشعاراً دائناً آخر لتصحيحها.');
+    }
+    const { id, paidAmount, creditedAmount, creditedItems, remainingAmount, status, invoiceNumber, invoiceNo, issuedAt, ...edits } = invoiceData;
+    const invoice = buildInvoiceDocument({ ...edits, paidAmount: Number(stored.paidAmount) || 0 });
+    if (invoice.remainingAmount < 0) {
+        throw new InvoiceValidationError(`لا يمكن أن يقل إجمالي الفاتورة عن المبلغ المدفوع منها (${invoice.paidAmount}).`);
+    }
+    return invoice;
+};
+
+// The stored status only flips to overdue when the sweep runs, so lists derive it for display in the meantime.
+const OPEN_STATUSES = ['قيد الانتظار', 'مدفوعة جزئياً'];
+const invoiceStatus = (invoice) => (OPEN_STATUSES.includes(invoice.status) && isPastDue(invoice, invoiceRemaining(invoice)) ? 'متأخرة' : invoice.status);
+
+const isVoided = (voucher) => voucher.status === 'void';
+
+// --- Audit Log ---
+// Entries are written to `auditLog`, which firestore.rules keeps append-only. `ref.parent.parent` is the workspace's
+// data document, so an entry always lands in the same workspace as the document it describes.
+// Every create or update of an audited document stamps it with a fresh `auditId` (withAuditId), the id its entry is
+// stored under, and firestore.rules refuse the write unless that entry is created in the same batch or transaction.
+// A delete leaves nothing to stamp, so its entry is stored as `<the deleted document's auditId>-deleted`.
+const withAuditId = (data) => ({ ...data, auditId: doc(collection(db, 'auditLog')).id });
+
+const auditEntryId = (ref, action, before, after) => (action === 'delete' ? `${(before && before.auditId) || ref.id}-deleted` : after.auditId);
+
+const writeAuditEntry = (writer, ref, username, action, before, after) => {
+    const entry = buildAuditEntry({ action, collectionName: ref.parent.id, documentId: ref.id, before, after, by: username, at: serverTimestamp() });
+    writer.set(doc(db, `${ref.parent.parent.path}/auditLog`, auditEntryId(ref, action, before, after)), entry);
+};
+
+// Saves one document and its audit entry together. Updates and deletes read the stored document inside the
+// transaction, so the diff is against what was actually overwritten rather than what the form last showed.
+const auditedWrite = (ref, username, action, data = {}) => runTransaction(db, async (transaction) => {
+    const snapshot = action === 'create' ? null : await transaction.get(ref);
+    const before = snapshot && snapshot.exists() ? snapshot.data() : null;
+    const stamped = withAuditId(data);
+    if (action === 'create') transaction.set(ref, stamped);
+    else if (action === 'update') transaction.update(ref, stamped);
+    else transaction.delete(ref);
+    writeAuditEntry(transaction, ref, username, action, before, action === 'delete' ? null : { ...before, ...stamped });
+});
+
+// --- Voucher Allocations ---
+// A voucher spreads its amount over `allocations` ({ invoiceId, invoiceNumber, invoiceNo, amount }) and lists the invoice
+// ids in `invoiceIds` for querying. Whatever is not allocated stays on the voucher as the customer's credit until it is
+// applied to a later invoice. Vouchers saved before splitting paid exactly one invoice through `invoiceId`.
+const voucherAllocations = (voucher) => voucher.allocations || (voucher.invoiceId
+    ? [{ invoiceId: voucher.invoiceId, invoiceNumber: voucher.invoiceNumber, invoiceNo: voucher.invoiceNo, amount: Number(voucher.amount) || 0 }]
+    : []);
+
+const voucherAllocatedTotal = (voucher) => round2(voucherAllocations(voucher).reduce((sum, allocation) => sum + allocation.amount, 0));
+const voucherUnapplied = (voucher) => (isVoided(voucher) ? 0 : round2((Number(voucher.amount) || 0) - voucherAllocatedTotal(voucher)));
+const voucherAmountFor = (voucher, invoiceId) => round2(voucherAllocations(voucher).filter(allocation => allocation.invoiceId === invoiceId).reduce((sum, allocation) => sum + allocation.amount, 0));
+
+// --- Voucher Validation ---
+// These run inside the voucher transactions, against the invoices as they are at commit time, and again in
+// PaymentVoucherForm before submitting. The form shows the message of any VoucherValidationError to the user.
+class VoucherValidationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'VoucherValidationError';
+    }
+}
+
+// `excess` is how much more was paid than the invoices (or one invoice) can take.
+class OverpaymentError extends VoucherValidationError {
+    constructor(message, excess) {
+        super(message);
+        this.name = 'OverpaymentError';
+        this.excess = excess;
+    }
+}
+
+class InvoiceUnavailableError extends VoucherValidationError {
+    constructor(message, invoiceId) {
+        super(message);
+        this.name = 'InvoiceUnavailableError';
+        this.invoiceId = invoiceId;
+    }
+}
+
+// `overpaymentPolicy` is 'credit' to keep any excess as customer credit, or 'reject' to refuse it.
+const validateVoucherAmounts = ({ amount, allocations, overpaymentPolicy }) => {
+    if (!Number.isFinite(amount) || amount <= 0) {
+        throw new VoucherValidationError('يجب أن يكون مبلغ السند رقماً أكبر من صفر.');
+    }
+    if (allocations.some(allocation => !Number.isFinite(allocation.amount) || allocation.amount <= 0)) {
+        throw new VoucherValidationError('يجب أن يكون كل مبلغ مخصص لفاتورة أكبر من صفر.');
+    }
+    const excess = round2(amount - allocations.reduce((sum, allocation) => sum + allocation.amount, 0));
+    if (excess < 0) {
+        throw new VoucherValidationError('مجموع المبالغ المخصصة للفواتير يتجاوز مبلغ السند.');
+    }
+    if (excess > 0 && overpaymentPolicy !== 'credit') {
+        throw new OverpaymentError(`مبلغ السند يزيد عن المخصص للفواتير بمقدار ${excess.toFixed(2)}. عدّل المبلغ أو اختر قيد الزيادة رصيداً دائناً للعميل.`, excess);
+    }
+};
+
+const allocationTotals = (allocations) => allocations.reduce((totals, allocation) => ({ ...totals, [allocation.invoiceId]: round2((totals[allocation.invoiceId] || 0) + allocation.amount) }), {});
+
+// Transactions must read before they write, so the invoices a voucher touches are loaded first...
+const loadAllocatedInvoices = async (transaction, dataPath, ...allocationLists) => {
+    const invoiceIds = [...new Set(allocationLists.flat().map(allocation => allocation.invoiceId))];
+    const snapshots = await Promise.all(invoiceIds.map(invoiceId => transaction.get(doc(db, `${dataPath}/invoices`, invoiceId))));
+    return Object.fromEntries(snapshots.map(snapshot => [snapshot.id, snapshot]));
+};
+
+// ...and then each one's paid amount moves by the difference between the voucher's old and new allocations.
+// No invoice may be paid beyond its remaining balance, so `remainingAmount` never goes negative.
+const updateAllocatedInvoices = (transaction, invoiceSnaps, previousAllocations, nextAllocations, username) => {
+    const before = allocationTotals(previousAllocations);
+    const after = allocationTotals(nextAllocations);
+    Object.entries(invoiceSnaps).forEach(([invoiceId, invoiceSnap]) => {
+        const change = round2((after[invoiceId] || 0) - (before[invoiceId] || 0));
+        if (change === 0) return;
+        if (!invoiceSnap.exists()) {
+            if (change > 0) throw new InvoiceUnavailableError('إحدى الفواتير المحددة لم تعد موجودة.', invoiceId);
+            return;
+        }
+        const invoiceData = invoiceSnap.data();
+        if (change > 0) {
+            const invoiceNumber = formatInvoiceNumber(invoiceData);
+            if (invoiceData.status === 'ملغاة') {
+                throw new InvoiceUnavailableError(`الفاتورة ${invoiceNumber} ملغاة ولا تقبل دفعات.`, invoiceId);
+            }
+            const remaining = invoiceRemaining(invoiceData);
+            if (change > remaining) {
+                throw new OverpaymentError(`المبلغ المخصص للفاتورة ${invoiceNumber} يتجاوز رصيدها المتبقي (${remaining.toFixed(2)}).`, round2(change - remaining));
+            }
+        }
+        const newPaidAmount = round2(Math.max((Number(invoiceData.paidAmount) || 0) + change, 0));
+        const changes = withAuditId({
+            paidAmount: newPaidAmount,
+            remainingAmount: round2(invoiceAmountDue(invoiceData) - newPaidAmount),
+            status: paymentStatusFor(invoiceData, newPaidAmount)
+        });
+        transaction.update(invoiceSnap.ref, changes);
+        writeAuditEntry(transaction, invoiceSnap.ref, username, 'update', invoiceData, { ...invoiceData, ...changes });
+    });
+};
+
+// --- Document Numbering ---
+// Each series has a counter document at `userdata/${workspaceId}/counters/{series}` (or `{series}-{year}` when
+// numbering resets yearly). Counters only ever move forward inside runTransaction, so concurrent saves can never
+// receive the same number and a deleted document's number is never issued again.
+const NUMBER_SERIES = {
+    invoices: { prefixKey: 'invoicePrefix', numberField: 'invoiceNumber', firstNumber: 1001 },
+    vouchers: { prefixKey: 'voucherPrefix', numberField: 'voucherNumber', firstNumber: 1 },
+    creditNotes: { prefixKey: 'creditNotePrefix', numberField: 'creditNoteNumber', firstNumber: 1 },
+    disbursements: { prefixKey: 'disbursementPrefix', numberField: 'disbursementNumber', firstNumber: 1 },
+    quotations: { prefixKey: 'quotationPrefix', numberField: 'quotationNumber', firstNumber: 1 },
+};
+
+const counterRefFor = (dataPath, series, profile, date) => {
+    const counterId = profile.resetNumberingYearly ? `${series}-${new Date(date).getFullYear()}` : series;
+    return doc(db, `${dataPath}/counters`, counterId);
+};
+
+// A series created for a ledger that predates counters continues after its highest existing number.
+// This runs outside the transaction because transactions cannot query collections.
+const loadCounterSeed = async (dataPath, series, profile, date) => {
+    const { numberField, firstNumber } = NUMBER_SERIES[series];
+    if (profile.resetNumberingYearly) return 0;
+    const counterSnap = await getDoc(counterRefFor(dataPath, series, profile, date));
+    if (counterSnap.exists()) return counterSnap.data().lastNumber;
+    const existingSnap = await getDocs(collection(db, `${dataPath}/${series}`));
+    const existingNumbers = existingSnap.docs.map(d => Number(d.data()[numberField]) || 0);
+    return Math.max(firstNumber - 1, ...existingNumbers);
+};
+
+// Reads and advances the series counter. Call it inside runTransaction before any other write,
+// since Firestore transactions must perform all reads first.
+const nextDocumentNumber = async (transaction, dataPath, series, profile, date, seed) => {
+    const counterRef = counterRefFor(dataPath, series, profile, date);
+    const counterSnap = await transaction.get(counterRef);
+    const sequence = (counterSnap.exists() ? counterSnap.data().lastNumber : seed) + 1;
+    transaction.set(counterRef, { lastNumber: sequence, updatedAt: serverTimestamp() }, { merge: true });
+
+    const year = profile.resetNumberingYearly ? `${new Date(date).getFullYear()}-` : '';
+    const formatted = `${profile[NUMBER_SERIES[series].prefixKey]}${year}${String(sequence).padStart(Number(profile.numberPadding) || 0, '0')}`;
+    return { sequence, formatted };
+};
+
+const companyProfileDoc = (workspaceId) => doc(db, `artifacts/${appId}/public/data/userdata/${workspaceId}/settings`, 'company');
+
+const useCompanyProfile = (workspaceId) => {
+    const [profile, setProfile] = useState(DEFAULT_COMPANY_PROFILE);
+
+    useEffect(() => {
+        if (!workspaceId) return;
+        const unsubscribe = onSnapshot(companyProfileDoc(workspaceId), (snapshot) => {
+            setProfile({ ...DEFAULT_COMPANY_PROFILE, ...(snapshot.exists() ? snapshot.data() : {}) });
+        }, (error) => { console.error("Error in company profile listener:", error) });
+        return () => unsubscribe();
+    }, [workspaceId]);
+
+    return profile;
+};
+
+// --- Workspaces & Roles ---
+// Every user owns a personal workspace whose id is their username, so data created before workspaces existed
+// (under `userdata/${username}`) keeps working unchanged. Shared workspaces get a `ws-` id, which can never
+// collide with a username because usernames are alphanumeric only.
+// The same role matrix is enforced by firestore.rules; keep the two in sync.
+const workspacesPath = `artifacts/${appId}/public/data/workspaces`;
+const ACTIVE_WORKSPACE_KEY = 'proTeamActiveWorkspace';
+
+const ROLES = {
+    owner: 'المالك',
+    admin: 'مدير',
+    accountant: 'محاسب',
+    sales: 'مبيعات',
+    viewer: 'مشاهد',
+};
+
+const PERMISSIONS = {
+    invoices: { create: ['owner', 'admin', 'accountant', 'sales'], update: ['owner', 'admin', 'accountant'] },
+    creditNotes: { create: ['owner', 'admin', 'accountant'] },
+    quotations: { create: ['owner', 'admin', 'accountant', 'sales'], update: ['owner', 'admin', 'accountant', 'sales'], delete: ['owner', 'admin', 'accountant', 'sales'] },
+    recurringInvoices: { create: ['owner', 'admin', 'accountant'], update: ['owner', 'admin', 'accountant'], delete: ['owner', 'admin', 'accountant'] },
+    customers: { create: ['owner', 'admin', 'accountant'], update: ['owner', 'admin', 'accountant'], delete: ['owner', 'admin', 'accountant'] },
+    services: { create: ['owner', 'admin', 'accountant'], update: ['owner', 'admin', 'accountant'], delete: ['owner', 'admin', 'accountant'] },
+    vouchers: { create: ['owner', 'admin', 'accountant'], update: ['owner', 'admin', 'accountant'], delete: ['owner', 'admin', 'accountant'] },
+    accounts: { create: ['owner', 'admin', 'accountant'], update: ['owner', 'admin', 'accountant'], delete: ['owner', 'admin', 'accountant'] },
+    disbursements: { create: ['owner', 'admin', 'accountant'], delete: ['owner', 'admin', 'accountant'] },
+    suppliers: { create: ['owner', 'admin', 'accountant'], update: ['owner', 'admin', 'accountant'], delete: ['owner', 'admin', 'accountant'] },
+    expenseCategories: { create: ['owner', 'admin', 'accountant'], update: ['owner', 'admin', 'accountant'], delete: ['owner', 'admin', 'accountant'] },
+    settings: { update: ['owner', 'admin'] },
+    backup: { create: ['owner', 'admin'], restore: ['owner'] },
+    members: { manage: ['owner'] },
+};
+
+const can = (role, resource, action) => Boolean(role && PERMISSIONS[resource] && (PERMISSIONS[resource][action] || []).includes(role));
+
+// Guard for CRUD handlers: the buttons are hidden for roles that lack the permission, but handlers check again.
+const requirePermission = (role, resource, action) => {
+    if (can(role, resource, action)) return true;
+    window.alert('ليست لديك صلاحية لتنفيذ هذا الإجراء في مساحة العمل الحالية.');
+    return false;
+};
+
+const ensurePersonalWorkspace = async (username) => {
+    const workspaceRef = doc(db, workspacesPath, username);
+    const workspaceSnap = await getDoc(workspaceRef);
+    if (!workspaceSnap.exists()) {
+        await setDoc(workspaceRef, {
+            name: username,
+            ownerUsername: username,
+            members: { [username]: 'owner' },
+            memberUsernames: [username],
+            personal: true,
+            createdAt: serverTimestamp()
+        });
+    }
+};
+
+const createWorkspace = async (name, username) => {
+    const workspaceId = `ws-${doc(collection(db, workspacesPath)).id}`;
+    await setDoc(doc(db, workspacesPath, workspaceId), {
+        name,
+        ownerUsername: username,
+        members: { [username]: 'owner' },
+        memberUsernames: [username],
+        personal: false,
+        createdAt: serverTimestamp()
+    });
+    return workspaceId;
+};
+
+const useWorkspaces = (username) => {
+    const storageKey = `${ACTIVE_WORKSPACE_KEY}:${username}`;
+    const [workspaces, setWorkspaces] = useState([]);
+    const [activeWorkspaceId, setActiveWorkspaceId] = useState(() => localStorage.getItem(storageKey) || username);
+
+    useEffect(() => {
+        if (!username) return;
+        ensurePersonalWorkspace(username).catch(error => console.error("Failed to create personal workspace", error));
+        const workspacesQuery = query(collection(db, workspacesPath), where("memberUsernames", "array-contains", username));
+        const unsubscribe = onSnapshot(workspacesQuery, (snapshot) => {
+            setWorkspaces(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        }, (error) => { console.error("Error in workspaces listener:", error) });
+        return () => unsubscribe();
+    }, [username]);
+
+    // Fall back to the personal workspace if the user was removed from the one they last used.
+    const workspace = workspaces.find(w => w.id === activeWorkspaceId) || workspaces.find(w => w.id === username) || null;
+
+    const selectWorkspace = (workspaceId) => {
+        localStorage.setItem(storageKey, workspaceId);
+        setActiveWorkspaceId(workspaceId);
+    };
+
+    return { workspaces, workspace, role: workspace ? workspace.members[username] : null, selectWorkspace };
+};
+
+// --- Overdue Sweep ---
+// Moves open invoices whose due date has passed to 'متأخرة'. Runs when a workspace is opened and then hourly,
+// only for members allowed to update invoices.
+const OVERDUE_SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+const markOverdueInvoices = async (dataPath, username) => {
+    const today = todayIso();
+    const snapshot = await getDocs(query(collection(db, `${dataPath}/invoices`), where("dueDate", "<", today)));
+    const overdue = snapshot.docs.filter(invoiceDoc => {
+        const invoice = invoiceDoc.data();
+        return OPEN_STATUSES.includes(invoice.status) && isPastDue(invoice, invoiceRemaining(invoice), today);
+    });
+    await commitInBatches(overdue.flatMap(invoiceDoc => {
+        const changes = withAuditId({ status: 'متأخرة' });
+        return [
+            (batch) => batch.update(invoiceDoc.ref, changes),
+            (batch) => writeAuditEntry(batch, invoiceDoc.ref, username, 'update', invoiceDoc.data(), { ...invoiceDoc.data(), ...changes }),
+        ];
+    }), AUDITED_BATCH_LIMIT);
+};
+
+const useOverdueSweep = (workspaceId, role, username) => {
+    const canUpdate = can(role, 'invoices', 'update');
+
+    useEffect(() => {
+        if (!workspaceId || !canUpdate) return;
+        const dataPath = `artifacts/${appId}/public/data/userdata/${workspaceId}`;
+        const sweep = () => markOverdueInvoices(dataPath, username).catch(error => console.error("Failed to mark overdue invoices", error));
+        sweep();
+        const interval = setInterval(sweep, OVERDUE_SWEEP_INTERVAL_MS);
+        return () => clearInterval(interval);
+    }, [workspaceId, canUpdate, username]);
+};
+
+// --- Recurring Invoices ---
+// Generates the invoices that recurring schedules have come due for. Runs when a workspace is opened and then hourly,
+// only for members allowed to manage schedules. Each run is its own transaction that re-reads the schedule and only
+// proceeds while the run is still the schedule's next one, so two members opening the app together never bill a run
+// twice. Generated and skipped runs are logged under `${scheduleId}-${runIndex}`; failures get their own log entry and
+// the run is retried on the next sweep.
+const RECURRING_SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+const recurringRunRef = (dataPath, scheduleId, runIndex) => doc(db, `${dataPath}/recurringRuns`, `${scheduleId}-${runIndex}`);
+
+const generateRecurringRun = async (dataPath, scheduleId, run, profile, username) => {
+    const seed = await loadCounterSeed(dataPath, 'invoices', profile, run.date);
+    await runTransaction(db, async (transaction) => {
+        const scheduleRef = doc(db, `${dataPath}/recurringSchedules`, scheduleId);
+        const scheduleSnap = await transaction.get(scheduleRef);
+        if (!scheduleSnap.exists()) return;
+        const schedule = scheduleSnap.data();
+        if (schedule.status !== 'active' || (Number(schedule.runIndex) || 0) !== run.index) return;
+
+        const { sequence, formatted } = await nextDocumentNumber(transaction, dataPath, 'invoices', profile, run.date, seed);
+        const invoiceRef = doc(collection(db, `${dataPath}/invoices`));
+        const { customerId, customerName, items, pricesIncludeVat, discount, paymentTerms } = schedule;
+        const invoice = withAuditId({
+            ...buildInvoiceDocument({ customerId, customerName, date: run.date, items, pricesIncludeVat, discount, paymentTerms, dueDate: '' }),
+            invoiceNumber: sequence,
+            invoiceNo: formatted,
+            issuedAt: new Date().toISOString(),
+            recurringScheduleId: scheduleId,
+            recurringScheduleName: schedule.name,
+            recurringRunIndex: run.index,
+        });
+
+        transaction.set(invoiceRef, invoice);
+        writeAuditEntry(transaction, invoiceRef, username, 'create', null, invoice);
+        transaction.update(scheduleRef, {
+            ...advanceSchedule(schedule, run.index + 1),
+            lastRunDate: run.date,
+            lastInvoiceId: invoiceRef.id,
+            lastInvoiceNo: formatted,
+            generatedCount: (Number(schedule.generatedCount) || 0) + 1,
+        });
+        transaction.set(recurringRunRef(dataPath, scheduleId, run.index), { scheduleId, scheduleName: schedule.name, runIndex: run.index, runDate: run.date, outcome: 'generated', invoiceId: invoiceRef.id, invoiceNo: formatted, by: username, at: new Date().toISOString() });
+    });
+};
+
+// Logs `runs` as skipped and moves the schedule past them. `changes` (e.g. resuming a paused schedule) are applied in the same write.
+const skipRecurringRuns = async (dataPath, scheduleId, runs, username, changes = {}) => {
+    await runTransaction(db, async (transaction) => {
+        const scheduleRef = doc(db, `${dataPath}/recurringSchedules`, scheduleId);
+        const scheduleSnap = await transaction.get(scheduleRef);
+        if (!scheduleSnap.exists()) return;
+        const schedule = { ...scheduleSnap.data(), ...changes };
+        const runIndex = Number(schedule.runIndex) || 0;
+        if (runs.length > 0 && runs[0].index !== runIndex) return;
+
+        runs.forEach(run => transaction.set(recurringRunRef(dataPath, scheduleId, run.index), { scheduleId, scheduleName: schedule.name, runIndex: run.index, runDate: run.date, outcome: 'skipped', reason: run.reason, by: username, at: new Date().toISOString() }));
+        transaction.update(scheduleRef, { ...changes, ...advanceSchedule(schedule, runIndex + runs.length) });
+    });
+};
+
+const generateDueRecurringInvoices = async (dataPath, username) => {
+    const today = todayIso();
+    const profileSnap = await getDoc(doc(db, `${dataPath}/settings`, 'company'));
+    const profile = { ...DEFAULT_COMPANY_PROFILE, ...(profileSnap.exists() ? profileSnap.data() : {}) };
+    // Filtering on status as well would need a composite index, so paused and completed schedules are dropped here.
+    const snapshot = await getDocs(query(collection(db, `${dataPath}/recurringSchedules`), where("nextRunDate", "<=", today)));
+
+    for (const scheduleDoc of snapshot.docs) {
+        const schedule = scheduleDoc.data();
+        if (schedule.status !== 'active') continue;
+        const plan = planRuns(schedule, today);
+        let pendingRun = plan.skip[0] || plan.generate[0];
+        try {
+            if (plan.skip.length > 0) await skipRecurringRuns(dataPath, scheduleDoc.id, plan.skip, username);
+            for (const run of plan.generate) {
+                pendingRun = run;
+                await generateRecurringRun(dataPath, scheduleDoc.id, run, profile, username);
+            }
+        } catch (error) {
+            console.error("Recurring invoice run failed", error);
+            await addDoc(collection(db, `${dataPath}/recurringRuns`), { scheduleId: scheduleDoc.id, scheduleName: schedule.name, runIndex: pendingRun.index, runDate: pendingRun.date, outcome: 'failed', error: String(error.message || error), by: username, at: new Date().toISOString() })
+                .catch(logError => console.error("Failed to log recurring run failure", logError));
+        }
+    }
+};
+
+const useRecurringInvoices = (workspaceId, role, username) => {
+    const canRun = can(role, 'recurringInvoices', 'update');
+
+    useEffect(() => {
+        if (!workspaceId || !canRun) return;
+        const dataPath = `artifacts/${appId}/public/data/userdata/${workspaceId}`;
+        const sweep = () => generateDueRecurringInvoices(dataPath, username).catch(error => console.error("Failed to generate recurring invoices", error));
+        sweep();
+        const interval = setInterval(sweep, RECURRING_SWEEP_INTERVAL_MS);
+        return () => clearInterval(interval);
+    }, [workspaceId, canRun, username]);
+};
 
 // --- Main App Component ---
 export default function App() {
     const [currentUser, setCurrentUser] = useState(null);
     const [isAuthReady, setIsAuthReady] = useState(false);
     const [theme, setTheme] = useState('light');
+    const sessionRestoreStarted = useRef(false);
+    const location = useLocation();
     
     useEffect(() => {
         const unsubscribe = onAuthStateChanged(auth, async (user) => {
-            if (!auth.currentUser) {
+            if (!sessionRestoreStarted.current) {
+                sessionRestoreStarted.current = true;
                 try {
-                    await signInAnonymously(auth);
-                } catch(error) {
-                    console.error("Anonymous sign-in failed", error);
+                    const restoredUser = user ? await restoreSession(user) : null;
+                    if (restoredUser) {
+                        setCurrentUser(restoredUser);
+                    } else if (user) {
+                        await clearLocalSession();
+                    }
+                } catch (error) {
+                    console.error("Session restore failed", error);
                 }
             }
             setIsAuthReady(true);
@@ -79,13 +801,78 @@ export default function App() {
         setTheme(prevTheme => prevTheme === 'light' ? 'dark' : 'light');
     };
     
-    const handleLoginSuccess = (user) => {
-        setCurrentUser(user);
+    // Without "remember me" the Firebase identity lasts only as long as the browser session, like the stored session.
+    const handleLoginSuccess = async ({ username, token }, remember) => {
+        await setPersistence(auth, remember ? browserLocalPersistence : browserSessionPersistence);
+        await signInWithCustomToken(auth, token);
+        const user = { username, remember };
+        try {
+            const sessionId = await createSession(username, remember);
+            setCurrentUser({ ...user, sessionId });
+        } catch (error) {
+            console.error("Failed to create session", error);
+            setCurrentUser(user);
+        }
     };
 
-    const handleLogout = () => {
+    const handleLogout = useCallback(async () => {
+        if (!currentUser) return;
+        if (currentUser.sessionId) await endSession(currentUser.sessionId);
+        if (sessionChannel) sessionChannel.postMessage({ type: 'logout', username: currentUser.username, sessionId: currentUser.sessionId });
+        await clearLocalSession();
         setCurrentUser(null);
-    }
+    }, [currentUser]);
+
+    // Logging out in another tab signs this tab out as well.
+    useEffect(() => {
+        if (!sessionChannel || !currentUser) return;
+        const handleMessage = async ({ data }) => {
+            if (data.type !== 'logout' || data.username !== currentUser.username) return;
+            if (currentUser.sessionId && currentUser.sessionId !== data.sessionId) await endSession(currentUser.sessionId);
+            await clearLocalSession();
+            setCurrentUser(null);
+        };
+        sessionChannel.addEventListener('message', handleMessage);
+        return () => sessionChannel.removeEventListener('message', handleMessage);
+    }, [currentUser]);
+
+    // A session revoked from another device ends here as soon as Firestore reports it.
+    useEffect(() => {
+        if (!currentUser || !currentUser.sessionId) return;
+        const unsubscribe = onSnapshot(doc(db, sessionsPath, currentUser.sessionId), (snapshot) => {
+            if (!snapshot.exists() || snapshot.data().revoked) {
+                clearLocalSession();
+                setCurrentUser(null);
+            }
+        }, (error) => { console.error("Error in session listener:", error) });
+        return () => unsubscribe();
+    }, [currentUser]);
+
+    // Idle timeout: record activity and log out once no tab has seen any for IDLE_TIMEOUT_MINUTES. A remembered
+    // session is exempt; it ends at its expiry, when revoked, or on logout.
+    useEffect(() => {
+        if (!currentUser) return;
+        let lastPersisted = 0;
+        const handleActivity = () => {
+            touchLastActivity();
+            if (currentUser.sessionId && Date.now() - lastPersisted > 60 * 1000) {
+                lastPersisted = Date.now();
+                updateDoc(doc(db, sessionsPath, currentUser.sessionId), { lastActiveAt: lastPersisted }).catch(error => console.error("Failed to update session activity", error));
+            }
+        };
+        const activityEvents = ['mousemove', 'mousedown', 'keydown', 'scroll', 'touchstart'];
+        activityEvents.forEach(event => window.addEventListener(event, handleActivity, { passive: true }));
+        handleActivity();
+
+        const interval = setInterval(() => {
+            if (!currentUser.remember && isIdle(getLastActivity(), Date.now())) handleLogout();
+        }, 30 * 1000);
+
+        return () => {
+            activityEvents.forEach(event => window.removeEventListener(event, handleActivity));
+            clearInterval(interval);
+        };
+    }, [currentUser, handleLogout]);
 
     if (!isAuthReady) {
         return <div className="flex items-center justify-center h-screen bg-gray-100 dark:bg-gray-900"><div className="loader"></div></div>;
@@ -93,7 +880,11 @@ export default function App() {
 
     return (
         <div className={`h-screen bg-gray-100 dark:bg-gray-900 font-sans ${theme}`}>
-            {currentUser ? <MainApp user={currentUser} onLogout={handleLogout} theme={theme} toggleTheme={toggleTheme} /> : <AuthPage onLoginSuccess={handleLoginSuccess} />}
+            {/* Signed-out visitors are sent to the login page, which sends them back to the page they asked for. */}
+            <Routes>
+                <Route path={LOGIN_PATH} element={currentUser ? <Navigate to={returnPathAfterLogin(location.state && location.state.from)} replace /> : <AuthPage onLoginSuccess={handleLoginSuccess} />} />
+                <Route path="*" element={currentUser ? <MainApp user={currentUser} onLogout={handleLogout} theme={theme} toggleTheme={toggleTheme} /> : <Navigate to={LOGIN_PATH} replace state={{ from: { pathname: location.pathname, search: location.search, hash: location.hash } }} />} />
+            </Routes>
         </div>
     );
 }
@@ -101,52 +892,24 @@ export default function App() {
 const AuthPage = ({ onLoginSuccess }) => {
     const [username, setUsername] = useState('');
     const [password, setPassword] = useState('');
+    const [remember, setRemember] = useState(false);
     const [isLogin, setIsLogin] = useState(true);
     const [error, setError] = useState('');
     const [loading, setLoading] = useState(false);
 
-    // This is a custom authentication flow built on top of Firestore
+    // Credentials go to the login functions; only a verified username and its sign-in token come back.
     const handleSubmit = async (e) => {
         e.preventDefault();
         setError('');
         setLoading(true);
 
-        const profilesCollection = collection(db, `artifacts/${appId}/public/data/profiles`);
-
         try {
-            const q = query(profilesCollection, where("username", "==", username.toLowerCase()));
-            const querySnapshot = await getDocs(q);
-
-            if (isLogin) {
-                if (querySnapshot.empty) {
-                    setError('اسم المستخدم غير موجود.');
-                } else {
-                    const userDoc = querySnapshot.docs[0].data();
-                    if (userDoc.password === password) {
-                        onLoginSuccess({ username: userDoc.username });
-                    } else {
-                        setError('كلمة المرور غير صحيحة.');
-                    }
-                }
-            } else {
-                if (!querySnapshot.empty) {
-                    setError('اسم المستخدم هذا مستخدم بالفعل.');
-                } else if (password.length < 6) {
-                    setError('كلمة المرور يجب أن تتكون من 6 أحرف على الأقل.');
-                } else if (!/^[a-zA-Z0-9]+$/.test(username)) {
-                    setError('اسم المستخدم يجب أن يحتوي على أحرف وأرقام إنجليزية فقط.');
-                } else {
-                    await addDoc(profilesCollection, {
-                        username: username.toLowerCase(),
-                        password: password,
-                        createdAt: serverTimestamp()
-                    });
-                    onLoginSuccess({ username: username.toLowerCase() });
-                }
-            }
+            const { data } = await (isLogin ? loginWithPassword : registerWithPassword)({ username, password });
+            await onLoginSuccess(data, remember);
         } catch (err) {
-            console.error("Custom Auth Error:", err);
-            setError('حدث خطأ غير متوقع. يرجى المحاولة مرة أخرى.');
+            const message = loginErrorMessage(err);
+            if (!message) console.error("Custom Auth Error:", err);
+            setError(message || 'حدث خطأ غير متوقع. يرجى المحاولة مرة أخرى.');
         } finally {
             setLoading(false);
         }
@@ -173,6 +936,10 @@ const AuthPage = ({ onLoginSuccess }) => {
                         <Lock className="absolute top-3 right-3 text-gray-400" size={20} />
                         <input type="password" placeholder="كلمة المرور (6 أحرف على الأقل)" value={password} onChange={(e) => setPassword(e.target.value)} required className="w-full p-3 pr-10 text-gray-700 bg-gray-100 border border-gray-300 rounded-md dark:bg-gray-700 dark:text-gray-200 dark:border-gray-600 focus:outline-none focus:ring-2 focus:ring-blue-500"/>
                     </div>
+                    <label className="flex items-center text-sm text-gray-600 dark:text-gray-300">
+                        <input type="checkbox" checked={remember} onChange={(e) => setRemember(e.target.checked)} className="ml-2 rounded" />
+                        تذكرني على هذا الجهاز
+                    </label>
                     {error && <p className="text-sm text-red-500 text-center">{error}</p>}
                     <button type="submit" disabled={loading} className="w-full py-3 font-semibold text-white bg-blue-600 rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 disabled:bg-blue-400 disabled:cursor-not-allowed">
                         {loading ? 'الرجاء الانتظار...' : (isLogin ? 'تسجيل الدخول' : 'إنشاء حساب')}
@@ -190,28 +957,38 @@ const AuthPage = ({ onLoginSuccess }) => {
 };
 
 const MainApp = ({ user, onLogout, theme, toggleTheme }) => {
-    const [page, setPage] = useState('dashboard');
     const [isMenuOpen, setIsMenuOpen] = useState(false);
+    const { workspaces, workspace, role, selectWorkspace } = useWorkspaces(user.username);
+    const companyProfile = useCompanyProfile(workspace ? workspace.id : null);
+    useOverdueSweep(workspace ? workspace.id : null, role, user.username);
+    useRecurringInvoices(workspace ? workspace.id : null, role, user.username);
 
-    const renderPage = () => {
-        const username = user.username;
-        switch (page) {
-            case 'dashboard': return <Dashboard setPage={setPage} username={username} />;
-            case 'invoices': return <Invoices username={username} />;
-            case 'customers': return <Customers username={username} />;
-            case 'services': return <Services username={username} />;
-            case 'vouchers': return <PaymentVouchers username={username} />;
-            default: return <Dashboard setPage={setPage} username={username} />;
-        }
-    };
+    if (!workspace) {
+        return <div className="flex items-center justify-center h-screen bg-gray-100 dark:bg-gray-900"><div className="loader"></div></div>;
+    }
+
+    const workspaceId = workspace.id;
     
     return (
         <div className="flex h-screen">
-            <Sidebar page={page} setPage={setPage} isMenuOpen={isMenuOpen} setIsMenuOpen={setIsMenuOpen} />
+            <Sidebar setIsMenuOpen={setIsMenuOpen} isMenuOpen={isMenuOpen} profile={companyProfile} />
             <div className="flex-1 flex flex-col overflow-hidden">
-                <Header isMenuOpen={isMenuOpen} setIsMenuOpen={setIsMenuOpen} toggleTheme={toggleTheme} theme={theme} user={user} onLogout={onLogout}/>
+                <Header isMenuOpen={isMenuOpen} setIsMenuOpen={setIsMenuOpen} toggleTheme={toggleTheme} theme={theme} user={user} onLogout={onLogout} workspaces={workspaces} workspace={workspace} role={role} onSelectWorkspace={selectWorkspace} />
                 <main className="flex-1 overflow-x-hidden overflow-y-auto bg-gray-100 dark:bg-gray-900 p-4 md:p-6 lg:p-8">
-                    {renderPage()}
+                    <Routes>
+                        <Route index element={<Dashboard workspaceId={workspaceId} profile={companyProfile} />} />
+                        <Route path="invoices/*" element={<Invoices workspaceId={workspaceId} role={role} username={user.username} profile={companyProfile} />} />
+                        <Route path="quotations/*" element={<Quotations workspaceId={workspaceId} role={role} username={user.username} profile={companyProfile} />} />
+                        <Route path="customers/*" element={<Customers workspaceId={workspaceId} role={role} username={user.username} profile={companyProfile} />} />
+                        <Route path="services/*" element={<Services workspaceId={workspaceId} role={role} username={user.username} profile={companyProfile} />} />
+                        <Route path="accounts" element={<Accounts workspaceId={workspaceId} role={role} profile={companyProfile} />} />
+                        <Route path="vouchers/*" element={<PaymentVouchers workspaceId={workspaceId} role={role} username={user.username} profile={companyProfile} />} />
+                        <Route path="expenses" element={<Expenses workspaceId={workspaceId} role={role} username={user.username} profile={companyProfile} />} />
+                        <Route path="reports" element={<Reports workspaceId={workspaceId} profile={companyProfile} />} />
+                        <Route path="activity" element={<ActivityLog workspaceId={workspaceId} />} />
+                        <Route path="settings" element={<SettingsPage workspace={workspace} role={role} username={user.username} profile={companyProfile} onWorkspaceCreated={selectWorkspace} />} />
+                        <Route path="*" element={<Navigate to="/" replace />} />
+                    </Routes>
                 </main>
             </div>
         </div>
@@ -220,50 +997,70 @@ const MainApp = ({ user, onLogout, theme, toggleTheme }) => {
 
 // --- Components ---
 
-const Sidebar = ({ page, setPage, isMenuOpen, setIsMenuOpen }) => {
-    const navigate = (pageName) => {
-        setPage(pageName);
-        setIsMenuOpen(false);
-    };
-
+const Sidebar = ({ isMenuOpen, setIsMenuOpen, profile }) => {
     const navItems = [
-        { id: 'dashboard', label: 'لوحة التحكم', icon: LayoutDashboard },
-        { id: 'invoices', label: 'الفواتير', icon: FileText },
-        { id: 'vouchers', label: 'سندات القبض', icon: ClipboardCheck },
-        { id: 'customers', label: 'العملاء', icon: Users },
-        { id: 'services', label: 'الخدمات', icon: Briefcase },
-        { id: 'settings', label: 'الإعدادات', icon: Settings },
+        { path: '/', label: 'لوحة التحكم', icon: LayoutDashboard },
+        { path: '/quotations', label: 'عروض الأسعار', icon: FileSignature },
+        { path: '/invoices', label: 'الفواتير', icon: FileText },
+        { path: '/vouchers', label: 'سندات القبض', icon: ClipboardCheck },
+        { path: '/expenses', label: 'المصروفات', icon: Receipt },
+        { path: '/accounts', label: 'الصناديق والبنوك', icon: Wallet },
+        { path: '/reports', label: 'التقارير', icon: BarChart3 },
+        { path: '/activity', label: 'سجل النشاط', icon: History },
+        { path: '/customers', label: 'العملاء', icon: Users },
+        { path: '/services', label: 'الخدمات', icon: Briefcase },
+        { path: '/settings', label: 'الإعدادات', icon: Settings },
     ];
 
     return (
         <aside className={`absolute md:relative z-20 bg-white dark:bg-gray-800 shadow-lg h-full w-64 md:w-60 lg:w-64 transform ${isMenuOpen ? 'translate-x-0' : '-translate-x-full'} md:translate-x-0 transition-transform duration-300 ease-in-out`}>
             <div className="p-6 flex flex-col h-full">
                 <div className="flex items-center justify-center pb-6 border-b border-gray-200 dark:border-gray-700">
-                    <ArrowRight className="w-8 h-8 text-blue-600 dark:text-blue-400" />
-                    <h1 className="text-xl font-bold text-gray-800 dark:text-white mr-2">الفريق المحترف</h1>
+                    {profile.logo ? <img src={profile.logo} alt="" className="w-8 h-8 object-contain" /> : <ArrowRight className="w-8 h-8 text-blue-600 dark:text-blue-400" />}
+                    <h1 className="text-xl font-bold text-gray-800 dark:text-white mr-2">{profile.legalName}</h1>
                 </div>
                 <nav className="mt-6 flex-1">
                     <ul>
                         {navItems.map(item => (
-                            <li key={item.id} className="mb-2">
-                                <a href="#" onClick={(e) => {e.preventDefault(); navigate(item.id);}} className={`flex items-center py-3 px-4 rounded-lg transition-colors duration-200 ${page === item.id ? 'bg-blue-600 text-white shadow-md' : 'text-gray-600 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-700'}`}>
+                            <li key={item.path} className="mb-2">
+                                <NavLink to={item.path} end={item.path === '/'} onClick={() => setIsMenuOpen(false)} className={({ isActive }) => `flex items-center py-3 px-4 rounded-lg transition-colors duration-200 ${isActive ? 'bg-blue-600 text-white shadow-md' : 'text-gray-600 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-700'}`}>
                                     <item.icon className="w-5 h-5" />
                                     <span className="mr-4 font-medium">{item.label}</span>
-                                </a>
+                                </NavLink>
                             </li>
                         ))}
                     </ul>
                 </nav>
                  <div className="p-4 mt-auto">
-                     <p className="text-xs text-center text-gray-400 dark:text-gray-500">© 2025 الفريق المحترف</p>
+                     <p className="text-xs text-center text-gray-400 dark:text-gray-500">© {new Date().getFullYear()} {profile.legalName}</p>
                 </div>
             </div>
         </aside>
     );
 };
 
-const Header = ({ isMenuOpen, setIsMenuOpen, toggleTheme, theme, user, onLogout }) => {
+const Header = ({ isMenuOpen, setIsMenuOpen, toggleTheme, theme, user, onLogout, workspaces, workspace, role, onSelectWorkspace }) => {
     const [dropdownOpen, setDropdownOpen] = useState(false);
+    const [sessions, setSessions] = useState([]);
+
+    useEffect(() => {
+        if (!dropdownOpen) return;
+        const sessionsQuery = query(collection(db, sessionsPath), where("username", "==", user.username));
+        const unsubscribe = onSnapshot(sessionsQuery, (snapshot) => {
+            const activeSessions = snapshot.docs
+                .map(doc => ({ id: doc.id, ...doc.data() }))
+                .filter(session => !session.revoked && (!session.expiresAt || session.expiresAt > Date.now()))
+                .sort((a, b) => (b.lastActiveAt || 0) - (a.lastActiveAt || 0));
+            setSessions(activeSessions);
+        }, (error) => { console.error("Error in sessions listener:", error) });
+        return () => unsubscribe();
+    }, [dropdownOpen, user.username]);
+
+    const describeDevice = (userAgent = '') => {
+        const browser = ['Edg', 'Chrome', 'Firefox', 'Safari'].find(name => userAgent.includes(name)) || 'متصفح';
+        const platform = ['Android', 'iPhone', 'iPad', 'Windows', 'Mac', 'Linux'].find(name => userAgent.includes(name)) || '';
+        return `${browser === 'Edg' ? 'Edge' : browser} ${platform}`.trim();
+    };
     
     const displayUsername = user.username;
     const avatarLetter = displayUsername.length > 0 ? displayUsername[0].toUpperCase() : 'U';
@@ -274,6 +1071,15 @@ const Header = ({ isMenuOpen, setIsMenuOpen, toggleTheme, theme, user, onLogout
                 {isMenuOpen ? <X /> : <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 6h16M4 12h16M4 18h16" /></svg>}
             </button>
             <div className="flex items-center space-x-4">
+                {workspaces.length > 1 && (
+                    <div className="flex items-center text-sm text-gray-600 dark:text-gray-300">
+                        <Building2 className="ml-2" size={18} />
+                        <select value={workspace.id} onChange={(e) => onSelectWorkspace(e.target.value)} className="p-1 border rounded-md bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-white">
+                            {workspaces.map(w => <option key={w.id} value={w.id}>{w.personal ? 'مساحتي الشخصية' : w.name}</option>)}
+                        </select>
+                        <span className="mr-2 text-xs text-gray-500 dark:text-gray-400">({ROLES[role]})</span>
+                    </div>
+                )}
                  <button onClick={toggleTheme} className="p-2 rounded-full text-gray-600 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-700">
                     {theme === 'light' ? <Moon size={20} /> : <Sun size={20} />}
                 </button>
@@ -284,7 +1090,26 @@ const Header = ({ isMenuOpen, setIsMenuOpen, toggleTheme, theme, user, onLogout
                         <ChevronDown className="h-4 w-4 text-gray-500" />
                     </button>
                      {dropdownOpen && (
-                        <div className="absolute left-0 mt-2 w-48 bg-white dark:bg-gray-700 rounded-md shadow-lg py-1 z-20">
+                        <div className="absolute left-0 mt-2 w-72 bg-white dark:bg-gray-700 rounded-md shadow-lg py-1 z-20">
+                            <p className="px-4 pt-2 pb-1 text-xs font-semibold text-gray-500 dark:text-gray-400">الجلسات النشطة</p>
+                            <ul className="max-h-60 overflow-y-auto border-b dark:border-gray-600">
+                                {sessions.map(session => (
+                                    <li key={session.id} className="flex items-center justify-between px-4 py-2 text-sm text-gray-700 dark:text-gray-200">
+                                        <div className="flex items-center">
+                                            <Monitor className="ml-2 text-gray-400" size={16} />
+                                            <div>
+                                                <p>{describeDevice(session.userAgent)}</p>
+                                                <p className="text-xs text-gray-500 dark:text-gray-400">{session.lastActiveAt ? new Date(session.lastActiveAt).toLocaleString('ar-SA') : ''}</p>
+                                            </div>
+                                        </div>
+                                        {session.id === user.sessionId ? (
+                                            <span className="text-xs font-semibold text-green-600">هذه الجلسة</span>
+                                        ) : (
+                                            <button onClick={() => endSession(session.id)} className="text-xs font-semibold text-red-600 hover:underline">إنهاء</button>
+                                        )}
+                                    </li>
+                                ))}
+                            </ul>
                             <button onClick={onLogout} className="w-full text-right flex items-center px-4 py-2 text-sm text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-600">
                                 <LogOut className="ml-2" size={16} />
                                 تسجيل الخروج
@@ -297,73 +1122,130 @@ const Header = ({ isMenuOpen, setIsMenuOpen, toggleTheme, theme, user, onLogout
     );
 };
 
-const Dashboard = ({ setPage, username }) => {
+// Change against the previous period under a stat card; `change` is null when the previous period had nothing to compare with.
+const ChangeIndicator = ({ change }) => {
+    if (change === null) return <p className="text-xs text-gray-400 mt-1">لا توجد بيانات للفترة السابقة</p>;
+    const color = change > 0 ? 'text-green-600' : change < 0 ? 'text-red-600' : 'text-gray-500';
+    return <p className={`text-xs font-semibold mt-1 ${color}`}>{change > 0 ? '▲' : change < 0 ? '▼' : '•'} {Math.abs(change)}% عن الفترة السابقة</p>;
+};
+
+const Dashboard = ({ workspaceId, profile }) => {
+    const navigate = useNavigate();
     const [stats, setStats] = useState({ sales: 0, profit: 0, customers: 0, invoices: 0 });
+    const [previousStats, setPreviousStats] = useState(null);
     const [recentInvoices, setRecentInvoices] = useState([]);
     const [salesData, setSalesData] = useState([]);
+    const [allInvoices, setAllInvoices] = useState([]);
+    const [creditNotes, setCreditNotes] = useState([]);
+    const [disbursements, setDisbursements] = useState([]);
+    const [services, setServices] = useState([]);
+    const [customers, setCustomers] = useState([]);
+    const [period, setPeriod] = useState('month');
+    const [customRange, setCustomRange] = useState({ from: '', to: '' });
+    const [compareYear, setCompareYear] = useState(false);
+    const [profitSummary, setProfitSummary] = useState(buildProfitSummary({}));
+
+    const range = useMemo(() => periodRange(period, todayIso(), customRange), [period, customRange]);
+
+    // Credit notes count as negative sales in the month they were issued. Every card is also worked out for the period
+    // just before the selected one so the change can be shown next to it.
+    useEffect(() => {
+        const sales = [
+            ...allInvoices.map(inv => ({ date: inv.date, amount: invoiceGrandTotal(inv) })),
+            ...creditNotes.map(note => ({ date: note.date, amount: -(Number(note.grandTotal) || 0) })),
+        ];
+        const serviceCosts = Object.fromEntries(services.map(service => [service.id, Number(service.cost) || 0]));
+        const statsFor = (statsRange) => {
+            const summary = buildProfitSummary({ invoices: allInvoices, creditNotes, disbursements, serviceCosts }, statsRange);
+            return {
+                summary,
+                stats: {
+                    sales: round2(sales.filter(sale => inRange(sale.date, statsRange)).reduce((sum, sale) => sum + sale.amount, 0)),
+                    profit: summary.profit,
+                    customers: customers.filter(customer => inRange(customer.joinDate, statsRange)).length,
+                    invoices: allInvoices.filter(inv => inRange(inv.date, statsRange)).length,
+                },
+            };
+        };
+
+        const current = statsFor(range);
+        setProfitSummary(current.summary);
+        setStats(current.stats);
+        const previous = previousRange(period, range);
+        setPreviousStats(previous ? statsFor(previous).stats : null);
+
+        setRecentInvoices([...allInvoices].sort((a, b) => new Date(b.date) - new Date(a.date)).slice(0, 5));
+        setSalesData(monthlySeries(sales, range));
+    }, [allInvoices, creditNotes, disbursements, services, customers, period, range]);
     
     useEffect(() => {
-        if (!username) return;
+        if (!workspaceId) return;
         
-        const dataPath = `artifacts/${appId}/public/data/userdata/${username}`;
+        const dataPath = `artifacts/${appId}/public/data/userdata/${workspaceId}`;
 
         const invoicesQuery = query(collection(db, `${dataPath}/invoices`));
         const unsubscribeInvoices = onSnapshot(invoicesQuery, (querySnapshot) => {
-            const allInvoices = querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-            
-            const totalSales = allInvoices.reduce((sum, inv) => sum + Number(inv.total), 0);
-            
-            setRecentInvoices(allInvoices.sort((a, b) => new Date(b.date) - new Date(a.date)).slice(0, 5));
-            
-            const monthlySales = {};
-            const monthNames = ["يناير", "فبراير", "مارس", "أبريل", "مايو", "يونيو", "يوليو", "أغسطس", "سبتمبر", "أكتوبر", "نوفمبر", "ديسمبر"];
-            allInvoices.forEach(inv => {
-                const monthIndex = new Date(inv.date).getMonth();
-                const monthName = monthNames[monthIndex];
-                if (!monthlySales[monthName]) {
-                    monthlySales[monthName] = { name: monthName, sales: 0 };
-                }
-                monthlySales[monthName].sales += Number(inv.total);
-            });
-            
-            const chartData = Object.values(monthlySales);
-            setSalesData(chartData);
-
-            setStats(prevStats => ({
-                ...prevStats,
-                sales: totalSales,
-                profit: totalSales * 0.25, // Assuming 25% profit margin for demo
-                invoices: allInvoices.length
-            }));
+            setAllInvoices(querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
         }, (error) => { console.error("Error in invoices listener:", error) });
 
+        const unsubscribeCreditNotes = onSnapshot(collection(db, `${dataPath}/creditNotes`), (querySnapshot) => {
+            setCreditNotes(querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        }, (error) => { console.error("Error in credit notes listener:", error) });
+
+        const unsubscribeDisbursements = onSnapshot(collection(db, `${dataPath}/disbursements`), (querySnapshot) => {
+            setDisbursements(querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        }, (error) => { console.error("Error in disbursements listener:", error) });
+
+        const unsubscribeServices = onSnapshot(collection(db, `${dataPath}/services`), (querySnapshot) => {
+            setServices(querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        }, (error) => { console.error("Error in services listener:", error) });
+
         const customersQuery = query(collection(db, `${dataPath}/customers`));
         const unsubscribeCustomers = onSnapshot(customersQuery, (querySnapshot) => {
-            setStats(prevStats => ({ ...prevStats, customers: querySnapshot.size }));
+            setCustomers(querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
         }, (error) => { console.error("Error in customers listener:", error) });
 
         return () => {
             unsubscribeInvoices();
+            unsubscribeCreditNotes();
+            unsubscribeDisbursements();
+            unsubscribeServices();
             unsubscribeCustomers();
         };
-    }, [username]);
+    }, [workspaceId]);
 
 
     const statCards = [
-        { title: 'إجمالي الإيرادات', value: `ر.س ${stats.sales.toLocaleString()}`, icon: '💰', color: 'bg-blue-500' },
-        { title: 'الأرباح', value: `ر.س ${stats.profit.toLocaleString()}`, icon: '📈', color: 'bg-green-500' },
-        { title: 'العملاء', value: stats.customers, icon: '👥', color: 'bg-yellow-500' },
-        { title: 'الفواتير', value: stats.invoices, icon: '🧾', color: 'bg-indigo-500' },
+        { key: 'sales', title: 'إجمالي الإيرادات', value: formatMoney(stats.sales, profile), icon: '💰', color: 'bg-blue-500' },
+        { key: 'profit', title: 'صافي الربح', value: formatMoney(stats.profit, profile), icon: '📈', color: 'bg-green-500', hint: `الإيرادات قبل الضريبة ${formatMoney(profitSummary.revenue, profile)} − تكلفة الخدمات ${formatMoney(profitSummary.costOfServices, profile)} − المصروفات ${formatMoney(profitSummary.expenses, profile)}` },
+        { key: 'customers', title: period === 'all' ? 'العملاء' : 'العملاء الجدد', value: stats.customers, icon: '👥', color: 'bg-yellow-500' },
+        { key: 'invoices', title: 'الفواتير', value: stats.invoices, icon: '🧾', color: 'bg-indigo-500' },
     ];
 
     return (
         <div className="space-y-6">
+            <div className="flex flex-wrap items-center justify-end gap-3">
+                {period === 'hijriMonth' && <span className="text-sm font-semibold text-gray-700 dark:text-gray-200">{hijriMonthLabel(todayIso())}</span>}
+                {range.from && range.to && period !== 'custom' && <span className="text-sm text-gray-500 dark:text-gray-400">{range.from} — {range.to}</span>}
+                {period === 'custom' && (
+                    <>
+                        <label className="text-sm text-gray-600 dark:text-gray-300">من</label>
+                        <input type="date" value={customRange.from} onChange={(e) => setCustomRange(prev => ({ ...prev, from: e.target.value }))} className="p-2 border rounded-lg bg-white dark:bg-gray-800 dark:border-gray-600 dark:text-white" />
+                        <label className="text-sm text-gray-600 dark:text-gray-300">إلى</label>
+                        <input type="date" value={customRange.to} onChange={(e) => setCustomRange(prev => ({ ...prev, to: e.target.value }))} className="p-2 border rounded-lg bg-white dark:bg-gray-800 dark:border-gray-600 dark:text-white" />
+                    </>
+                )}
+                <select value={period} onChange={(e) => setPeriod(e.target.value)} className="p-2 border rounded-lg bg-white dark:bg-gray-800 dark:border-gray-600 dark:text-white">
+                    {Object.entries(PERIODS).map(([key, option]) => <option key={key} value={key}>{option.label}</option>)}
+                </select>
+            </div>
             <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-6">
                 {statCards.map(card => (
-                    <div key={card.title} className="bg-white dark:bg-gray-800 p-6 rounded-xl shadow-md flex items-center justify-between">
+                    <div key={card.title} title={card.hint} className="bg-white dark:bg-gray-800 p-6 rounded-xl shadow-md flex items-center justify-between">
                         <div>
                             <p className="text-sm font-medium text-gray-500 dark:text-gray-400">{card.title}</p>
                             <p className="text-2xl font-bold text-gray-800 dark:text-white">{card.value}</p>
+                            {previousStats && <ChangeIndicator change={percentChange(stats[card.key], previousStats[card.key])} />}
                         </div>
                         <div className={`text-2xl ${card.color} text-white rounded-full p-3`}>
                             {card.icon}
@@ -373,7 +1255,13 @@ const Dashboard = ({ setPage, username }) => {
             </div>
             <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
                 <div className="lg:col-span-2 bg-white dark:bg-gray-800 p-6 rounded-xl shadow-md">
-                    <h3 className="font-bold text-lg text-gray-800 dark:text-white mb-4">نظرة عامة على الإيرادات</h3>
+                    <div className="flex items-center justify-between mb-4">
+                        <h3 className="font-bold text-lg text-gray-800 dark:text-white">نظرة عامة على الإيرادات</h3>
+                        <label className="flex items-center text-sm text-gray-600 dark:text-gray-300">
+                            <input type="checkbox" checked={compareYear} onChange={(e) => setCompareYear(e.target.checked)} className="ml-2" />
+                            مقارنة بالسنة السابقة
+                        </label>
+                    </div>
                      <ResponsiveContainer width="100%" height={300}>
                         <BarChart data={salesData} margin={{ top: 5, right: 20, left: -10, bottom: 5 }}>
                             <CartesianGrid strokeDasharray="3 3" stroke="rgba(128, 128, 128, 0.2)" />
@@ -381,20 +1269,21 @@ const Dashboard = ({ setPage, username }) => {
                             <YAxis stroke="#9CA3AF"/>
                             <Tooltip contentStyle={{ backgroundColor: 'rgba(31, 41, 55, 0.8)', borderColor: 'rgba(128, 128, 128, 0.5)', color: '#FFFFFF' }}/>
                             <Legend />
-                            <Bar dataKey="sales" name="الإيرادات" fill="#3B82F6" radius={[4, 4, 0, 0]} />
+                            <Bar dataKey="amount" name="الإيرادات" fill="#3B82F6" radius={[4, 4, 0, 0]} />
+                            {compareYear && <Bar dataKey="previousYear" name="السنة السابقة" fill="#9CA3AF" radius={[4, 4, 0, 0]} />}
                         </BarChart>
                     </ResponsiveContainer>
                 </div>
                 <div className="bg-white dark:bg-gray-800 p-6 rounded-xl shadow-md">
                     <h3 className="font-bold text-lg text-gray-800 dark:text-white mb-4">الوصول السريع</h3>
                     <div className="space-y-4">
-                        <button onClick={() => setPage('invoices')} className="w-full flex items-center justify-center bg-blue-600 text-white font-semibold py-3 px-4 rounded-lg shadow-md hover:bg-blue-700 transition-all duration-200">
+                        <button onClick={() => navigate(sectionPath('invoices', { mode: 'new' }))} className="w-full flex items-center justify-center bg-blue-600 text-white font-semibold py-3 px-4 rounded-lg shadow-md hover:bg-blue-700 transition-all duration-200">
                             <PlusCircle className="mr-2" size={20}/> فاتورة جديدة
                         </button>
-                        <button onClick={() => setPage('customers')} className="w-full flex items-center justify-center bg-green-600 text-white font-semibold py-3 px-4 rounded-lg shadow-md hover:bg-green-700 transition-all duration-200">
+                        <button onClick={() => navigate(sectionPath('customers', { mode: 'new' }))} className="w-full flex items-center justify-center bg-green-600 text-white font-semibold py-3 px-4 rounded-lg shadow-md hover:bg-green-700 transition-all duration-200">
                             <PlusCircle className="mr-2" size={20}/> عميل جديد
                         </button>
-                        <button onClick={() => setPage('services')} className="w-full flex items-center justify-center bg-gray-700 text-white font-semibold py-3 px-4 rounded-lg shadow-md hover:bg-gray-800 transition-all duration-200">
+                        <button onClick={() => navigate(sectionPath('services', { mode: 'new' }))} className="w-full flex items-center justify-center bg-gray-700 text-white font-semibold py-3 px-4 rounded-lg shadow-md hover:bg-gray-800 transition-all duration-200">
                             <PlusCircle className="mr-2" size={20}/> خدمة جديدة
                         </button>
                     </div>
@@ -417,12 +1306,12 @@ const Dashboard = ({ setPage, username }) => {
                             {recentInvoices.length > 0 ? (
                                 recentInvoices.map(invoice => (
                                     <tr key={invoice.id} className="bg-white dark:bg-gray-800 border-b dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-600">
-                                        <td className="px-6 py-4 font-medium text-gray-900 dark:text-white">#{invoice.invoiceNumber}</td>
+                                        <td className="px-6 py-4 font-medium text-gray-900 dark:text-white"><Link to={sectionPath('invoices', { documentId: documentKey(invoice, 'invoiceNo'), mode: 'view' })} className="hover:underline">{formatInvoiceNumber(invoice, profile)}</Link></td>
                                         <td className="px-6 py-4">{invoice.customerName}</td>
                                         <td className="px-6 py-4">{invoice.date}</td>
-                                        <td className="px-6 py-4 font-semibold">ر.س {invoice.total.toLocaleString()}</td>
+                                        <td className="px-6 py-4 font-semibold">{formatMoney(invoiceGrandTotal(invoice), profile)}</td>
                                         <td className="px-6 py-4">
-                                            <StatusBadge status={invoice.status} />
+                                            <StatusBadge status={invoiceStatus(invoice)} />
                                         </td>
                                     </tr>
                                 ))
@@ -443,79 +1332,707 @@ const Dashboard = ({ setPage, username }) => {
 
 
 // Generic Modal Component
-const Modal = ({ isOpen, onClose, title, children }) => {
+// The modal-* classes let the print stylesheet unwrap the dialog so long documents flow across pages.
+const Modal = ({ isOpen, onClose, title, children, wide = false }) => {
     if (!isOpen) return null;
     return (
-        <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex justify-center items-center p-4">
-            <div dir="rtl" className="bg-white dark:bg-gray-800 rounded-lg shadow-xl w-full max-w-lg max-h-[90vh] flex flex-col">
-                <div className="flex justify-between items-center p-4 border-b dark:border-gray-700">
+        <div className="modal-root fixed inset-0 bg-black bg-opacity-50 z-50 flex justify-center items-center p-4">
+            <div dir="rtl" className={`modal-dialog bg-white dark:bg-gray-800 rounded-lg shadow-xl w-full ${wide ? 'max-w-3xl' : 'max-w-lg'} max-h-[90vh] flex flex-col`}>
+                <div className="flex justify-between items-center p-4 border-b dark:border-gray-700 no-print">
                     <h3 className="text-lg font-bold text-gray-800 dark:text-white">{title}</h3>
                     <button onClick={onClose} className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-200"><X size={24} /></button>
                 </div>
-                <div className="p-6 overflow-y-auto">{children}</div>
+                <div className="modal-body p-6 overflow-y-auto">{children}</div>
             </div>
         </div>
     );
 };
 
+// Renders the element to a canvas first, so the browser's own Arabic shaping and RTL layout end up in the PDF unchanged.
+const downloadElementAsPdf = async (element, fileName) => {
+    const [{ default: html2canvas }, { jsPDF }] = await Promise.all([import('html2canvas'), import('jspdf')]);
+    const canvas = await html2canvas(element, { scale: 2, backgroundColor: '#ffffff', useCORS: true });
+    const pdf = new jsPDF({ orientation: 'portrait', unit: 'mm', format: 'a4' });
+    const margin = 10;
+    const contentWidth = pdf.internal.pageSize.getWidth() - margin * 2;
+    const contentHeight = pdf.internal.pageSize.getHeight() - margin * 2;
+    const imageHeight = canvas.height * contentWidth / canvas.width;
+    const image = canvas.toDataURL('image/png');
 
-// Status Badge Component
-const StatusBadge = ({ status }) => {
-    const statusStyles = {
-        'مدفوعة': 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-300',
-        'مدفوعة جزئياً': 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-300',
-        'قيد الانتظار': 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-300',
-        'متأخرة': 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-300',
-    };
-    return ( <span className={`px-2 py-1 text-xs font-medium rounded-full ${statusStyles[status] || 'bg-gray-100 text-gray-800'}`}>{status}</span> );
+    for (let offset = 0; offset < imageHeight; offset += contentHeight) {
+        if (offset > 0) pdf.addPage();
+        pdf.addImage(image, 'PNG', margin, margin - offset, contentWidth, imageHeight);
+    }
+    pdf.save(fileName);
 };
 
-// --- CRUD Components (Invoices, Customers, Services, Vouchers) ---
-
-const Invoices = ({username}) => {
-    const [invoices, setInvoices] = useState([]);
-    const [isModalOpen, setIsModalOpen] = useState(false);
-    const [currentInvoice, setCurrentInvoice] = useState(null);
-    const [vouchersModalOpen, setVouchersModalOpen] = useState(false);
-    const [selectedInvoiceForVouchers, setSelectedInvoiceForVouchers] = useState(null);
-    const dataPath = `artifacts/${appId}/public/data/userdata/${username}`;
-
-    useEffect(() => {
-        if (!username) return;
-        const invoicesCollection = collection(db, `${dataPath}/invoices`);
-        const unsubscribe = onSnapshot(invoicesCollection, (snapshot) => {
-            const invoicesData = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-            setInvoices(invoicesData);
-        });
-        return () => unsubscribe();
-    }, [username]);
-    
-    const handleAdd = () => { setCurrentInvoice(null); setIsModalOpen(true); };
-    const handleEdit = (invoice) => { setCurrentInvoice(invoice); setIsModalOpen(true); };
+// Print / PDF buttons shared by every printable document.
+const DocumentActions = ({ documentRef, fileName }) => {
+    const [exporting, setExporting] = useState(false);
 
-    const handleDelete = async (id) => {
-       if (window.confirm('هل أنت متأكد من حذف هذه الفاتورة؟')) {
-         await deleteDoc(doc(db, `${dataPath}/invoices`, id));
-       }
+    const handleDownload = async () => {
+        setExporting(true);
+        try {
+            await downloadElementAsPdf(documentRef.current, fileName);
+        } catch (error) {
+            console.error("PDF export failed:", error);
+            window.alert('تعذر إنشاء ملف PDF. يرجى المحاولة مرة أخرى.');
+        } finally {
+            setExporting(false);
+        }
     };
-    
-    const handleSave = async (invoiceData) => {
-        const invoicesCollection = collection(db, `${dataPath}/invoices`);
-        const dataToSave = {
-            ...invoiceData,
-            total: Number(invoiceData.total),
-            paidAmount: Number(invoiceData.paidAmount) || 0,
-        };
-        dataToSave.remainingAmount = dataToSave.total - dataToSave.paidAmount;
 
-        if (currentInvoice && currentInvoice.id) {
-            const invoiceDoc = doc(db, `${dataPath}/invoices`, currentInvoice.id);
-            await updateDoc(invoiceDoc, dataToSave);
-        } else {
-            const newInvoiceNumber = invoices.length > 0 ? Math.max(...invoices.map(i => i.invoiceNumber)) + 1 : 1001;
-            await addDoc(invoicesCollection, {...dataToSave, invoiceNumber: newInvoiceNumber, status: 'قيد الانتظار' });
+    return (
+        <div className="flex justify-end pt-4 no-print">
+            <button onClick={handleDownload} disabled={exporting} className="flex items-center bg-gray-200 dark:bg-gray-600 text-gray-800 dark:text-gray-200 font-bold py-2 px-4 rounded-md ml-2 disabled:opacity-50"><Download className="ml-2" size={18}/> {exporting ? 'جارٍ التحميل...' : 'تحميل PDF'}</button>
+            <button onClick={() => window.print()} className="flex items-center bg-blue-600 text-white font-bold py-2 px-4 rounded-md"><Printer className="ml-2" size={18}/> طباعة</button>
+        </div>
+    );
+};
+
+// --- Spreadsheet Import & Export ---
+// Lists and reports export the same `{ key, label, value? }` columns to CSV or XLSX, with money as plain numbers so the
+// files can be summed. SheetJS is only loaded when an XLSX file is written or read.
+const downloadFile = (content, fileName, type) => {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+};
+
+const exportRows = async (format, columns, rows, fileName) => {
+    if (format === 'csv') {
+        downloadFile(toCsv(columns, rows), `${fileName}.csv`, 'text/csv;charset=utf-8');
+        return;
+    }
+    const XLSX = await import('xlsx');
+    const sheet = XLSX.utils.aoa_to_sheet(toTable(columns, rows));
+    sheet['!cols'] = columns.map(column => ({ wch: Math.max(12, column.label.length + 4) }));
+    const workbook = XLSX.utils.book_new();
+    workbook.Workbook = { Views: [{ RTL: true }] };
+    XLSX.utils.book_append_sheet(workbook, sheet, fileName.replace(/[\\/?*[\]:]/g, '').slice(0, 31) || 'Sheet1');
+    XLSX.writeFile(workbook, `${fileName}.xlsx`);
+};
+
+// Rows of cell strings from the first sheet, header row first. CSV files are decoded as UTF-8.
+const readSpreadsheetFile = async (file) => {
+    if (/\.csv$/i.test(file.name)) return parseCsv(await file.text());
+    const XLSX = await import('xlsx');
+    const workbook = XLSX.read(await file.arrayBuffer(), { type: 'array' });
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    return XLSX.utils.sheet_to_json(sheet, { header: 1, raw: false, defval: '', blankrows: false });
+};
+
+// A Firestore batch holds at most 500 writes, so imports and restores are committed in consecutive batches of
+// `(batch) => batch.set(...)` writes. A failure part way leaves the earlier batches saved; reading the same file again
+// finds those documents already there. Audited writes are queued in pairs (the document, then its audit entry) and the
+// limit is even, so a pair never straddles two batches.
+const FIRESTORE_BATCH_LIMIT = 500;
+// firestore.rules look up the audit entry of every audited write, and a request may make at most 20 such lookups, so
+// batches of audited pairs stay small enough for the workspace lookup plus both checks on each entry.
+const AUDITED_BATCH_LIMIT = 18;
+
+const commitInBatches = async (writes, limit = FIRESTORE_BATCH_LIMIT) => {
+    for (let start = 0; start < writes.length; start += limit) {
+        const batch = writeBatch(db);
+        writes.slice(start, start + limit).forEach(write => write(batch));
+        await batch.commit();
+    }
+};
+
+const importDocuments = async (collectionPath, creates, updates, username) => {
+    await commitInBatches([
+        ...creates.map(withAuditId).flatMap((data) => {
+            const ref = doc(collection(db, collectionPath));
+            return [(batch) => batch.set(ref, data), (batch) => writeAuditEntry(batch, ref, username, 'create', null, data)];
+        }),
+        ...updates.flatMap(({ id, values, before }) => {
+            const ref = doc(db, collectionPath, id);
+            const changes = withAuditId(values);
+            return [(batch) => batch.update(ref, changes), (batch) => writeAuditEntry(batch, ref, username, 'update', before, { ...before, ...changes })];
+        }),
+    ], AUDITED_BATCH_LIMIT);
+    return { created: creates.length, updated: updates.length };
+};
+
+// `rows` is either the rows themselves or an async function that loads them when an export is requested.
+const ExportButtons = ({ columns, rows, fileName }) => {
+    const [exporting, setExporting] = useState(false);
+    const empty = Array.isArray(rows) && rows.length === 0;
+
+    const handleExport = async (format) => {
+        setExporting(true);
+        try {
+            await exportRows(format, columns, typeof rows === 'function' ? await rows() : rows, fileName);
+        } catch (error) {
+            console.error("Export failed:", error);
+            window.alert('تعذر تصدير الملف. يرجى المحاولة مرة أخرى.');
+        } finally {
+            setExporting(false);
         }
-        setIsModalOpen(false);
+    };
+
+    return (
+        <div className="flex items-center ml-2">
+            <button onClick={() => handleExport('csv')} disabled={exporting || empty} title="تصدير CSV" className="flex items-center bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 font-semibold py-2 px-3 rounded-lg ml-2 disabled:opacity-50"><Download className="ml-1" size={18}/> CSV</button>
+            <button onClick={() => handleExport('xlsx')} disabled={exporting || empty} title="تصدير Excel" className="flex items-center bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 font-semibold py-2 px-3 rounded-lg disabled:opacity-50"><FileSpreadsheet className="ml-1" size={18}/> Excel</button>
+        </div>
+    );
+};
+
+const MAX_PREVIEW_ROWS = 200;
+
+// Bulk import of customers or services from a CSV or XLSX file: map the columns, review every row, then write.
+// `onImport(creates, updates)` receives the values of new rows and `{ id, values, before }` for the existing records to update.
+const ImportModal = ({ isOpen, onClose, entity, title, existing, canUpdate, onImport }) => {
+    const fields = IMPORT_FIELDS[entity];
+    const [file, setFile] = useState(null);
+    const [mapping, setMapping] = useState({});
+    const [statusFilter, setStatusFilter] = useState('');
+    const [updateDuplicates, setUpdateDuplicates] = useState(false);
+    const [error, setError] = useState('');
+    const [importing, setImporting] = useState(false);
+    const [result, setResult] = useState(null);
+
+    useEffect(() => {
+        if (!isOpen) return;
+        setFile(null);
+        setMapping({});
+        setStatusFilter('');
+        setUpdateDuplicates(false);
+        setError('');
+        setResult(null);
+    }, [isOpen]);
+
+    const preview = useMemo(() => (file ? buildImportPreview(entity, file.rows, mapping, existing) : null), [entity, file, mapping, existing]);
+
+    const handleFile = async (e) => {
+        const selected = e.target.files[0];
+        if (!selected) return;
+        setError('');
+        setResult(null);
+        try {
+            const [headers = [], ...rows] = await readSpreadsheetFile(selected);
+            if (rows.length === 0) {
+                setFile(null);
+                setError('لا يحتوي الملف على صفوف بيانات تحت سطر العناوين.');
+                return;
+            }
+            const headerNames = headers.map(header => String(header).trim());
+            setFile({ name: selected.name, headers: headerNames, rows });
+            setMapping(guessMapping(headerNames, fields));
+        } catch (err) {
+            console.error("Reading import file failed:", err);
+            setFile(null);
+            setError('تعذر قراءة الملف. تأكد من أنه ملف CSV أو Excel صالح.');
+        }
+    };
+
+    const handleImport = async () => {
+        const creates = preview.rows.filter(row => row.status === 'new').map(row => row.values);
+        const updates = updateDuplicates ? preview.rows.filter(row => row.status === 'duplicate').map(row => ({ id: row.duplicateOf.id, values: row.values, before: row.duplicateOf })) : [];
+        if (creates.length + updates.length === 0) return;
+        setImporting(true);
+        setError('');
+        try {
+            const summary = await onImport(creates, updates);
+            if (summary) {
+                setResult({ ...summary, skipped: preview.rows.length - summary.created - summary.updated });
+                setFile(null);
+            }
+        } catch (err) {
+            console.error("Import failed:", err);
+            setError('تعذر إكمال الاستيراد. قد يكون جزء من الصفوف قد حُفظ، لذا راجع القائمة قبل إعادة المحاولة.');
+        } finally {
+            setImporting(false);
+        }
+    };
+
+    const statusColors = {
+        new: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-300',
+        duplicate: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-300',
+        invalid: 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-300',
+    };
+    const shownRows = preview ? preview.rows.filter(row => !statusFilter || row.status === statusFilter) : [];
+    const writeCount = preview ? preview.counts.new + (updateDuplicates ? preview.counts.duplicate : 0) : 0;
+
+    return (
+        <Modal isOpen={isOpen} onClose={onClose} title={title} wide>
+            <div className="space-y-4">
+                <div>
+                    <input type="file" accept=".csv,.xlsx,.xls" onChange={handleFile} className="w-full text-sm text-gray-700 dark:text-gray-200" />
+                    <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">السطر الأول من الملف يجب أن يحتوي على عناوين الأعمدة.</p>
+                </div>
+                {error && <p className="text-sm text-red-600">{error}</p>}
+                {result && (
+                    <p className="p-3 rounded-md bg-green-50 text-green-800 dark:bg-green-900 dark:text-green-200">
+                        تمت إضافة {result.created} وتحديث {result.updated}، وتم تخطي {result.skipped}.
+                    </p>
+                )}
+                {file && preview && (
+                    <>
+                        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                            {fields.map(field => (
+                                <label key={field.key} className="block text-sm text-gray-700 dark:text-gray-300">
+                                    {field.label}{field.required ? ' *' : ''}
+                                    <select value={mapping[field.key]} onChange={(e) => setMapping({ ...mapping, [field.key]: e.target.value === '' ? '' : Number(e.target.value) })} className="w-full p-2 mt-1 border rounded-md bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-white">
+                                        <option value="">— لا يُستورد —</option>
+                                        {file.headers.map((header, index) => <option key={index} value={index}>{header || `العمود ${index + 1}`}</option>)}
+                                    </select>
+                                </label>
+                            ))}
+                        </div>
+                        <div className="flex flex-wrap items-center gap-2 text-sm">
+                            {Object.entries(IMPORT_STATUSES).map(([key, status]) => (
+                                <button key={key} onClick={() => setStatusFilter(statusFilter === key ? '' : key)} className={`px-3 py-1 rounded-full font-medium ${statusColors[key]} ${statusFilter === key ? 'ring-2 ring-blue-500' : ''}`}>
+                                    {status.label}: {preview.counts[key]}
+                                </button>
+                            ))}
+                        </div>
+                        <div className="overflow-x-auto max-h-80 border rounded-md dark:border-gray-700">
+                            <table className="w-full text-sm text-right text-gray-500 dark:text-gray-400">
+                                <thead className="text-xs text-gray-700 bg-gray-50 dark:bg-gray-700 dark:text-gray-400">
+                                    <tr><th className="px-3 py-2">السطر</th>{fields.map(field => <th key={field.key} className="px-3 py-2">{field.label}</th>)}<th className="px-3 py-2">الحالة</th></tr>
+                                </thead>
+                                <tbody>
+                                    {shownRows.slice(0, MAX_PREVIEW_ROWS).map(row => (
+                                        <tr key={row.line} className="border-b dark:border-gray-700 align-top">
+                                            <td className="px-3 py-2">{row.line}</td>
+                                            {fields.map(field => <td key={field.key} className="px-3 py-2">{field.type === 'vatCategory' && row.values[field.key] ? VAT_CATEGORIES[row.values[field.key]].label : row.values[field.key]}</td>)}
+                                            <td className="px-3 py-2">
+                                                <span className={`px-2 py-1 text-xs font-medium rounded-full ${statusColors[row.status]}`}>{IMPORT_STATUSES[row.status].label}</span>
+                                                {row.errors.map(message => <p key={message} className="text-xs text-red-600 mt-1">{message}</p>)}
+                                                {row.duplicateOf && <p className="text-xs text-gray-500 mt-1">{row.duplicateOf.name}</p>}
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                        {shownRows.length > MAX_PREVIEW_ROWS && <p className="text-xs text-gray-500 dark:text-gray-400">يُعرض أول {MAX_PREVIEW_ROWS} صف من {shownRows.length}.</p>}
+                        {canUpdate && preview.counts.duplicate > 0 && (
+                            <label className="flex items-center text-sm text-gray-700 dark:text-gray-300">
+                                <input type="checkbox" checked={updateDuplicates} onChange={(e) => setUpdateDuplicates(e.target.checked)} className="ml-2" />
+                                تحديث السجلات الموجودة بالقيم غير الفارغة من الملف بدلاً من تخطيها
+                            </label>
+                        )}
+                    </>
+                )}
+                <div className="flex justify-end pt-2">
+                    <button type="button" onClick={onClose} className="bg-gray-200 dark:bg-gray-600 text-gray-800 dark:text-gray-200 font-bold py-2 px-4 rounded-md ml-2">إغلاق</button>
+                    {preview && <button onClick={handleImport} disabled={importing || writeCount === 0} className="bg-blue-600 text-white font-bold py-2 px-4 rounded-md disabled:opacity-50">{importing ? 'جارٍ الاستيراد...' : `استيراد ${writeCount} صف`}</button>}
+                </div>
+            </div>
+        </Modal>
+    );
+};
+
+// Letterhead shared by printable documents.
+const DocumentHeader = ({ profile, title, number, date }) => (
+    <div className="border-b-2 border-gray-800 pb-3 mb-4">
+        <div className="flex justify-between items-start">
+            <div>
+                <h2 className="text-xl font-bold">{profile.legalName}</h2>
+                {profile.vatNumber && <p>الرقم الضريبي: {profile.vatNumber}</p>}
+                {profile.commercialRegistration && <p>السجل التجاري: {profile.commercialRegistration}</p>}
+                {profile.address && <p className="text-gray-600">{profile.address}</p>}
+            </div>
+            {profile.logo && <img src={profile.logo} alt="" className="h-20 w-20 object-contain" />}
+        </div>
+        <div className="flex justify-between items-end mt-4">
+            <h3 className="text-2xl font-bold">{title}</h3>
+            <div className="text-left">
+                <p className="font-bold" dir="ltr">{number}</p>
+                <p>{date}</p>
+            </div>
+        </div>
+    </div>
+);
+
+
+// Status Badge Component
+const StatusBadge = ({ status }) => {
+    const statusStyles = {
+        'مدفوعة': 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-300',
+        'مدفوعة جزئياً': 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-300',
+        'قيد الانتظار': 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-300',
+        'متأخرة': 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-300',
+        'ملغاة': 'bg-gray-200 text-gray-700 dark:bg-gray-700 dark:text-gray-300',
+    };
+    return ( <span className={`px-2 py-1 text-xs font-medium rounded-full ${statusStyles[status] || 'bg-gray-100 text-gray-800'}`}>{status}</span> );
+};
+
+// --- Paged Tables ---
+// A page keeps reading batches of PAGE_SIZE documents until it has PAGE_SIZE matching rows. A narrow filter therefore
+// reads further, up to MAX_BATCHES_PER_PAGE batches; after that the page shows what it found and the next page resumes
+// where the scan stopped. Pages are read once rather than listened to, so a list reloads after the user's own changes
+// and picks up other members' changes on the next reload or page change.
+const MAX_BATCHES_PER_PAGE = 8;
+const SEARCH_DEBOUNCE_MS = 300;
+
+const INVOICE_STATUSES = ['قيد الانتظار', 'مدفوعة جزئياً', 'متأخرة', 'مدفوعة', 'ملغاة'];
+const INVOICE_LIST_ACCESSORS = { status: invoiceStatus };
+const VOUCHER_LIST_ACCESSORS = {
+    status: voucher => (isVoided(voucher) ? 'void' : 'active'),
+    paymentMethod: paymentMethodOf,
+    accountId: voucher => voucher.accountId || UNASSIGNED_ACCOUNT,
+};
+
+const listBaseQuery = (collectionPath, spec, listState) => {
+    const plan = listQueryPlan(spec, listState);
+    return query(collection(db, collectionPath), ...plan.where.map(([field, operator, value]) => where(field, operator, value)), orderBy(...plan.orderBy));
+};
+
+const fetchListPage = async (baseQuery, cursor, matches) => {
+    const rows = [];
+    let last = cursor;
+    let hasMore = true;
+    for (let batch = 0; batch < MAX_BATCHES_PER_PAGE && rows.length < PAGE_SIZE && hasMore; batch += 1) {
+        const snapshot = await getDocs(query(baseQuery, ...(last ? [startAfter(last)] : []), limit(PAGE_SIZE)));
+        let index = 0;
+        while (index < snapshot.docs.length && rows.length < PAGE_SIZE) {
+            last = snapshot.docs[index];
+            index += 1;
+            const row = { id: last.id, ...last.data() };
+            if (matches(row)) rows.push(row);
+        }
+        hasMore = index < snapshot.docs.length || snapshot.docs.length === PAGE_SIZE;
+    }
+    return { rows, nextCursor: last, hasMore };
+};
+
+// Every row matching the list's filters, for exports.
+const loadAllListRows = async (collectionPath, spec, listState, accessors) => {
+    const snapshot = await getDocs(listBaseQuery(collectionPath, spec, listState));
+    return snapshot.docs.map(document => ({ id: document.id, ...document.data() })).filter(row => matchesListState(spec, listState, row, accessors));
+};
+
+// The list's search, sort and filters live in the query string, so a filtered view survives a reload and can be shared.
+// Changes replace the history entry rather than adding one, so the back button leaves the list instead of undoing keystrokes.
+const useListUrlState = (spec) => {
+    const [searchParams, setSearchParams] = useSearchParams();
+    const search = searchParams.toString();
+    const listState = useMemo(() => readListState(spec, search), [spec, search]);
+
+    const updateListState = useCallback((changes) => setSearchParams(
+        prev => new URLSearchParams(writeListState(spec, { ...readListState(spec, prev.toString()), ...changes })),
+        { replace: true },
+    ), [spec, setSearchParams]);
+    return [listState, updateListState];
+};
+
+// `accessors` must be a stable object (see INVOICE_LIST_ACCESSORS). The cursor stack belongs to one filter state;
+// changing the search, sort or filters starts again from the first page.
+const usePagedList = (collectionPath, spec, listState, accessors) => {
+    const stateKey = writeListState(spec, listState);
+    const [cursors, setCursors] = useState({ key: stateKey, starts: [null], index: 0 });
+    const [result, setResult] = useState({ rows: [], nextCursor: null, hasMore: false, loading: true });
+    const [version, setVersion] = useState(0);
+    const position = cursors.key === stateKey ? cursors : { key: stateKey, starts: [null], index: 0 };
+    const start = position.starts[position.index];
+
+    useEffect(() => {
+        let cancelled = false;
+        setResult(prev => ({ ...prev, loading: true }));
+        fetchListPage(listBaseQuery(collectionPath, spec, listState), start, row => matchesListState(spec, listState, row, accessors))
+            .then((page) => { if (!cancelled) setResult({ ...page, loading: false }); })
+            .catch((error) => {
+                console.error("Error loading list page:", error);
+                if (!cancelled) setResult({ rows: [], nextCursor: null, hasMore: false, loading: false });
+            });
+        return () => { cancelled = true; };
+    }, [collectionPath, spec, listState, accessors, start, version]);
+
+    const reload = useCallback(() => setVersion(prev => prev + 1), []);
+
+    return {
+        ...result,
+        page: position.index + 1,
+        hasPrevious: position.index > 0,
+        nextPage: () => setCursors({ ...position, starts: [...position.starts.slice(0, position.index + 1), result.nextCursor], index: position.index + 1 }),
+        previousPage: () => setCursors({ ...position, index: Math.max(position.index - 1, 0) }),
+        reload,
+    };
+};
+
+// The section's route below its list (see routes.js). `go` keeps the query string, so closing a document or a form
+// returns to the same filtered page; a path the section does not have is replaced by the list.
+const useSectionRoute = (section) => {
+    const params = useParams();
+    const location = useLocation();
+    const navigate = useNavigate();
+    const route = parseSectionPath(section, params['*']);
+    const isUnknownPath = !route;
+    const go = useCallback((target = {}, options) => navigate(`${sectionPath(section, target)}${location.search}`, options), [navigate, section, location.search]);
+
+    useEffect(() => {
+        if (isUnknownPath) go({}, { replace: true });
+    }, [isUnknownPath, go]);
+
+    return [route || parseSectionPath(section, ''), go];
+};
+
+// The document a detail or edit URL names, read once. The key is tried as a document id and then as `numberField`
+// (see `documentKey`); `missing` is set once neither finds it.
+const useRoutedDocument = (collectionPath, key, numberField) => {
+    const [result, setResult] = useState({ key: null, document: null });
+
+    useEffect(() => {
+        if (!key) return;
+        let cancelled = false;
+        const load = async () => {
+            if (!key.includes('/')) {
+                const snapshot = await getDoc(doc(db, collectionPath, key));
+                if (snapshot.exists()) return { id: snapshot.id, ...snapshot.data() };
+            }
+            if (!numberField) return null;
+            const snapshot = await getDocs(query(collection(db, collectionPath), where(numberField, "==", key), limit(1)));
+            return snapshot.empty ? null : { id: snapshot.docs[0].id, ...snapshot.docs[0].data() };
+        };
+        load()
+            .then((document) => { if (!cancelled) setResult({ key, document }); })
+            .catch((error) => {
+                console.error("Error loading routed document:", error);
+                if (!cancelled) setResult({ key, document: null });
+            });
+        return () => { cancelled = true; };
+    }, [collectionPath, key, numberField]);
+
+    const loaded = Boolean(key) && result.key === key;
+    return { document: loaded ? result.document : null, missing: loaded && !result.document };
+};
+
+// Shown instead of a document whose link points nowhere (deleted, mistyped, or from another workspace).
+const MissingDocumentNotice = ({ isOpen, onClose, reference }) => (
+    <Modal isOpen={isOpen} onClose={onClose} title="المستند غير موجود">
+        <p className="text-gray-600 dark:text-gray-300">لم يتم العثور على "{reference}" في مساحة العمل الحالية. ربما حُذف أو أن الرابط غير صحيح.</p>
+        <div className="flex justify-end pt-4"><button onClick={onClose} className="bg-blue-600 text-white font-bold py-2 px-4 rounded-md">العودة إلى القائمة</button></div>
+    </Modal>
+);
+
+const SortableHeader = ({ sortKey, listState, onChange, children }) => {
+    const active = listState.sort === sortKey;
+    return (
+        <th className="px-4 py-3">
+            <button onClick={() => onChange({ sort: sortKey, dir: active && listState.dir === 'asc' ? 'desc' : 'asc' })} className="flex items-center uppercase hover:text-gray-900 dark:hover:text-white">
+                {children}
+                {active && (listState.dir === 'asc' ? <ChevronUp size={14} className="mr-1" /> : <ChevronDown size={14} className="mr-1" />)}
+            </button>
+        </th>
+    );
+};
+
+// Search box plus date and amount ranges; list-specific selects are passed as children.
+const ListFilters = ({ spec, listState, onChange, searchPlaceholder, dateLabel = 'التاريخ', children }) => {
+    const [search, setSearch] = useState(listState.q);
+    const committedSearch = useRef(listState.q);
+    const inputClass = "p-2 border rounded-md bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-white";
+
+    // Only a change made elsewhere (clearing the filters) is copied back, so typing is never overwritten mid-word.
+    useEffect(() => {
+        if (listState.q === committedSearch.current) return;
+        committedSearch.current = listState.q;
+        setSearch(listState.q);
+    }, [listState.q]);
+
+    useEffect(() => {
+        if (search === committedSearch.current) return;
+        const timer = setTimeout(() => {
+            committedSearch.current = search;
+            onChange({ q: search });
+        }, SEARCH_DEBOUNCE_MS);
+        return () => clearTimeout(timer);
+    }, [search, onChange]);
+
+    return (
+        <div className="flex flex-wrap items-center gap-2 mb-4">
+            <input type="search" value={search} onChange={(e) => setSearch(e.target.value)} placeholder={searchPlaceholder} className={`${inputClass} flex-1 min-w-[12rem]`} />
+            {children}
+            <label className="flex items-center text-sm text-gray-600 dark:text-gray-300">{dateLabel} من<input type="date" value={listState.from} onChange={(e) => onChange({ from: e.target.value })} className={`${inputClass} mr-2`} /></label>
+            <label className="flex items-center text-sm text-gray-600 dark:text-gray-300">إلى<input type="date" value={listState.to} onChange={(e) => onChange({ to: e.target.value })} className={`${inputClass} mr-2`} /></label>
+            {spec.amountField && (
+                <>
+                    <input type="number" min="0" step="0.01" value={listState.min} onChange={(e) => onChange({ min: e.target.value })} placeholder="المبلغ من" className={`${inputClass} w-28`} />
+                    <input type="number" min="0" step="0.01" value={listState.max} onChange={(e) => onChange({ max: e.target.value })} placeholder="إلى" className={`${inputClass} w-28`} />
+                </>
+            )}
+            {isFiltered(spec, listState) && <button onClick={() => onChange({ ...defaultListState(spec), sort: listState.sort, dir: listState.dir })} className="text-sm text-blue-600 hover:underline dark:text-blue-400">مسح الفلاتر</button>}
+        </div>
+    );
+};
+
+const Pager = ({ list }) => (
+    <div className="flex justify-between items-center mt-4 text-sm text-gray-600 dark:text-gray-300">
+        <span>صفحة {list.page}{list.loading ? ' — جارٍ التحميل...' : ''}</span>
+        <div className="flex">
+            <button onClick={list.previousPage} disabled={!list.hasPrevious || list.loading} className="bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 font-semibold py-1 px-3 rounded-md ml-2 disabled:opacity-50">السابق</button>
+            <button onClick={list.nextPage} disabled={!list.hasMore || list.loading} className="bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 font-semibold py-1 px-3 rounded-md disabled:opacity-50">التالي</button>
+        </div>
+    </div>
+);
+
+// --- CRUD Components (Invoices, Customers, Services, Vouchers) ---
+
+const Invoices = ({ workspaceId, role, username, profile }) => {
+    const [creditNotes, setCreditNotes] = useState([]);
+    const [vouchersModalOpen, setVouchersModalOpen] = useState(false);
+    const [selectedInvoiceForVouchers, setSelectedInvoiceForVouchers] = useState(null);
+    const [creditNoteInvoice, setCreditNoteInvoice] = useState(null);
+    const [viewedCreditNote, setViewedCreditNote] = useState(null);
+    const [historyInvoice, setHistoryInvoice] = useState(null);
+    const dataPath = `artifacts/${appId}/public/data/userdata/${workspaceId}`;
+    const [listState, updateListState] = useListUrlState(LIST_SPECS.invoices);
+    const list = usePagedList(`${dataPath}/invoices`, LIST_SPECS.invoices, listState, INVOICE_LIST_ACCESSORS);
+    const [route, go] = useSectionRoute('invoices');
+    const routed = useRoutedDocument(`${dataPath}/invoices`, route.documentId, 'invoiceNo');
+    const view = route.view;
+    const viewedInvoice = route.mode === 'view' ? routed.document : null;
+    const canEditRouted = Boolean(routed.document) && can(role, 'invoices', 'update') && !(Number(routed.document.creditedAmount) > 0);
+    const currentInvoice = route.mode === 'edit' && canEditRouted ? routed.document : null;
+    const isFormOpen = (route.mode === 'new' && can(role, 'invoices', 'create')) || Boolean(currentInvoice);
+
+    // A form link the user cannot act on (no permission, or the invoice has been credited since) falls back to viewing.
+    useEffect(() => {
+        if (route.mode === 'new' && !can(role, 'invoices', 'create')) go({}, { replace: true });
+        if (route.mode === 'edit' && routed.document && !canEditRouted) go({ documentId: route.documentId, mode: 'view' }, { replace: true });
+    }, [route.mode, route.documentId, routed.document, canEditRouted, role, go]);
+
+    useEffect(() => {
+        if (!workspaceId) return;
+        const unsubscribeCreditNotes = onSnapshot(collection(db, `${dataPath}/creditNotes`), (snapshot) => {
+            setCreditNotes(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })).sort((a, b) => (b.creditNoteNumber || 0) - (a.creditNoteNumber || 0)));
+        }, (error) => { console.error("Error in credit notes listener:", error) });
+        return () => unsubscribeCreditNotes();
+    }, [workspaceId]);
+    
+    const handleAdd = () => go({ mode: 'new' });
+    const handleView = (invoice) => go({ documentId: documentKey(invoice, 'invoiceNo'), mode: 'view' });
+    const handleEdit = (invoice) => {
+        if (Number(invoice.creditedAmount) > 0) {
+            window.alert('لا يمكن تعديل فاتورة صدر لها إشعار دائن. أصدر إشعاراً دائناً آخر لتصحيحها.');
+            return;
+        }
+        go({ documentId: documentKey(invoice, 'invoiceNo'), mode: 'edit' });
+    };
+
+    // Issued invoices are never deleted: a credit note reverses them (fully to cancel) and keeps the numbering unbroken.
+    // Crediting more than is still unpaid gives the excess back to the vouchers that paid the invoice (releaseAllocations),
+    // where it stays as the customer's credit for another invoice. Queries cannot run inside a transaction, so the
+    // vouchers are found first and re-read in it.
+    const handleIssueCreditNote = async ({ quantities, reason, date }) => {
+        if (!requirePermission(role, 'creditNotes', 'create')) return;
+        try {
+            const seed = await loadCounterSeed(dataPath, 'creditNotes', profile, date);
+            const vouchersCollection = collection(db, `${dataPath}/vouchers`);
+            const found = await Promise.all([
+                getDocs(query(vouchersCollection, where("invoiceIds", "array-contains", creditNoteInvoice.id))),
+                getDocs(query(vouchersCollection, where("invoiceId", "==", creditNoteInvoice.id))),
+            ]);
+            const voucherRefs = Object.values(Object.fromEntries(found.flatMap(snapshot => snapshot.docs).map(voucherDoc => [voucherDoc.id, voucherDoc.ref])));
+            await runTransaction(db, async (transaction) => {
+                const invoiceRef = doc(db, `${dataPath}/invoices`, creditNoteInvoice.id);
+                const invoiceSnap = await transaction.get(invoiceRef);
+                if (!invoiceSnap.exists()) {
+                    throw new Error("Invoice does not exist");
+                }
+                const invoiceData = invoiceSnap.data();
+                const creditNote = calculateCreditNote(invoiceData, quantities);
+                if (creditNote.grandTotal <= 0) {
+                    throw new Error("Nothing left to credit on this invoice");
+                }
+                const voucherSnaps = (await Promise.all(voucherRefs.map(ref => transaction.get(ref))))
+                    .filter(voucherSnap => voucherSnap.exists() && !isVoided(voucherSnap.data()));
+
+                const { sequence, formatted } = await nextDocumentNumber(transaction, dataPath, 'creditNotes', profile, date, seed);
+
+                const credited = { ...invoiceData, creditedAmount: round2((Number(invoiceData.creditedAmount) || 0) + creditNote.grandTotal) };
+                const paidAmount = Number(invoiceData.paidAmount) || 0;
+                const release = releaseAllocations(
+                    voucherSnaps.map(voucherSnap => ({ id: voucherSnap.id, ...voucherSnap.data(), allocations: voucherAllocations(voucherSnap.data()) })),
+                    creditNoteInvoice.id,
+                    round2(paidAmount - invoiceAmountDue(credited)),
+                );
+                release.vouchers.forEach(({ id, allocations, unappliedAmount }) => {
+                    const voucherSnap = voucherSnaps.find(snapshot => snapshot.id === id);
+                    const voucherChanges = withAuditId({
+                        allocations,
+                        invoiceIds: allocations.map(allocation => allocation.invoiceId),
+                        unappliedAmount,
+                        invoiceId: deleteField(),
+                        invoiceNumber: deleteField(),
+                        invoiceNo: deleteField(),
+                    });
+                    transaction.update(voucherSnap.ref, voucherChanges);
+                    writeAuditEntry(transaction, voucherSnap.ref, username, 'update', voucherSnap.data(), { ...voucherSnap.data(), ...voucherChanges });
+                });
+
+                const newPaidAmount = round2(paidAmount - release.released);
+                const changes = withAuditId({
+                    creditedItems: creditNote.creditedItems,
+                    creditedAmount: credited.creditedAmount,
+                    paidAmount: newPaidAmount,
+                    remainingAmount: Math.max(invoiceRemaining({ ...credited, paidAmount: newPaidAmount }), 0),
+                    status: paymentStatusFor(credited, newPaidAmount)
+                });
+                transaction.update(invoiceRef, changes);
+                writeAuditEntry(transaction, invoiceRef, username, 'update', invoiceData, { ...invoiceData, ...changes });
+                transaction.set(doc(collection(db, `${dataPath}/creditNotes`)), {
+                    creditNoteNumber: sequence,
+                    creditNoteNo: formatted,
+                    invoiceId: creditNoteInvoice.id,
+                    invoiceNo: formatInvoiceNumber(invoiceData, profile),
+                    customerId: invoiceData.customerId,
+                    customerName: invoiceData.customerName,
+                    date,
+                    reason,
+                    pricesIncludeVat: Boolean(invoiceData.pricesIncludeVat),
+                    items: creditNote.items,
+                    taxableAmount: creditNote.taxableAmount,
+                    vatAmount: creditNote.vatAmount,
+                    grandTotal: creditNote.grandTotal,
+                    issuedAt: new Date().toISOString(),
+                    createdBy: username,
+                    createdAt: serverTimestamp(),
+                });
+            });
+            setCreditNoteInvoice(null);
+            list.reload();
+        } catch (e) {
+            console.error("Issuing credit note failed: ", e);
+            window.alert('تعذر إصدار الإشعار الدائن. يرجى المحاولة مرة أخرى.');
+        }
+    };
+    
+    const handleSave = async (invoiceData) => {
+        const isUpdate = Boolean(currentInvoice && currentInvoice.id);
+        if (!requirePermission(role, 'invoices', isUpdate ? 'update' : 'create')) return;
+        const invoicesCollection = collection(db, `${dataPath}/invoices`);
+
+        if (isUpdate) {
+            const invoiceDoc = doc(db, `${dataPath}/invoices`, currentInvoice.id);
+            await runTransaction(db, async (transaction) => {
+                const snapshot = await transaction.get(invoiceDoc);
+                if (!snapshot.exists()) throw new InvoiceValidationError('لم تعد هذه الفاتورة موجودة.');
+                const stored = snapshot.data();
+                const invoice = withAuditId(mergeInvoiceEdit(stored, invoiceData));
+                transaction.update(invoiceDoc, invoice);
+                writeAuditEntry(transaction, invoiceDoc, username, 'update', stored, { ...stored, ...invoice });
+            });
+        } else {
+            const dataToSave = buildInvoiceDocument(invoiceData);
+            const seed = await loadCounterSeed(dataPath, 'invoices', profile, dataToSave.date);
+            await runTransaction(db, async (transaction) => {
+                const { sequence, formatted } = await nextDocumentNumber(transaction, dataPath, 'invoices', profile, dataToSave.date, seed);
+                const invoiceRef = doc(invoicesCollection);
+                const invoice = withAuditId({ ...dataToSave, invoiceNumber: sequence, invoiceNo: formatted, issuedAt: new Date().toISOString() });
+                transaction.set(invoiceRef, invoice);
+                writeAuditEntry(transaction, invoiceRef, username, 'create', null, invoice);
+            });
+        }
+        go();
+        list.reload();
     };
     
     const showVouchers = (invoice) => {
@@ -523,144 +2040,573 @@ const Invoices = ({username}) => {
         setVouchersModalOpen(true);
     };
 
+    const exportColumns = [
+        { key: 'invoiceNo', label: 'رقم الفاتورة', value: invoice => formatInvoiceNumber(invoice, profile) },
+        { key: 'date', label: 'التاريخ' },
+        { key: 'customerName', label: 'العميل' },
+        { key: 'taxableAmount', label: 'المبلغ قبل الضريبة', value: invoice => (invoice.taxableAmount !== undefined ? invoice.taxableAmount : invoice.total) },
+        { key: 'vatAmount', label: 'الضريبة', value: invoice => Number(invoice.vatAmount) || 0 },
+        { key: 'grandTotal', label: 'الإجمالي', value: invoiceGrandTotal },
+        { key: 'paidAmount', label: 'المدفوع', value: invoice => Number(invoice.paidAmount) || 0 },
+        { key: 'remaining', label: 'المتبقي', value: invoiceRemaining },
+        { key: 'dueDate', label: 'الاستحقاق', value: dueDateOf },
+        { key: 'status', label: 'الحالة', value: invoiceStatus },
+    ];
+
     return (
         <div className="bg-white dark:bg-gray-800 p-6 rounded-xl shadow-md">
             <div className="flex justify-between items-center mb-6">
                 <h2 className="text-xl font-bold text-gray-800 dark:text-white">إدارة الفواتير</h2>
-                <button onClick={handleAdd} className="flex items-center bg-blue-600 text-white font-semibold py-2 px-4 rounded-lg shadow-md hover:bg-blue-700 transition-colors"><PlusCircle className="mr-2" size={20}/> إضافة فاتورة</button>
+                <div className="flex items-center space-x-2">
+                    <select value={view} onChange={(e) => go({ view: e.target.value })} className="p-2 border rounded-lg bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-white ml-2">
+                        <option value="list">قائمة الفواتير</option>
+                        <option value="aging">أعمار الذمم</option>
+                        <option value="creditNotes">الإشعارات الدائنة</option>
+                        <option value="recurring">الفواتير الدورية</option>
+                    </select>
+                    {view === 'list' && <ExportButtons columns={exportColumns} rows={() => loadAllListRows(`${dataPath}/invoices`, LIST_SPECS.invoices, listState, INVOICE_LIST_ACCESSORS)} fileName={`الفواتير-${todayIso()}`} />}
+                    {can(role, 'invoices', 'create') && <button onClick={handleAdd} className="flex items-center bg-blue-600 text-white font-semibold py-2 px-4 rounded-lg shadow-md hover:bg-blue-700 transition-colors"><PlusCircle className="mr-2" size={20}/> إضافة فاتورة</button>}
+                </div>
             </div>
+            {view === 'aging' && <AgingReport workspaceId={workspaceId} profile={profile} />}
+            {view === 'creditNotes' && <CreditNotesList creditNotes={creditNotes} profile={profile} onView={setViewedCreditNote} />}
+            {view === 'recurring' && <RecurringInvoices workspaceId={workspaceId} role={role} username={username} profile={profile} />}
+            {view === 'list' && (
+            <>
+            <ListFilters spec={LIST_SPECS.invoices} listState={listState} onChange={updateListState} searchPlaceholder="بحث باسم العميل أو رقم الفاتورة">
+                <select value={listState.status} onChange={(e) => updateListState({ status: e.target.value })} className="p-2 border rounded-md bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-white">
+                    <option value="">كل الحالات</option>
+                    {INVOICE_STATUSES.map(status => <option key={status} value={status}>{status}</option>)}
+                </select>
+            </ListFilters>
             <div className="overflow-x-auto">
                  <table className="w-full text-sm text-right text-gray-500 dark:text-gray-400">
                     <thead className="text-xs text-gray-700 uppercase bg-gray-50 dark:bg-gray-700 dark:text-gray-400">
                         <tr>
-                            <th className="px-4 py-3">#</th>
-                            <th className="px-4 py-3">العميل</th>
-                            <th className="px-4 py-3">الإجمالي</th>
+                            <SortableHeader sortKey="number" listState={listState} onChange={updateListState}>#</SortableHeader>
+                            <SortableHeader sortKey="customer" listState={listState} onChange={updateListState}>العميل</SortableHeader>
+                            <SortableHeader sortKey="date" listState={listState} onChange={updateListState}>التاريخ</SortableHeader>
+                            <th className="px-4 py-3">الضريبة</th>
+                            <SortableHeader sortKey="amount" listState={listState} onChange={updateListState}>الإجمالي</SortableHeader>
                             <th className="px-4 py-3">المدفوع</th>
                             <th className="px-4 py-3">المتبقي</th>
+                            <th className="px-4 py-3">الاستحقاق</th>
                             <th className="px-4 py-3">الحالة</th>
                             <th className="px-4 py-3 text-left">إجراءات</th>
                         </tr>
                     </thead>
                     <tbody>
-                        {invoices.length > 0 ? (
-                            invoices.map(invoice => {
-                                const remaining = (invoice.total || 0) - (invoice.paidAmount || 0);
+                        {list.rows.length > 0 ? (
+                            list.rows.map(invoice => {
+                                const remaining = invoiceRemaining(invoice);
                                 return (
                                 <tr key={invoice.id} className="border-b dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-600">
-                                    <td className="px-4 py-3 font-medium text-gray-900 dark:text-white">INV-{invoice.invoiceNumber}</td>
+                                    <td className="px-4 py-3 font-medium text-gray-900 dark:text-white">{formatInvoiceNumber(invoice, profile)}</td>
                                     <td className="px-4 py-3">{invoice.customerName}</td>
-                                    <td className="px-4 py-3">ر.س {Number(invoice.total || 0).toLocaleString()}</td>
-                                    <td className="px-4 py-3">ر.س {Number(invoice.paidAmount || 0).toLocaleString()}</td>
-                                    <td className="px-4 py-3 font-semibold">ر.س {Number(remaining).toLocaleString()}</td>
-                                    <td className="px-4 py-3"><StatusBadge status={invoice.status} /></td>
+                                    <td className="px-4 py-3">{invoice.date}</td>
+                                    <td className="px-4 py-3">{formatMoney(invoice.vatAmount, profile)}</td>
+                                    <td className="px-4 py-3">{formatMoney(invoiceGrandTotal(invoice), profile)}</td>
+                                    <td className="px-4 py-3">{formatMoney(invoice.paidAmount, profile)}</td>
+                                    <td className="px-4 py-3 font-semibold">{formatMoney(remaining, profile)}</td>
+                                    <td className="px-4 py-3">{dueDateOf(invoice)}</td>
+                                    <td className="px-4 py-3"><StatusBadge status={invoiceStatus(invoice)} /></td>
                                     <td className="px-4 py-3 flex items-center space-x-2 justify-end">
+                                        <button onClick={() => handleView(invoice)} title="عرض الفاتورة" className="p-2 text-gray-600 hover:text-gray-800 dark:text-gray-300 dark:hover:text-gray-100"><Eye size={18}/></button>
+                                        <button onClick={() => setHistoryInvoice(invoice)} title="سجل التغييرات" className="p-2 text-gray-600 hover:text-gray-800 dark:text-gray-300 dark:hover:text-gray-100"><History size={18}/></button>
                                         {invoice.paidAmount > 0 && <button onClick={() => showVouchers(invoice)} title="عرض السندات" className="p-2 text-green-600 hover:text-green-800"><ClipboardCheck size={18}/></button>}
-                                        <button onClick={() => handleEdit(invoice)} className="p-2 text-blue-600 hover:text-blue-800 dark:text-blue-400 dark:hover:text-blue-200"><Edit size={18}/></button>
-                                        <button onClick={() => handleDelete(invoice.id)} className="p-2 text-red-600 hover:text-red-800 dark:text-red-400 dark:hover:text-red-200"><Trash2 size={18}/></button>
+                                        {can(role, 'invoices', 'update') && !(Number(invoice.creditedAmount) > 0) && <button onClick={() => handleEdit(invoice)} className="p-2 text-blue-600 hover:text-blue-800 dark:text-blue-400 dark:hover:text-blue-200"><Edit size={18}/></button>}
+                                        {can(role, 'creditNotes', 'create') && invoice.status !== 'ملغاة' && <button onClick={() => setCreditNoteInvoice(invoice)} title="إشعار دائن / إلغاء" className="p-2 text-red-600 hover:text-red-800 dark:text-red-400 dark:hover:text-red-200"><FileMinus size={18}/></button>}
                                     </td>
                                 </tr>
                             )})
+                        ) : list.loading || isFiltered(LIST_SPECS.invoices, listState) ? (
+                            <tr><td colSpan="10" className="text-center py-10">{list.loading ? 'جارٍ التحميل...' : 'لا توجد فواتير مطابقة.'}</td></tr>
                         ) : (
                              <tr>
-                                <td colSpan="7" className="text-center py-16 text-gray-500 dark:text-gray-400">
+                                <td colSpan="10" className="text-center py-16 text-gray-500 dark:text-gray-400">
                                     <FileText size={48} className="mx-auto mb-4" />
                                     <h3 className="text-xl font-semibold">لا توجد فواتير بعد</h3>
                                     <p className="mt-2">ابدأ بإضافة فاتورتك الأولى لتتبع مبيعاتك.</p>
-                                    <button onClick={handleAdd} className="mt-4 flex items-center mx-auto bg-blue-600 text-white font-semibold py-2 px-4 rounded-lg shadow-md hover:bg-blue-700 transition-colors">
+                                    {can(role, 'invoices', 'create') && <button onClick={handleAdd} className="mt-4 flex items-center mx-auto bg-blue-600 text-white font-semibold py-2 px-4 rounded-lg shadow-md hover:bg-blue-700 transition-colors">
                                         <PlusCircle className="mr-2" size={20}/> إضافة فاتورة جديدة
-                                    </button>
+                                    </button>}
                                 </td>
                             </tr>
                         )}
                     </tbody>
                 </table>
             </div>
-            <InvoiceForm isOpen={isModalOpen} onClose={() => setIsModalOpen(false)} onSave={handleSave} invoice={currentInvoice} username={username} />
-            {selectedInvoiceForVouchers && <VouchersForInvoiceModal isOpen={vouchersModalOpen} onClose={() => setVouchersModalOpen(false)} invoice={selectedInvoiceForVouchers} username={username} />}
+            <Pager list={list} />
+            </>
+            )}
+            <InvoiceForm isOpen={isFormOpen} onClose={() => go()} onSave={handleSave} invoice={currentInvoice} workspaceId={workspaceId} profile={profile} />
+            <MissingDocumentNotice isOpen={routed.missing} onClose={() => go()} reference={route.documentId} />
+            {viewedInvoice && <InvoiceView isOpen={Boolean(viewedInvoice)} onClose={() => go()} invoice={viewedInvoice} creditNotes={creditNotes.filter(note => note.invoiceId === viewedInvoice.id)} workspaceId={workspaceId} profile={profile} />}
+            {creditNoteInvoice && <CreditNoteForm isOpen={Boolean(creditNoteInvoice)} onClose={() => setCreditNoteInvoice(null)} onSave={handleIssueCreditNote} invoice={creditNoteInvoice} profile={profile} />}
+            {viewedCreditNote && <CreditNoteView isOpen={Boolean(viewedCreditNote)} onClose={() => setViewedCreditNote(null)} creditNote={viewedCreditNote} profile={profile} />}
+            {historyInvoice && <DocumentHistory isOpen={Boolean(historyInvoice)} onClose={() => setHistoryInvoice(null)} workspaceId={workspaceId} collectionName="invoices" documentId={historyInvoice.id} title={formatInvoiceNumber(historyInvoice, profile)} />}
+            {selectedInvoiceForVouchers && <VouchersForInvoiceModal isOpen={vouchersModalOpen} onClose={() => setVouchersModalOpen(false)} invoice={selectedInvoiceForVouchers} workspaceId={workspaceId} profile={profile} />}
         </div>
     );
 };
 
-const VouchersForInvoiceModal = ({ isOpen, onClose, invoice, username }) => {
-    const [vouchers, setVouchers] = useState([]);
+// Receivables grouped by how many days they are past due, in total and per customer. Only open invoices are read.
+const AgingReport = ({ workspaceId, profile }) => {
+    const [invoices, setInvoices] = useState([]);
 
     useEffect(() => {
-        if (!isOpen) return;
-        const dataPath = `artifacts/${appId}/public/data/userdata/${username}`;
-        const vouchersQuery = query(collection(db, `${dataPath}/vouchers`), where("invoiceId", "==", invoice.id));
-        const unsubscribe = onSnapshot(vouchersQuery, (snapshot) => {
-            setVouchers(snapshot.docs.map(doc => ({id: doc.id, ...doc.data()})));
-        });
+        if (!workspaceId) return;
+        const openInvoices = query(collection(db, `artifacts/${appId}/public/data/userdata/${workspaceId}/invoices`), where("status", "in", [...OPEN_STATUSES, 'متأخرة']));
+        const unsubscribe = onSnapshot(openInvoices, (snapshot) => {
+            setInvoices(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        }, (error) => { console.error("Error in aging listener:", error) });
         return () => unsubscribe();
-    }, [isOpen, invoice, username]);
+    }, [workspaceId]);
+
+    const report = buildAgingReport(invoices.map(invoice => ({ ...invoice, remaining: invoiceRemaining(invoice) })));
 
     return (
-        <Modal isOpen={isOpen} onClose={onClose} title={`سندات القبض للفاتورة INV-${invoice.invoiceNumber}`}>
-            {vouchers.length > 0 ? (
-                <ul className="space-y-3">
-                    {vouchers.map(voucher => (
-                        <li key={voucher.id} className="p-3 bg-gray-100 dark:bg-gray-700 rounded-md flex justify-between items-center">
-                            <div>
-                                <p className="font-semibold">ر.س {Number(voucher.amount).toLocaleString()}</p>
-                                <p className="text-sm text-gray-500 dark:text-gray-400">{new Date(voucher.date).toLocaleDateString('ar-SA')}</p>
-                            </div>
-                            <span className="text-xs font-bold text-green-600">VCH-{voucher.voucherNumber}</span>
-                        </li>
-                    ))}
-                </ul>
-            ) : (
-                <p className="text-center text-gray-500 dark:text-gray-400 py-8">لا توجد سندات قبض لهذه الفاتورة.</p>
-            )}
-        </Modal>
+        <div>
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-6">
+                {AGING_BUCKETS.map(bucket => (
+                    <div key={bucket.key} className="p-4 rounded-lg bg-gray-50 dark:bg-gray-700">
+                        <p className="text-sm text-gray-500 dark:text-gray-400">{bucket.label}</p>
+                        <p className="text-lg font-bold text-gray-800 dark:text-white">{formatMoney(report.totals[bucket.key], profile)}</p>
+                    </div>
+                ))}
+                <div className="p-4 rounded-lg bg-blue-50 dark:bg-blue-900">
+                    <p className="text-sm text-gray-500 dark:text-gray-300">إجمالي الذمم</p>
+                    <p className="text-lg font-bold text-gray-800 dark:text-white">{formatMoney(report.grandTotal, profile)}</p>
+                </div>
+            </div>
+            <div className="overflow-x-auto">
+                <table className="w-full text-sm text-right text-gray-500 dark:text-gray-400">
+                    <thead className="text-xs text-gray-700 uppercase bg-gray-50 dark:bg-gray-700 dark:text-gray-400">
+                        <tr>
+                            <th className="px-4 py-3">العميل</th>
+                            {AGING_BUCKETS.map(bucket => <th key={bucket.key} className="px-4 py-3">{bucket.label}</th>)}
+                            <th className="px-4 py-3">الإجمالي</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {report.customers.length > 0 ? report.customers.map(customer => (
+                            <tr key={customer.customerId || customer.customerName} className="border-b dark:border-gray-700">
+                                <td className="px-4 py-3 font-medium text-gray-900 dark:text-white">{customer.customerName}</td>
+                                {AGING_BUCKETS.map(bucket => <td key={bucket.key} className="px-4 py-3">{formatMoney(customer.buckets[bucket.key], profile)}</td>)}
+                                <td className="px-4 py-3 font-semibold">{formatMoney(customer.total, profile)}</td>
+                            </tr>
+                        )) : (
+                            <tr><td colSpan={AGING_BUCKETS.length + 2} className="text-center py-10">لا توجد ذمم مستحقة.</td></tr>
+                        )}
+                    </tbody>
+                </table>
+            </div>
+        </div>
     );
 };
 
-
-const InvoiceForm = ({ isOpen, onClose, onSave, invoice, username }) => {
-    const [customers, setCustomers] = useState([]);
-    const [services, setServices] = useState([]);
-    const [formData, setFormData] = useState({ customerId: '', customerName: '', date: new Date().toISOString().slice(0, 10), items: [{ serviceId:'', name: '', quantity: 1, price: 0 }], total: 0 });
-    const dataPath = `artifacts/${appId}/public/data/userdata/${username}`;
-
-    useEffect(() => {
-        if (!isOpen || !username) return;
-        const customersCollection = collection(db, `${dataPath}/customers`);
-        getDocs(customersCollection).then(snapshot => {
-            setCustomers(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
-        });
-        const servicesCollection = collection(db, `${dataPath}/services`);
-        getDocs(servicesCollection).then(snapshot => {
-            setServices(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
-        });
-    }, [isOpen, username]);
+// Split vouchers are found through `invoiceIds`; older vouchers only carry `invoiceId`, so both are listened to and merged.
+const useInvoiceVouchers = (workspaceId, invoiceId, enabled) => {
+    const [results, setResults] = useState({ split: [], legacy: [] });
 
     useEffect(() => {
-        if (invoice) { setFormData({ ...invoice, items: invoice.items || [{ serviceId:'', name: '', quantity: 1, price: 0 }] });
-        } else { setFormData({ customerId: '', customerName: '', date: new Date().toISOString().slice(0, 10), items: [{ serviceId:'', name: '', quantity: 1, price: 0 }], total: 0 }); }
-    }, [invoice]);
-    
-    const calculateTotal = useCallback((items) => { return items.reduce((sum, item) => sum + (Number(item.quantity) * Number(item.price)), 0); }, []);
+        if (!enabled || !workspaceId || !invoiceId) return;
+        const vouchersCollection = collection(db, `artifacts/${appId}/public/data/userdata/${workspaceId}/vouchers`);
+        const listen = (key, constraint) => onSnapshot(query(vouchersCollection, constraint), (snapshot) => {
+            setResults(prev => ({ ...prev, [key]: snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })) }));
+        }, (error) => { console.error("Error in invoice vouchers listener:", error) });
+        const unsubscribers = [listen('split', where("invoiceIds", "array-contains", invoiceId)), listen('legacy', where("invoiceId", "==", invoiceId))];
+        return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+    }, [workspaceId, invoiceId, enabled]);
 
-    useEffect(() => { const newTotal = calculateTotal(formData.items); setFormData(prev => ({ ...prev, total: newTotal })); }, [formData.items, calculateTotal]);
+    const byId = {};
+    [...results.legacy, ...results.split].forEach(voucher => { byId[voucher.id] = voucher; });
+    return Object.values(byId).filter(voucher => voucherAmountFor(voucher, invoiceId) > 0).sort((a, b) => new Date(a.date) - new Date(b.date));
+};
 
-    const handleCustomerChange = (e) => {
-        const customerId = e.target.value;
-        const customer = customers.find(c => c.id === customerId);
-        setFormData(prev => ({ ...prev, customerId: customerId, customerName: customer ? customer.name : ''}));
-    };
+// Printable simplified tax invoice with the ZATCA Phase 1 QR code and the payments received against it.
+const InvoiceView = ({ isOpen, onClose, invoice, creditNotes = [], workspaceId, profile }) => {
+    const [customer, setCustomer] = useState(null);
+    const vouchers = useInvoiceVouchers(workspaceId, invoice.id, isOpen).filter(voucher => !isVoided(voucher));
+    const documentRef = useRef(null);
 
-    const handleServiceChange = (index, e) => {
-        const serviceId = e.target.value;
-        const service = services.find(s => s.id === serviceId);
-        const newItems = [...formData.items];
-        if(service){
-            newItems[index] = { ...newItems[index], serviceId: service.id, name: service.name, price: service.price };
-        } else {
-             newItems[index] = { ...newItems[index], serviceId: '', name: '', price: 0 };
+    useEffect(() => {
+        if (!isOpen) return;
+        const dataPath = `artifacts/${appId}/public/data/userdata/${workspaceId}`;
+        if (invoice.customerId) {
+            getDoc(doc(db, `${dataPath}/customers`, invoice.customerId)).then(snapshot => setCustomer(snapshot.exists() ? snapshot.data() : null));
         }
-        setFormData(prev => ({ ...prev, items: newItems }));
-    };
+    }, [isOpen, invoice, workspaceId]);
+
+    let qrPayload = null;
+    try {
+        qrPayload = zatcaQrForInvoice(invoice, profile);
+    } catch (error) {
+        console.error("Failed to build ZATCA QR payload:", error);
+    }
+    const items = invoice.items || [];
+    const invoiceNumber = formatInvoiceNumber(invoice, profile);
+
+    return (
+        <Modal isOpen={isOpen} onClose={onClose} title={`فاتورة ${invoiceNumber}`} wide>
+            <div ref={documentRef} className="print-area document bg-white text-gray-900 p-6 text-sm">
+                <DocumentHeader profile={profile} title="فاتورة ضريبية مبسطة" number={invoiceNumber} date={invoice.issuedAt ? new Date(invoice.issuedAt).toLocaleString('ar-SA') : invoice.date} />
+                <div className="mb-4 p-3 bg-gray-50 rounded-md">
+                    <p className="font-bold">العميل: {invoice.customerName}</p>
+                    {invoice.quotationNo && <p>بناءً على عرض السعر: <span dir="ltr">{invoice.quotationNo}</span></p>}
+                    {invoice.recurringScheduleName && <p>فاتورة دورية: {invoice.recurringScheduleName}</p>}
+                    <p>تاريخ الاستحقاق: {dueDateOf(invoice)}{invoice.paymentTerms && invoice.paymentTerms !== 'custom' ? ` (${PAYMENT_TERMS[invoice.paymentTerms].label})` : ''}</p>
+                    {customer && customer.phone && <p>الهاتف: <span dir="ltr">{customer.phone}</span></p>}
+                    {customer && customer.email && <p>البريد الإلكتروني: <span dir="ltr">{customer.email}</span></p>}
+                </div>
+                <table className="w-full text-right border-collapse mb-4">
+                    <thead className="bg-gray-800 text-white">
+                        <tr><th className="p-2">#</th><th className="p-2">البند</th><th className="p-2">الكمية</th><th className="p-2">سعر الوحدة</th><th className="p-2">نسبة الضريبة</th><th className="p-2">الضريبة</th><th className="p-2">الإجمالي</th></tr>
+                    </thead>
+                    <tbody>
+                        {items.map((item, index) => (
+                            <tr key={index} className="border-b">
+                                <td className="p-2">{index + 1}</td>
+                                <td className="p-2">{item.name}</td>
+                                <td className="p-2">{item.quantity}</td>
+                                <td className="p-2">{formatMoney(item.price, profile)}</td>
+                                <td className="p-2">{Math.round((item.vatRate || 0) * 100)}%</td>
+                                <td className="p-2">{formatMoney(item.vatAmount, profile)}</td>
+                                <td className="p-2">{formatMoney(item.lineTotal !== undefined ? item.lineTotal : item.quantity * item.price, profile)}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+                <div className="flex justify-between items-start">
+                    {qrPayload ? (
+                        <QRCodeSVG value={qrPayload} size={128} level="M" marginSize={2} className="bg-white" />
+                    ) : (
+                        <p className="text-xs text-red-500 max-w-[10rem] no-print">أضف الاسم القانوني والرقم الضريبي في الإعدادات لإظهار رمز الاستجابة السريعة.</p>
+                    )}
+                    <table className="w-1/2">
+                        <tbody>
+                            <tr><td className="p-1">المجموع قبل الضريبة</td><td className="p-1 text-left">{formatMoney(invoice.subtotal !== undefined ? invoice.subtotal : invoiceGrandTotal(invoice), profile)}</td></tr>
+                            <tr><td className="p-1">الخصم</td><td className="p-1 text-left">{formatMoney(invoice.discount, profile)}</td></tr>
+                            <tr><td className="p-1">المبلغ الخاضع للضريبة</td><td className="p-1 text-left">{formatMoney(invoice.taxableAmount !== undefined ? invoice.taxableAmount : invoiceGrandTotal(invoice), profile)}</td></tr>
+                            <tr><td className="p-1">ضريبة القيمة المضافة</td><td className="p-1 text-left">{formatMoney(invoice.vatAmount, profile)}</td></tr>
+                            <tr className="border-t-2 border-gray-800 font-bold text-base"><td className="p-1">الإجمالي شامل الضريبة</td><td className="p-1 text-left">{formatMoney(invoiceGrandTotal(invoice), profile)}</td></tr>
+                            {Number(invoice.creditedAmount) > 0 && <tr><td className="p-1">الإشعارات الدائنة</td><td className="p-1 text-left">-{formatMoney(invoice.creditedAmount, profile)}</td></tr>}
+                            <tr><td className="p-1">المدفوع</td><td className="p-1 text-left">{formatMoney(invoice.paidAmount, profile)}</td></tr>
+                            <tr className="font-bold"><td className="p-1">المتبقي</td><td className="p-1 text-left">{formatMoney(invoiceRemaining(invoice), profile)}</td></tr>
+                        </tbody>
+                    </table>
+                </div>
+                <p className="mt-2 text-gray-600">{formatAmountInWords(invoiceGrandTotal(invoice), profile)}</p>
+                {creditNotes.length > 0 && (
+                    <div className="mt-6">
+                        <h4 className="font-bold mb-2">الإشعارات الدائنة</h4>
+                        <table className="w-full text-right">
+                            <thead className="bg-gray-100"><tr><th className="p-2">رقم الإشعار</th><th className="p-2">التاريخ</th><th className="p-2">السبب</th><th className="p-2">المبلغ</th></tr></thead>
+                            <tbody>
+                                {creditNotes.map(note => (
+                                    <tr key={note.id} className="border-b"><td className="p-2" dir="ltr">{formatCreditNoteNumber(note, profile)}</td><td className="p-2">{note.date}</td><td className="p-2">{note.reason}</td><td className="p-2">{formatMoney(note.grandTotal, profile)}</td></tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+                {vouchers.length > 0 && (
+                    <div className="mt-6">
+                        <h4 className="font-bold mb-2">سجل الدفعات</h4>
+                        <table className="w-full text-right">
+                            <thead className="bg-gray-100"><tr><th className="p-2">رقم السند</th><th className="p-2">التاريخ</th><th className="p-2">المبلغ</th></tr></thead>
+                            <tbody>
+                                {vouchers.map(voucher => (
+                                    <tr key={voucher.id} className="border-b"><td className="p-2" dir="ltr">{formatVoucherNumber(voucher, profile)}</td><td className="p-2">{voucher.date}</td><td className="p-2">{formatMoney(voucherAmountFor(voucher, invoice.id), profile)}</td></tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </div>
+            <DocumentActions documentRef={documentRef} fileName={`${invoiceNumber}.pdf`} />
+        </Modal>
+    );
+};
+
+const CreditNotesList = ({ creditNotes, profile, onView }) => (
+    <div className="overflow-x-auto">
+        <table className="w-full text-sm text-right text-gray-500 dark:text-gray-400">
+            <thead className="text-xs text-gray-700 uppercase bg-gray-50 dark:bg-gray-700 dark:text-gray-400">
+                <tr><th className="px-4 py-3">#</th><th className="px-4 py-3">الفاتورة</th><th className="px-4 py-3">العميل</th><th className="px-4 py-3">التاريخ</th><th className="px-4 py-3">السبب</th><th className="px-4 py-3">المبلغ</th><th className="px-4 py-3 text-left">إجراءات</th></tr>
+            </thead>
+            <tbody>
+                {creditNotes.length > 0 ? creditNotes.map(note => (
+                    <tr key={note.id} className="border-b dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-600">
+                        <td className="px-4 py-3 font-medium text-gray-900 dark:text-white">{formatCreditNoteNumber(note, profile)}</td>
+                        <td className="px-4 py-3">{note.invoiceNo}</td>
+                        <td className="px-4 py-3">{note.customerName}</td>
+                        <td className="px-4 py-3">{note.date}</td>
+                        <td className="px-4 py-3">{note.reason}</td>
+                        <td className="px-4 py-3 font-semibold">{formatMoney(note.grandTotal, profile)}</td>
+                        <td className="px-4 py-3 flex justify-end"><button onClick={() => onView(note)} title="عرض الإشعار" className="p-2 text-gray-600 hover:text-gray-800 dark:text-gray-300 dark:hover:text-gray-100"><Eye size={18}/></button></td>
+                    </tr>
+                )) : (
+                    <tr><td colSpan="7" className="text-center py-10">لا توجد إشعارات دائنة.</td></tr>
+                )}
+            </tbody>
+        </table>
+    </div>
+);
+
+// Picks how much of each invoice line to reverse; the full remaining quantity is preselected, which cancels the invoice.
+const CreditNoteForm = ({ isOpen, onClose, onSave, invoice, profile }) => {
+    const [quantities, setQuantities] = useState([]);
+    const [reason, setReason] = useState('');
+    const [date, setDate] = useState(todayIso());
+
+    useEffect(() => {
+        if (!isOpen) return;
+        setQuantities(calculateCreditNote(invoice, []).available);
+        setReason('');
+        setDate(todayIso());
+    }, [isOpen, invoice]);
+
+    const creditNote = calculateCreditNote(invoice, quantities);
+    const lines = calculateInvoiceTotals(invoice.items || [], invoice).items;
+
+    const handleQuantityChange = (index, value) => {
+        const next = [...quantities];
+        next[index] = Number(value);
+        setQuantities(next);
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (creditNote.grandTotal <= 0) return;
+        onSave({ quantities, reason, date });
+    };
+
+    return (
+        <Modal isOpen={isOpen} onClose={onClose} title={`إشعار دائن للفاتورة ${formatInvoiceNumber(invoice, profile)}`} wide>
+            <form onSubmit={handleSubmit} className="space-y-4">
+                <table className="w-full text-sm text-right">
+                    <thead className="bg-gray-50 dark:bg-gray-700"><tr><th className="p-2">البند</th><th className="p-2">الكمية المفوترة</th><th className="p-2">المتاح للإرجاع</th><th className="p-2">الكمية المرتجعة</th></tr></thead>
+                    <tbody>
+                        {lines.map((line, index) => (
+                            <tr key={index} className="border-b dark:border-gray-700">
+                                <td className="p-2">{line.name}</td>
+                                <td className="p-2">{line.quantity}</td>
+                                <td className="p-2">{creditNote.available[index]}</td>
+                                <td className="p-2"><input type="number" min="0" max={creditNote.available[index]} step="any" value={quantities[index] || 0} onChange={(e) => handleQuantityChange(index, e.target.value)} disabled={!creditNote.available[index]} className="w-24 p-1 border rounded-md bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-white" /></td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+                <button type="button" onClick={() => setQuantities(creditNote.available)} className="text-sm text-blue-600 hover:underline">إرجاع كامل الكميات (إلغاء الفاتورة)</button>
+                <div className="grid grid-cols-2 gap-2">
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">سبب الإشعار</label>
+                        <input type="text" value={reason} onChange={(e) => setReason(e.target.value)} className="w-full p-2 border rounded-md bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-white" required />
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">التاريخ</label>
+                        <input type="date" value={date} min={invoice.date} onChange={(e) => setDate(e.target.value)} className="w-full p-2 border rounded-md bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-white" required />
+                    </div>
+                </div>
+                <div className="pt-4 border-t dark:border-gray-700 text-right space-y-1 text-sm">
+                    <p className="flex justify-between"><span>المبلغ الخاضع للضريبة</span><span>{formatMoney(creditNote.taxableAmount, profile)}</span></p>
+                    <p className="flex justify-between"><span>ضريبة القيمة المضافة</span><span>{formatMoney(creditNote.vatAmount, profile)}</span></p>
+                    <p className="flex justify-between text-lg font-bold"><span>إجمالي الإشعار</span><span>{formatMoney(creditNote.grandTotal, profile)}</span></p>
+                </div>
+                <div className="flex justify-end pt-4"><button type="button" onClick={onClose} className="bg-gray-200 dark:bg-gray-600 text-gray-800 dark:text-gray-200 font-bold py-2 px-4 rounded-md ml-2">إلغاء</button><button type="submit" disabled={creditNote.grandTotal <= 0} className="bg-red-600 text-white font-bold py-2 px-4 rounded-md disabled:bg-red-300">إصدار الإشعار</button></div>
+            </form>
+        </Modal>
+    );
+};
+
+// Printable credit note; carries the same Phase 1 QR fields as an invoice, with the credited amounts.
+const CreditNoteView = ({ isOpen, onClose, creditNote, profile }) => {
+    const documentRef = useRef(null);
+    let qrPayload = null;
+    try {
+        qrPayload = zatcaQrForInvoice(creditNote, profile);
+    } catch (error) {
+        console.error("Failed to build ZATCA QR payload:", error);
+    }
+    const creditNoteNumber = formatCreditNoteNumber(creditNote, profile);
+
+    return (
+        <Modal isOpen={isOpen} onClose={onClose} title={`إشعار دائن ${creditNoteNumber}`} wide>
+            <div ref={documentRef} className="print-area document bg-white text-gray-900 p-6 text-sm">
+                <DocumentHeader profile={profile} title="إشعار دائن" number={creditNoteNumber} date={creditNote.issuedAt ? new Date(creditNote.issuedAt).toLocaleString('ar-SA') : creditNote.date} />
+                <div className="mb-4 p-3 bg-gray-50 rounded-md">
+                    <p className="font-bold">العميل: {creditNote.customerName}</p>
+                    <p>الفاتورة الأصلية: <span dir="ltr">{creditNote.invoiceNo}</span></p>
+                    <p>سبب الإشعار: {creditNote.reason}</p>
+                </div>
+                <table className="w-full text-right border-collapse mb-4">
+                    <thead className="bg-gray-800 text-white">
+                        <tr><th className="p-2">#</th><th className="p-2">البند</th><th className="p-2">الكمية</th><th className="p-2">نسبة الضريبة</th><th className="p-2">المبلغ قبل الضريبة</th><th className="p-2">الضريبة</th><th className="p-2">الإجمالي</th></tr>
+                    </thead>
+                    <tbody>
+                        {(creditNote.items || []).map((item, index) => (
+                            <tr key={index} className="border-b">
+                                <td className="p-2">{index + 1}</td>
+                                <td className="p-2">{item.name}</td>
+                                <td className="p-2">{item.quantity}</td>
+                                <td className="p-2">{Math.round((item.vatRate || 0) * 100)}%</td>
+                                <td className="p-2">{formatMoney(item.netAmount, profile)}</td>
+                                <td className="p-2">{formatMoney(item.vatAmount, profile)}</td>
+                                <td className="p-2">{formatMoney(item.lineTotal, profile)}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+                <div className="flex justify-between items-start">
+                    {qrPayload ? (
+                        <QRCodeSVG value={qrPayload} size={128} level="M" marginSize={2} className="bg-white" />
+                    ) : (
+                        <p className="text-xs text-red-500 max-w-[10rem] no-print">أضف الاسم القانوني والرقم الضريبي في الإعدادات لإظهار رمز الاستجابة السريعة.</p>
+                    )}
+                    <table className="w-1/2">
+                        <tbody>
+                            <tr><td className="p-1">المبلغ الخاضع للضريبة</td><td className="p-1 text-left">{formatMoney(creditNote.taxableAmount, profile)}</td></tr>
+                            <tr><td className="p-1">ضريبة القيمة المضافة</td><td className="p-1 text-left">{formatMoney(creditNote.vatAmount, profile)}</td></tr>
+                            <tr className="border-t-2 border-gray-800 font-bold text-base"><td className="p-1">إجمالي الإشعار</td><td className="p-1 text-left">{formatMoney(creditNote.grandTotal, profile)}</td></tr>
+                        </tbody>
+                    </table>
+                </div>
+                <p className="mt-2 text-gray-600">{formatAmountInWords(creditNote.grandTotal, profile)}</p>
+            </div>
+            <DocumentActions documentRef={documentRef} fileName={`${creditNoteNumber}.pdf`} />
+        </Modal>
+    );
+};
+
+// Printable receipt voucher (سند قبض) with the amount written out in Arabic words.
+const VoucherView = ({ isOpen, onClose, voucher, profile }) => {
+    const documentRef = useRef(null);
+    const voucherNumber = formatVoucherNumber(voucher, profile);
+
+    return (
+        <Modal isOpen={isOpen} onClose={onClose} title={`سند قبض ${voucherNumber}`} wide>
+            <div ref={documentRef} className="print-area document bg-white text-gray-900 p-6 text-base">
+                <DocumentHeader profile={profile} title="سند قبض" number={voucherNumber} date={voucher.date} />
+                {isVoided(voucher) && <p className="mb-4 p-2 border-2 border-red-600 text-red-600 font-bold text-center">سند ملغى{voucher.voidReason ? ` — ${voucher.voidReason}` : ''}</p>}
+                <div className="space-y-4">
+                    <div className="flex items-center">
+                        <span className="font-bold ml-2">المبلغ:</span>
+                        <span className="border-2 border-gray-800 rounded-md px-4 py-1 font-bold">{formatMoney(voucher.amount, profile)}</span>
+                    </div>
+                    <p><span className="font-bold">استلمنا من السيد/السادة:</span> {voucher.customerName}</p>
+                    <p><span className="font-bold">مبلغ وقدره:</span> {formatAmountInWords(voucher.amount, profile)}</p>
+                    <p><span className="font-bold">طريقة الدفع:</span> {PAYMENT_METHODS[paymentMethodOf(voucher)].label}{voucher.paymentMethod === 'cheque' && voucher.chequeNumber && ` رقم ${voucher.chequeNumber} بتاريخ استحقاق ${voucher.chequeDueDate}`}{voucher.accountName && ` — ${voucher.accountName}`}</p>
+                    {voucherAllocations(voucher).length > 0 && (
+                        <p><span className="font-bold">وذلك عن:</span> سداد {voucherAllocations(voucher).length > 1 ? 'الفواتير' : 'الفاتورة'} {voucherAllocations(voucher).map((allocation, index) => (
+                            <span key={index}>{index > 0 && '، '}<span dir="ltr">{formatInvoiceNumber(allocation, profile)}</span>{voucherAllocations(voucher).length > 1 && ` (${formatMoney(allocation.amount, profile)})`}</span>
+                        ))}</p>
+                    )}
+                    {voucherUnapplied(voucher) > 0 && <p><span className="font-bold">{voucherAllocations(voucher).length > 0 ? 'ورصيد دائن للعميل:' : 'وذلك عن:'}</span> {voucherAllocations(voucher).length > 0 ? formatMoney(voucherUnapplied(voucher), profile) : 'دفعة مقدمة تُقيد رصيداً دائناً للعميل'}</p>}
+                </div>
+                <div className="grid grid-cols-2 gap-8 mt-16 text-center">
+                    <div><p className="border-t border-gray-800 pt-2">توقيع المستلم</p></div>
+                    <div><p className="border-t border-gray-800 pt-2">الختم</p></div>
+                </div>
+            </div>
+            <DocumentActions documentRef={documentRef} fileName={`${voucherNumber}.pdf`} />
+        </Modal>
+    );
+};
+
+const VouchersForInvoiceModal = ({ isOpen, onClose, invoice, workspaceId, profile }) => {
+    const vouchers = useInvoiceVouchers(workspaceId, invoice.id, isOpen);
+    const [viewedVoucher, setViewedVoucher] = useState(null);
+
+    return (
+        <Modal isOpen={isOpen} onClose={onClose} title={`سندات القبض للفاتورة ${formatInvoiceNumber(invoice, profile)}`}>
+            {vouchers.length > 0 ? (
+                <ul className="space-y-3">
+                    {vouchers.map(voucher => (
+                        <li key={voucher.id} className="p-3 bg-gray-100 dark:bg-gray-700 rounded-md flex justify-between items-center">
+                            <div>
+                                <p className={`font-semibold ${isVoided(voucher) ? 'line-through text-gray-400' : ''}`}>{formatMoney(voucherAmountFor(voucher, invoice.id), profile)}</p>
+                                <p className="text-sm text-gray-500 dark:text-gray-400">{new Date(voucher.date).toLocaleDateString('ar-SA')}</p>
+                            </div>
+                            <div className="flex items-center">
+                                <span className={`text-xs font-bold ${isVoided(voucher) ? 'text-gray-400' : 'text-green-600'}`}>{formatVoucherNumber(voucher, profile)}{isVoided(voucher) && ' (ملغى)'}</span>
+                                <button onClick={() => setViewedVoucher(voucher)} title="عرض السند" className="p-2 text-gray-600 hover:text-gray-800 dark:text-gray-300"><Eye size={16}/></button>
+                            </div>
+                        </li>
+                    ))}
+                </ul>
+            ) : (
+                <p className="text-center text-gray-500 dark:text-gray-400 py-8">لا توجد سندات قبض لهذه الفاتورة.</p>
+            )}
+            {viewedVoucher && <VoucherView isOpen={Boolean(viewedVoucher)} onClose={() => setViewedVoucher(null)} voucher={viewedVoucher} profile={profile} />}
+        </Modal>
+    );
+};
+
+
+const emptyInvoiceForm = (kind) => {
+    const date = new Date().toISOString().slice(0, 10);
+    return {
+        customerId: '', customerName: '', date, items: [{ serviceId:'', name: '', quantity: 1, price: 0, vatCategory: 'standard' }], pricesIncludeVat: false, discount: 0, paymentTerms: 'dueOnReceipt', dueDate: '',
+        ...(kind === 'quotation' && { validUntil: defaultValidUntil(date) }),
+        ...(kind === 'recurring' && { name: '', frequency: 'monthly', endDate: '' }),
+    };
+};
+
+const INVOICE_FORM_TITLES = {
+    invoice: { add: 'فاتورة جديدة', edit: 'تعديل فاتورة' },
+    quotation: { add: 'عرض سعر جديد', edit: 'تعديل عرض سعر' },
+    recurring: { add: 'جدول فوترة دوري جديد', edit: 'تعديل جدول الفوترة الدوري' },
+};
+
+// The line-item editor for invoices, quotations and recurring schedules. A quotation has a validity date instead of
+// payment terms; a recurring schedule has a frequency and an end date, and its `date` is the first run date.
+const InvoiceForm = ({ isOpen, onClose, onSave, invoice, workspaceId, profile, kind = 'invoice' }) => {
+    const [customers, setCustomers] = useState([]);
+    const [services, setServices] = useState([]);
+    const [formData, setFormData] = useState(emptyInvoiceForm(kind));
+    const [error, setError] = useState('');
+    const [saving, setSaving] = useState(false);
+    const dataPath = `artifacts/${appId}/public/data/userdata/${workspaceId}`;
+
+    useEffect(() => {
+        if (!isOpen || !workspaceId) return;
+        const customersCollection = collection(db, `${dataPath}/customers`);
+        getDocs(customersCollection).then(snapshot => {
+            setCustomers(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        });
+        const servicesCollection = collection(db, `${dataPath}/services`);
+        getDocs(servicesCollection).then(snapshot => {
+            setServices(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        });
+    }, [isOpen, workspaceId]);
+
+    useEffect(() => {
+        if (invoice) { setFormData({ ...invoice, items: invoice.items || [{ serviceId:'', name: '', quantity: 1, price: 0, vatCategory: 'standard' }], pricesIncludeVat: Boolean(invoice.pricesIncludeVat), discount: invoice.discount || 0, paymentTerms: invoice.paymentTerms || 'dueOnReceipt', dueDate: invoice.dueDate || '' });
+        } else { setFormData(emptyInvoiceForm(kind)); }
+        setError('');
+    }, [invoice, kind, isOpen]);
+    
+    const totals = calculateInvoiceTotals(formData.items, formData);
+    const dueDate = computeDueDate(formData.date, formData.paymentTerms, formData.dueDate);
+
+    const handleCustomerChange = (e) => {
+        const customerId = e.target.value;
+        const customer = customers.find(c => c.id === customerId);
+        setFormData(prev => ({ ...prev, customerId: customerId, customerName: customer ? customer.name : ''}));
+    };
+
+    const handleServiceChange = (index, e) => {
+        const serviceId = e.target.value;
+        const service = services.find(s => s.id === serviceId);
+        const newItems = [...formData.items];
+        if(service){
+            newItems[index] = { ...newItems[index], serviceId: service.id, name: service.name, price: service.price, unitCost: Number(service.cost) || 0, vatCategory: service.vatCategory || 'standard', vatRate: itemVatRate(service) };
+        } else {
+             newItems[index] = { ...newItems[index], serviceId: '', name: '', price: 0, unitCost: 0, vatCategory: 'standard', vatRate: VAT_CATEGORIES.standard.rate };
+        }
+        setFormData(prev => ({ ...prev, items: newItems }));
+    };
 
     const handleQuantityChange = (index, e) => {
         const newItems = [...formData.items];
@@ -668,12 +2614,28 @@ const InvoiceForm = ({ isOpen, onClose, onSave, invoice, username }) => {
         setFormData(prev => ({...prev, items: newItems}));
     }
 
-    const addItem = () => { setFormData(prev => ({ ...prev, items: [...prev.items, { serviceId: '', name: '', quantity: 1, price: 0 }] })); };
+    const addItem = () => { setFormData(prev => ({ ...prev, items: [...prev.items, { serviceId: '', name: '', quantity: 1, price: 0, vatCategory: 'standard' }] })); };
     const removeItem = (index) => { const items = formData.items.filter((_, i) => i !== index); setFormData(prev => ({ ...prev, items })); };
-    const handleSubmit = (e) => { e.preventDefault(); onSave(formData); };
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+        setSaving(true);
+        try {
+            await onSave(formData);
+        } catch (err) {
+            if (err instanceof InvoiceValidationError) {
+                setError(err.message);
+            } else {
+                console.error("Saving invoice form failed: ", err);
+                setError('تعذر الحفظ. يرجى المحاولة مرة أخرى.');
+            }
+        } finally {
+            setSaving(false);
+        }
+    };
 
     return (
-        <Modal isOpen={isOpen} onClose={onClose} title={invoice ? "تعديل فاتورة" : "فاتورة جديدة"}>
+        <Modal isOpen={isOpen} onClose={onClose} title={INVOICE_FORM_TITLES[kind][invoice ? 'edit' : 'add']}>
             <form onSubmit={handleSubmit} className="space-y-4">
                  <div>
                     <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">العميل</label>
@@ -682,10 +2644,63 @@ const InvoiceForm = ({ isOpen, onClose, onSave, invoice, username }) => {
                         {customers.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
                     </select>
                 </div>
+                {kind === 'recurring' && (
+                <div>
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">اسم الجدول</label>
+                    <input type="text" value={formData.name || ''} onChange={(e) => setFormData({...formData, name: e.target.value})} placeholder="مثال: اشتراك المتابعة الشهري" className="w-full p-2 border rounded-md bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-white" required />
+                </div>
+                )}
                 <div>
-                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">التاريخ</label>
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">{kind === 'recurring' ? 'تاريخ أول فاتورة' : 'التاريخ'}</label>
                     <input type="date" name="date" value={formData.date} onChange={(e) => setFormData({...formData, date: e.target.value})} className="w-full p-2 border rounded-md bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-white" required />
                 </div>
+                {kind === 'quotation' ? (
+                <div>
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">صالح حتى</label>
+                    <input type="date" value={formData.validUntil || ''} min={formData.date} onChange={(e) => setFormData({...formData, validUntil: e.target.value})} className="w-full p-2 border rounded-md bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-white" required />
+                </div>
+                ) : kind === 'recurring' ? (
+                <div className="grid grid-cols-3 gap-2">
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">التكرار</label>
+                        <select value={formData.frequency} onChange={(e) => setFormData({...formData, frequency: e.target.value})} className="w-full p-2 border rounded-md bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-white">
+                            {Object.entries(FREQUENCIES).map(([key, frequency]) => <option key={key} value={key}>{frequency.label}</option>)}
+                        </select>
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">تاريخ الانتهاء (اختياري)</label>
+                        <input type="date" value={formData.endDate || ''} min={formData.date} onChange={(e) => setFormData({...formData, endDate: e.target.value})} className="w-full p-2 border rounded-md bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-white" />
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">شروط الدفع</label>
+                        <select value={formData.paymentTerms} onChange={(e) => setFormData({...formData, paymentTerms: e.target.value})} className="w-full p-2 border rounded-md bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-white">
+                            {Object.entries(PAYMENT_TERMS).filter(([key]) => key !== 'custom').map(([key, terms]) => <option key={key} value={key}>{terms.label}</option>)}
+                        </select>
+                    </div>
+                </div>
+                ) : (
+                <div className="grid grid-cols-2 gap-2">
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">شروط الدفع</label>
+                        <select value={formData.paymentTerms} onChange={(e) => setFormData({...formData, paymentTerms: e.target.value, dueDate: e.target.value === 'custom' ? dueDate : ''})} className="w-full p-2 border rounded-md bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-white">
+                            {Object.entries(PAYMENT_TERMS).map(([key, terms]) => <option key={key} value={key}>{terms.label}</option>)}
+                        </select>
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">تاريخ الاستحقاق</label>
+                        {formData.paymentTerms === 'custom'
+                            ? <input type="date" value={formData.dueDate} min={formData.date} onChange={(e) => setFormData({...formData, dueDate: e.target.value})} className="w-full p-2 border rounded-md bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-white" required />
+                            : <input type="date" value={dueDate} readOnly className="w-full p-2 border rounded-md bg-gray-200 dark:bg-gray-600 dark:border-gray-500 dark:text-white" />}
+                    </div>
+                </div>
+                )}
+                <div>
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">طريقة التسعير</label>
+                    <select value={formData.pricesIncludeVat ? 'inclusive' : 'exclusive'} onChange={(e) => setFormData({...formData, pricesIncludeVat: e.target.value === 'inclusive'})} className="w-full p-2 border rounded-md bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-white">
+                        <option value="exclusive">الأسعار غير شاملة ضريبة القيمة المضافة</option>
+                        <option value="inclusive">الأسعار شاملة ضريبة القيمة المضافة</option>
+                    </select>
+                </div>
                 <h4 className="font-semibold pt-4 border-t dark:border-gray-700">البنود / الخدمات</h4>
                 {formData.items.map((item, index) => (
                     <div key={index} className="grid grid-cols-12 gap-2 items-center">
@@ -699,97 +2714,584 @@ const InvoiceForm = ({ isOpen, onClose, onSave, invoice, username }) => {
                     </div>
                 ))}
                  <button type="button" onClick={addItem} className="text-sm text-blue-600 hover:underline">+ إضافة بند آخر</button>
-                 <div className="pt-4 border-t dark:border-gray-700 text-right"><p className="text-lg font-bold">الإجمالي: ر.س {formData.total.toLocaleString()}</p></div>
-                <div className="flex justify-end pt-4"><button type="button" onClick={onClose} className="bg-gray-200 dark:bg-gray-600 text-gray-800 dark:text-gray-200 font-bold py-2 px-4 rounded-md ml-2">إلغاء</button><button type="submit" className="bg-blue-600 text-white font-bold py-2 px-4 rounded-md">حفظ</button></div>
+                 <div>
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">الخصم {formData.pricesIncludeVat ? '(شامل الضريبة)' : '(قبل الضريبة)'}</label>
+                    <input type="number" min="0" step="0.01" value={formData.discount} onChange={(e) => setFormData({...formData, discount: Number(e.target.value)})} className="w-full p-2 border rounded-md bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-white" />
+                 </div>
+                 <div className="pt-4 border-t dark:border-gray-700 text-right space-y-1 text-sm">
+                    <p className="flex justify-between"><span>المجموع قبل الضريبة</span><span>{formatMoney(totals.subtotal, profile)}</span></p>
+                    <p className="flex justify-between"><span>الخصم</span><span>{formatMoney(totals.discount, profile)}</span></p>
+                    <p className="flex justify-between"><span>المبلغ الخاضع للضريبة</span><span>{formatMoney(totals.taxableAmount, profile)}</span></p>
+                    <p className="flex justify-between"><span>ضريبة القيمة المضافة</span><span>{formatMoney(totals.vatAmount, profile)}</span></p>
+                    <p className="flex justify-between text-lg font-bold"><span>الإجمالي شامل الضريبة</span><span>{formatMoney(totals.grandTotal, profile)}</span></p>
+                 </div>
+                {error && <p className="text-sm text-red-600 bg-red-50 dark:bg-red-900 dark:text-red-200 p-2 rounded-md">{error}</p>}
+                <div className="flex justify-end pt-4"><button type="button" onClick={onClose} className="bg-gray-200 dark:bg-gray-600 text-gray-800 dark:text-gray-200 font-bold py-2 px-4 rounded-md ml-2">إلغاء</button><button type="submit" disabled={saving} className="bg-blue-600 text-white font-bold py-2 px-4 rounded-md disabled:bg-blue-300">{saving ? 'جارٍ الحفظ...' : 'حفظ'}</button></div>
             </form>
         </Modal>
     );
 };
 
-// --- Customers Component ---
-const Customers = ({username}) => {
-    const [customers, setCustomers] = useState([]);
+// Recurring schedules and their run log, shown as a view of the Invoices page.
+const RecurringInvoices = ({ workspaceId, role, username, profile }) => {
+    const [schedules, setSchedules] = useState([]);
+    const [runs, setRuns] = useState([]);
     const [isModalOpen, setIsModalOpen] = useState(false);
-    const [currentCustomer, setCurrentCustomer] = useState(null);
-    const dataPath = `artifacts/${appId}/public/data/userdata/${username}`;
+    const [currentSchedule, setCurrentSchedule] = useState(null);
+    const [outcomeFilter, setOutcomeFilter] = useState('problems');
+    const [running, setRunning] = useState(false);
+    const dataPath = `artifacts/${appId}/public/data/userdata/${workspaceId}`;
 
     useEffect(() => {
-        if(!username) return;
-        const customersCollection = collection(db, `${dataPath}/customers`);
-        const unsubscribe = onSnapshot(customersCollection, (snapshot) => {
-            const data = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-            setCustomers(data);
-        });
-        return () => unsubscribe();
-    }, [username]);
-    
-    const handleAdd = () => { setCurrentCustomer(null); setIsModalOpen(true); };
+        if (!workspaceId) return;
+        const unsubscribeSchedules = onSnapshot(collection(db, `${dataPath}/recurringSchedules`), (snapshot) => {
+            setSchedules(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        }, (error) => { console.error("Error in recurring schedules listener:", error) });
+        const unsubscribeRuns = onSnapshot(collection(db, `${dataPath}/recurringRuns`), (snapshot) => {
+            setRuns(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })).sort((a, b) => (a.at < b.at ? 1 : -1)));
+        }, (error) => { console.error("Error in recurring runs listener:", error) });
+        return () => {
+            unsubscribeSchedules();
+            unsubscribeRuns();
+        };
+    }, [workspaceId]);
 
-    const handleSave = async (customerData) => {
-        const customersCollection = collection(db, `${dataPath}/customers`);
-        if (currentCustomer && currentCustomer.id) {
-            const customerDoc = doc(db, `${dataPath}/customers`, currentCustomer.id);
-            await updateDoc(customerDoc, customerData);
+    const handleAdd = () => { setCurrentSchedule(null); setIsModalOpen(true); };
+
+    // Editing keeps the runs already made; the next run date is recomputed from the (possibly new) start date and frequency.
+    // Failures propagate to InvoiceForm, which shows them inside the form.
+    const handleSave = async (formData) => {
+        const isUpdate = Boolean(currentSchedule && currentSchedule.id);
+        if (!requirePermission(role, 'recurringInvoices', isUpdate ? 'update' : 'create')) return;
+        const totals = calculateInvoiceTotals(formData.items, formData);
+        const { name, customerId, customerName, items, pricesIncludeVat, discount, paymentTerms, frequency, endDate } = formData;
+        const schedule = { name, customerId, customerName, items, pricesIncludeVat: Boolean(pricesIncludeVat), discount: Number(discount) || 0, paymentTerms, frequency, startDate: formData.date, endDate: endDate || '', grandTotal: totals.grandTotal };
+        if (isUpdate) {
+            const status = currentSchedule.status === 'paused' ? 'paused' : 'active';
+            await updateDoc(doc(db, `${dataPath}/recurringSchedules`, currentSchedule.id), { ...schedule, ...advanceSchedule({ ...schedule, status }, Number(currentSchedule.runIndex) || 0) });
         } else {
-             await addDoc(customersCollection, {...customerData, joinDate: new Date().toISOString().slice(0, 10) });
+            await addDoc(collection(db, `${dataPath}/recurringSchedules`), { ...schedule, ...advanceSchedule({ ...schedule, status: 'active' }, 0), generatedCount: 0, createdBy: username, createdAt: serverTimestamp() });
         }
         setIsModalOpen(false);
     };
-    
-    const handleDelete = async (id) => {
-       if (window.confirm('هل أنت متأكد من حذف هذا العميل؟')) {
-         await deleteDoc(doc(db, `${dataPath}/customers`, id));
-       }
+
+    const handlePause = async (schedule) => {
+        if (!requirePermission(role, 'recurringInvoices', 'update')) return;
+        try {
+            await updateDoc(doc(db, `${dataPath}/recurringSchedules`, schedule.id), { status: 'paused' });
+        } catch (e) {
+            console.error("Pausing schedule failed: ", e);
+            window.alert('تعذر إيقاف الجدول مؤقتاً. يرجى المحاولة مرة أخرى.');
+        }
     };
-    
+
+    // Runs that fell due while the schedule was paused are logged as skipped rather than billed late.
+    const handleResume = async (schedule) => {
+        if (!requirePermission(role, 'recurringInvoices', 'update')) return;
+        const { generate, skip } = planRuns(schedule, todayIso(), 0);
+        const missed = [...skip, ...generate].map(run => ({ ...run, reason: 'paused' }));
+        try {
+            await skipRecurringRuns(dataPath, schedule.id, missed, username, { status: 'active' });
+        } catch (e) {
+            console.error("Resuming schedule failed: ", e);
+            window.alert('تعذر استئناف الجدول. يرجى المحاولة مرة أخرى.');
+        }
+    };
+
+    const handleDelete = async (schedule) => {
+        if (!requirePermission(role, 'recurringInvoices', 'delete')) return;
+        if (schedule.generatedCount > 0) {
+            window.alert('لا يمكن حذف جدول أصدر فواتير. أوقفه مؤقتاً أو حدد تاريخ انتهاء له.');
+            return;
+        }
+        if (!window.confirm('هل أنت متأكد من حذف هذا الجدول؟')) return;
+        try {
+            await deleteDoc(doc(db, `${dataPath}/recurringSchedules`, schedule.id));
+        } catch (e) {
+            console.error("Deleting schedule failed: ", e);
+            window.alert('تعذر حذف الجدول. يرجى المحاولة مرة أخرى.');
+        }
+    };
+
+    const handleRunNow = async () => {
+        setRunning(true);
+        try {
+            await generateDueRecurringInvoices(dataPath, username);
+        } catch (e) {
+            console.error("Running recurring invoices failed: ", e);
+            window.alert('تعذر تشغيل الفواتير الدورية. يرجى المحاولة مرة أخرى.');
+        } finally {
+            setRunning(false);
+        }
+    };
+
+    const visibleRuns = runs.filter(run => outcomeFilter === 'all' || (outcomeFilter === 'problems' ? run.outcome !== 'generated' : run.outcome === outcomeFilter)).slice(0, 100);
+    const outcomeStyles = {
+        generated: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-300',
+        skipped: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-300',
+        failed: 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-300',
+    };
+
     return (
-       <div className="bg-white dark:bg-gray-800 p-6 rounded-xl shadow-md">
-            <div className="flex justify-between items-center mb-6">
-                <h2 className="text-xl font-bold text-gray-800 dark:text-white">إدارة العملاء</h2>
-                <button onClick={handleAdd} className="flex items-center bg-blue-600 text-white font-semibold py-2 px-4 rounded-lg shadow-md hover:bg-blue-700 transition-colors"><PlusCircle className="mr-2" size={20}/> إضافة عميل</button>
+        <div className="space-y-6">
+            <div className="flex justify-between items-center">
+                <p className="text-sm text-gray-500 dark:text-gray-400">تُصدر الفواتير المستحقة تلقائياً عند فتح التطبيق من قبل أحد أعضاء مساحة العمل المخولين.</p>
+                <div className="flex items-center space-x-2">
+                    {can(role, 'recurringInvoices', 'update') && <button onClick={handleRunNow} disabled={running} className="bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 font-semibold py-2 px-4 rounded-lg ml-2 disabled:opacity-50">{running ? 'جاري التشغيل...' : 'تشغيل الآن'}</button>}
+                    {can(role, 'recurringInvoices', 'create') && <button onClick={handleAdd} className="flex items-center bg-blue-600 text-white font-semibold py-2 px-4 rounded-lg shadow-md hover:bg-blue-700 transition-colors"><PlusCircle className="mr-2" size={20}/> جدول جديد</button>}
+                </div>
             </div>
             <div className="overflow-x-auto">
-                 <table className="w-full text-sm text-right text-gray-500 dark:text-gray-400">
+                <table className="w-full text-sm text-right text-gray-500 dark:text-gray-400">
                     <thead className="text-xs text-gray-700 uppercase bg-gray-50 dark:bg-gray-700 dark:text-gray-400">
-                        <tr><th className="px-4 py-3">الاسم</th><th className="px-4 py-3">البريد الإلكتروني</th><th className="px-4 py-3">الهاتف</th><th className="px-4 py-3">تاريخ الانضمام</th><th className="px-4 py-3 text-left">إجراءات</th></tr>
+                        <tr><th className="px-4 py-3">الجدول</th><th className="px-4 py-3">العميل</th><th className="px-4 py-3">التكرار</th><th className="px-4 py-3">المبلغ</th><th className="px-4 py-3">الفاتورة التالية</th><th className="px-4 py-3">الانتهاء</th><th className="px-4 py-3">الفواتير الصادرة</th><th className="px-4 py-3">الحالة</th><th className="px-4 py-3 text-left">إجراءات</th></tr>
                     </thead>
                     <tbody>
-                        {customers.length > 0 ? ( customers.map(customer => (
-                                <tr key={customer.id} className="border-b dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-600">
-                                    <td className="px-4 py-3 font-medium text-gray-900 dark:text-white">{customer.name}</td>
-                                    <td className="px-4 py-3">{customer.email}</td>
-                                    <td className="px-4 py-3">{customer.phone}</td>
-                                    <td className="px-4 py-3">{customer.joinDate}</td>
-                                    <td className="px-4 py-3 flex items-center space-x-2 justify-end">
-                                        <button onClick={() => { setCurrentCustomer(customer); setIsModalOpen(true); }} className="p-2 text-blue-600 hover:text-blue-800"><Edit size={18}/></button>
-                                        <button onClick={() => handleDelete(customer.id)} className="p-2 text-red-600 hover:text-red-800"><Trash2 size={18}/></button>
-                                    </td>
-                                </tr>
-                            ))
-                        ) : (
-                             <tr>
-                                <td colSpan="5" className="text-center py-16 text-gray-500 dark:text-gray-400">
-                                    <Users size={48} className="mx-auto mb-4" />
-                                    <h3 className="text-xl font-semibold">قاعدة بيانات العملاء فارغة</h3>
-                                    <p className="mt-2">ابدأ بإضافة عميلك الأول لبناء علاقات قوية.</p>
-                                    <button onClick={handleAdd} className="mt-4 flex items-center mx-auto bg-blue-600 text-white font-semibold py-2 px-4 rounded-lg shadow-md hover:bg-blue-700 transition-colors"><PlusCircle className="mr-2" size={20}/> إضافة عميل جديد</button>
+                        {schedules.length > 0 ? schedules.map(schedule => (
+                            <tr key={schedule.id} className="border-b dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-600">
+                                <td className="px-4 py-3 font-medium text-gray-900 dark:text-white">{schedule.name}</td>
+                                <td className="px-4 py-3">{schedule.customerName}</td>
+                                <td className="px-4 py-3">{(FREQUENCIES[schedule.frequency] || FREQUENCIES.monthly).label}</td>
+                                <td className="px-4 py-3">{formatMoney(schedule.grandTotal, profile)}</td>
+                                <td className="px-4 py-3">{schedule.status === 'completed' ? '-' : schedule.nextRunDate}</td>
+                                <td className="px-4 py-3">{schedule.endDate || 'مفتوح'}</td>
+                                <td className="px-4 py-3">{schedule.generatedCount || 0}{schedule.lastInvoiceNo && <span className="text-xs mr-1" dir="ltr">({schedule.lastInvoiceNo})</span>}</td>
+                                <td className="px-4 py-3">{(SCHEDULE_STATUSES[schedule.status] || SCHEDULE_STATUSES.active).label}</td>
+                                <td className="px-4 py-3 flex items-center space-x-2 justify-end">
+                                    {can(role, 'recurringInvoices', 'update') && schedule.status === 'active' && <button onClick={() => handlePause(schedule)} className="px-2 py-1 text-xs text-yellow-700 hover:underline">إيقاف مؤقت</button>}
+                                    {can(role, 'recurringInvoices', 'update') && schedule.status === 'paused' && <button onClick={() => handleResume(schedule)} className="px-2 py-1 text-xs text-green-700 hover:underline">استئناف</button>}
+                                    {can(role, 'recurringInvoices', 'update') && schedule.status !== 'completed' && <button onClick={() => { setCurrentSchedule(schedule); setIsModalOpen(true); }} className="p-2 text-blue-600 hover:text-blue-800"><Edit size={18}/></button>}
+                                    {can(role, 'recurringInvoices', 'delete') && !(schedule.generatedCount > 0) && <button onClick={() => handleDelete(schedule)} className="p-2 text-red-600 hover:text-red-800"><Trash2 size={18}/></button>}
+                                </td>
+                            </tr>
+                        )) : (
+                            <tr>
+                                <td colSpan="9" className="text-center py-16 text-gray-500 dark:text-gray-400">
+                                    <Repeat size={48} className="mx-auto mb-4" />
+                                    <h3 className="text-xl font-semibold">لا توجد جداول فوترة دورية</h3>
+                                    <p className="mt-2">أنشئ جدولاً لعملاء الاشتراكات الشهرية لتصدر فواتيرهم تلقائياً.</p>
                                 </td>
                             </tr>
                         )}
                     </tbody>
                 </table>
             </div>
-            <CustomerForm isOpen={isModalOpen} onClose={() => setIsModalOpen(false)} onSave={handleSave} customer={currentCustomer} />
+            <div>
+                <div className="flex justify-between items-center mb-2">
+                    <h3 className="font-bold text-gray-800 dark:text-white">سجل التشغيل</h3>
+                    <select value={outcomeFilter} onChange={(e) => setOutcomeFilter(e.target.value)} className="p-2 border rounded-lg bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-white">
+                        <option value="problems">المتخطاة والفاشلة</option>
+                        <option value="all">الكل</option>
+                        {Object.entries(RUN_OUTCOMES).map(([key, outcome]) => <option key={key} value={key}>{outcome.label}</option>)}
+                    </select>
+                </div>
+                <table className="w-full text-sm text-right text-gray-500 dark:text-gray-400">
+                    <thead className="text-xs text-gray-700 uppercase bg-gray-50 dark:bg-gray-700 dark:text-gray-400">
+                        <tr><th className="px-4 py-2">الجدول</th><th className="px-4 py-2">تاريخ الإصدار</th><th className="px-4 py-2">النتيجة</th><th className="px-4 py-2">التفاصيل</th><th className="px-4 py-2">بواسطة</th><th className="px-4 py-2">الوقت</th></tr>
+                    </thead>
+                    <tbody>
+                        {visibleRuns.map(run => (
+                            <tr key={run.id} className="border-b dark:border-gray-700">
+                                <td className="px-4 py-2">{run.scheduleName}</td>
+                                <td className="px-4 py-2">{run.runDate}</td>
+                                <td className="px-4 py-2"><span className={`px-2 py-1 text-xs font-medium rounded-full ${outcomeStyles[run.outcome]}`}>{RUN_OUTCOMES[run.outcome].label}</span></td>
+                                <td className="px-4 py-2">{run.outcome === 'generated' ? <span dir="ltr">{run.invoiceNo}</span> : run.outcome === 'skipped' ? SKIP_REASONS[run.reason] : run.error}</td>
+                                <td className="px-4 py-2">{run.by}</td>
+                                <td className="px-4 py-2">{new Date(run.at).toLocaleString('ar-SA')}</td>
+                            </tr>
+                        ))}
+                        {visibleRuns.length === 0 && <tr><td colSpan="6" className="text-center py-6">لا توجد سجلات.</td></tr>}
+                    </tbody>
+                </table>
+            </div>
+            <InvoiceForm kind="recurring" isOpen={isModalOpen} onClose={() => setIsModalOpen(false)} onSave={handleSave} invoice={currentSchedule && { ...currentSchedule, date: currentSchedule.startDate }} workspaceId={workspaceId} profile={profile} />
         </div>
     );
 };
 
-const CustomerForm = ({ isOpen, onClose, onSave, customer }) => {
-    const [formData, setFormData] = useState({ name: '', email: '', phone: '' });
-    useEffect(() => { if (customer) setFormData(customer); else setFormData({ name: '', email: '', phone: '' }); }, [customer]);
-    const handleChange = (e) => setFormData({ ...formData, [e.target.name]: e.target.value });
-    const handleSubmit = (e) => { e.preventDefault(); onSave(formData); };
-    return (
+// --- Quotations Component ---
+// Price quotes share the invoice line-item editor and numbering machinery. Accepting a quote and converting it creates
+// the invoice in the same transaction that marks the quote, so each side keeps a link to the other.
+const Quotations = ({ workspaceId, role, username, profile }) => {
+    const [quotations, setQuotations] = useState([]);
+    const dataPath = `artifacts/${appId}/public/data/userdata/${workspaceId}`;
+    const [route, go] = useSectionRoute('quotations');
+    const routed = useRoutedDocument(`${dataPath}/quotations`, route.documentId, 'quotationNo');
+    const viewedQuotation = route.mode === 'view' ? routed.document : null;
+    const canEditRouted = Boolean(routed.document) && can(role, 'quotations', 'update') && canEditQuotation(routed.document);
+    const currentQuotation = route.mode === 'edit' && canEditRouted ? routed.document : null;
+    const isFormOpen = (route.mode === 'new' && can(role, 'quotations', 'create')) || Boolean(currentQuotation);
+
+    // A form link the user cannot act on (no permission, or the quotation has been converted since) falls back to viewing.
+    useEffect(() => {
+        if (route.mode === 'new' && !can(role, 'quotations', 'create')) go({}, { replace: true });
+        if (route.mode === 'edit' && routed.document && !canEditRouted) go({ documentId: route.documentId, mode: 'view' }, { replace: true });
+    }, [route.mode, route.documentId, routed.document, canEditRouted, role, go]);
+
+    useEffect(() => {
+        if (!workspaceId) return;
+        const unsubscribe = onSnapshot(collection(db, `${dataPath}/quotations`), (snapshot) => {
+            setQuotations(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })).sort((a, b) => (b.quotationNumber || 0) - (a.quotationNumber || 0)));
+        }, (error) => { console.error("Error in quotations listener:", error) });
+        return () => unsubscribe();
+    }, [workspaceId]);
+
+    const handleAdd = () => go({ mode: 'new' });
+
+    const handleSave = async (quotationData) => {
+        const isUpdate = Boolean(currentQuotation && currentQuotation.id);
+        if (!requirePermission(role, 'quotations', isUpdate ? 'update' : 'create')) return;
+        const totals = calculateInvoiceTotals(quotationData.items, quotationData);
+        const { customerId, customerName, date, validUntil, items, pricesIncludeVat, discount } = quotationData;
+        const dataToSave = { customerId, customerName, date, validUntil, items, pricesIncludeVat: Boolean(pricesIncludeVat), discount: Number(discount) || 0, ...totals };
+
+        if (isUpdate) {
+            await updateDoc(doc(db, `${dataPath}/quotations`, currentQuotation.id), dataToSave);
+        } else {
+            const seed = await loadCounterSeed(dataPath, 'quotations', profile, date);
+            await runTransaction(db, async (transaction) => {
+                const { sequence, formatted } = await nextDocumentNumber(transaction, dataPath, 'quotations', profile, date, seed);
+                transaction.set(doc(collection(db, `${dataPath}/quotations`)), { ...dataToSave, quotationNumber: sequence, quotationNo: formatted, status: 'draft', createdBy: username, createdAt: serverTimestamp() });
+            });
+        }
+        go();
+    };
+
+    const handleStatusChange = async (quotation, status) => {
+        if (!requirePermission(role, 'quotations', 'update')) return;
+        try {
+            await updateDoc(doc(db, `${dataPath}/quotations`, quotation.id), { status, statusChangedBy: username, statusChangedAt: new Date().toISOString() });
+        } catch (e) {
+            console.error("Changing quotation status failed: ", e);
+            window.alert('تعذر تغيير حالة عرض السعر. يرجى المحاولة مرة أخرى.');
+        }
+    };
+
+    const handleDelete = async (quotation) => {
+        if (!requirePermission(role, 'quotations', 'delete')) return;
+        if (quotation.invoiceId) {
+            window.alert('لا يمكن حذف عرض سعر تم تحويله إلى فاتورة.');
+            return;
+        }
+        if (!window.confirm('هل أنت متأكد من حذف عرض السعر؟')) return;
+        try {
+            await deleteDoc(doc(db, `${dataPath}/quotations`, quotation.id));
+        } catch (e) {
+            console.error("Deleting quotation failed: ", e);
+            window.alert('تعذر حذف عرض السعر. يرجى المحاولة مرة أخرى.');
+        }
+    };
+
+    const handleConvert = async (quotation) => {
+        if (!requirePermission(role, 'invoices', 'create')) return;
+        if (!window.confirm(`إنشاء فاتورة من عرض السعر ${formatQuotationNumber(quotation, profile)}؟`)) return;
+        const date = todayIso();
+        try {
+            const seed = await loadCounterSeed(dataPath, 'invoices', profile, date);
+            await runTransaction(db, async (transaction) => {
+                const quotationRef = doc(db, `${dataPath}/quotations`, quotation.id);
+                const quotationSnap = await transaction.get(quotationRef);
+                if (!quotationSnap.exists() || !canConvertQuotation(quotationSnap.data(), date)) {
+                    throw new Error("Quotation cannot be converted");
+                }
+                const quotationData = quotationSnap.data();
+                const { sequence, formatted } = await nextDocumentNumber(transaction, dataPath, 'invoices', profile, date, seed);
+                const invoiceRef = doc(collection(db, `${dataPath}/invoices`));
+                const quotationNo = formatQuotationNumber(quotationData, profile);
+
+                const invoice = withAuditId({
+                    ...buildInvoiceDocument(quotationToInvoice(quotationData, date)),
+                    invoiceNumber: sequence,
+                    invoiceNo: formatted,
+                    issuedAt: new Date().toISOString(),
+                    quotationId: quotation.id,
+                    quotationNo,
+                });
+
+                transaction.set(invoiceRef, invoice);
+                writeAuditEntry(transaction, invoiceRef, username, 'create', null, invoice);
+                transaction.update(quotationRef, { status: 'accepted', invoiceId: invoiceRef.id, invoiceNo: formatted, convertedBy: username, convertedAt: new Date().toISOString() });
+            });
+        } catch (e) {
+            console.error("Converting quotation failed: ", e);
+            window.alert('تعذر تحويل عرض السعر إلى فاتورة. تأكد من أنه ساري ولم يُحوَّل من قبل.');
+        }
+    };
+
+    const statusStyles = {
+        draft: 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-300',
+        sent: 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-300',
+        accepted: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-300',
+        rejected: 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-300',
+        expired: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-300',
+    };
+
+    const exportColumns = [
+        { key: 'quotationNo', label: 'رقم العرض', value: quotation => formatQuotationNumber(quotation, profile) },
+        { key: 'date', label: 'التاريخ' },
+        { key: 'customerName', label: 'العميل' },
+        { key: 'grandTotal', label: 'الإجمالي', value: quotation => Number(quotation.grandTotal) || 0 },
+        { key: 'validUntil', label: 'صالح حتى' },
+        { key: 'status', label: 'الحالة', value: quotation => QUOTATION_STATUSES[quotationStatus(quotation)].label },
+        { key: 'invoiceNo', label: 'الفاتورة' },
+    ];
+
+    return (
+        <div className="bg-white dark:bg-gray-800 p-6 rounded-xl shadow-md">
+            <div className="flex justify-between items-center mb-6">
+                <h2 className="text-xl font-bold text-gray-800 dark:text-white">عروض الأسعار</h2>
+                <div className="flex items-center">
+                    <ExportButtons columns={exportColumns} rows={quotations} fileName={`عروض-الأسعار-${todayIso()}`} />
+                    {can(role, 'quotations', 'create') && <button onClick={handleAdd} className="flex items-center bg-blue-600 text-white font-semibold py-2 px-4 rounded-lg shadow-md hover:bg-blue-700 transition-colors"><PlusCircle className="mr-2" size={20}/> عرض سعر جديد</button>}
+                </div>
+            </div>
+            <div className="overflow-x-auto">
+                <table className="w-full text-sm text-right text-gray-500 dark:text-gray-400">
+                    <thead className="text-xs text-gray-700 uppercase bg-gray-50 dark:bg-gray-700 dark:text-gray-400">
+                        <tr><th className="px-4 py-3">رقم العرض</th><th className="px-4 py-3">العميل</th><th className="px-4 py-3">الإجمالي</th><th className="px-4 py-3">التاريخ</th><th className="px-4 py-3">صالح حتى</th><th className="px-4 py-3">الحالة</th><th className="px-4 py-3">الفاتورة</th><th className="px-4 py-3 text-left">إجراءات</th></tr>
+                    </thead>
+                    <tbody>
+                        {quotations.length > 0 ? quotations.map(quotation => {
+                            const status = quotationStatus(quotation);
+                            return (
+                            <tr key={quotation.id} className="border-b dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-600">
+                                <td className="px-4 py-3 font-medium text-gray-900 dark:text-white">{formatQuotationNumber(quotation, profile)}</td>
+                                <td className="px-4 py-3">{quotation.customerName}</td>
+                                <td className="px-4 py-3">{formatMoney(quotation.grandTotal, profile)}</td>
+                                <td className="px-4 py-3">{quotation.date}</td>
+                                <td className="px-4 py-3">{quotation.validUntil}</td>
+                                <td className="px-4 py-3">
+                                    {can(role, 'quotations', 'update') && canEditQuotation(quotation) ? (
+                                        <select value={quotation.status} onChange={(e) => handleStatusChange(quotation, e.target.value)} className={`px-2 py-1 text-xs font-medium rounded-full border-0 ${statusStyles[status]}`}>
+                                            {['draft', 'sent', 'accepted', 'rejected'].map(key => <option key={key} value={key}>{QUOTATION_STATUSES[key].label}</option>)}
+                                        </select>
+                                    ) : (
+                                        <span className={`px-2 py-1 text-xs font-medium rounded-full ${statusStyles[status]}`}>{QUOTATION_STATUSES[status].label}</span>
+                                    )}
+                                </td>
+                                <td className="px-4 py-3" dir="ltr">{quotation.invoiceNo || '-'}</td>
+                                <td className="px-4 py-3 flex items-center space-x-2 justify-end">
+                                    <button onClick={() => go({ documentId: documentKey(quotation, 'quotationNo'), mode: 'view' })} title="عرض" className="p-2 text-gray-600 hover:text-gray-800 dark:text-gray-300 dark:hover:text-gray-100"><Eye size={18}/></button>
+                                    {can(role, 'invoices', 'create') && canConvertQuotation(quotation) && <button onClick={() => handleConvert(quotation)} title="تحويل إلى فاتورة" className="p-2 text-green-600 hover:text-green-800"><FileText size={18}/></button>}
+                                    {can(role, 'quotations', 'update') && canEditQuotation(quotation) && <button onClick={() => go({ documentId: documentKey(quotation, 'quotationNo'), mode: 'edit' })} className="p-2 text-blue-600 hover:text-blue-800"><Edit size={18}/></button>}
+                                    {can(role, 'quotations', 'delete') && !quotation.invoiceId && <button onClick={() => handleDelete(quotation)} className="p-2 text-red-600 hover:text-red-800"><Trash2 size={18}/></button>}
+                                </td>
+                            </tr>
+                        )}) : (
+                            <tr>
+                                <td colSpan="8" className="text-center py-16 text-gray-500 dark:text-gray-400">
+                                    <FileSignature size={48} className="mx-auto mb-4" />
+                                    <h3 className="text-xl font-semibold">لا توجد عروض أسعار</h3>
+                                    <p className="mt-2">أنشئ عرض سعر للعميل ثم حوّله إلى فاتورة بنقرة واحدة عند قبوله.</p>
+                                </td>
+                            </tr>
+                        )}
+                    </tbody>
+                </table>
+            </div>
+            <InvoiceForm kind="quotation" isOpen={isFormOpen} onClose={() => go()} onSave={handleSave} invoice={currentQuotation} workspaceId={workspaceId} profile={profile} />
+            {viewedQuotation && <QuotationView isOpen={Boolean(viewedQuotation)} onClose={() => go()} quotation={viewedQuotation} profile={profile} />}
+            <MissingDocumentNotice isOpen={routed.missing} onClose={() => go()} reference={route.documentId} />
+        </div>
+    );
+};
+
+const QuotationView = ({ isOpen, onClose, quotation, profile }) => {
+    const documentRef = useRef(null);
+    const quotationNumber = formatQuotationNumber(quotation, profile);
+    const items = quotation.items || [];
+
+    return (
+        <Modal isOpen={isOpen} onClose={onClose} title={`عرض سعر ${quotationNumber}`} wide>
+            <div ref={documentRef} className="print-area document bg-white text-gray-900 p-6 text-sm">
+                <DocumentHeader profile={profile} title="عرض سعر" number={quotationNumber} date={quotation.date} />
+                <div className="mb-4 p-3 bg-gray-50 rounded-md">
+                    <p className="font-bold">العميل: {quotation.customerName}</p>
+                    <p>صالح حتى: {quotation.validUntil}</p>
+                    {quotation.invoiceNo && <p>تم تحويله إلى الفاتورة: <span dir="ltr">{quotation.invoiceNo}</span></p>}
+                </div>
+                <table className="w-full text-right border-collapse mb-4">
+                    <thead className="bg-gray-800 text-white">
+                        <tr><th className="p-2">#</th><th className="p-2">البند</th><th className="p-2">الكمية</th><th className="p-2">سعر الوحدة</th><th className="p-2">نسبة الضريبة</th><th className="p-2">الضريبة</th><th className="p-2">الإجمالي</th></tr>
+                    </thead>
+                    <tbody>
+                        {items.map((item, index) => (
+                            <tr key={index} className="border-b">
+                                <td className="p-2">{index + 1}</td>
+                                <td className="p-2">{item.name}</td>
+                                <td className="p-2">{item.quantity}</td>
+                                <td className="p-2">{formatMoney(item.price, profile)}</td>
+                                <td className="p-2">{Math.round((item.vatRate || 0) * 100)}%</td>
+                                <td className="p-2">{formatMoney(item.vatAmount, profile)}</td>
+                                <td className="p-2">{formatMoney(item.lineTotal, profile)}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+                <table className="w-1/2 mr-auto">
+                    <tbody>
+                        <tr><td className="p-1">المجموع قبل الضريبة</td><td className="p-1 text-left">{formatMoney(quotation.subtotal, profile)}</td></tr>
+                        <tr><td className="p-1">الخصم</td><td className="p-1 text-left">{formatMoney(quotation.discount, profile)}</td></tr>
+                        <tr><td className="p-1">ضريبة القيمة المضافة</td><td className="p-1 text-left">{formatMoney(quotation.vatAmount, profile)}</td></tr>
+                        <tr className="border-t-2 border-gray-800 font-bold text-base"><td className="p-1">الإجمالي شامل الضريبة</td><td className="p-1 text-left">{formatMoney(quotation.grandTotal, profile)}</td></tr>
+                    </tbody>
+                </table>
+                <p className="mt-2 text-gray-600">{formatAmountInWords(quotation.grandTotal, profile)}</p>
+                <p className="mt-6 text-xs text-gray-500">هذا عرض سعر وليس فاتورة ضريبية، ولا يترتب عليه أي التزام بالدفع.</p>
+            </div>
+            <DocumentActions documentRef={documentRef} fileName={`${quotationNumber}.pdf`} />
+        </Modal>
+    );
+};
+
+// --- Customers Component ---
+const Customers = ({ workspaceId, role, username, profile }) => {
+    const [allCustomers, setAllCustomers] = useState([]);
+    const [historyCustomer, setHistoryCustomer] = useState(null);
+    const [isImportOpen, setIsImportOpen] = useState(false);
+    const dataPath = `artifacts/${appId}/public/data/userdata/${workspaceId}`;
+    const [listState, updateListState] = useListUrlState(LIST_SPECS.customers);
+    const list = usePagedList(`${dataPath}/customers`, LIST_SPECS.customers, listState);
+    const [route, go] = useSectionRoute('customers');
+    const routed = useRoutedDocument(`${dataPath}/customers`, route.documentId);
+    const statementCustomer = route.mode === 'view' ? routed.document : null;
+    const currentCustomer = route.mode === 'edit' && can(role, 'customers', 'update') ? routed.document : null;
+    const isFormOpen = (route.mode === 'new' && can(role, 'customers', 'create')) || Boolean(currentCustomer);
+
+    useEffect(() => {
+        if (route.mode === 'new' && !can(role, 'customers', 'create')) go({}, { replace: true });
+        if (route.mode === 'edit' && !can(role, 'customers', 'update')) go({ documentId: route.documentId, mode: 'view' }, { replace: true });
+    }, [route.mode, route.documentId, role, go]);
+    
+    const handleAdd = () => go({ mode: 'new' });
+    const handleView = (customer) => go({ documentId: customer.id, mode: 'view' });
+
+    // Duplicate detection compares against every customer, so the whole collection is read when the import opens.
+    const openImport = async () => {
+        try {
+            const snapshot = await getDocs(collection(db, `${dataPath}/customers`));
+            setAllCustomers(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+            setIsImportOpen(true);
+        } catch (error) {
+            console.error("Loading customers for import failed:", error);
+            window.alert('تعذر تحميل العملاء الحاليين. يرجى المحاولة مرة أخرى.');
+        }
+    };
+
+    const handleSave = async (customerData) => {
+        const isUpdate = Boolean(currentCustomer && currentCustomer.id);
+        if (!requirePermission(role, 'customers', isUpdate ? 'update' : 'create')) return;
+        const customersCollection = collection(db, `${dataPath}/customers`);
+        if (isUpdate) {
+            const customerDoc = doc(db, `${dataPath}/customers`, currentCustomer.id);
+            await auditedWrite(customerDoc, username, 'update', customerData);
+        } else {
+             await auditedWrite(doc(customersCollection), username, 'create', {...customerData, joinDate: new Date().toISOString().slice(0, 10) });
+        }
+        go();
+        list.reload();
+    };
+    
+    // A customer that has invoices or vouchers stays, so their statement and the reports keep adding up.
+    const handleDelete = async (id) => {
+        if (!requirePermission(role, 'customers', 'delete')) return;
+        try {
+            const referenced = await Promise.all(['invoices', 'vouchers'].map(collectionName =>
+                getDocs(query(collection(db, `${dataPath}/${collectionName}`), where("customerId", "==", id), limit(1)))));
+            if (referenced.some(snapshot => !snapshot.empty)) {
+                window.alert('لا يمكن حذف عميل مرتبط بفواتير أو سندات قبض.');
+                return;
+            }
+            if (!window.confirm('هل أنت متأكد من حذف هذا العميل؟')) return;
+            await auditedWrite(doc(db, `${dataPath}/customers`, id), username, 'delete');
+            list.reload();
+        } catch (e) {
+            console.error("Deleting customer failed: ", e);
+            window.alert('تعذر حذف العميل. يرجى المحاولة مرة أخرى.');
+        }
+    };
+
+    const handleImport = async (creates, updates) => {
+        if (!requirePermission(role, 'customers', 'create')) return null;
+        if (updates.length > 0 && !requirePermission(role, 'customers', 'update')) return null;
+        const joinDate = todayIso();
+        const summary = await importDocuments(`${dataPath}/customers`, creates.map(values => ({ name: '', email: '', phone: '', ...values, joinDate })), updates, username);
+        list.reload();
+        return summary;
+    };
+
+    const exportColumns = [
+        { key: 'name', label: 'الاسم' },
+        { key: 'email', label: 'البريد الإلكتروني' },
+        { key: 'phone', label: 'الهاتف' },
+        { key: 'joinDate', label: 'تاريخ الانضمام' },
+    ];
+
+    if (statementCustomer) {
+        return <CustomerStatement customer={statementCustomer} workspaceId={workspaceId} profile={profile} onBack={() => go()} />;
+    }
+    
+    return (
+       <div className="bg-white dark:bg-gray-800 p-6 rounded-xl shadow-md">
+            <div className="flex justify-between items-center mb-6">
+                <h2 className="text-xl font-bold text-gray-800 dark:text-white">إدارة العملاء</h2>
+                <div className="flex items-center">
+                    <ExportButtons columns={exportColumns} rows={() => loadAllListRows(`${dataPath}/customers`, LIST_SPECS.customers, listState)} fileName={`العملاء-${todayIso()}`} />
+                    {can(role, 'customers', 'create') && <button onClick={openImport} className="flex items-center bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 font-semibold py-2 px-4 rounded-lg ml-2"><Upload className="ml-2" size={18}/> استيراد</button>}
+                    {can(role, 'customers', 'create') && <button onClick={handleAdd} className="flex items-center bg-blue-600 text-white font-semibold py-2 px-4 rounded-lg shadow-md hover:bg-blue-700 transition-colors"><PlusCircle className="mr-2" size={20}/> إضافة عميل</button>}
+                </div>
+            </div>
+            <ListFilters spec={LIST_SPECS.customers} listState={listState} onChange={updateListState} searchPlaceholder="بحث بالاسم أو الهاتف أو البريد" dateLabel="الانضمام" />
+            <div className="overflow-x-auto">
+                 <table className="w-full text-sm text-right text-gray-500 dark:text-gray-400">
+                    <thead className="text-xs text-gray-700 uppercase bg-gray-50 dark:bg-gray-700 dark:text-gray-400">
+                        <tr><SortableHeader sortKey="name" listState={listState} onChange={updateListState}>الاسم</SortableHeader><th className="px-4 py-3">البريد الإلكتروني</th><th className="px-4 py-3">الهاتف</th><SortableHeader sortKey="joinDate" listState={listState} onChange={updateListState}>تاريخ الانضمام</SortableHeader><th className="px-4 py-3 text-left">إجراءات</th></tr>
+                    </thead>
+                    <tbody>
+                        {list.rows.length > 0 ? ( list.rows.map(customer => (
+                                <tr key={customer.id} className="border-b dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-600">
+                                    <td className="px-4 py-3 font-medium text-gray-900 dark:text-white"><button onClick={() => handleView(customer)} className="hover:underline">{customer.name}</button></td>
+                                    <td className="px-4 py-3">{customer.email}</td>
+                                    <td className="px-4 py-3">{customer.phone}</td>
+                                    <td className="px-4 py-3">{customer.joinDate}</td>
+                                    <td className="px-4 py-3 flex items-center space-x-2 justify-end">
+                                        <button onClick={() => handleView(customer)} title="كشف الحساب" className="p-2 text-gray-600 hover:text-gray-800 dark:text-gray-300 dark:hover:text-gray-100"><Eye size={18}/></button>
+                                        <button onClick={() => setHistoryCustomer(customer)} title="سجل التغييرات" className="p-2 text-gray-600 hover:text-gray-800 dark:text-gray-300 dark:hover:text-gray-100"><History size={18}/></button>
+                                        {can(role, 'customers', 'update') && <button onClick={() => go({ documentId: customer.id, mode: 'edit' })} className="p-2 text-blue-600 hover:text-blue-800"><Edit size={18}/></button>}
+                                        {can(role, 'customers', 'delete') && <button onClick={() => handleDelete(customer.id)} className="p-2 text-red-600 hover:text-red-800"><Trash2 size={18}/></button>}
+                                    </td>
+                                </tr>
+                            ))
+                        ) : list.loading || isFiltered(LIST_SPECS.customers, listState) ? (
+                            <tr><td colSpan="5" className="text-center py-10">{list.loading ? 'جارٍ التحميل...' : 'لا يوجد عملاء مطابقون.'}</td></tr>
+                        ) : (
+                             <tr>
+                                <td colSpan="5" className="text-center py-16 text-gray-500 dark:text-gray-400">
+                                    <Users size={48} className="mx-auto mb-4" />
+                                    <h3 className="text-xl font-semibold">قاعدة بيانات العملاء فارغة</h3>
+                                    <p className="mt-2">ابدأ بإضافة عميلك الأول لبناء علاقات قوية.</p>
+                                    {can(role, 'customers', 'create') && <button onClick={handleAdd} className="mt-4 flex items-center mx-auto bg-blue-600 text-white font-semibold py-2 px-4 rounded-lg shadow-md hover:bg-blue-700 transition-colors"><PlusCircle className="mr-2" size={20}/> إضافة عميل جديد</button>}
+                                </td>
+                            </tr>
+                        )}
+                    </tbody>
+                </table>
+            </div>
+            <Pager list={list} />
+            <CustomerForm isOpen={isFormOpen} onClose={() => go()} onSave={handleSave} customer={currentCustomer} />
+            <MissingDocumentNotice isOpen={routed.missing} onClose={() => go()} reference={route.documentId} />
+            <ImportModal isOpen={isImportOpen} onClose={() => setIsImportOpen(false)} entity="customers" title="استيراد العملاء" existing={allCustomers} canUpdate={can(role, 'customers', 'update')} onImport={handleImport} />
+            {historyCustomer && <DocumentHistory isOpen={Boolean(historyCustomer)} onClose={() => setHistoryCustomer(null)} workspaceId={workspaceId} collectionName="customers" documentId={historyCustomer.id} title={historyCustomer.name} />}
+        </div>
+    );
+};
+
+const CustomerForm = ({ isOpen, onClose, onSave, customer }) => {
+    const [formData, setFormData] = useState({ name: '', email: '', phone: '' });
+    useEffect(() => { if (customer) setFormData(customer); else setFormData({ name: '', email: '', phone: '' }); }, [customer]);
+    const handleChange = (e) => setFormData({ ...formData, [e.target.name]: e.target.value });
+    const handleSubmit = (e) => { e.preventDefault(); onSave(formData); };
+    return (
         <Modal isOpen={isOpen} onClose={onClose} title={customer ? "تعديل عميل" : "إضافة عميل"}>
             <form onSubmit={handleSubmit} className="space-y-4">
                 <input type="text" name="name" value={formData.name} onChange={handleChange} placeholder="الاسم الكامل" className="w-full p-2 border rounded-md bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-white" required />
@@ -802,57 +3304,213 @@ const CustomerForm = ({ isOpen, onClose, onSave, customer }) => {
 };
 
 
+// Statement of account: the customer's invoices, credit notes and receipt vouchers as one ledger with a running balance.
+const customerLedgerEntries = (invoices, creditNotes, vouchers, profile) => [
+    ...invoices.map(invoice => ({ date: invoice.date, type: 'فاتورة', reference: formatInvoiceNumber(invoice, profile), debit: invoiceGrandTotal(invoice), credit: 0 })),
+    ...creditNotes.map(note => ({ date: note.date, type: 'إشعار دائن', reference: formatCreditNoteNumber(note, profile), note: note.invoiceNo, debit: 0, credit: Number(note.grandTotal) || 0 })),
+    ...vouchers.filter(voucher => !isVoided(voucher)).map(voucher => ({ date: voucher.date, type: 'سند قبض', reference: formatVoucherNumber(voucher, profile), note: voucherAllocations(voucher).map(allocation => formatInvoiceNumber(allocation, profile)).join('، ') || 'دفعة مقدمة', debit: 0, credit: Number(voucher.amount) || 0 })),
+];
+
+const CustomerStatement = ({ customer, workspaceId, profile, onBack }) => {
+    const [invoices, setInvoices] = useState([]);
+    const [creditNotes, setCreditNotes] = useState([]);
+    const [vouchers, setVouchers] = useState([]);
+    const [range, setRange] = useState({ from: `${todayIso().slice(0, 4)}-01-01`, to: todayIso() });
+    const [printOpen, setPrintOpen] = useState(false);
+    const documentRef = useRef(null);
+
+    useEffect(() => {
+        if (!workspaceId) return;
+        const dataPath = `artifacts/${appId}/public/data/userdata/${workspaceId}`;
+        const byCustomer = (collectionName, setter) => onSnapshot(query(collection(db, `${dataPath}/${collectionName}`), where("customerId", "==", customer.id)), (snapshot) => {
+            setter(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        }, (error) => { console.error(`Error in customer ${collectionName} listener:`, error) });
+        const unsubscribers = [byCustomer('invoices', setInvoices), byCustomer('creditNotes', setCreditNotes), byCustomer('vouchers', setVouchers)];
+        return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+    }, [workspaceId, customer.id]);
+
+    const statement = buildStatement(customerLedgerEntries(invoices, creditNotes, vouchers, profile), range);
+    const openInvoices = invoices.filter(invoice => invoice.status !== 'ملغاة' && invoiceRemaining(invoice) > 0);
+    const outstanding = round2(openInvoices.reduce((sum, invoice) => sum + invoiceRemaining(invoice), 0));
+    const overdue = round2(openInvoices.filter(invoice => isPastDue(invoice, invoiceRemaining(invoice))).reduce((sum, invoice) => sum + invoiceRemaining(invoice), 0));
+    const unappliedCredit = round2(vouchers.reduce((sum, voucher) => sum + voucherUnapplied(voucher), 0));
+
+    const statementDocument = (
+        <div className="document bg-white text-gray-900 p-6 text-sm">
+            <DocumentHeader profile={profile} title="كشف حساب عميل" number={customer.name} date={`من ${range.from} إلى ${range.to}`} />
+            <div className="mb-4 p-3 bg-gray-50 rounded-md flex justify-between">
+                <div>
+                    <p className="font-bold">العميل: {customer.name}</p>
+                    {customer.phone && <p>الهاتف: <span dir="ltr">{customer.phone}</span></p>}
+                    {customer.email && <p>البريد الإلكتروني: <span dir="ltr">{customer.email}</span></p>}
+                </div>
+                <div>
+                    <p>إجمالي المستحق: <span className="font-bold">{formatMoney(outstanding, profile)}</span></p>
+                    <p>المتأخر: <span className="font-bold text-red-700">{formatMoney(overdue, profile)}</span></p>
+                    {unappliedCredit > 0 && <p>رصيد دائن غير مخصص: <span className="font-bold">{formatMoney(unappliedCredit, profile)}</span></p>}
+                </div>
+            </div>
+            <table className="w-full text-right border-collapse">
+                <thead className="bg-gray-800 text-white">
+                    <tr><th className="p-2">التاريخ</th><th className="p-2">البيان</th><th className="p-2">المرجع</th><th className="p-2">مدين</th><th className="p-2">دائن</th><th className="p-2">الرصيد</th></tr>
+                </thead>
+                <tbody>
+                    <tr className="border-b bg-gray-50 font-semibold"><td className="p-2">{range.from}</td><td className="p-2" colSpan="4">الرصيد الافتتاحي</td><td className="p-2">{formatMoney(statement.openingBalance, profile)}</td></tr>
+                    {statement.lines.map((line, index) => (
+                        <tr key={index} className="border-b">
+                            <td className="p-2">{line.date}</td>
+                            <td className="p-2">{line.type}{line.note ? ` - ${line.note}` : ''}</td>
+                            <td className="p-2" dir="ltr">{line.reference}</td>
+                            <td className="p-2">{line.debit ? formatMoney(line.debit, profile) : ''}</td>
+                            <td className="p-2">{line.credit ? formatMoney(line.credit, profile) : ''}</td>
+                            <td className="p-2">{formatMoney(line.balance, profile)}</td>
+                        </tr>
+                    ))}
+                    <tr className="border-t-2 border-gray-800 font-bold"><td className="p-2" colSpan="3">الإجمالي</td><td className="p-2">{formatMoney(statement.totalDebit, profile)}</td><td className="p-2">{formatMoney(statement.totalCredit, profile)}</td><td className="p-2"></td></tr>
+                    <tr className="font-bold text-base"><td className="p-2">{range.to}</td><td className="p-2" colSpan="4">الرصيد الختامي</td><td className="p-2">{formatMoney(statement.closingBalance, profile)}</td></tr>
+                </tbody>
+            </table>
+        </div>
+    );
+
+    return (
+        <div className="bg-white dark:bg-gray-800 p-6 rounded-xl shadow-md">
+            <div className="flex flex-wrap justify-between items-center gap-4 mb-6">
+                <div className="flex items-center">
+                    <button onClick={onBack} title="العودة إلى العملاء" className="p-2 ml-2 text-gray-600 hover:text-gray-800 dark:text-gray-300"><ArrowRight size={20}/></button>
+                    <h2 className="text-xl font-bold text-gray-800 dark:text-white">كشف حساب: {customer.name}</h2>
+                </div>
+                <div className="flex items-center space-x-2">
+                    <label className="text-sm text-gray-600 dark:text-gray-300 ml-2">من</label>
+                    <input type="date" value={range.from} max={range.to} onChange={(e) => setRange({ ...range, from: e.target.value })} className="p-2 border rounded-md bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-white ml-2" />
+                    <label className="text-sm text-gray-600 dark:text-gray-300 ml-2">إلى</label>
+                    <input type="date" value={range.to} min={range.from} onChange={(e) => setRange({ ...range, to: e.target.value })} className="p-2 border rounded-md bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-white ml-2" />
+                    <button onClick={() => setPrintOpen(true)} className="flex items-center bg-blue-600 text-white font-semibold py-2 px-4 rounded-lg shadow-md hover:bg-blue-700 transition-colors"><Printer className="ml-2" size={18}/> طباعة / PDF</button>
+                </div>
+            </div>
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-6">
+                {[
+                    { label: 'الرصيد الافتتاحي', value: statement.openingBalance },
+                    { label: 'الرصيد الختامي', value: statement.closingBalance },
+                    { label: 'إجمالي المستحق', value: outstanding },
+                    { label: 'المتأخر', value: overdue },
+                    { label: 'رصيد دائن غير مخصص', value: unappliedCredit },
+                ].map(card => (
+                    <div key={card.label} className="p-4 rounded-lg bg-gray-50 dark:bg-gray-700">
+                        <p className="text-sm text-gray-500 dark:text-gray-400">{card.label}</p>
+                        <p className="text-lg font-bold text-gray-800 dark:text-white">{formatMoney(card.value, profile)}</p>
+                    </div>
+                ))}
+            </div>
+            <div className="overflow-x-auto rounded-lg border dark:border-gray-700">{statementDocument}</div>
+            <Modal isOpen={printOpen} onClose={() => setPrintOpen(false)} title={`كشف حساب ${customer.name}`} wide>
+                <div ref={documentRef} className="print-area">{statementDocument}</div>
+                <DocumentActions documentRef={documentRef} fileName={`كشف-حساب-${customer.name}-${range.to}.pdf`} />
+            </Modal>
+        </div>
+    );
+};
+
 // --- Services Component ---
-const Services = ({username}) => {
+const Services = ({ workspaceId, role, username, profile }) => {
     const [services, setServices] = useState([]);
-    const [isModalOpen, setIsModalOpen] = useState(false);
-    const [currentService, setCurrentService] = useState(null);
-    const dataPath = `artifacts/${appId}/public/data/userdata/${username}`;
+    const [historyService, setHistoryService] = useState(null);
+    const [isImportOpen, setIsImportOpen] = useState(false);
+    const dataPath = `artifacts/${appId}/public/data/userdata/${workspaceId}`;
+    const [route, go] = useSectionRoute('services');
+    const routed = useRoutedDocument(`${dataPath}/services`, route.documentId);
+    const currentService = route.mode === 'edit' && can(role, 'services', 'update') ? routed.document : null;
+    const isFormOpen = (route.mode === 'new' && can(role, 'services', 'create')) || Boolean(currentService);
+
+    // A service has no page of its own, so its link opens the form for those who may edit it and the list for everyone else.
+    useEffect(() => {
+        if (route.mode === 'new' && !can(role, 'services', 'create')) go({}, { replace: true });
+        if (route.documentId && !can(role, 'services', 'update')) go({}, { replace: true });
+        else if (route.mode === 'view') go({ documentId: route.documentId, mode: 'edit' }, { replace: true });
+    }, [route.mode, route.documentId, role, go]);
 
     useEffect(() => {
-        if(!username) return;
+        if(!workspaceId) return;
         const servicesCollection = collection(db, `${dataPath}/services`);
         const unsubscribe = onSnapshot(servicesCollection, (snapshot) => {
             const data = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
             setServices(data);
         });
         return () => unsubscribe();
-    }, [username]);
+    }, [workspaceId]);
     
-    const handleAdd = () => { setCurrentService(null); setIsModalOpen(true); };
+    const handleAdd = () => go({ mode: 'new' });
 
     const handleSave = async (serviceData) => {
+        const isUpdate = Boolean(currentService && currentService.id);
+        if (!requirePermission(role, 'services', isUpdate ? 'update' : 'create')) return;
         const servicesCollection = collection(db, `${dataPath}/services`);
-        const data = { ...serviceData, price: Number(serviceData.price) };
-        if (currentService && currentService.id) {
+        const vatCategory = serviceData.vatCategory || 'standard';
+        const data = { ...serviceData, price: Number(serviceData.price), cost: Number(serviceData.cost) || 0, vatCategory, vatRate: VAT_CATEGORIES[vatCategory].rate };
+        if (isUpdate) {
             const serviceDoc = doc(db, `${dataPath}/services`, currentService.id);
-            await updateDoc(serviceDoc, data);
+            await auditedWrite(serviceDoc, username, 'update', data);
         } else {
-            await addDoc(servicesCollection, data);
+            await auditedWrite(doc(servicesCollection), username, 'create', data);
         }
-        setIsModalOpen(false);
+        go();
     };
 
     const handleDelete = async (id) => {
-       if (window.confirm('هل أنت متأكد من حذف هذه الخدمة؟')) {
-         await deleteDoc(doc(db, `${dataPath}/services`, id));
-       }
+        if (!requirePermission(role, 'services', 'delete')) return;
+        if (!window.confirm('هل أنت متأكد من حذف هذه الخدمة؟')) return;
+        try {
+            await auditedWrite(doc(db, `${dataPath}/services`, id), username, 'delete');
+        } catch (e) {
+            console.error("Deleting service failed: ", e);
+            window.alert('تعذر حذف الخدمة. يرجى المحاولة مرة أخرى.');
+        }
     };
+
+    // Imported rows get the same defaults as the form; the VAT rate always follows the category.
+    const handleImport = async (creates, updates) => {
+        if (!requirePermission(role, 'services', 'create')) return null;
+        if (updates.length > 0 && !requirePermission(role, 'services', 'update')) return null;
+        const withRate = (values) => (values.vatCategory ? { ...values, vatRate: VAT_CATEGORIES[values.vatCategory].rate } : values);
+        return importDocuments(
+            `${dataPath}/services`,
+            creates.map(values => withRate({ description: '', cost: 0, vatCategory: 'standard', ...values })),
+            updates.map(update => ({ ...update, values: withRate(update.values) })),
+            username,
+        );
+    };
+
+    const exportColumns = [
+        { key: 'name', label: 'اسم الخدمة' },
+        { key: 'description', label: 'الوصف' },
+        { key: 'price', label: 'السعر', value: service => Number(service.price) || 0 },
+        { key: 'cost', label: 'التكلفة', value: service => Number(service.cost) || 0 },
+        { key: 'vatCategory', label: 'فئة الضريبة', value: service => VAT_CATEGORIES[service.vatCategory || 'standard'].label },
+    ];
     
     return (
        <div className="bg-white dark:bg-gray-800 p-6 rounded-xl shadow-md">
-            <div className="flex justify-between items-center mb-6"><h2 className="text-xl font-bold text-gray-800 dark:text-white">إدارة الخدمات</h2><button onClick={handleAdd} className="flex items-center bg-blue-600 text-white font-semibold py-2 px-4 rounded-lg shadow-md hover:bg-blue-700 transition-colors"><PlusCircle className="mr-2" size={20}/> إضافة خدمة</button></div>
+            <div className="flex justify-between items-center mb-6">
+                <h2 className="text-xl font-bold text-gray-800 dark:text-white">إدارة الخدمات</h2>
+                <div className="flex items-center">
+                    <ExportButtons columns={exportColumns} rows={services} fileName={`الخدمات-${todayIso()}`} />
+                    {can(role, 'services', 'create') && <button onClick={() => setIsImportOpen(true)} className="flex items-center bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 font-semibold py-2 px-4 rounded-lg ml-2"><Upload className="ml-2" size={18}/> استيراد</button>}
+                    {can(role, 'services', 'create') && <button onClick={handleAdd} className="flex items-center bg-blue-600 text-white font-semibold py-2 px-4 rounded-lg shadow-md hover:bg-blue-700 transition-colors"><PlusCircle className="mr-2" size={20}/> إضافة خدمة</button>}
+                </div>
+            </div>
             <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
                  {services.length > 0 ? ( services.map(service => (
                         <div key={service.id} className="bg-gray-50 dark:bg-gray-700 rounded-lg shadow-sm overflow-hidden flex flex-col">
                             <div className="p-4 flex-1 flex flex-col">
                                 <h3 className="font-bold text-lg text-gray-800 dark:text-white">{service.name}</h3>
                                 <p className="text-sm text-gray-500 dark:text-gray-400 mt-1 flex-1">{service.description || 'لا يوجد وصف'}</p>
-                                <div className="flex justify-between items-center mt-4"><p className="text-lg font-bold text-blue-600 dark:text-blue-400">ر.س {Number(service.price).toLocaleString()}</p></div>
+                                <div className="flex justify-between items-center mt-4"><p className="text-lg font-bold text-blue-600 dark:text-blue-400">{formatMoney(service.price, profile)}</p><span className="text-xs text-gray-500 dark:text-gray-400">{VAT_CATEGORIES[service.vatCategory || 'standard'].label}</span></div>
+                                {Number(service.cost) > 0 && <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">التكلفة: {formatMoney(service.cost, profile)}</p>}
                             </div>
                              <div className="p-2 bg-gray-100 dark:bg-gray-600 flex justify-end space-x-2 space-x-reverse">
-                                 <button onClick={() => { setCurrentService(service); setIsModalOpen(true); }} className="p-2 text-blue-600 hover:bg-blue-100 dark:hover:bg-blue-900 rounded-full"><Edit size={18}/></button>
-                                 <button onClick={() => handleDelete(service.id)} className="p-2 text-red-600 hover:bg-red-100 dark:hover:bg-red-900 rounded-full"><Trash2 size={18}/></button>
+                                 <button onClick={() => setHistoryService(service)} title="سجل التغييرات" className="p-2 text-gray-600 hover:bg-gray-200 dark:text-gray-300 dark:hover:bg-gray-500 rounded-full"><History size={18}/></button>
+                                 {can(role, 'services', 'update') && <button onClick={() => go({ documentId: service.id, mode: 'edit' })} className="p-2 text-blue-600 hover:bg-blue-100 dark:hover:bg-blue-900 rounded-full"><Edit size={18}/></button>}
+                                 {can(role, 'services', 'delete') && <button onClick={() => handleDelete(service.id)} className="p-2 text-red-600 hover:bg-red-100 dark:hover:bg-red-900 rounded-full"><Trash2 size={18}/></button>}
                              </div>
                         </div>
                     ))
@@ -861,19 +3519,22 @@ const Services = ({username}) => {
                          <Briefcase size={48} className="mx-auto mb-4" />
                          <h3 className="text-xl font-semibold">لا توجد خدمات معرفة</h3>
                          <p className="mt-2">ابدأ بإضافة خدماتك مثل: تأسيس شركات، إصدار إقامة مميزة،...</p>
-                         <button onClick={handleAdd} className="mt-4 flex items-center mx-auto bg-blue-600 text-white font-semibold py-2 px-4 rounded-lg shadow-md hover:bg-blue-700 transition-colors"><PlusCircle className="mr-2" size={20}/> إضافة خدمة جديدة</button>
+                         {can(role, 'services', 'create') && <button onClick={handleAdd} className="mt-4 flex items-center mx-auto bg-blue-600 text-white font-semibold py-2 px-4 rounded-lg shadow-md hover:bg-blue-700 transition-colors"><PlusCircle className="mr-2" size={20}/> إضافة خدمة جديدة</button>}
                     </div>
                 )}
             </div>
-            <ServiceForm isOpen={isModalOpen} onClose={() => setIsModalOpen(false)} onSave={handleSave} service={currentService} />
+            <ServiceForm isOpen={isFormOpen} onClose={() => go()} onSave={handleSave} service={currentService} />
+            <MissingDocumentNotice isOpen={routed.missing} onClose={() => go()} reference={route.documentId} />
+            <ImportModal isOpen={isImportOpen} onClose={() => setIsImportOpen(false)} entity="services" title="استيراد الخدمات" existing={services} canUpdate={can(role, 'services', 'update')} onImport={handleImport} />
+            {historyService && <DocumentHistory isOpen={Boolean(historyService)} onClose={() => setHistoryService(null)} workspaceId={workspaceId} collectionName="services" documentId={historyService.id} title={historyService.name} />}
         </div>
     );
 };
 
 
 const ServiceForm = ({ isOpen, onClose, onSave, service }) => {
-    const [formData, setFormData] = useState({ name: '', description: '', price: ''});
-    useEffect(() => { if (service) setFormData(service); else setFormData({ name: '', description: '', price: '' }); }, [service]);
+    const [formData, setFormData] = useState({ name: '', description: '', price: '', cost: '', vatCategory: 'standard' });
+    useEffect(() => { if (service) setFormData({ vatCategory: 'standard', cost: '', ...service }); else setFormData({ name: '', description: '', price: '', cost: '', vatCategory: 'standard' }); }, [service]);
     const handleChange = (e) => setFormData({ ...formData, [e.target.name]: e.target.value });
     const handleSubmit = (e) => { e.preventDefault(); onSave(formData); };
     return (
@@ -881,7 +3542,14 @@ const ServiceForm = ({ isOpen, onClose, onSave, service }) => {
             <form onSubmit={handleSubmit} className="space-y-4">
                 <input type="text" name="name" value={formData.name} onChange={handleChange} placeholder="اسم الخدمة" className="w-full p-2 border rounded-md bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-white" required />
                 <textarea name="description" value={formData.description} onChange={handleChange} placeholder="وصف الخدمة" className="w-full p-2 border rounded-md bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-white" rows="3"></textarea>
-                <div><label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">السعر / التكلفة</label><input type="number" name="price" value={formData.price} onChange={handleChange} placeholder="0.00" className="w-full p-2 border rounded-md bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-white" required /></div>
+                <div><label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">سعر البيع</label><input type="number" name="price" value={formData.price} onChange={handleChange} placeholder="0.00" className="w-full p-2 border rounded-md bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-white" required /></div>
+                <div><label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">تكلفة تقديم الخدمة (اختياري)</label><input type="number" step="0.01" min="0" name="cost" value={formData.cost} onChange={handleChange} placeholder="0.00" className="w-full p-2 border rounded-md bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-white" /><p className="text-xs text-gray-500 mt-1">تُحفظ مع كل فاتورة لحساب صافي الربح.</p></div>
+                <div>
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">فئة ضريبة القيمة المضافة</label>
+                    <select name="vatCategory" value={formData.vatCategory} onChange={handleChange} className="w-full p-2 border rounded-md bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-white">
+                        {Object.entries(VAT_CATEGORIES).map(([key, category]) => <option key={key} value={key}>{category.label}</option>)}
+                    </select>
+                </div>
                 <div className="flex justify-end pt-4"><button type="button" onClick={onClose} className="bg-gray-200 dark:bg-gray-600 text-gray-800 dark:text-gray-200 font-bold py-2 px-4 rounded-md ml-2">إلغاء</button><button type="submit" className="bg-blue-600 text-white font-bold py-2 px-4 rounded-md">حفظ</button></div>
             </form>
         </Modal>
@@ -889,108 +3557,262 @@ const ServiceForm = ({ isOpen, onClose, onSave, service }) => {
 };
 
 // --- Payment Vouchers Component ---
-const PaymentVouchers = ({ username }) => {
-    const [vouchers, setVouchers] = useState([]);
-    const [isModalOpen, setIsModalOpen] = useState(false);
-    const dataPath = `artifacts/${appId}/public/data/userdata/${username}`;
+const PaymentVouchers = ({ workspaceId, role, username, profile }) => {
+    const [accounts, setAccounts] = useState([]);
+    const [closingLedger, setClosingLedger] = useState({ vouchers: [], disbursements: [] });
+    const [historyVoucher, setHistoryVoucher] = useState(null);
+    const [closingOpen, setClosingOpen] = useState(false);
+    const dataPath = `artifacts/${appId}/public/data/userdata/${workspaceId}`;
+    const [listState, updateListState] = useListUrlState(LIST_SPECS.vouchers);
+    const list = usePagedList(`${dataPath}/vouchers`, LIST_SPECS.vouchers, listState, VOUCHER_LIST_ACCESSORS);
+    const [route, go] = useSectionRoute('vouchers');
+    const routed = useRoutedDocument(`${dataPath}/vouchers`, route.documentId, 'voucherNo');
+    const viewedVoucher = route.mode === 'view' ? routed.document : null;
+    const canEditRouted = Boolean(routed.document) && can(role, 'vouchers', 'update') && !isVoided(routed.document);
+    const currentVoucher = route.mode === 'edit' && canEditRouted ? routed.document : null;
+    const isFormOpen = (route.mode === 'new' && can(role, 'vouchers', 'create')) || Boolean(currentVoucher);
 
+    // A form link the user cannot act on (no permission, or the voucher has been voided since) falls back to viewing.
     useEffect(() => {
-        if (!username) return;
-        const vouchersCollection = collection(db, `${dataPath}/vouchers`);
-        const unsubscribe = onSnapshot(vouchersCollection, (snapshot) => {
-            const data = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-            setVouchers(data);
-        });
-        return () => unsubscribe();
-    }, [username]);
+        if (route.mode === 'new' && !can(role, 'vouchers', 'create')) go({}, { replace: true });
+        if (route.mode === 'edit' && routed.document && !canEditRouted) go({ documentId: route.documentId, mode: 'view' }, { replace: true });
+    }, [route.mode, route.documentId, routed.document, canEditRouted, role, go]);
 
-    const handleAdd = () => setIsModalOpen(true);
-    const handleDelete = async (id) => {
-       if (window.confirm('هل أنت متأكد من حذف هذا السند؟ لا يمكن التراجع عن هذه العملية.')) {
-         await deleteDoc(doc(db, `${dataPath}/vouchers`, id));
-       }
+    useEffect(() => {
+        if (!workspaceId) return;
+        const unsubscribeAccounts = onSnapshot(collection(db, `${dataPath}/accounts`), (snapshot) => {
+            setAccounts(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        }, (error) => { console.error("Error in accounts listener:", error) });
+        return () => unsubscribeAccounts();
+    }, [workspaceId]);
+
+    // Opening balances need every voucher and disbursement up to the chosen day, so the closing report reads both ledgers when opened.
+    const openClosing = async () => {
+        try {
+            const [vouchersSnap, disbursementsSnap] = await Promise.all([getDocs(collection(db, `${dataPath}/vouchers`)), getDocs(collection(db, `${dataPath}/disbursements`))]);
+            const toRows = (snapshot) => snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+            setClosingLedger({ vouchers: toRows(vouchersSnap), disbursements: toRows(disbursementsSnap) });
+            setClosingOpen(true);
+        } catch (error) {
+            console.error("Loading daily closing failed:", error);
+            window.alert('تعذر تحميل بيانات الإقفال. يرجى المحاولة مرة أخرى.');
+        }
     };
 
-    const handleSave = async (voucherData) => {
+    const exportColumns = [
+        { key: 'voucherNo', label: 'رقم السند', value: voucher => formatVoucherNumber(voucher, profile) },
+        { key: 'date', label: 'التاريخ' },
+        { key: 'customerName', label: 'العميل' },
+        { key: 'invoices', label: 'الفواتير', value: voucher => voucherAllocations(voucher).map(allocation => formatInvoiceNumber(allocation, profile)).join('، ') },
+        { key: 'amount', label: 'المبلغ', value: voucher => Number(voucher.amount) || 0 },
+        { key: 'unapplied', label: 'رصيد دائن غير مخصص', value: voucherUnapplied },
+        { key: 'paymentMethod', label: 'طريقة الدفع', value: voucher => PAYMENT_METHODS[paymentMethodOf(voucher)].label },
+        { key: 'chequeNumber', label: 'رقم الشيك' },
+        { key: 'accountName', label: 'الحساب', value: voucher => voucher.accountName || 'غير محدد' },
+        { key: 'status', label: 'الحالة', value: voucher => (isVoided(voucher) ? 'ملغى' : 'ساري') },
+    ];
+
+    const handleAdd = () => go({ mode: 'new' });
+    const handleView = (voucher) => go({ documentId: documentKey(voucher, 'voucherNo'), mode: 'view' });
+    const handleEdit = (voucher) => go({ documentId: documentKey(voucher, 'voucherNo'), mode: 'edit' });
+
+    // Vouchers are never deleted: voiding keeps the document for the audit trail and reverses its effect on every invoice it paid.
+    const handleVoid = async (voucher) => {
+        if (!requirePermission(role, 'vouchers', 'delete')) return;
+        const reason = window.prompt('سبب إلغاء السند (سيتم عكس المبلغ من رصيد الفواتير):');
+        if (reason === null) return;
         try {
             await runTransaction(db, async (transaction) => {
-                const voucherCollection = collection(db, `${dataPath}/vouchers`);
-                const newVoucherRef = doc(voucherCollection);
-                
-                const invoiceRef = doc(db, `${dataPath}/invoices`, voucherData.invoiceId);
-                const invoiceSnap = await transaction.get(invoiceRef);
-                if (!invoiceSnap.exists()) {
-                    throw "Invoice does not exist!";
+                const voucherRef = doc(db, `${dataPath}/vouchers`, voucher.id);
+                const voucherSnap = await transaction.get(voucherRef);
+                if (!voucherSnap.exists() || isVoided(voucherSnap.data())) {
+                    throw new Error("Voucher does not exist or is already void");
                 }
-                
-                const invoiceData = invoiceSnap.data();
-                const newPaidAmount = (invoiceData.paidAmount || 0) + voucherData.amount;
-                const newRemainingAmount = invoiceData.total - newPaidAmount;
-                let newStatus = 'مدفوعة جزئياً';
-                if (newRemainingAmount <= 0) {
-                    newStatus = 'مدفوعة';
-                }
-
-                transaction.update(invoiceRef, { 
-                    paidAmount: newPaidAmount,
-                    remainingAmount: newRemainingAmount,
-                    status: newStatus
-                });
+                const allocations = voucherAllocations(voucherSnap.data());
+                const invoiceSnaps = await loadAllocatedInvoices(transaction, dataPath, allocations);
 
-                const newVoucherNumber = vouchers.length > 0 ? Math.max(...vouchers.map(v => v.voucherNumber)) + 1 : 1;
-                transaction.set(newVoucherRef, { ...voucherData, voucherNumber: newVoucherNumber, createdAt: serverTimestamp()});
+                updateAllocatedInvoices(transaction, invoiceSnaps, allocations, [], username);
+                const changes = withAuditId({ status: 'void', voidReason: reason, voidedBy: username, voidedAt: serverTimestamp() });
+                transaction.update(voucherRef, changes);
+                writeAuditEntry(transaction, voucherRef, username, 'update', voucherSnap.data(), { ...voucherSnap.data(), ...changes });
             });
-            console.log("Transaction successfully committed!");
-            setIsModalOpen(false);
+            list.reload();
         } catch (e) {
-            console.error("Transaction failed: ", e);
+            console.error("Voiding voucher failed: ", e);
+            window.alert('تعذر إلغاء السند. يرجى المحاولة مرة أخرى.');
         }
     };
+
+    // Editing changes the amount, date and allocations, which is also how a customer's credit is applied to later
+    // invoices; every invoice absorbs its difference in the same transaction.
+    const handleUpdate = async (voucherData) => {
+        if (!requirePermission(role, 'vouchers', 'update')) return;
+        await runTransaction(db, async (transaction) => {
+            validateVoucherAmounts(voucherData);
+            const voucherRef = doc(db, `${dataPath}/vouchers`, currentVoucher.id);
+            const voucherSnap = await transaction.get(voucherRef);
+            if (!voucherSnap.exists() || isVoided(voucherSnap.data())) {
+                throw new VoucherValidationError('السند غير موجود أو تم إلغاؤه.');
+            }
+            const previous = voucherSnap.data();
+            const previousAllocations = voucherAllocations(previous);
+            const invoiceSnaps = await loadAllocatedInvoices(transaction, dataPath, previousAllocations, voucherData.allocations);
+
+            updateAllocatedInvoices(transaction, invoiceSnaps, previousAllocations, voucherData.allocations, username);
+            const changes = withAuditId({
+                amount: voucherData.amount,
+                date: voucherData.date,
+                paymentMethod: voucherData.paymentMethod,
+                accountId: voucherData.accountId,
+                accountName: voucherData.accountName,
+                chequeNumber: voucherData.chequeNumber,
+                chequeDueDate: voucherData.chequeDueDate,
+                allocations: voucherData.allocations,
+                invoiceIds: voucherData.allocations.map(allocation => allocation.invoiceId),
+                unappliedAmount: voucherUnapplied(voucherData),
+                invoiceId: deleteField(),
+                invoiceNumber: deleteField(),
+                invoiceNo: deleteField(),
+                amendments: arrayUnion({ previousAmount: previous.amount, newAmount: voucherData.amount, previousDate: previous.date, newDate: voucherData.date, previousAllocations, newAllocations: voucherData.allocations, by: username, at: new Date().toISOString() })
+            });
+            transaction.update(voucherRef, changes);
+            writeAuditEntry(transaction, voucherRef, username, 'update', previous, { ...previous, ...changes });
+        });
+        go();
+        list.reload();
+    };
+
+    // Failures propagate to PaymentVoucherForm, which shows them inside the form.
+    const handleSave = async (voucherData) => {
+        if (currentVoucher) return handleUpdate(voucherData);
+        if (!requirePermission(role, 'vouchers', 'create')) return;
+        const { overpaymentPolicy, ...voucherFields } = voucherData;
+        const seed = await loadCounterSeed(dataPath, 'vouchers', profile, voucherData.date);
+        await runTransaction(db, async (transaction) => {
+            validateVoucherAmounts(voucherData);
+            const voucherCollection = collection(db, `${dataPath}/vouchers`);
+            const newVoucherRef = doc(voucherCollection);
+
+            const invoiceSnaps = await loadAllocatedInvoices(transaction, dataPath, voucherData.allocations);
+            const { sequence, formatted } = await nextDocumentNumber(transaction, dataPath, 'vouchers', profile, voucherData.date, seed);
+
+            updateAllocatedInvoices(transaction, invoiceSnaps, [], voucherData.allocations, username);
+            const voucher = withAuditId({
+                ...voucherFields,
+                invoiceIds: voucherData.allocations.map(allocation => allocation.invoiceId),
+                unappliedAmount: voucherUnapplied(voucherData),
+                voucherNumber: sequence,
+                voucherNo: formatted,
+                status: 'active',
+                createdBy: username,
+                createdAt: serverTimestamp()
+            });
+            transaction.set(newVoucherRef, voucher);
+            writeAuditEntry(transaction, newVoucherRef, username, 'create', null, voucher);
+        });
+        go();
+        list.reload();
+    };
     
     return (
        <div className="bg-white dark:bg-gray-800 p-6 rounded-xl shadow-md">
-            <div className="flex justify-between items-center mb-6"><h2 className="text-xl font-bold text-gray-800 dark:text-white">إدارة سندات القبض</h2><button onClick={handleAdd} className="flex items-center bg-blue-600 text-white font-semibold py-2 px-4 rounded-lg shadow-md hover:bg-blue-700 transition-colors"><PlusCircle className="mr-2" size={20}/> سند قبض جديد</button></div>
+            <div className="flex justify-between items-center mb-6">
+                <h2 className="text-xl font-bold text-gray-800 dark:text-white">إدارة سندات القبض</h2>
+                <div className="flex items-center space-x-2">
+                    <ExportButtons columns={exportColumns} rows={() => loadAllListRows(`${dataPath}/vouchers`, LIST_SPECS.vouchers, listState, VOUCHER_LIST_ACCESSORS)} fileName={`سندات-القبض-${todayIso()}`} />
+                    <button onClick={openClosing} className="flex items-center bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 font-semibold py-2 px-4 rounded-lg ml-2">إقفال الصندوق اليومي</button>
+                    {can(role, 'vouchers', 'create') && <button onClick={handleAdd} className="flex items-center bg-blue-600 text-white font-semibold py-2 px-4 rounded-lg shadow-md hover:bg-blue-700 transition-colors"><PlusCircle className="mr-2" size={20}/> سند قبض جديد</button>}
+                </div>
+            </div>
+            <ListFilters spec={LIST_SPECS.vouchers} listState={listState} onChange={updateListState} searchPlaceholder="بحث باسم العميل أو رقم السند أو الفاتورة">
+                <select value={listState.status} onChange={(e) => updateListState({ status: e.target.value })} className="p-2 border rounded-md bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-white">
+                    <option value="">كل الحالات</option>
+                    <option value="active">ساري</option>
+                    <option value="void">ملغى</option>
+                </select>
+                <select value={listState.paymentMethod} onChange={(e) => updateListState({ paymentMethod: e.target.value })} className="p-2 border rounded-md bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-white">
+                    <option value="">كل طرق الدفع</option>
+                    {Object.entries(PAYMENT_METHODS).map(([key, method]) => <option key={key} value={key}>{method.label}</option>)}
+                </select>
+                <select value={listState.accountId} onChange={(e) => updateListState({ accountId: e.target.value })} className="p-2 border rounded-md bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-white">
+                    <option value="">كل الحسابات</option>
+                    {accounts.map(account => <option key={account.id} value={account.id}>{account.name}</option>)}
+                    <option value={UNASSIGNED_ACCOUNT}>غير محدد</option>
+                </select>
+            </ListFilters>
             <div className="overflow-x-auto">
                  <table className="w-full text-sm text-right text-gray-500 dark:text-gray-400">
                     <thead className="text-xs text-gray-700 uppercase bg-gray-50 dark:bg-gray-700 dark:text-gray-400">
-                        <tr><th className="px-4 py-3">#</th><th className="px-4 py-3">العميل</th><th className="px-4 py-3">فاتورة #</th><th className="px-4 py-3">المبلغ</th><th className="px-4 py-3">التاريخ</th><th className="px-4 py-3 text-left">إجراءات</th></tr>
+                        <tr><SortableHeader sortKey="number" listState={listState} onChange={updateListState}>#</SortableHeader><th className="px-4 py-3">العميل</th><th className="px-4 py-3">الفواتير</th><SortableHeader sortKey="amount" listState={listState} onChange={updateListState}>المبلغ</SortableHeader><th className="px-4 py-3">طريقة الدفع</th><th className="px-4 py-3">الحساب</th><SortableHeader sortKey="date" listState={listState} onChange={updateListState}>التاريخ</SortableHeader><th className="px-4 py-3">الحالة</th><th className="px-4 py-3 text-left">إجراءات</th></tr>
                     </thead>
                     <tbody>
-                        {vouchers.length > 0 ? ( vouchers.map(voucher => (
-                                <tr key={voucher.id} className="border-b dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-600">
-                                    <td className="px-4 py-3 font-medium text-gray-900 dark:text-white">VCH-{voucher.voucherNumber}</td>
+                        {list.rows.length > 0 ? ( list.rows.map(voucher => (
+                                <tr key={voucher.id} className={`border-b dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-600 ${isVoided(voucher) ? 'opacity-60' : ''}`}>
+                                    <td className="px-4 py-3 font-medium text-gray-900 dark:text-white">{formatVoucherNumber(voucher, profile)}</td>
                                     <td className="px-4 py-3">{voucher.customerName}</td>
-                                    <td className="px-4 py-3">INV-{voucher.invoiceNumber}</td>
-                                    <td className="px-4 py-3">ر.س {Number(voucher.amount).toLocaleString()}</td>
+                                    <td className="px-4 py-3">
+                                        {voucherAllocations(voucher).map(allocation => formatInvoiceNumber(allocation, profile)).join('، ')}
+                                        {voucherUnapplied(voucher) > 0 && <span className="mr-1 px-2 py-1 text-xs font-medium rounded-full bg-purple-100 text-purple-800 dark:bg-purple-900 dark:text-purple-300">رصيد دائن {formatMoney(voucherUnapplied(voucher), profile)}</span>}
+                                    </td>
+                                    <td className={`px-4 py-3 ${isVoided(voucher) ? 'line-through' : ''}`}>{formatMoney(voucher.amount, profile)}</td>
+                                    <td className="px-4 py-3">{PAYMENT_METHODS[paymentMethodOf(voucher)].label}{voucher.chequeNumber ? ` #${voucher.chequeNumber}` : ''}</td>
+                                    <td className="px-4 py-3">{voucher.accountName || 'غير محدد'}</td>
                                     <td className="px-4 py-3">{voucher.date}</td>
+                                    <td className="px-4 py-3">{isVoided(voucher) ? <span title={voucher.voidReason} className="px-2 py-1 text-xs font-medium rounded-full bg-gray-200 text-gray-700 dark:bg-gray-600 dark:text-gray-200">ملغى</span> : <span className="px-2 py-1 text-xs font-medium rounded-full bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-300">ساري</span>}</td>
                                     <td className="px-4 py-3 flex items-center space-x-2 justify-end">
-                                         <button onClick={() => handleDelete(voucher.id)} className="p-2 text-red-600 hover:text-red-800"><Trash2 size={18}/></button>
+                                         <button onClick={() => handleView(voucher)} title="عرض السند" className="p-2 text-gray-600 hover:text-gray-800 dark:text-gray-300 dark:hover:text-gray-100"><Eye size={18}/></button>
+                                         <button onClick={() => setHistoryVoucher(voucher)} title="سجل التغييرات" className="p-2 text-gray-600 hover:text-gray-800 dark:text-gray-300 dark:hover:text-gray-100"><History size={18}/></button>
+                                         {!isVoided(voucher) && can(role, 'vouchers', 'update') && <button onClick={() => handleEdit(voucher)} title={voucherUnapplied(voucher) > 0 ? 'تعديل / تطبيق الرصيد على الفواتير' : 'تعديل السند'} className="p-2 text-blue-600 hover:text-blue-800"><Edit size={18}/></button>}
+                                         {!isVoided(voucher) && can(role, 'vouchers', 'delete') && <button onClick={() => handleVoid(voucher)} title="إلغاء السند" className="p-2 text-red-600 hover:text-red-800"><Ban size={18}/></button>}
                                     </td>
                                 </tr>
                             ))
+                        ) : list.loading || isFiltered(LIST_SPECS.vouchers, listState) ? (
+                            <tr><td colSpan="9" className="text-center py-10">{list.loading ? 'جارٍ التحميل...' : 'لا توجد سندات مطابقة.'}</td></tr>
                         ) : (
                              <tr>
-                                <td colSpan="6" className="text-center py-16 text-gray-500 dark:text-gray-400">
+                                <td colSpan="9" className="text-center py-16 text-gray-500 dark:text-gray-400">
                                     <ClipboardCheck size={48} className="mx-auto mb-4" />
                                     <h3 className="text-xl font-semibold">لا توجد سندات قبض بعد</h3>
                                     <p className="mt-2">ابدأ بإضافة سند جديد لتسجيل الدفعات.</p>
-                                    <button onClick={handleAdd} className="mt-4 flex items-center mx-auto bg-blue-600 text-white font-semibold py-2 px-4 rounded-lg shadow-md hover:bg-blue-700 transition-colors"><PlusCircle className="mr-2" size={20}/> إضافة سند جديد</button>
+                                    {can(role, 'vouchers', 'create') && <button onClick={handleAdd} className="mt-4 flex items-center mx-auto bg-blue-600 text-white font-semibold py-2 px-4 rounded-lg shadow-md hover:bg-blue-700 transition-colors"><PlusCircle className="mr-2" size={20}/> إضافة سند جديد</button>}
                                 </td>
                             </tr>
                         )}
                     </tbody>
                 </table>
             </div>
-            <PaymentVoucherForm isOpen={isModalOpen} onClose={() => setIsModalOpen(false)} onSave={handleSave} username={username} />
+            <Pager list={list} />
+            <PaymentVoucherForm isOpen={isFormOpen} onClose={() => go()} onSave={handleSave} voucher={currentVoucher} accounts={accounts} workspaceId={workspaceId} profile={profile} />
+            <DailyClosingReport isOpen={closingOpen} onClose={() => setClosingOpen(false)} accounts={accounts} vouchers={closingLedger.vouchers} disbursements={closingLedger.disbursements} profile={profile} />
+            <MissingDocumentNotice isOpen={routed.missing} onClose={() => go()} reference={route.documentId} />
+            {viewedVoucher && <VoucherView isOpen={Boolean(viewedVoucher)} onClose={() => go()} voucher={viewedVoucher} profile={profile} />}
+            {historyVoucher && <DocumentHistory isOpen={Boolean(historyVoucher)} onClose={() => setHistoryVoucher(null)} workspaceId={workspaceId} collectionName="vouchers" documentId={historyVoucher.id} title={formatVoucherNumber(historyVoucher, profile)} />}
         </div>
     );
 };
 
-const PaymentVoucherForm = ({ isOpen, onClose, onSave, username }) => {
-    const [formData, setFormData] = useState({ customerId: '', invoiceId: '', amount: '', date: new Date().toISOString().slice(0, 10), customerName: '', invoiceNumber: '' });
+// Receipt voucher with its amount spread over the customer's open invoices. New amounts are allocated oldest-first;
+// the user can override each line, and whatever is left over becomes customer credit.
+const emptyVoucher = () => ({ customerId: '', customerName: '', amount: '', date: new Date().toISOString().slice(0, 10), paymentMethod: 'cash', accountId: '', chequeNumber: '', chequeDueDate: '' });
+
+const PaymentVoucherForm = ({ isOpen, onClose, onSave, voucher, accounts, workspaceId, profile }) => {
+    const [formData, setFormData] = useState(emptyVoucher);
+    const [allocations, setAllocations] = useState({});
+    const [overpaymentPolicy, setOverpaymentPolicy] = useState('reject');
+    const [error, setError] = useState('');
+    const [saving, setSaving] = useState(false);
     const [customers, setCustomers] = useState([]);
     const [invoices, setInvoices] = useState([]);
-    const dataPath = `artifacts/${appId}/public/data/userdata/${username}`;
+    const dataPath = `artifacts/${appId}/public/data/userdata/${workspaceId}`;
+
+    useEffect(() => {
+        if (!isOpen) return;
+        setFormData(voucher ? { ...emptyVoucher(), ...voucher } : emptyVoucher());
+        setAllocations(voucher ? allocationTotals(voucherAllocations(voucher)) : {});
+        setOverpaymentPolicy(voucher && voucherUnapplied(voucher) > 0 ? 'credit' : 'reject');
+        setError('');
+    }, [isOpen, voucher]);
 
     useEffect(() => {
         if (!isOpen) return;
@@ -998,40 +3820,96 @@ const PaymentVoucherForm = ({ isOpen, onClose, onSave, username }) => {
         getDocs(customersCollection).then(snapshot => {
             setCustomers(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
         });
-    }, [isOpen, username]);
+    }, [isOpen, workspaceId]);
     
+    // Open invoices for the customer, plus any this voucher already pays (they may be fully paid by it by now).
+    // `available` is what this voucher could put on each invoice: its balance plus the voucher's own current share.
     useEffect(() => {
-        if (formData.customerId) {
-            const invoicesQuery = query(collection(db, `${dataPath}/invoices`), where("customerId", "==", formData.customerId), where("status", "in", ["قيد الانتظار", "مدفوعة جزئياً"]));
-            getDocs(invoicesQuery).then(snapshot => {
-                setInvoices(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
-            });
-        } else {
+        if (!isOpen || !formData.customerId) {
             setInvoices([]);
+            return;
         }
-    }, [formData.customerId]);
-    
+        const invoicesQuery = query(collection(db, `${dataPath}/invoices`), where("customerId", "==", formData.customerId), where("status", "in", ["قيد الانتظار", "مدفوعة جزئياً", "متأخرة"]));
+        const allocatedIds = voucher ? voucherAllocations(voucher).map(allocation => allocation.invoiceId) : [];
+        Promise.all([getDocs(invoicesQuery), ...allocatedIds.map(invoiceId => getDoc(doc(db, `${dataPath}/invoices`, invoiceId)))]).then(([openSnapshot, ...allocatedSnaps]) => {
+            const byId = {};
+            [...openSnapshot.docs, ...allocatedSnaps.filter(snap => snap.exists())].forEach(snap => { byId[snap.id] = { id: snap.id, ...snap.data() }; });
+            const loaded = Object.values(byId).map(invoice => ({
+                ...invoice,
+                available: round2(invoiceRemaining(invoice) + (voucher ? voucherAmountFor(voucher, invoice.id) : 0)),
+            }));
+            setInvoices(loaded);
+            if (!voucher) setAllocations(suggestAllocations(loaded.map(invoice => ({ ...invoice, remaining: invoice.available })), formData.amount));
+        });
+    // The suggestion is refreshed by handleAmountChange, so the amount is deliberately not a dependency here.
+    }, [isOpen, formData.customerId, voucher]);
+
+    const amount = Number(formData.amount) || 0;
+    const allocated = round2(Object.values(allocations).reduce((sum, value) => sum + (Number(value) || 0), 0));
+    const unapplied = round2(amount - allocated);
+    const suggest = (value) => setAllocations(suggestAllocations(invoices.map(invoice => ({ ...invoice, remaining: invoice.available })), value));
+
     const handleCustomerChange = (e) => {
         const customerId = e.target.value;
         const customerName = customers.find(c => c.id === customerId)?.name || '';
-        setFormData({ ...formData, customerId, customerName, invoiceId: '', amount: '' });
+        setFormData({ ...formData, customerId, customerName });
+        setAllocations({});
     };
-    
-    const handleInvoiceChange = (e) => {
-        const invoiceId = e.target.value;
-        const selectedInvoice = invoices.find(inv => inv.id === invoiceId);
-        if (selectedInvoice) {
-            const remaining = (selectedInvoice.total || 0) - (selectedInvoice.paidAmount || 0);
-            setFormData({ ...formData, invoiceId, amount: remaining, invoiceNumber: selectedInvoice.invoiceNumber });
-        }
+
+    const handleAmountChange = (e) => {
+        setFormData({ ...formData, amount: e.target.value });
+        suggest(e.target.value);
     };
 
-    const handleChange = (e) => setFormData({ ...formData, [e.target.name]: e.target.value });
-    const handleSubmit = (e) => { e.preventDefault(); onSave({...formData, amount: Number(formData.amount)}); };
+    const handleAllocationChange = (invoice, value) => {
+        setAllocations({ ...allocations, [invoice.id]: Math.min(Math.max(Number(value) || 0, 0), invoice.available) });
+    };
+
+    const handleChange = (e) => setFormData({ ...formData, [e.target.name]: e.target.value });
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+        const { customerId, customerName, date, paymentMethod, accountId } = formData;
+        const isCheque = paymentMethod === 'cheque';
+        const voucherData = {
+            customerId,
+            customerName,
+            date,
+            amount,
+            paymentMethod,
+            accountId,
+            accountName: (accounts.find(account => account.id === accountId) || {}).name || '',
+            chequeNumber: isCheque ? formData.chequeNumber : '',
+            chequeDueDate: isCheque ? formData.chequeDueDate : '',
+            overpaymentPolicy,
+            allocations: invoices
+                .filter(invoice => Number(allocations[invoice.id]) > 0)
+                .map(invoice => ({ invoiceId: invoice.id, invoiceNumber: invoice.invoiceNumber, invoiceNo: formatInvoiceNumber(invoice, profile), amount: round2(allocations[invoice.id]) })),
+        };
+        setSaving(true);
+        try {
+            validateVoucherAmounts(voucherData);
+            await onSave(voucherData);
+        } catch (err) {
+            if (err instanceof VoucherValidationError) {
+                setError(err.message);
+            } else {
+                console.error("Saving voucher failed: ", err);
+                setError('تعذر حفظ السند. يرجى المحاولة مرة أخرى.');
+            }
+        } finally {
+            setSaving(false);
+        }
+    };
 
     return (
-        <Modal isOpen={isOpen} onClose={onClose} title="إضافة سند قبض جديد">
+        <Modal isOpen={isOpen} onClose={onClose} title={voucher ? `تعديل السند ${formatVoucherNumber(voucher, profile)}` : "إضافة سند قبض جديد"} wide>
             <form onSubmit={handleSubmit} className="space-y-4">
+                {voucher ? (
+                <div className="p-3 bg-gray-100 dark:bg-gray-700 rounded-md text-sm text-gray-700 dark:text-gray-200">
+                    <p>العميل: {voucher.customerName}</p>
+                </div>
+                ) : (
                 <div>
                     <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">العميل</label>
                     <select name="customerId" value={formData.customerId} onChange={handleCustomerChange} className="w-full p-2 border rounded-md bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-white" required>
@@ -1039,19 +3917,1511 @@ const PaymentVoucherForm = ({ isOpen, onClose, onSave, username }) => {
                         {customers.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
                     </select>
                 </div>
+                )}
+                <div className="grid grid-cols-2 gap-2">
+                    <div><label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">المبلغ المدفوع</label><input type="number" name="amount" min="0.01" step="0.01" value={formData.amount} onChange={handleAmountChange} className="w-full p-2 border rounded-md bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-white" required /></div>
+                    <div><label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">تاريخ الدفع</label><input type="date" name="date" value={formData.date} onChange={handleChange} className="w-full p-2 border rounded-md bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-white" required /></div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">طريقة الدفع</label>
+                        <select name="paymentMethod" value={formData.paymentMethod} onChange={handleChange} className="w-full p-2 border rounded-md bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-white">
+                            {Object.entries(PAYMENT_METHODS).map(([key, method]) => <option key={key} value={key}>{method.label}</option>)}
+                        </select>
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">حساب الإيداع</label>
+                        <select name="accountId" value={formData.accountId} onChange={handleChange} className="w-full p-2 border rounded-md bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-white" required>
+                            <option value="">اختر الصندوق أو البنك</option>
+                            {accounts.map(account => <option key={account.id} value={account.id}>{account.name}</option>)}
+                        </select>
+                        {accounts.length === 0 && <p className="text-xs text-red-500 mt-1">أضف صندوقاً أو حساباً بنكياً من صفحة الصناديق والبنوك أولاً.</p>}
+                    </div>
+                    {formData.paymentMethod === 'cheque' && (<>
+                    <div><label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">رقم الشيك</label><input type="text" name="chequeNumber" value={formData.chequeNumber} onChange={handleChange} className="w-full p-2 border rounded-md bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-white" dir="ltr" required /></div>
+                    <div><label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">تاريخ استحقاق الشيك</label><input type="date" name="chequeDueDate" value={formData.chequeDueDate} onChange={handleChange} className="w-full p-2 border rounded-md bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-white" required /></div>
+                    </>)}
+                </div>
                 {formData.customerId && (
                 <div>
-                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">الفاتورة المستحقة</label>
-                    <select name="invoiceId" value={formData.invoiceId} onChange={handleInvoiceChange} className="w-full p-2 border rounded-md bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-white" required>
-                        <option value="">اختر فاتورة</option>
-                        {invoices.map(inv => <option key={inv.id} value={inv.id}>INV-{inv.invoiceNumber} (المتبقي: {(inv.total - (inv.paidAmount || 0)).toLocaleString()})</option>)}
+                    <div className="flex justify-between items-center mb-2">
+                        <h4 className="font-semibold text-gray-700 dark:text-gray-300">توزيع المبلغ على الفواتير</h4>
+                        <button type="button" onClick={() => suggest(formData.amount)} className="text-sm text-blue-600 hover:underline">توزيع تلقائي (الأقدم أولاً)</button>
+                    </div>
+                    {invoices.length > 0 ? (
+                    <table className="w-full text-sm text-right">
+                        <thead className="bg-gray-50 dark:bg-gray-700"><tr><th className="p-2">الفاتورة</th><th className="p-2">الاستحقاق</th><th className="p-2">المتبقي</th><th className="p-2">المبلغ المخصص</th></tr></thead>
+                        <tbody>
+                            {invoices.map(invoice => (
+                                <tr key={invoice.id} className="border-b dark:border-gray-700">
+                                    <td className="p-2">{formatInvoiceNumber(invoice, profile)}</td>
+                                    <td className="p-2">{dueDateOf(invoice)}</td>
+                                    <td className="p-2">{formatMoney(invoice.available, profile)}</td>
+                                    <td className="p-2"><input type="number" min="0" max={invoice.available} step="0.01" value={allocations[invoice.id] || 0} onChange={(e) => handleAllocationChange(invoice, e.target.value)} className="w-28 p-1 border rounded-md bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-white" /></td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                    ) : (
+                        <p className="text-sm text-gray-500 dark:text-gray-400">لا توجد فواتير مستحقة لهذا العميل؛ سيُقيد المبلغ كاملاً رصيداً دائناً.</p>
+                    )}
+                    <div className="mt-3 space-y-1 text-sm">
+                        <p className="flex justify-between"><span>المخصص للفواتير</span><span>{formatMoney(allocated, profile)}</span></p>
+                        <p className={`flex justify-between font-semibold ${unapplied < 0 ? 'text-red-600' : ''}`}><span>{unapplied < 0 ? 'المخصص يتجاوز مبلغ السند' : 'غير مخصص'}</span><span>{formatMoney(unapplied, profile)}</span></p>
+                    </div>
+                    {unapplied > 0 && (
+                    <div className="mt-3 p-3 bg-yellow-50 dark:bg-gray-700 rounded-md text-sm space-y-1">
+                        <p className="font-semibold text-gray-700 dark:text-gray-200">المبلغ يزيد عن المخصص للفواتير:</p>
+                        <label className="flex items-center text-gray-700 dark:text-gray-300"><input type="radio" name="overpaymentPolicy" value="reject" checked={overpaymentPolicy === 'reject'} onChange={(e) => setOverpaymentPolicy(e.target.value)} className="ml-2" /> رفض الزيادة (عدّل المبلغ أو التوزيع)</label>
+                        <label className="flex items-center text-gray-700 dark:text-gray-300"><input type="radio" name="overpaymentPolicy" value="credit" checked={overpaymentPolicy === 'credit'} onChange={(e) => setOverpaymentPolicy(e.target.value)} className="ml-2" /> قيد الزيادة رصيداً دائناً للعميل</label>
+                    </div>
+                    )}
+                </div>
+                )}
+                {error && <p className="text-sm text-red-600 bg-red-50 dark:bg-red-900 dark:text-red-200 p-2 rounded-md">{error}</p>}
+                <div className="flex justify-end pt-4"><button type="button" onClick={onClose} className="bg-gray-200 dark:bg-gray-600 text-gray-800 dark:text-gray-200 font-bold py-2 px-4 rounded-md ml-2">إلغاء</button><button type="submit" disabled={saving} className="bg-blue-600 text-white font-bold py-2 px-4 rounded-md disabled:bg-blue-300">{saving ? 'جارٍ الحفظ...' : 'حفظ السند'}</button></div>
+            </form>
+        </Modal>
+    );
+};
+
+// Receipts and disbursements of one day per cash box or bank account, printable for the end-of-day cash count.
+const DailyClosingReport = ({ isOpen, onClose, accounts, vouchers, disbursements, profile }) => {
+    const [date, setDate] = useState(todayIso());
+    const documentRef = useRef(null);
+    if (!isOpen) return null;
+
+    const closing = buildDailyClosing(accounts, vouchers, date, disbursements);
+    const accountName = (accountId) => (accounts.find(account => account.id === accountId) || {}).name || 'غير محدد';
+    const methods = Object.entries(PAYMENT_METHODS);
+
+    return (
+        <Modal isOpen={isOpen} onClose={onClose} title="إقفال الصندوق اليومي" wide>
+            <div className="mb-4 no-print">
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">اليوم</label>
+                <input type="date" value={date} onChange={(e) => setDate(e.target.value)} className="p-2 border rounded-md bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-white" />
+            </div>
+            <div ref={documentRef} className="print-area document bg-white text-gray-900 p-6 text-sm">
+                <DocumentHeader profile={profile} title="تقرير إقفال الصندوق اليومي" number="" date={date} />
+                <table className="w-full text-right border-collapse mb-4">
+                    <thead className="bg-gray-800 text-white">
+                        <tr><th className="p-2">الحساب</th><th className="p-2">رصيد أول اليوم</th>{methods.map(([key, method]) => <th key={key} className="p-2">{method.label}</th>)}<th className="p-2">المقبوضات</th><th className="p-2">المدفوعات</th><th className="p-2">رصيد آخر اليوم</th></tr>
+                    </thead>
+                    <tbody>
+                        {closing.rows.map(row => (
+                            <tr key={row.accountId} className="border-b">
+                                <td className="p-2 font-semibold">{accountName(row.accountId)}</td>
+                                <td className="p-2">{formatMoney(row.openingBalance, profile)}</td>
+                                {methods.map(([key]) => <td key={key} className="p-2">{row.byMethod[key] ? formatMoney(row.byMethod[key], profile) : '-'}</td>)}
+                                <td className="p-2 font-semibold">{formatMoney(row.received, profile)}</td>
+                                <td className="p-2">{row.paid ? formatMoney(row.paid, profile) : '-'}</td>
+                                <td className="p-2 font-semibold">{formatMoney(row.closingBalance, profile)}</td>
+                            </tr>
+                        ))}
+                        <tr className="border-t-2 border-gray-800 font-bold"><td className="p-2" colSpan={methods.length + 2}>إجمالي اليوم</td><td className="p-2">{formatMoney(closing.totalReceived, profile)}</td><td className="p-2">{formatMoney(closing.totalPaid, profile)}</td><td className="p-2"></td></tr>
+                    </tbody>
+                </table>
+                <h4 className="font-bold mb-2">السندات ({closing.vouchers.length})</h4>
+                <table className="w-full text-right">
+                    <thead className="bg-gray-100"><tr><th className="p-2">رقم السند</th><th className="p-2">العميل</th><th className="p-2">طريقة الدفع</th><th className="p-2">الحساب</th><th className="p-2">المبلغ</th></tr></thead>
+                    <tbody>
+                        {closing.vouchers.map(voucher => (
+                            <tr key={voucher.id} className="border-b"><td className="p-2" dir="ltr">{formatVoucherNumber(voucher, profile)}</td><td className="p-2">{voucher.customerName}</td><td className="p-2">{PAYMENT_METHODS[paymentMethodOf(voucher)].label}</td><td className="p-2">{accountName(voucher.accountId)}</td><td className="p-2">{formatMoney(voucher.amount, profile)}</td></tr>
+                        ))}
+                    </tbody>
+                </table>
+                {closing.disbursements.length > 0 && (<>
+                <h4 className="font-bold mb-2 mt-4">سندات الصرف ({closing.disbursements.length})</h4>
+                <table className="w-full text-right">
+                    <thead className="bg-gray-100"><tr><th className="p-2">رقم السند</th><th className="p-2">المستفيد</th><th className="p-2">البند</th><th className="p-2">الحساب</th><th className="p-2">المبلغ</th></tr></thead>
+                    <tbody>
+                        {closing.disbursements.map(disbursement => (
+                            <tr key={disbursement.id} className="border-b"><td className="p-2" dir="ltr">{formatDisbursementNumber(disbursement, profile)}</td><td className="p-2">{disbursement.supplierName || disbursement.payee}</td><td className="p-2">{disbursement.categoryName}</td><td className="p-2">{accountName(disbursement.accountId)}</td><td className="p-2">{formatMoney(disbursement.amount, profile)}</td></tr>
+                        ))}
+                    </tbody>
+                </table>
+                </>)}
+                <div className="grid grid-cols-2 gap-8 mt-12 text-center">
+                    <div><p className="border-t border-gray-800 pt-2">أمين الصندوق</p></div>
+                    <div><p className="border-t border-gray-800 pt-2">المحاسب</p></div>
+                </div>
+            </div>
+            <DocumentActions documentRef={documentRef} fileName={`إقفال-الصندوق-${date}.pdf`} />
+        </Modal>
+    );
+};
+
+// --- Accounts Component ---
+// Cash boxes and bank accounts that receive voucher payments; balances are the opening balance plus the vouchers
+// received, less the disbursements paid out.
+const Accounts = ({ workspaceId, role, profile }) => {
+    const [accounts, setAccounts] = useState([]);
+    const [vouchers, setVouchers] = useState([]);
+    const [disbursements, setDisbursements] = useState([]);
+    const [isModalOpen, setIsModalOpen] = useState(false);
+    const [currentAccount, setCurrentAccount] = useState(null);
+    const dataPath = `artifacts/${appId}/public/data/userdata/${workspaceId}`;
+
+    useEffect(() => {
+        if (!workspaceId) return;
+        const unsubscribeAccounts = onSnapshot(collection(db, `${dataPath}/accounts`), (snapshot) => {
+            setAccounts(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        }, (error) => { console.error("Error in accounts listener:", error) });
+        const unsubscribeVouchers = onSnapshot(collection(db, `${dataPath}/vouchers`), (snapshot) => {
+            setVouchers(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        }, (error) => { console.error("Error in vouchers listener:", error) });
+        const unsubscribeDisbursements = onSnapshot(collection(db, `${dataPath}/disbursements`), (snapshot) => {
+            setDisbursements(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        }, (error) => { console.error("Error in disbursements listener:", error) });
+        return () => {
+            unsubscribeAccounts();
+            unsubscribeVouchers();
+            unsubscribeDisbursements();
+        };
+    }, [workspaceId]);
+
+    const balances = accountBalances(accounts, vouchers, undefined, disbursements);
+
+    const exportColumns = [
+        { key: 'name', label: 'الحساب' },
+        { key: 'type', label: 'النوع', value: account => (ACCOUNT_TYPES[account.type] || ACCOUNT_TYPES.cash).label },
+        { key: 'bankName', label: 'البنك' },
+        { key: 'iban', label: 'الآيبان' },
+        { key: 'openingBalance', label: 'الرصيد الافتتاحي', value: account => Number(account.openingBalance) || 0 },
+        { key: 'balance', label: 'الرصيد الحالي', value: account => balances[account.id] || 0 },
+    ];
+
+    const handleAdd = () => { setCurrentAccount(null); setIsModalOpen(true); };
+
+    // Failures propagate to AccountForm, which shows them inside the form.
+    const handleSave = async (accountData) => {
+        const isUpdate = Boolean(currentAccount && currentAccount.id);
+        if (!requirePermission(role, 'accounts', isUpdate ? 'update' : 'create')) return;
+        const data = { ...accountData, openingBalance: Number(accountData.openingBalance) || 0 };
+        if (isUpdate) {
+            await updateDoc(doc(db, `${dataPath}/accounts`, currentAccount.id), data);
+        } else {
+            await addDoc(collection(db, `${dataPath}/accounts`), { ...data, createdAt: serverTimestamp() });
+        }
+        setIsModalOpen(false);
+    };
+
+    // An account that has received or paid vouchers stays, so its history keeps adding up.
+    const handleDelete = async (account) => {
+        if (!requirePermission(role, 'accounts', 'delete')) return;
+        if ([...vouchers, ...disbursements].some(voucher => voucher.accountId === account.id)) {
+            window.alert('لا يمكن حذف حساب مرتبط بسندات قبض أو صرف.');
+            return;
+        }
+        if (!window.confirm('هل أنت متأكد من حذف هذا الحساب؟')) return;
+        try {
+            await deleteDoc(doc(db, `${dataPath}/accounts`, account.id));
+        } catch (e) {
+            console.error("Deleting account failed: ", e);
+            window.alert('تعذر حذف الحساب. يرجى المحاولة مرة أخرى.');
+        }
+    };
+
+    return (
+        <div className="bg-white dark:bg-gray-800 p-6 rounded-xl shadow-md">
+            <div className="flex justify-between items-center mb-6">
+                <h2 className="text-xl font-bold text-gray-800 dark:text-white">الصناديق والحسابات البنكية</h2>
+                <div className="flex items-center">
+                    <ExportButtons columns={exportColumns} rows={accounts} fileName={`الصناديق-والبنوك-${todayIso()}`} />
+                    {can(role, 'accounts', 'create') && <button onClick={handleAdd} className="flex items-center bg-blue-600 text-white font-semibold py-2 px-4 rounded-lg shadow-md hover:bg-blue-700 transition-colors"><PlusCircle className="mr-2" size={20}/> إضافة حساب</button>}
+                </div>
+            </div>
+            <div className="overflow-x-auto">
+                <table className="w-full text-sm text-right text-gray-500 dark:text-gray-400">
+                    <thead className="text-xs text-gray-700 uppercase bg-gray-50 dark:bg-gray-700 dark:text-gray-400">
+                        <tr><th className="px-4 py-3">الحساب</th><th className="px-4 py-3">النوع</th><th className="px-4 py-3">البنك / الآيبان</th><th className="px-4 py-3">الرصيد الافتتاحي</th><th className="px-4 py-3">الرصيد الحالي</th><th className="px-4 py-3 text-left">إجراءات</th></tr>
+                    </thead>
+                    <tbody>
+                        {accounts.length > 0 ? accounts.map(account => (
+                            <tr key={account.id} className="border-b dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-600">
+                                <td className="px-4 py-3 font-medium text-gray-900 dark:text-white">{account.name}</td>
+                                <td className="px-4 py-3">{(ACCOUNT_TYPES[account.type] || ACCOUNT_TYPES.cash).label}</td>
+                                <td className="px-4 py-3" dir="ltr">{[account.bankName, account.iban].filter(Boolean).join(' - ')}</td>
+                                <td className="px-4 py-3">{formatMoney(account.openingBalance, profile)}</td>
+                                <td className="px-4 py-3 font-semibold">{formatMoney(balances[account.id], profile)}</td>
+                                <td className="px-4 py-3 flex items-center space-x-2 justify-end">
+                                    {can(role, 'accounts', 'update') && <button onClick={() => { setCurrentAccount(account); setIsModalOpen(true); }} className="p-2 text-blue-600 hover:text-blue-800"><Edit size={18}/></button>}
+                                    {can(role, 'accounts', 'delete') && <button onClick={() => handleDelete(account)} className="p-2 text-red-600 hover:text-red-800"><Trash2 size={18}/></button>}
+                                </td>
+                            </tr>
+                        )) : (
+                            <tr>
+                                <td colSpan="6" className="text-center py-16 text-gray-500 dark:text-gray-400">
+                                    <Wallet size={48} className="mx-auto mb-4" />
+                                    <h3 className="text-xl font-semibold">لا توجد حسابات بعد</h3>
+                                    <p className="mt-2">أضف الصندوق النقدي وحساباتك البنكية لتسجيل المقبوضات فيها.</p>
+                                </td>
+                            </tr>
+                        )}
+                        {Boolean(balances[UNASSIGNED_ACCOUNT]) && (
+                            <tr className="border-b dark:border-gray-700 text-gray-400">
+                                <td className="px-4 py-3" colSpan="4">سندات بدون حساب محدد</td>
+                                <td className="px-4 py-3 font-semibold">{formatMoney(balances[UNASSIGNED_ACCOUNT], profile)}</td>
+                                <td></td>
+                            </tr>
+                        )}
+                    </tbody>
+                </table>
+            </div>
+            <AccountForm isOpen={isModalOpen} onClose={() => setIsModalOpen(false)} onSave={handleSave} account={currentAccount} />
+        </div>
+    );
+};
+
+const AccountForm = ({ isOpen, onClose, onSave, account }) => {
+    const [formData, setFormData] = useState({ name: '', type: 'cash', bankName: '', iban: '', openingBalance: 0 });
+    const [error, setError] = useState('');
+    const [saving, setSaving] = useState(false);
+    useEffect(() => { if (account) setFormData({ bankName: '', iban: '', openingBalance: 0, ...account }); else setFormData({ name: '', type: 'cash', bankName: '', iban: '', openingBalance: 0 }); setError(''); }, [account, isOpen]);
+    const handleChange = (e) => setFormData({ ...formData, [e.target.name]: e.target.value });
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const { name, type, bankName, iban, openingBalance } = formData;
+        setSaving(true);
+        setError('');
+        try {
+            await onSave(type === 'bank' ? { name, type, bankName, iban, openingBalance } : { name, type, bankName: '', iban: '', openingBalance });
+        } catch (err) {
+            console.error("Saving account failed:", err);
+            setError('تعذر حفظ الحساب. يرجى المحاولة مرة أخرى.');
+        } finally {
+            setSaving(false);
+        }
+    };
+    return (
+        <Modal isOpen={isOpen} onClose={onClose} title={account ? "تعديل حساب" : "إضافة حساب"}>
+            <form onSubmit={handleSubmit} className="space-y-4">
+                <input type="text" name="name" value={formData.name} onChange={handleChange} placeholder="اسم الحساب (مثال: الصندوق الرئيسي)" className="w-full p-2 border rounded-md bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-white" required />
+                <div>
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">النوع</label>
+                    <select name="type" value={formData.type} onChange={handleChange} className="w-full p-2 border rounded-md bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-white">
+                        {Object.entries(ACCOUNT_TYPES).map(([key, type]) => <option key={key} value={key}>{type.label}</option>)}
+                    </select>
+                </div>
+                {formData.type === 'bank' && (<>
+                    <input type="text" name="bankName" value={formData.bankName} onChange={handleChange} placeholder="اسم البنك" className="w-full p-2 border rounded-md bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-white" />
+                    <input type="text" name="iban" value={formData.iban} onChange={handleChange} placeholder="SA0000000000000000000000" className="w-full p-2 border rounded-md bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-white" dir="ltr" />
+                </>)}
+                <div><label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">الرصيد الافتتاحي</label><input type="number" step="0.01" name="openingBalance" value={formData.openingBalance} onChange={handleChange} className="w-full p-2 border rounded-md bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-white" /></div>
+                {error && <p className="p-2 rounded-md bg-red-100 text-red-700 text-sm">{error}</p>}
+                <div className="flex justify-end pt-4"><button type="button" onClick={onClose} className="bg-gray-200 dark:bg-gray-600 text-gray-800 dark:text-gray-200 font-bold py-2 px-4 rounded-md ml-2">إلغاء</button><button type="submit" disabled={saving} className="bg-blue-600 text-white font-bold py-2 px-4 rounded-md disabled:opacity-50">{saving ? 'جاري الحفظ...' : 'حفظ'}</button></div>
+            </form>
+        </Modal>
+    );
+};
+
+// --- Expenses Component ---
+// Outgoing payments: disbursement vouchers (سندات الصرف) paid to a supplier or another payee from a cash box or bank
+// account and classified by expense category. Like receipt vouchers they are numbered in a transaction and voided, never deleted.
+const Expenses = ({ workspaceId, role, username, profile }) => {
+    const [view, setView] = useState('disbursements');
+    const [disbursements, setDisbursements] = useState([]);
+    const [suppliers, setSuppliers] = useState([]);
+    const [categories, setCategories] = useState([]);
+    const [accounts, setAccounts] = useState([]);
+    const [isModalOpen, setIsModalOpen] = useState(false);
+    const [viewedDisbursement, setViewedDisbursement] = useState(null);
+    const [currentSupplier, setCurrentSupplier] = useState(null);
+    const [isSupplierModalOpen, setIsSupplierModalOpen] = useState(false);
+    const [newCategory, setNewCategory] = useState('');
+    const dataPath = `artifacts/${appId}/public/data/userdata/${workspaceId}`;
+
+    useEffect(() => {
+        if (!workspaceId) return;
+        const listen = (name, setter) => onSnapshot(collection(db, `${dataPath}/${name}`), (snapshot) => {
+            setter(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        }, (error) => { console.error(`Error in ${name} listener:`, error) });
+        const unsubscribers = [
+            listen('disbursements', setDisbursements),
+            listen('suppliers', setSuppliers),
+            listen('expenseCategories', setCategories),
+            listen('accounts', setAccounts),
+        ];
+        return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+    }, [workspaceId]);
+
+    const sortedDisbursements = [...disbursements].sort((a, b) => (a.date === b.date ? (b.disbursementNumber || 0) - (a.disbursementNumber || 0) : (a.date < b.date ? 1 : -1)));
+
+    const exportColumns = [
+        { key: 'disbursementNo', label: 'رقم السند', value: disbursement => formatDisbursementNumber(disbursement, profile) },
+        { key: 'date', label: 'التاريخ' },
+        { key: 'payee', label: 'المستفيد', value: disbursement => disbursement.supplierName || disbursement.payee },
+        { key: 'categoryName', label: 'البند' },
+        { key: 'amount', label: 'المبلغ', value: disbursement => Number(disbursement.amount) || 0 },
+        { key: 'vatAmount', label: 'ضريبة المدخلات', value: disbursement => Number(disbursement.vatAmount) || 0 },
+        { key: 'accountName', label: 'الحساب', value: disbursement => disbursement.accountName || 'غير محدد' },
+        { key: 'status', label: 'الحالة', value: disbursement => (isVoided(disbursement) ? 'ملغى' : 'ساري') },
+    ];
+
+    // Failures propagate to DisbursementForm, which shows them inside the form.
+    const handleSave = async (disbursementData) => {
+        if (!requirePermission(role, 'disbursements', 'create')) return;
+        const seed = await loadCounterSeed(dataPath, 'disbursements', profile, disbursementData.date);
+        await runTransaction(db, async (transaction) => {
+            const newDisbursementRef = doc(collection(db, `${dataPath}/disbursements`));
+            const { sequence, formatted } = await nextDocumentNumber(transaction, dataPath, 'disbursements', profile, disbursementData.date, seed);
+            transaction.set(newDisbursementRef, {
+                ...disbursementData,
+                disbursementNumber: sequence,
+                disbursementNo: formatted,
+                status: 'active',
+                createdBy: username,
+                createdAt: serverTimestamp()
+            });
+        });
+        setIsModalOpen(false);
+    };
+
+    const handleVoid = async (disbursement) => {
+        if (!requirePermission(role, 'disbursements', 'delete')) return;
+        const reason = window.prompt('سبب إلغاء سند الصرف:');
+        if (reason === null) return;
+        try {
+            await updateDoc(doc(db, `${dataPath}/disbursements`, disbursement.id), { status: 'void', voidReason: reason, voidedBy: username, voidedAt: serverTimestamp() });
+        } catch (e) {
+            console.error("Voiding disbursement failed: ", e);
+            window.alert('تعذر إلغاء السند. يرجى المحاولة مرة أخرى.');
+        }
+    };
+
+    // Failures propagate to SupplierForm, which shows them inside the form.
+    const handleSaveSupplier = async (supplierData) => {
+        const isUpdate = Boolean(currentSupplier && currentSupplier.id);
+        if (!requirePermission(role, 'suppliers', isUpdate ? 'update' : 'create')) return;
+        if (isUpdate) {
+            await updateDoc(doc(db, `${dataPath}/suppliers`, currentSupplier.id), supplierData);
+        } else {
+            await addDoc(collection(db, `${dataPath}/suppliers`), supplierData);
+        }
+        setIsSupplierModalOpen(false);
+    };
+
+    // Suppliers and categories that appear on disbursements keep their name on the voucher, so deleting them is safe.
+    const handleDeleteSupplier = async (id) => {
+        if (!requirePermission(role, 'suppliers', 'delete')) return;
+        if (!window.confirm('هل أنت متأكد من حذف هذا المورد؟')) return;
+        try {
+            await deleteDoc(doc(db, `${dataPath}/suppliers`, id));
+        } catch (e) {
+            console.error("Deleting supplier failed: ", e);
+            window.alert('تعذر حذف المورد. يرجى المحاولة مرة أخرى.');
+        }
+    };
+
+    const handleAddCategory = async (e) => {
+        e.preventDefault();
+        if (!requirePermission(role, 'expenseCategories', 'create') || !newCategory.trim()) return;
+        try {
+            await addDoc(collection(db, `${dataPath}/expenseCategories`), { name: newCategory.trim() });
+            setNewCategory('');
+        } catch (e) {
+            console.error("Adding expense category failed: ", e);
+            window.alert('تعذر إضافة البند. يرجى المحاولة مرة أخرى.');
+        }
+    };
+
+    const handleDeleteCategory = async (id) => {
+        if (!requirePermission(role, 'expenseCategories', 'delete')) return;
+        if (!window.confirm('هل أنت متأكد من حذف هذا البند؟')) return;
+        try {
+            await deleteDoc(doc(db, `${dataPath}/expenseCategories`, id));
+        } catch (e) {
+            console.error("Deleting expense category failed: ", e);
+            window.alert('تعذر حذف البند. يرجى المحاولة مرة أخرى.');
+        }
+    };
+
+    const expensesBySupplier = (supplierId) => round2(disbursements.filter(disbursement => !isVoided(disbursement) && disbursement.supplierId === supplierId).reduce((sum, disbursement) => sum + (Number(disbursement.amount) || 0), 0));
+    const expensesByCategory = (categoryId) => round2(disbursements.filter(disbursement => !isVoided(disbursement) && disbursement.categoryId === categoryId).reduce((sum, disbursement) => sum + expenseAmount(disbursement), 0));
+
+    return (
+        <div className="bg-white dark:bg-gray-800 p-6 rounded-xl shadow-md">
+            <div className="flex justify-between items-center mb-6">
+                <h2 className="text-xl font-bold text-gray-800 dark:text-white">المصروفات وسندات الصرف</h2>
+                <div className="flex items-center space-x-2">
+                    <select value={view} onChange={(e) => setView(e.target.value)} className="p-2 border rounded-lg bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-white ml-2">
+                        <option value="disbursements">سندات الصرف</option>
+                        <option value="suppliers">الموردون</option>
+                        <option value="categories">بنود المصروفات</option>
                     </select>
+                    {view === 'disbursements' && <ExportButtons columns={exportColumns} rows={sortedDisbursements} fileName={`سندات-الصرف-${todayIso()}`} />}
+                    {view === 'disbursements' && can(role, 'disbursements', 'create') && <button onClick={() => setIsModalOpen(true)} className="flex items-center bg-blue-600 text-white font-semibold py-2 px-4 rounded-lg shadow-md hover:bg-blue-700 transition-colors"><PlusCircle className="mr-2" size={20}/> سند صرف جديد</button>}
+                    {view === 'suppliers' && can(role, 'suppliers', 'create') && <button onClick={() => { setCurrentSupplier(null); setIsSupplierModalOpen(true); }} className="flex items-center bg-blue-600 text-white font-semibold py-2 px-4 rounded-lg shadow-md hover:bg-blue-700 transition-colors"><PlusCircle className="mr-2" size={20}/> إضافة مورد</button>}
                 </div>
+            </div>
+            {view === 'disbursements' && (
+            <div className="overflow-x-auto">
+                <table className="w-full text-sm text-right text-gray-500 dark:text-gray-400">
+                    <thead className="text-xs text-gray-700 uppercase bg-gray-50 dark:bg-gray-700 dark:text-gray-400">
+                        <tr><th className="px-4 py-3">رقم السند</th><th className="px-4 py-3">المستفيد</th><th className="px-4 py-3">البند</th><th className="px-4 py-3">المبلغ</th><th className="px-4 py-3">الحساب</th><th className="px-4 py-3">التاريخ</th><th className="px-4 py-3">الحالة</th><th className="px-4 py-3 text-left">إجراءات</th></tr>
+                    </thead>
+                    <tbody>
+                        {sortedDisbursements.length > 0 ? sortedDisbursements.map(disbursement => (
+                            <tr key={disbursement.id} className={`border-b dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-600 ${isVoided(disbursement) ? 'opacity-60' : ''}`}>
+                                <td className="px-4 py-3 font-medium text-gray-900 dark:text-white">{formatDisbursementNumber(disbursement, profile)}</td>
+                                <td className="px-4 py-3">{disbursement.supplierName || disbursement.payee}</td>
+                                <td className="px-4 py-3">{disbursement.categoryName}</td>
+                                <td className={`px-4 py-3 ${isVoided(disbursement) ? 'line-through' : ''}`}>{formatMoney(disbursement.amount, profile)}</td>
+                                <td className="px-4 py-3">{disbursement.accountName || 'غير محدد'}</td>
+                                <td className="px-4 py-3">{disbursement.date}</td>
+                                <td className="px-4 py-3">{isVoided(disbursement) ? <span title={disbursement.voidReason} className="px-2 py-1 text-xs font-medium rounded-full bg-gray-200 text-gray-700 dark:bg-gray-600 dark:text-gray-200">ملغى</span> : <span className="px-2 py-1 text-xs font-medium rounded-full bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-300">ساري</span>}</td>
+                                <td className="px-4 py-3 flex items-center space-x-2 justify-end">
+                                    <button onClick={() => setViewedDisbursement(disbursement)} title="عرض السند" className="p-2 text-gray-600 hover:text-gray-800 dark:text-gray-300 dark:hover:text-gray-100"><Eye size={18}/></button>
+                                    {!isVoided(disbursement) && can(role, 'disbursements', 'delete') && <button onClick={() => handleVoid(disbursement)} title="إلغاء السند" className="p-2 text-red-600 hover:text-red-800"><Ban size={18}/></button>}
+                                </td>
+                            </tr>
+                        )) : (
+                            <tr>
+                                <td colSpan="8" className="text-center py-16 text-gray-500 dark:text-gray-400">
+                                    <Receipt size={48} className="mx-auto mb-4" />
+                                    <h3 className="text-xl font-semibold">لا توجد سندات صرف</h3>
+                                    <p className="mt-2">سجّل الإيجار والرواتب والرسوم الحكومية وغيرها ليظهر صافي الربح الحقيقي.</p>
+                                </td>
+                            </tr>
+                        )}
+                    </tbody>
+                </table>
+            </div>
+            )}
+            {view === 'suppliers' && (
+            <div className="overflow-x-auto">
+                <table className="w-full text-sm text-right text-gray-500 dark:text-gray-400">
+                    <thead className="text-xs text-gray-700 uppercase bg-gray-50 dark:bg-gray-700 dark:text-gray-400">
+                        <tr><th className="px-4 py-3">المورد</th><th className="px-4 py-3">الرقم الضريبي</th><th className="px-4 py-3">الهاتف</th><th className="px-4 py-3">البريد الإلكتروني</th><th className="px-4 py-3">إجمالي المدفوع</th><th className="px-4 py-3 text-left">إجراءات</th></tr>
+                    </thead>
+                    <tbody>
+                        {suppliers.length > 0 ? suppliers.map(supplier => (
+                            <tr key={supplier.id} className="border-b dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-600">
+                                <td className="px-4 py-3 font-medium text-gray-900 dark:text-white">{supplier.name}</td>
+                                <td className="px-4 py-3" dir="ltr">{supplier.vatNumber}</td>
+                                <td className="px-4 py-3">{supplier.phone}</td>
+                                <td className="px-4 py-3">{supplier.email}</td>
+                                <td className="px-4 py-3 font-semibold">{formatMoney(expensesBySupplier(supplier.id), profile)}</td>
+                                <td className="px-4 py-3 flex items-center space-x-2 justify-end">
+                                    {can(role, 'suppliers', 'update') && <button onClick={() => { setCurrentSupplier(supplier); setIsSupplierModalOpen(true); }} className="p-2 text-blue-600 hover:text-blue-800"><Edit size={18}/></button>}
+                                    {can(role, 'suppliers', 'delete') && <button onClick={() => handleDeleteSupplier(supplier.id)} className="p-2 text-red-600 hover:text-red-800"><Trash2 size={18}/></button>}
+                                </td>
+                            </tr>
+                        )) : (
+                            <tr><td colSpan="6" className="text-center py-10 text-gray-500 dark:text-gray-400">لا يوجد موردون بعد.</td></tr>
+                        )}
+                    </tbody>
+                </table>
+            </div>
+            )}
+            {view === 'categories' && (
+            <div className="max-w-xl">
+                {can(role, 'expenseCategories', 'create') && (
+                    <form onSubmit={handleAddCategory} className="flex mb-4">
+                        <input type="text" value={newCategory} onChange={(e) => setNewCategory(e.target.value)} placeholder="اسم البند (مثال: إيجار، رواتب، رسوم حكومية)" className="flex-1 p-2 border rounded-md bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-white ml-2" />
+                        <button type="submit" className="bg-blue-600 text-white font-bold py-2 px-4 rounded-md">إضافة</button>
+                    </form>
                 )}
-                <div><label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">المبلغ المدفوع</label><input type="number" name="amount" value={formData.amount} onChange={handleChange} className="w-full p-2 border rounded-md bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-white" required /></div>
-                <div><label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">تاريخ الدفع</label><input type="date" name="date" value={formData.date} onChange={handleChange} className="w-full p-2 border rounded-md bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-white" required /></div>
-                <div className="flex justify-end pt-4"><button type="button" onClick={onClose} className="bg-gray-200 dark:bg-gray-600 text-gray-800 dark:text-gray-200 font-bold py-2 px-4 rounded-md ml-2">إلغاء</button><button type="submit" className="bg-blue-600 text-white font-bold py-2 px-4 rounded-md">حفظ السند</button></div>
+                <ul className="divide-y dark:divide-gray-700">
+                    {categories.map(category => (
+                        <li key={category.id} className="flex justify-between items-center py-2 text-gray-700 dark:text-gray-300">
+                            <span>{category.name}</span>
+                            <span className="flex items-center">
+                                <span className="text-sm ml-4">{formatMoney(expensesByCategory(category.id), profile)}</span>
+                                {can(role, 'expenseCategories', 'delete') && <button onClick={() => handleDeleteCategory(category.id)} className="p-2 text-red-600 hover:text-red-800"><Trash2 size={16}/></button>}
+                            </span>
+                        </li>
+                    ))}
+                    {categories.length === 0 && <li className="py-6 text-center text-gray-500 dark:text-gray-400">لا توجد بنود مصروفات بعد.</li>}
+                </ul>
+            </div>
+            )}
+            <DisbursementForm isOpen={isModalOpen} onClose={() => setIsModalOpen(false)} onSave={handleSave} suppliers={suppliers} categories={categories} accounts={accounts} profile={profile} />
+            <SupplierForm isOpen={isSupplierModalOpen} onClose={() => setIsSupplierModalOpen(false)} onSave={handleSaveSupplier} supplier={currentSupplier} />
+            {viewedDisbursement && <DisbursementView isOpen={Boolean(viewedDisbursement)} onClose={() => setViewedDisbursement(null)} disbursement={viewedDisbursement} profile={profile} />}
+        </div>
+    );
+};
+
+const emptyDisbursement = () => ({ supplierId: '', payee: '', categoryId: '', description: '', amount: '', vatAmount: '', date: new Date().toISOString().slice(0, 10), paymentMethod: 'cash', accountId: '', chequeNumber: '', chequeDueDate: '' });
+
+const DisbursementForm = ({ isOpen, onClose, onSave, suppliers, categories, accounts, profile }) => {
+    const [formData, setFormData] = useState(emptyDisbursement());
+    const [error, setError] = useState('');
+    const [saving, setSaving] = useState(false);
+
+    useEffect(() => {
+        if (!isOpen) return;
+        setFormData(emptyDisbursement());
+        setError('');
+    }, [isOpen]);
+
+    const handleChange = (e) => setFormData({ ...formData, [e.target.name]: e.target.value });
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const amount = round2(formData.amount);
+        const vatAmount = round2(formData.vatAmount || 0);
+        if (!(amount > 0)) {
+            setError('يجب أن يكون مبلغ السند أكبر من صفر.');
+            return;
+        }
+        if (vatAmount < 0 || vatAmount >= amount) {
+            setError('ضريبة المدخلات يجب أن تكون أقل من مبلغ السند.');
+            return;
+        }
+        const supplier = suppliers.find(s => s.id === formData.supplierId);
+        const category = categories.find(c => c.id === formData.categoryId);
+        const account = accounts.find(a => a.id === formData.accountId);
+        const isCheque = formData.paymentMethod === 'cheque';
+        setSaving(true);
+        setError('');
+        try {
+            await onSave({
+                supplierId: supplier ? supplier.id : '',
+                supplierName: supplier ? supplier.name : '',
+                payee: supplier ? supplier.name : formData.payee,
+                categoryId: formData.categoryId,
+                categoryName: category ? category.name : '',
+                description: formData.description,
+                amount,
+                vatAmount,
+                date: formData.date,
+                paymentMethod: formData.paymentMethod,
+                accountId: formData.accountId,
+                accountName: account ? account.name : '',
+                chequeNumber: isCheque ? formData.chequeNumber : '',
+                chequeDueDate: isCheque ? formData.chequeDueDate : '',
+            });
+        } catch (err) {
+            console.error("Saving disbursement failed:", err);
+            setError('تعذر حفظ السند. يرجى المحاولة مرة أخرى.');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const inputClass = "w-full p-2 border rounded-md bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-white";
+    const labelClass = "block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1";
+
+    return (
+        <Modal isOpen={isOpen} onClose={onClose} title="سند صرف جديد">
+            <form onSubmit={handleSubmit} className="space-y-4">
+                {error && <p className="p-2 rounded-md bg-red-100 text-red-700 text-sm">{error}</p>}
+                <div className="grid grid-cols-2 gap-2">
+                    <div>
+                        <label className={labelClass}>المورد</label>
+                        <select name="supplierId" value={formData.supplierId} onChange={handleChange} className={inputClass}>
+                            <option value="">بدون مورد</option>
+                            {suppliers.map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
+                        </select>
+                    </div>
+                    {!formData.supplierId && <div><label className={labelClass}>اسم المستفيد</label><input type="text" name="payee" value={formData.payee} onChange={handleChange} className={inputClass} required /></div>}
+                    <div>
+                        <label className={labelClass}>بند المصروف</label>
+                        <select name="categoryId" value={formData.categoryId} onChange={handleChange} className={inputClass} required>
+                            <option value="">اختر البند</option>
+                            {categories.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+                        </select>
+                        {categories.length === 0 && <p className="text-xs text-red-500 mt-1">أضف بنود المصروفات أولاً.</p>}
+                    </div>
+                    <div><label className={labelClass}>التاريخ</label><input type="date" name="date" value={formData.date} onChange={handleChange} className={inputClass} required /></div>
+                    <div><label className={labelClass}>المبلغ المدفوع</label><input type="number" step="0.01" min="0" name="amount" value={formData.amount} onChange={handleChange} className={inputClass} required /></div>
+                    <div><label className={labelClass}>منها ضريبة مدخلات قابلة للاسترداد</label><input type="number" step="0.01" min="0" name="vatAmount" value={formData.vatAmount} onChange={handleChange} placeholder="0.00" className={inputClass} /></div>
+                    <div>
+                        <label className={labelClass}>طريقة الدفع</label>
+                        <select name="paymentMethod" value={formData.paymentMethod} onChange={handleChange} className={inputClass}>
+                            {Object.entries(PAYMENT_METHODS).map(([key, method]) => <option key={key} value={key}>{method.label}</option>)}
+                        </select>
+                    </div>
+                    <div>
+                        <label className={labelClass}>يُصرف من حساب</label>
+                        <select name="accountId" value={formData.accountId} onChange={handleChange} className={inputClass} required>
+                            <option value="">اختر الصندوق أو البنك</option>
+                            {accounts.map(account => <option key={account.id} value={account.id}>{account.name}</option>)}
+                        </select>
+                    </div>
+                    {formData.paymentMethod === 'cheque' && (<>
+                    <div><label className={labelClass}>رقم الشيك</label><input type="text" name="chequeNumber" value={formData.chequeNumber} onChange={handleChange} className={inputClass} dir="ltr" required /></div>
+                    <div><label className={labelClass}>تاريخ استحقاق الشيك</label><input type="date" name="chequeDueDate" value={formData.chequeDueDate} onChange={handleChange} className={inputClass} required /></div>
+                    </>)}
+                </div>
+                <textarea name="description" value={formData.description} onChange={handleChange} placeholder="البيان" className={inputClass} rows="2"></textarea>
+                {Number(formData.amount) > 0 && <p className="text-sm text-gray-600 dark:text-gray-400">المصروف قبل الضريبة: {formatMoney(expenseAmount(formData), profile)}</p>}
+                <div className="flex justify-end pt-4"><button type="button" onClick={onClose} className="bg-gray-200 dark:bg-gray-600 text-gray-800 dark:text-gray-200 font-bold py-2 px-4 rounded-md ml-2">إلغاء</button><button type="submit" disabled={saving} className="bg-blue-600 text-white font-bold py-2 px-4 rounded-md disabled:opacity-50">{saving ? 'جاري الحفظ...' : 'حفظ'}</button></div>
             </form>
         </Modal>
     );
 };
+
+const DisbursementView = ({ isOpen, onClose, disbursement, profile }) => {
+    const documentRef = useRef(null);
+    const disbursementNumber = formatDisbursementNumber(disbursement, profile);
+
+    return (
+        <Modal isOpen={isOpen} onClose={onClose} title={`سند صرف ${disbursementNumber}`} wide>
+            <div ref={documentRef} className="print-area document bg-white text-gray-900 p-6 text-base">
+                <DocumentHeader profile={profile} title="سند صرف" number={disbursementNumber} date={disbursement.date} />
+                {isVoided(disbursement) && <p className="mb-4 p-2 border-2 border-red-600 text-red-600 font-bold text-center">سند ملغى{disbursement.voidReason ? ` — ${disbursement.voidReason}` : ''}</p>}
+                <div className="space-y-4">
+                    <div className="flex items-center">
+                        <span className="font-bold ml-2">المبلغ:</span>
+                        <span className="border-2 border-gray-800 rounded-md px-4 py-1 font-bold">{formatMoney(disbursement.amount, profile)}</span>
+                    </div>
+                    <p><span className="font-bold">صرفنا إلى السيد/السادة:</span> {disbursement.supplierName || disbursement.payee}</p>
+                    <p><span className="font-bold">مبلغ وقدره:</span> {formatAmountInWords(disbursement.amount, profile)}</p>
+                    {Number(disbursement.vatAmount) > 0 && <p><span className="font-bold">منها ضريبة القيمة المضافة:</span> {formatMoney(disbursement.vatAmount, profile)}</p>}
+                    <p><span className="font-bold">طريقة الدفع:</span> {PAYMENT_METHODS[paymentMethodOf(disbursement)].label}{disbursement.paymentMethod === 'cheque' && disbursement.chequeNumber && ` رقم ${disbursement.chequeNumber} بتاريخ استحقاق ${disbursement.chequeDueDate}`}{disbursement.accountName && ` — ${disbursement.accountName}`}</p>
+                    <p><span className="font-bold">وذلك عن:</span> {disbursement.categoryName}{disbursement.description && ` — ${disbursement.description}`}</p>
+                </div>
+                <div className="grid grid-cols-3 gap-8 mt-16 text-center">
+                    <div><p className="border-t border-gray-800 pt-2">المحاسب</p></div>
+                    <div><p className="border-t border-gray-800 pt-2">المعتمد</p></div>
+                    <div><p className="border-t border-gray-800 pt-2">توقيع المستلم</p></div>
+                </div>
+            </div>
+            <DocumentActions documentRef={documentRef} fileName={`${disbursementNumber}.pdf`} />
+        </Modal>
+    );
+};
+
+const SupplierForm = ({ isOpen, onClose, onSave, supplier }) => {
+    const [formData, setFormData] = useState({ name: '', vatNumber: '', phone: '', email: '' });
+    const [error, setError] = useState('');
+    const [saving, setSaving] = useState(false);
+    useEffect(() => { if (supplier) setFormData({ vatNumber: '', phone: '', email: '', ...supplier }); else setFormData({ name: '', vatNumber: '', phone: '', email: '' }); setError(''); }, [supplier, isOpen]);
+    const handleChange = (e) => setFormData({ ...formData, [e.target.name]: e.target.value });
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const { name, vatNumber, phone, email } = formData;
+        setSaving(true);
+        setError('');
+        try {
+            await onSave({ name, vatNumber, phone, email });
+        } catch (err) {
+            console.error("Saving supplier failed:", err);
+            setError('تعذر حفظ المورد. يرجى المحاولة مرة أخرى.');
+        } finally {
+            setSaving(false);
+        }
+    };
+    return (
+        <Modal isOpen={isOpen} onClose={onClose} title={supplier ? "تعديل مورد" : "إضافة مورد"}>
+            <form onSubmit={handleSubmit} className="space-y-4">
+                <input type="text" name="name" value={formData.name} onChange={handleChange} placeholder="اسم المورد" className="w-full p-2 border rounded-md bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-white" required />
+                <input type="text" name="vatNumber" value={formData.vatNumber} onChange={handleChange} placeholder="الرقم الضريبي" className="w-full p-2 border rounded-md bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-white" dir="ltr" />
+                <input type="tel" name="phone" value={formData.phone} onChange={handleChange} placeholder="رقم الهاتف" className="w-full p-2 border rounded-md bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-white" />
+                <input type="email" name="email" value={formData.email} onChange={handleChange} placeholder="البريد الإلكتروني" className="w-full p-2 border rounded-md bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-white" />
+                {error && <p className="p-2 rounded-md bg-red-100 text-red-700 text-sm">{error}</p>}
+                <div className="flex justify-end pt-4"><button type="button" onClick={onClose} className="bg-gray-200 dark:bg-gray-600 text-gray-800 dark:text-gray-200 font-bold py-2 px-4 rounded-md ml-2">إلغاء</button><button type="submit" disabled={saving} className="bg-blue-600 text-white font-bold py-2 px-4 rounded-md disabled:opacity-50">{saving ? 'جاري الحفظ...' : 'حفظ'}</button></div>
+            </form>
+        </Modal>
+    );
+};
+
+// --- Reports Component ---
+const REPORTS = {
+    salesByCustomer: { label: 'المبيعات حسب العميل' },
+    salesByService: { label: 'المبيعات حسب الخدمة' },
+    collections: { label: 'التحصيلات حسب الفترة' },
+    vatReturn: { label: 'ملخص الإقرار الضريبي' },
+    aging: { label: 'أعمار الذمم' },
+};
+
+const CHART_COLORS = ['#3B82F6', '#10B981', '#F59E0B', '#6366F1', '#EF4444'];
+
+// VAT returns are filed per calendar quarter; the picker offers the last three years of quarters, newest first.
+const vatQuarterOptions = (today) => {
+    const [year, month] = today.split('-').map(Number);
+    const current = year * 4 + Math.floor((month - 1) / 3);
+    return Array.from({ length: 12 }, (_, index) => {
+        const quarterYear = Math.floor((current - index) / 4);
+        const quarter = ((current - index) % 4) + 1;
+        return { key: `${quarterYear}-${quarter}`, label: `الربع ${quarter} - ${quarterYear}`, range: periodRange('quarter', `${quarterYear}-${String(quarter * 3).padStart(2, '0')}-01`) };
+    });
+};
+
+// Each report is a set of columns over plain rows: the same definition renders the table, sums the totals row and
+// is exported through ExportButtons like every list page.
+const reportCell = (column, row, profile) => (column.money ? formatMoney(row[column.key], profile) : row[column.key]);
+
+const reportTotals = (columns, rows) => Object.fromEntries(columns.filter(column => column.total).map(column => [
+    column.key,
+    round2(rows.reduce((sum, row) => sum + (Number(row[column.key]) || 0), 0)),
+]));
+
+const buildReportView = (report, data, range, options, profile) => {
+    const money = (key, label) => ({ key, label, money: true, total: true });
+    switch (report) {
+        case 'salesByCustomer': {
+            const rows = salesByCustomer(data, range);
+            return {
+                columns: [{ key: 'customerName', label: 'العميل' }, { key: 'invoiceCount', label: 'عدد الفواتير', total: true }, money('sales', 'المبيعات'), money('returns', 'المرتجعات'), money('taxableAmount', 'الصافي قبل الضريبة'), money('vatAmount', 'ضريبة القيمة المضافة'), money('total', 'الإجمالي')],
+                rows,
+                chart: { data: rows.slice(0, 10), xKey: 'customerName', bars: [{ key: 'total', name: 'الإجمالي' }] },
+            };
+        }
+        case 'salesByService': {
+            const rows = salesByService(data, range);
+            return {
+                columns: [{ key: 'name', label: 'الخدمة' }, { key: 'quantity', label: 'الكمية', total: true }, { key: 'invoiceCount', label: 'عدد الفواتير' }, money('taxableAmount', 'الصافي قبل الضريبة'), money('vatAmount', 'ضريبة القيمة المضافة'), money('total', 'الإجمالي')],
+                rows,
+                chart: { data: rows.slice(0, 10), xKey: 'name', bars: [{ key: 'taxableAmount', name: 'الصافي قبل الضريبة' }] },
+            };
+        }
+        case 'collections': {
+            const rows = collectionsByPeriod(data.vouchers, range, options.granularity);
+            const methods = Object.entries(PAYMENT_METHODS);
+            return {
+                columns: [{ key: 'label', label: 'الفترة' }, { key: 'count', label: 'عدد السندات', total: true }, ...methods.map(([key, method]) => money(key, method.label)), money('amount', 'الإجمالي')],
+                rows,
+                chart: { data: rows, xKey: 'label', stacked: true, bars: methods.map(([key, method]) => ({ key, name: method.label })) },
+            };
+        }
+        case 'vatReturn': {
+            const result = vatReturn(data, range);
+            const rows = result.categories.map(row => ({ ...row, label: VAT_CATEGORIES[row.category].label }));
+            return {
+                columns: [{ key: 'label', label: 'الفئة' }, money('sales', 'المبيعات'), money('adjustments', 'التعديلات'), money('netSales', 'صافي المبيعات'), money('vat', 'ضريبة المخرجات'), money('vatAdjustments', 'تعديلات الضريبة'), money('netVat', 'صافي ضريبة المخرجات')],
+                rows,
+                chart: { data: rows, xKey: 'label', bars: [{ key: 'netSales', name: 'صافي المبيعات' }, { key: 'netVat', name: 'صافي ضريبة المخرجات' }] },
+                cards: [
+                    { label: 'ضريبة المخرجات', value: result.outputVat },
+                    { label: 'ضريبة المدخلات القابلة للاسترداد', value: result.inputVat },
+                    { label: 'صافي الضريبة المستحقة', value: result.netVatDue },
+                    ...(result.legacySales > 0 ? [{ label: 'مبيعات قبل تفعيل الضريبة', value: result.legacySales }] : []),
+                ],
+            };
+        }
+        default: {
+            const aging = buildAgingReport(data.invoices.map(invoice => ({ ...invoice, remaining: invoiceRemaining(invoice) })));
+            return {
+                columns: [{ key: 'customerName', label: 'العميل' }, ...AGING_BUCKETS.map(bucket => money(bucket.key, bucket.label)), money('total', 'الإجمالي')],
+                rows: aging.customers.map(customer => ({ customerName: customer.customerName, ...customer.buckets, total: customer.total })),
+                chart: { data: AGING_BUCKETS.map(bucket => ({ name: bucket.label, amount: aging.totals[bucket.key] })), xKey: 'name', bars: [{ key: 'amount', name: 'الرصيد المستحق' }] },
+            };
+        }
+    }
+};
+
+const Reports = ({ workspaceId, profile }) => {
+    const [report, setReport] = useState('salesByCustomer');
+    const [period, setPeriod] = useState('year');
+    const [customRange, setCustomRange] = useState({ from: '', to: '' });
+    const [customerId, setCustomerId] = useState('');
+    const [granularity, setGranularity] = useState('month');
+    const [paymentMethod, setPaymentMethod] = useState('');
+    const quarters = useMemo(() => vatQuarterOptions(todayIso()), []);
+    const [vatQuarter, setVatQuarter] = useState(quarters[0].key);
+    const [data, setData] = useState({ invoices: [], creditNotes: [], vouchers: [], customers: [], disbursements: [] });
+    const [printOpen, setPrintOpen] = useState(false);
+    const documentRef = useRef(null);
+
+    useEffect(() => {
+        if (!workspaceId) return;
+        const dataPath = `artifacts/${appId}/public/data/userdata/${workspaceId}`;
+        const listen = (collectionName) => onSnapshot(collection(db, `${dataPath}/${collectionName}`), (snapshot) => {
+            setData(prev => ({ ...prev, [collectionName]: snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })) }));
+        }, (error) => { console.error(`Error in report ${collectionName} listener:`, error) });
+        const unsubscribers = ['invoices', 'creditNotes', 'vouchers', 'customers', 'disbursements'].map(listen);
+        return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+    }, [workspaceId]);
+
+    // The VAT return covers the whole business for a filing quarter and aging is always as of today, so the period and
+    // customer filters only apply to the other reports.
+    const usesPeriod = report !== 'vatReturn' && report !== 'aging';
+    const usesCustomer = report !== 'vatReturn';
+    const range = useMemo(() => {
+        if (report === 'vatReturn') return quarters.find(quarter => quarter.key === vatQuarter).range;
+        return usesPeriod ? periodRange(period, todayIso(), customRange) : { from: null, to: todayIso() };
+    }, [report, quarters, vatQuarter, usesPeriod, period, customRange]);
+
+    const view = useMemo(() => {
+        const forCustomer = (document) => !usesCustomer || !customerId || document.customerId === customerId;
+        const filtered = {
+            invoices: data.invoices.filter(forCustomer),
+            creditNotes: data.creditNotes.filter(forCustomer),
+            vouchers: data.vouchers.filter(voucher => forCustomer(voucher) && (!paymentMethod || paymentMethodOf(voucher) === paymentMethod)),
+            disbursements: data.disbursements,
+        };
+        return buildReportView(report, filtered, range, { granularity }, profile);
+    }, [report, data, range, customerId, paymentMethod, granularity, usesCustomer, profile]);
+
+    const totals = reportTotals(view.columns, view.rows);
+    const periodLabel = report === 'aging' ? `حتى ${todayIso()}` : (range.from || range.to ? `من ${range.from || '—'} إلى ${range.to || '—'}` : 'كل الفترات');
+    const customerName = customerId && usesCustomer ? (data.customers.find(customer => customer.id === customerId) || {}).name : '';
+    const fileName = `${REPORTS[report].label}-${range.to || todayIso()}`;
+
+    const selectClass = "p-2 border rounded-lg bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-white";
+
+    const reportDocument = (
+        <div className="document bg-white text-gray-900 p-6 text-sm">
+            <DocumentHeader profile={profile} title={REPORTS[report].label} number={customerName} date={periodLabel} />
+            {view.cards && (
+                <div className="mb-4 p-3 bg-gray-50 rounded-md grid grid-cols-2 gap-2">
+                    {view.cards.map(card => <p key={card.label}>{card.label}: <span className="font-bold">{formatMoney(card.value, profile)}</span></p>)}
+                </div>
+            )}
+            <table className="w-full text-right border-collapse">
+                <thead className="bg-gray-800 text-white">
+                    <tr>{view.columns.map(column => <th key={column.key} className="p-2">{column.label}</th>)}</tr>
+                </thead>
+                <tbody>
+                    {view.rows.length > 0 ? view.rows.map((row, index) => (
+                        <tr key={index} className="border-b">
+                            {view.columns.map(column => <td key={column.key} className="p-2">{reportCell(column, row, profile)}</td>)}
+                        </tr>
+                    )) : (
+                        <tr><td colSpan={view.columns.length} className="text-center py-10 text-gray-500">لا توجد بيانات للفترة المحددة.</td></tr>
+                    )}
+                    {view.rows.length > 0 && (
+                        <tr className="border-t-2 border-gray-800 font-bold">
+                            {view.columns.map((column, index) => <td key={column.key} className="p-2">{index === 0 ? 'الإجمالي' : (column.total ? reportCell(column, totals, profile) : '')}</td>)}
+                        </tr>
+                    )}
+                </tbody>
+            </table>
+        </div>
+    );
+
+    return (
+        <div className="bg-white dark:bg-gray-800 p-6 rounded-xl shadow-md">
+            <div className="flex flex-wrap justify-between items-center gap-4 mb-6">
+                <h2 className="text-2xl font-bold text-gray-800 dark:text-white">التقارير</h2>
+                <div className="flex flex-wrap items-center gap-2">
+                    <ExportButtons columns={view.columns} rows={view.rows} fileName={fileName} />
+                    <button onClick={() => setPrintOpen(true)} className="flex items-center bg-blue-600 text-white font-semibold py-2 px-4 rounded-lg shadow-md hover:bg-blue-700 transition-colors"><Printer className="ml-2" size={18}/> طباعة / PDF</button>
+                </div>
+            </div>
+            <div className="flex flex-wrap gap-2 mb-4 border-b dark:border-gray-700">
+                {Object.entries(REPORTS).map(([key, option]) => (
+                    <button key={key} onClick={() => setReport(key)} className={`py-2 px-4 font-semibold ${report === key ? 'border-b-2 border-blue-600 text-blue-600' : 'text-gray-500 dark:text-gray-400'}`}>{option.label}</button>
+                ))}
+            </div>
+            <div className="flex flex-wrap items-center gap-2 mb-6">
+                {usesPeriod && (
+                    <select value={period} onChange={(e) => setPeriod(e.target.value)} className={selectClass}>
+                        {Object.entries(PERIODS).map(([key, option]) => <option key={key} value={key}>{option.label}</option>)}
+                    </select>
+                )}
+                {usesPeriod && period === 'custom' && (
+                    <>
+                        <input type="date" value={customRange.from} onChange={(e) => setCustomRange(prev => ({ ...prev, from: e.target.value }))} className={selectClass} />
+                        <input type="date" value={customRange.to} onChange={(e) => setCustomRange(prev => ({ ...prev, to: e.target.value }))} className={selectClass} />
+                    </>
+                )}
+                {report === 'vatReturn' && (
+                    <select value={vatQuarter} onChange={(e) => setVatQuarter(e.target.value)} className={selectClass}>
+                        {quarters.map(quarter => <option key={quarter.key} value={quarter.key}>{quarter.label}</option>)}
+                    </select>
+                )}
+                {usesCustomer && (
+                    <select value={customerId} onChange={(e) => setCustomerId(e.target.value)} className={selectClass}>
+                        <option value="">كل العملاء</option>
+                        {data.customers.map(customer => <option key={customer.id} value={customer.id}>{customer.name}</option>)}
+                    </select>
+                )}
+                {report === 'collections' && (
+                    <>
+                        <select value={granularity} onChange={(e) => setGranularity(e.target.value)} className={selectClass}>
+                            {Object.entries(COLLECTION_GRANULARITIES).map(([key, option]) => <option key={key} value={key}>{option.label}</option>)}
+                        </select>
+                        <select value={paymentMethod} onChange={(e) => setPaymentMethod(e.target.value)} className={selectClass}>
+                            <option value="">كل طرق الدفع</option>
+                            {Object.entries(PAYMENT_METHODS).map(([key, method]) => <option key={key} value={key}>{method.label}</option>)}
+                        </select>
+                    </>
+                )}
+                <span className="text-sm text-gray-500 dark:text-gray-400">{periodLabel}</span>
+            </div>
+            {view.cards && (
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+                    {view.cards.map(card => (
+                        <div key={card.label} className="p-4 rounded-lg bg-gray-50 dark:bg-gray-700">
+                            <p className="text-sm text-gray-500 dark:text-gray-400">{card.label}</p>
+                            <p className="text-lg font-bold text-gray-800 dark:text-white">{formatMoney(card.value, profile)}</p>
+                        </div>
+                    ))}
+                </div>
+            )}
+            {view.rows.length > 0 && (
+                <div className="mb-6">
+                    <ResponsiveContainer width="100%" height={300}>
+                        <BarChart data={view.chart.data} margin={{ top: 5, right: 20, left: -10, bottom: 5 }}>
+                            <CartesianGrid strokeDasharray="3 3" stroke="rgba(128, 128, 128, 0.2)" />
+                            <XAxis dataKey={view.chart.xKey} stroke="#9CA3AF"/>
+                            <YAxis stroke="#9CA3AF"/>
+                            <Tooltip contentStyle={{ backgroundColor: 'rgba(31, 41, 55, 0.8)', borderColor: 'rgba(128, 128, 128, 0.5)', color: '#FFFFFF' }}/>
+                            <Legend />
+                            {view.chart.bars.map((bar, index) => (
+                                <Bar key={bar.key} dataKey={bar.key} name={bar.name} fill={CHART_COLORS[index % CHART_COLORS.length]} stackId={view.chart.stacked ? 'stack' : undefined} />
+                            ))}
+                        </BarChart>
+                    </ResponsiveContainer>
+                </div>
+            )}
+            <div className="overflow-x-auto rounded-lg border dark:border-gray-700">{reportDocument}</div>
+            <Modal isOpen={printOpen} onClose={() => setPrintOpen(false)} title={REPORTS[report].label} wide>
+                <div ref={documentRef} className="print-area">{reportDocument}</div>
+                <DocumentActions documentRef={documentRef} fileName={`${fileName}.pdf`} />
+            </Modal>
+        </div>
+    );
+};
+
+// --- Activity Log ---
+// The newest entries of the workspace's audit log are loaded; older ones stay in Firestore.
+const AUDIT_LOG_LIMIT = 1000;
+
+const formatAuditValue = (value) => {
+    if (value === null || value === '') return '—';
+    if (typeof value === 'boolean') return value ? 'نعم' : 'لا';
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+};
+
+const AuditChanges = ({ changes }) => (changes.length > 0 ? (
+    <table className="w-full text-xs text-right text-gray-600 dark:text-gray-300">
+        <thead className="text-gray-500 dark:text-gray-400">
+            <tr><th className="px-2 py-1 w-1/4">الحقل</th><th className="px-2 py-1">قبل</th><th className="px-2 py-1">بعد</th></tr>
+        </thead>
+        <tbody>
+            {changes.map(change => (
+                <tr key={change.field} className="border-t dark:border-gray-700 align-top">
+                    <td className="px-2 py-1 font-medium">{AUDIT_FIELD_LABELS[change.field] || change.field}</td>
+                    <td className="px-2 py-1 break-all text-red-700 dark:text-red-300">{formatAuditValue(change.before)}</td>
+                    <td className="px-2 py-1 break-all text-green-700 dark:text-green-300">{formatAuditValue(change.after)}</td>
+                </tr>
+            ))}
+        </tbody>
+    </table>
+) : <p className="text-xs text-gray-500 dark:text-gray-400">لم تتغير أي حقول.</p>);
+
+// Every recorded change to one document, newest first.
+const DocumentHistory = ({ isOpen, onClose, workspaceId, collectionName, documentId, title }) => {
+    const [entries, setEntries] = useState([]);
+
+    useEffect(() => {
+        if (!isOpen || !workspaceId || !documentId) return;
+        const auditCollection = collection(db, `artifacts/${appId}/public/data/userdata/${workspaceId}/auditLog`);
+        const unsubscribe = onSnapshot(query(auditCollection, where("collection", "==", collectionName), where("documentId", "==", documentId)), (snapshot) => {
+            setEntries(snapshot.docs.map(readAuditEntry));
+        }, (error) => { console.error("Error in document history listener:", error) });
+        return () => unsubscribe();
+    }, [isOpen, workspaceId, collectionName, documentId]);
+
+    const history = filterAuditEntries(entries);
+
+    return (
+        <Modal isOpen={isOpen} onClose={onClose} title={`سجل التغييرات: ${title}`} wide>
+            {history.length > 0 ? (
+                <div className="space-y-4">
+                    {history.map(entry => (
+                        <div key={entry.id} className="p-3 rounded-lg bg-gray-50 dark:bg-gray-700">
+                            <p className="text-sm text-gray-800 dark:text-gray-100 mb-2">
+                                <span className="font-semibold">{(AUDIT_ACTIONS[entry.action] || {}).label || entry.action}</span>
+                                <span className="mx-2 text-gray-500 dark:text-gray-400">{entry.by}</span>
+                                <span className="text-gray-500 dark:text-gray-400">{new Date(entry.at).toLocaleString('ar-SA')}</span>
+                            </p>
+                            <AuditChanges changes={entry.changes || []} />
+                        </div>
+                    ))}
+                </div>
+            ) : (
+                <p className="text-center py-10 text-gray-500 dark:text-gray-400">لا توجد تغييرات مسجلة لهذا المستند.</p>
+            )}
+        </Modal>
+    );
+};
+
+// Entries written before `at` became a server timestamp hold an ISO string, and Firestore orders the two types apart,
+// so each kind is listened to on its own and the newest AUDIT_LOG_LIMIT of both together are shown.
+const ActivityLog = ({ workspaceId }) => {
+    const [timestampedEntries, setTimestampedEntries] = useState([]);
+    const [legacyEntries, setLegacyEntries] = useState([]);
+    const [filters, setFilters] = useState({ collection: '', action: '', by: '', from: '', to: '', search: '' });
+    const [expandedId, setExpandedId] = useState(null);
+
+    useEffect(() => {
+        if (!workspaceId) return;
+        const auditCollection = collection(db, `artifacts/${appId}/public/data/userdata/${workspaceId}/auditLog`);
+        const listen = (after, setter) => onSnapshot(query(auditCollection, where("at", ">=", after), orderBy("at", "desc"), limit(AUDIT_LOG_LIMIT)), (snapshot) => {
+            setter(snapshot.docs.map(readAuditEntry));
+        }, (error) => { console.error("Error in audit log listener:", error) });
+        const unsubscribers = [listen(new Timestamp(0, 0), setTimestampedEntries), listen('', setLegacyEntries)];
+        return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+    }, [workspaceId]);
+
+    const entries = filterAuditEntries([...timestampedEntries, ...legacyEntries]).slice(0, AUDIT_LOG_LIMIT);
+
+    const users = [...new Set(entries.map(entry => entry.by))].sort();
+    const filtered = filterAuditEntries(entries, filters);
+    const setFilter = (key, value) => setFilters(prev => ({ ...prev, [key]: value }));
+    const inputClass = "p-2 border rounded-lg bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-white";
+
+    return (
+        <div className="bg-white dark:bg-gray-800 p-6 rounded-xl shadow-md">
+            <div className="flex justify-between items-center mb-6">
+                <h2 className="text-xl font-bold text-gray-800 dark:text-white">سجل النشاط</h2>
+                <span className="text-sm text-gray-500 dark:text-gray-400">{filtered.length} من {entries.length} عملية</span>
+            </div>
+            <div className="flex flex-wrap gap-2 mb-4">
+                <select value={filters.collection} onChange={(e) => setFilter('collection', e.target.value)} className={inputClass}>
+                    <option value="">كل الأقسام</option>
+                    {Object.entries(AUDITED_COLLECTIONS).map(([key, option]) => <option key={key} value={key}>{option.label}</option>)}
+                </select>
+                <select value={filters.action} onChange={(e) => setFilter('action', e.target.value)} className={inputClass}>
+                    <option value="">كل العمليات</option>
+                    {Object.entries(AUDIT_ACTIONS).map(([key, option]) => <option key={key} value={key}>{option.label}</option>)}
+                </select>
+                <select value={filters.by} onChange={(e) => setFilter('by', e.target.value)} className={inputClass}>
+                    <option value="">كل المستخدمين</option>
+                    {users.map(user => <option key={user} value={user}>{user}</option>)}
+                </select>
+                <input type="date" value={filters.from} onChange={(e) => setFilter('from', e.target.value)} title="من تاريخ" className={inputClass} />
+                <input type="date" value={filters.to} onChange={(e) => setFilter('to', e.target.value)} title="إلى تاريخ" className={inputClass} />
+                <input type="text" value={filters.search} onChange={(e) => setFilter('search', e.target.value)} placeholder="بحث في المستند أو الحقل" className={`${inputClass} flex-1 min-w-[12rem]`} />
+            </div>
+            <div className="overflow-x-auto">
+                <table className="w-full text-sm text-right text-gray-500 dark:text-gray-400">
+                    <thead className="text-xs text-gray-700 uppercase bg-gray-50 dark:bg-gray-700 dark:text-gray-400">
+                        <tr>
+                            <th className="px-4 py-3">الوقت</th>
+                            <th className="px-4 py-3">المستخدم</th>
+                            <th className="px-4 py-3">العملية</th>
+                            <th className="px-4 py-3">القسم</th>
+                            <th className="px-4 py-3">المستند</th>
+                            <th className="px-4 py-3">الحقول المعدلة</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {filtered.length > 0 ? filtered.map(entry => (
+                            <React.Fragment key={entry.id}>
+                                <tr onClick={() => setExpandedId(expandedId === entry.id ? null : entry.id)} className="border-b dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-600 cursor-pointer">
+                                    <td className="px-4 py-3 whitespace-nowrap">{new Date(entry.at).toLocaleString('ar-SA')}</td>
+                                    <td className="px-4 py-3">{entry.by}</td>
+                                    <td className="px-4 py-3">{(AUDIT_ACTIONS[entry.action] || {}).label || entry.action}</td>
+                                    <td className="px-4 py-3">{(AUDITED_COLLECTIONS[entry.collection] || {}).label || entry.collection}</td>
+                                    <td className="px-4 py-3 font-medium text-gray-900 dark:text-white">
+                                        {SECTION_VIEWS[entry.collection] && entry.action !== 'delete'
+                                            ? <Link to={sectionPath(entry.collection, { documentId: entry.documentId, mode: 'view' })} className="hover:underline">{entry.documentLabel || entry.documentId}</Link>
+                                            : entry.documentLabel || entry.documentId}
+                                    </td>
+                                    <td className="px-4 py-3">{(entry.changes || []).map(change => AUDIT_FIELD_LABELS[change.field] || change.field).join('، ')}</td>
+                                </tr>
+                                {expandedId === entry.id && (
+                                    <tr className="border-b dark:border-gray-700">
+                                        <td colSpan="6" className="px-4 py-3 bg-gray-50 dark:bg-gray-700"><AuditChanges changes={entry.changes || []} /></td>
+                                    </tr>
+                                )}
+                            </React.Fragment>
+                        )) : (
+                            <tr><td colSpan="6" className="text-center py-10">لا توجد عمليات مطابقة.</td></tr>
+                        )}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+};
+
+// --- Backup & Restore ---
+const loadWorkspaceData = async (workspaceId) => {
+    const dataPath = `artifacts/${appId}/public/data/userdata/${workspaceId}`;
+    const profileSnap = await getDoc(companyProfileDoc(workspaceId));
+    const collections = await Promise.all(Object.keys(BACKUP_COLLECTIONS).map(async (name) => {
+        const snapshot = await getDocs(collection(db, `${dataPath}/${name}`));
+        return [name, snapshot.docs.map(document => ({ id: document.id, data: document.data() }))];
+    }));
+    return { profile: profileSnap.exists() ? profileSnap.data() : null, collections: Object.fromEntries(collections) };
+};
+
+// Downloads the whole workspace as a JSON archive, and restores one after validating it and showing what would change.
+const BackupRestore = ({ workspace, role, username }) => {
+    const [archive, setArchive] = useState(null);
+    const [current, setCurrent] = useState(null);
+    const [brokenLinks, setBrokenLinks] = useState([]);
+    const [mode, setMode] = useState('merge');
+    const [busy, setBusy] = useState('');
+    const [message, setMessage] = useState('');
+    const [error, setError] = useState('');
+    const dataPath = `artifacts/${appId}/public/data/userdata/${workspace.id}`;
+
+    const plan = useMemo(() => (archive && current ? planRestore(archive, current, mode) : null), [archive, current, mode]);
+
+    if (!can(role, 'backup', 'create')) return null;
+
+    const handleExport = async () => {
+        setBusy('export');
+        setError('');
+        setMessage('');
+        try {
+            const backup = await createBackupArchive({ workspace, ...await loadWorkspaceData(workspace.id) });
+            downloadFile(JSON.stringify(backup, null, 2), `نسخة-احتياطية-${workspace.personal ? workspace.id : workspace.name}-${todayIso()}.json`, 'application/json');
+            setMessage('تم تنزيل النسخة الاحتياطية.');
+        } catch (err) {
+            console.error("Backup failed:", err);
+            setError('تعذر إنشاء النسخة الاحتياطية. يرجى المحاولة مرة أخرى.');
+        } finally {
+            setBusy('');
+        }
+    };
+
+    const handleFile = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        setBusy('read');
+        setArchive(null);
+        setError('');
+        setMessage('');
+        try {
+            const parsed = JSON.parse(await file.text());
+            const validation = await validateBackupArchive(parsed);
+            const data = await loadWorkspaceData(workspace.id);
+            setCurrent({
+                profile: data.profile ? encodeValue(data.profile) : null,
+                collections: Object.fromEntries(Object.entries(data.collections).map(([name, documents]) => [name, documents.map(document => ({ id: document.id, data: encodeValue(document.data) }))])),
+            });
+            setBrokenLinks(validation.brokenLinks);
+            setArchive(parsed);
+        } catch (err) {
+            if (err instanceof BackupValidationError) {
+                setError(err.message);
+            } else if (err instanceof SyntaxError) {
+                setError('الملف ليس ملف JSON صالحاً.');
+            } else {
+                console.error("Reading backup failed:", err);
+                setError('تعذر قراءة النسخة الاحتياطية. يرجى المحاولة مرة أخرى.');
+            }
+        } finally {
+            setBusy('');
+        }
+    };
+
+    const handleRestore = async () => {
+        if (!requirePermission(role, 'backup', 'restore')) return;
+        const deletions = Object.values(plan.collections).reduce((sum, collectionPlan) => sum + collectionPlan.delete.length, 0);
+        const prompt = deletions > 0
+            ? `سيتم حذف ${deletions} مستند غير موجود في النسخة الاحتياطية، ولا يمكن التراجع عن ذلك. هل تريد المتابعة؟`
+            : 'هل تريد استعادة النسخة الاحتياطية إلى مساحة العمل الحالية؟';
+        if (!window.confirm(prompt)) return;
+
+        setBusy('restore');
+        setError('');
+        try {
+            const toFirestore = (data) => decodeValue(data, (seconds, nanoseconds) => new Timestamp(seconds, nanoseconds));
+            const writes = [];
+            const auditedWrites = [];
+            Object.entries(plan.collections).forEach(([name, collectionPlan]) => {
+                const ref = (id) => doc(db, `${dataPath}/${name}`, id);
+                if (!AUDITED_COLLECTIONS[name]) {
+                    [...collectionPlan.create, ...collectionPlan.update].forEach(({ id, data }) => writes.push((batch) => batch.set(ref(id), toFirestore(data))));
+                    collectionPlan.delete.forEach(id => writes.push((batch) => batch.delete(ref(id))));
+                    return;
+                }
+                // The audit entries diff against the documents as they were read when the file was chosen.
+                const stored = Object.fromEntries(current.collections[name].map(document => [document.id, toFirestore(document.data)]));
+                [...collectionPlan.create, ...collectionPlan.update].forEach(({ id, data }) => {
+                    const restored = withAuditId(toFirestore(data));
+                    const before = stored[id] || null;
+                    auditedWrites.push((batch) => batch.set(ref(id), restored), (batch) => writeAuditEntry(batch, ref(id), username, before ? 'update' : 'create', before, restored));
+                });
+                collectionPlan.delete.forEach(id => auditedWrites.push((batch) => batch.delete(ref(id)), (batch) => writeAuditEntry(batch, ref(id), username, 'delete', stored[id], null)));
+            });
+            if (plan.profileChanged) writes.push((batch) => batch.set(companyProfileDoc(workspace.id), toFirestore(archive.profile)));
+            await commitInBatches(writes);
+            await commitInBatches(auditedWrites, AUDITED_BATCH_LIMIT);
+            setMessage(`تمت استعادة النسخة الاحتياطية (${plan.writes} عملية).`);
+            setArchive(null);
+            setCurrent(null);
+        } catch (err) {
+            console.error("Restore failed:", err);
+            setError('تعذرت الاستعادة. قد يكون جزء من البيانات قد استُعيد؛ اختر الملف مرة أخرى لمراجعة ما تبقى.');
+        } finally {
+            setBusy('');
+        }
+    };
+
+    const canRestore = can(role, 'backup', 'restore');
+
+    return (
+        <div className="bg-white dark:bg-gray-800 p-6 rounded-xl shadow-md mt-6">
+            <h2 className="text-xl font-bold text-gray-800 dark:text-white mb-2">النسخ الاحتياطي والاستعادة</h2>
+            <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">ملف JSON واحد يضم ملف الشركة وكل مستندات مساحة العمل بمعرّفاتها، مع مجموع اختباري لكل قسم.</p>
+            <div className="flex flex-wrap items-center gap-2">
+                <button onClick={handleExport} disabled={Boolean(busy)} className="flex items-center bg-blue-600 text-white font-semibold py-2 px-4 rounded-lg shadow-md hover:bg-blue-700 disabled:opacity-50"><Download className="ml-2" size={18}/> {busy === 'export' ? 'جارٍ التحضير...' : 'تنزيل نسخة احتياطية'}</button>
+                {canRestore && (
+                    <label className={`flex items-center bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 font-semibold py-2 px-4 rounded-lg cursor-pointer ${busy ? 'opacity-50 pointer-events-none' : ''}`}>
+                        <Upload className="ml-2" size={18}/> {busy === 'read' ? 'جارٍ الفحص...' : 'استعادة من ملف'}
+                        <input type="file" accept=".json,application/json" onChange={handleFile} className="hidden" />
+                    </label>
+                )}
+            </div>
+            {error && <p className="text-sm text-red-600 mt-4">{error}</p>}
+            {message && <p className="text-sm text-green-600 mt-4">{message}</p>}
+            {plan && (
+                <div className="mt-6 space-y-4">
+                    <div className="text-sm text-gray-700 dark:text-gray-300">
+                        <p>نسخة {archive.workspace.name || archive.workspace.id} بتاريخ {new Date(archive.createdAt).toLocaleString('ar-SA')}</p>
+                        {archive.workspace.id !== workspace.id && <p className="text-yellow-600">هذه النسخة مأخوذة من مساحة عمل أخرى وستُستعاد إلى مساحة العمل الحالية.</p>}
+                        {brokenLinks.length > 0 && <p className="text-yellow-600">{brokenLinks.length} من السندات أو الإشعارات الدائنة تشير إلى فواتير غير موجودة في النسخة.</p>}
+                    </div>
+                    <div className="flex flex-wrap gap-4">
+                        {Object.entries(RESTORE_MODES).map(([key, option]) => (
+                            <label key={key} className="flex items-center text-sm text-gray-700 dark:text-gray-300">
+                                <input type="radio" name="restoreMode" value={key} checked={mode === key} onChange={() => setMode(key)} className="ml-2" />
+                                {option.label}
+                            </label>
+                        ))}
+                    </div>
+                    <div className="overflow-x-auto">
+                        <table className="w-full text-sm text-right text-gray-500 dark:text-gray-400">
+                            <thead className="text-xs text-gray-700 bg-gray-50 dark:bg-gray-700 dark:text-gray-400">
+                                <tr><th className="px-4 py-2">البيانات</th><th className="px-4 py-2">في النسخة</th><th className="px-4 py-2">إضافة</th><th className="px-4 py-2">تحديث</th><th className="px-4 py-2">حذف</th><th className="px-4 py-2">بدون تغيير</th><th className="px-4 py-2" title="مستندات لا تسمح قواعد السجل بتعديلها أو حذفها، فتبقى كما هي">تبقى كما هي</th></tr>
+                            </thead>
+                            <tbody>
+                                <tr className="border-b dark:border-gray-700">
+                                    <td className="px-4 py-2 font-medium text-gray-900 dark:text-white">ملف الشركة</td>
+                                    <td className="px-4 py-2">{archive.profile ? 1 : 0}</td>
+                                    <td className="px-4 py-2" colSpan="5">{plan.profileChanged ? 'سيُستبدل بما في النسخة' : 'بدون تغيير'}</td>
+                                </tr>
+                                {Object.entries(BACKUP_COLLECTIONS).map(([name, option]) => {
+                                    const collectionPlan = plan.collections[name];
+                                    return (
+                                        <tr key={name} className="border-b dark:border-gray-700">
+                                            <td className="px-4 py-2 font-medium text-gray-900 dark:text-white">{option.label}</td>
+                                            <td className="px-4 py-2">{(archive.collections[name] || []).length}</td>
+                                            <td className="px-4 py-2 text-green-600">{collectionPlan.create.length}</td>
+                                            <td className="px-4 py-2 text-blue-600">{collectionPlan.update.length}</td>
+                                            <td className="px-4 py-2 text-red-600">{collectionPlan.delete.length}</td>
+                                            <td className="px-4 py-2">{collectionPlan.unchanged}</td>
+                                            <td className="px-4 py-2">{collectionPlan.kept}</td>
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                    </div>
+                    <div className="flex justify-end">
+                        <button onClick={() => { setArchive(null); setCurrent(null); }} className="bg-gray-200 dark:bg-gray-600 text-gray-800 dark:text-gray-200 font-bold py-2 px-4 rounded-md ml-2">إلغاء</button>
+                        <button onClick={handleRestore} disabled={Boolean(busy) || plan.writes === 0} className="bg-red-600 text-white font-bold py-2 px-4 rounded-md disabled:opacity-50">{busy === 'restore' ? 'جارٍ الاستعادة...' : (plan.writes === 0 ? 'لا توجد تغييرات' : `استعادة (${plan.writes} عملية)`)}</button>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+// --- Settings Component ---
+const SettingsPage = ({ workspace, role, username, profile, onWorkspaceCreated }) => {
+    const [formData, setFormData] = useState(profile);
+    const [message, setMessage] = useState('');
+    const [error, setError] = useState('');
+    const [saving, setSaving] = useState(false);
+
+    useEffect(() => { setFormData(profile); }, [profile]);
+
+    const handleChange = (e) => setFormData({ ...formData, [e.target.name]: e.target.value });
+
+    const handleLogoChange = (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        if (file.size > MAX_LOGO_BYTES) {
+            setError(`حجم الشعار يجب ألا يتجاوز ${MAX_LOGO_BYTES / 1024} كيلوبايت.`);
+            return;
+        }
+        // The logo is kept inline as a data URL so documents can be printed without extra storage.
+        const reader = new FileReader();
+        reader.onload = () => setFormData(prev => ({ ...prev, logo: reader.result }));
+        reader.readAsDataURL(file);
+    };
+
+    const canEdit = can(role, 'settings', 'update');
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!requirePermission(role, 'settings', 'update')) return;
+        setMessage('');
+        setError('');
+        if (formData.vatNumber && !/^3\d{13}3$/.test(formData.vatNumber)) {
+            setError('الرقم الضريبي يجب أن يتكون من 15 رقماً ويبدأ وينتهي بالرقم 3.');
+            return;
+        }
+        setSaving(true);
+        try {
+            const { legalName, commercialRegistration, vatNumber, address, logo, currency, invoicePrefix, voucherPrefix, creditNotePrefix, disbursementPrefix, quotationPrefix, resetNumberingYearly } = formData;
+            const numberPadding = Math.min(Math.max(Number(formData.numberPadding) || 0, 0), 8);
+            await setDoc(companyProfileDoc(workspace.id), { legalName, commercialRegistration, vatNumber, address, logo, currency, invoicePrefix, voucherPrefix, creditNotePrefix, disbursementPrefix, quotationPrefix, resetNumberingYearly, numberPadding, updatedAt: serverTimestamp() }, { merge: true });
+            setMessage('تم حفظ الإعدادات بنجاح.');
+        } catch (err) {
+            console.error("Failed to save company profile:", err);
+            setError('تعذر حفظ الإعدادات. يرجى المحاولة مرة أخرى.');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const inputClass = "w-full p-2 border rounded-md bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-white";
+    const labelClass = "block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1";
+
+    return (
+        <div className="space-y-6 max-w-3xl">
+        <div className="bg-white dark:bg-gray-800 p-6 rounded-xl shadow-md">
+            <h2 className="text-xl font-bold text-gray-800 dark:text-white mb-6">الإعدادات - ملف الشركة</h2>
+            <form onSubmit={handleSubmit} className="space-y-4">
+                <fieldset disabled={!canEdit} className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <div className="md:col-span-2"><label className={labelClass}>الاسم القانوني للمنشأة</label><input type="text" name="legalName" value={formData.legalName} onChange={handleChange} className={inputClass} required /></div>
+                    <div><label className={labelClass}>رقم السجل التجاري</label><input type="text" name="commercialRegistration" value={formData.commercialRegistration} onChange={handleChange} className={inputClass} /></div>
+                    <div><label className={labelClass}>الرقم الضريبي</label><input type="text" name="vatNumber" value={formData.vatNumber} onChange={handleChange} placeholder="3xxxxxxxxxxxxx3" className={inputClass} /></div>
+                    <div className="md:col-span-2"><label className={labelClass}>العنوان</label><textarea name="address" value={formData.address} onChange={handleChange} rows="2" className={inputClass}></textarea></div>
+                    <div>
+                        <label className={labelClass}>العملة الافتراضية</label>
+                        <select name="currency" value={formData.currency} onChange={handleChange} className={inputClass}>
+                            {Object.entries(CURRENCIES).map(([code, currency]) => <option key={code} value={code}>{currency.name} ({currency.label})</option>)}
+                        </select>
+                    </div>
+                    <div className="grid grid-cols-3 gap-2">
+                        <div><label className={labelClass}>بادئة الفواتير</label><input type="text" name="invoicePrefix" value={formData.invoicePrefix} onChange={handleChange} className={inputClass} dir="ltr" /></div>
+                        <div><label className={labelClass}>بادئة السندات</label><input type="text" name="voucherPrefix" value={formData.voucherPrefix} onChange={handleChange} className={inputClass} dir="ltr" /></div>
+                        <div><label className={labelClass}>بادئة الإشعارات الدائنة</label><input type="text" name="creditNotePrefix" value={formData.creditNotePrefix} onChange={handleChange} className={inputClass} dir="ltr" /></div>
+                        <div><label className={labelClass}>بادئة عروض الأسعار</label><input type="text" name="quotationPrefix" value={formData.quotationPrefix} onChange={handleChange} className={inputClass} dir="ltr" /></div>
+                        <div><label className={labelClass}>بادئة سندات الصرف</label><input type="text" name="disbursementPrefix" value={formData.disbursementPrefix} onChange={handleChange} className={inputClass} dir="ltr" /></div>
+                    </div>
+                    <div><label className={labelClass}>عدد خانات الترقيم</label><input type="number" name="numberPadding" min="0" max="8" value={formData.numberPadding} onChange={handleChange} className={inputClass} /></div>
+                    <div className="flex items-end">
+                        <label className="flex items-center text-sm text-gray-700 dark:text-gray-300 pb-2">
+                            <input type="checkbox" checked={formData.resetNumberingYearly} onChange={(e) => setFormData({ ...formData, resetNumberingYearly: e.target.checked })} className="ml-2" />
+                            ترقيم سنوي يبدأ من 1 كل سنة (مثال: {formData.invoicePrefix}{new Date().getFullYear()}-{'1'.padStart(Number(formData.numberPadding) || 0, '0')})
+                        </label>
+                    </div>
+                    <div className="md:col-span-2">
+                        <label className={labelClass}>الشعار</label>
+                        <div className="flex items-center space-x-4 space-x-reverse">
+                            {formData.logo && <img src={formData.logo} alt="" className="h-16 w-16 object-contain border rounded-md dark:border-gray-600" />}
+                            <input type="file" accept="image/*" onChange={handleLogoChange} className="text-sm text-gray-600 dark:text-gray-300" />
+                            {formData.logo && <button type="button" onClick={() => setFormData({ ...formData, logo: '' })} className="text-sm text-red-600 hover:underline">إزالة الشعار</button>}
+                        </div>
+                    </div>
+                </fieldset>
+                {error && <p className="text-sm text-red-500">{error}</p>}
+                {message && <p className="text-sm text-green-600">{message}</p>}
+                {canEdit && <div className="flex justify-end pt-4"><button type="submit" disabled={saving} className="bg-blue-600 text-white font-bold py-2 px-4 rounded-md disabled:bg-blue-400">{saving ? 'جارٍ الحفظ...' : 'حفظ الإعدادات'}</button></div>}
+            </form>
+        </div>
+        <WorkspaceMembers workspace={workspace} role={role} username={username} onWorkspaceCreated={onWorkspaceCreated} />
+        <BackupRestore workspace={workspace} role={role} username={username} />
+        </div>
+    );
+};
+
+const WorkspaceMembers = ({ workspace, role, username, onWorkspaceCreated }) => {
+    const [newMember, setNewMember] = useState({ username: '', role: 'viewer' });
+    const [newWorkspaceName, setNewWorkspaceName] = useState('');
+    const [error, setError] = useState('');
+    const workspaceRef = doc(db, workspacesPath, workspace.id);
+    const canManage = can(role, 'members', 'manage');
+
+    const handleInvite = async (e) => {
+        e.preventDefault();
+        if (!requirePermission(role, 'members', 'manage')) return;
+        setError('');
+        const memberUsername = newMember.username.trim().toLowerCase();
+        if (workspace.members[memberUsername]) {
+            setError('هذا المستخدم عضو بالفعل في مساحة العمل.');
+            return;
+        }
+        try {
+            const profilesQuery = query(collection(db, `artifacts/${appId}/public/data/profiles`), where("username", "==", memberUsername));
+            const profilesSnap = await getDocs(profilesQuery);
+            if (profilesSnap.empty) {
+                setError('اسم المستخدم غير موجود.');
+                return;
+            }
+            await updateDoc(workspaceRef, { [`members.${memberUsername}`]: newMember.role, memberUsernames: arrayUnion(memberUsername) });
+            setNewMember({ username: '', role: 'viewer' });
+        } catch (err) {
+            console.error("Failed to invite member:", err);
+            setError('تعذر إضافة العضو. يرجى المحاولة مرة أخرى.');
+        }
+    };
+
+    const handleRoleChange = async (memberUsername, memberRole) => {
+        if (!requirePermission(role, 'members', 'manage')) return;
+        setError('');
+        try {
+            await updateDoc(workspaceRef, { [`members.${memberUsername}`]: memberRole });
+        } catch (err) {
+            console.error("Failed to change member role:", err);
+            setError('تعذر تغيير دور العضو. يرجى المحاولة مرة أخرى.');
+        }
+    };
+
+    const handleRemove = async (memberUsername) => {
+        if (!requirePermission(role, 'members', 'manage')) return;
+        if (!window.confirm(`هل أنت متأكد من إزالة ${memberUsername} من مساحة العمل؟`)) return;
+        setError('');
+        try {
+            await updateDoc(workspaceRef, { [`members.${memberUsername}`]: deleteField(), memberUsernames: arrayRemove(memberUsername) });
+        } catch (err) {
+            console.error("Failed to remove member:", err);
+            setError('تعذر إزالة العضو. يرجى المحاولة مرة أخرى.');
+        }
+    };
+
+    const handleCreateWorkspace = async (e) => {
+        e.preventDefault();
+        if (!newWorkspaceName.trim()) return;
+        setError('');
+        try {
+            const workspaceId = await createWorkspace(newWorkspaceName.trim(), username);
+            setNewWorkspaceName('');
+            onWorkspaceCreated(workspaceId);
+        } catch (err) {
+            console.error("Failed to create workspace:", err);
+            setError('تعذر إنشاء مساحة العمل. يرجى المحاولة مرة أخرى.');
+        }
+    };
+
+    const inputClass = "p-2 border rounded-md bg-gray-50 dark:bg-gray-700 dark:border-gray-600 dark:text-white";
+
+    return (
+        <div className="bg-white dark:bg-gray-800 p-6 rounded-xl shadow-md">
+            <h2 className="text-xl font-bold text-gray-800 dark:text-white mb-6">أعضاء مساحة العمل: {workspace.personal ? 'مساحتي الشخصية' : workspace.name}</h2>
+            <table className="w-full text-sm text-right text-gray-500 dark:text-gray-400 mb-6">
+                <thead className="text-xs text-gray-700 uppercase bg-gray-50 dark:bg-gray-700 dark:text-gray-400">
+                    <tr><th className="px-4 py-3">اسم المستخدم</th><th className="px-4 py-3">الدور</th><th className="px-4 py-3 text-left">إجراءات</th></tr>
+                </thead>
+                <tbody>
+                    {Object.entries(workspace.members).map(([memberUsername, memberRole]) => (
+                        <tr key={memberUsername} className="border-b dark:border-gray-700">
+                            <td className="px-4 py-3 font-medium text-gray-900 dark:text-white">{memberUsername}</td>
+                            <td className="px-4 py-3">
+                                {canManage && memberRole !== 'owner' ? (
+                                    <select value={memberRole} onChange={(e) => handleRoleChange(memberUsername, e.target.value)} className={inputClass}>
+                                        {Object.entries(ROLES).filter(([key]) => key !== 'owner').map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                                    </select>
+                                ) : ROLES[memberRole]}
+                            </td>
+                            <td className="px-4 py-3 text-left">
+                                {canManage && memberRole !== 'owner' && <button onClick={() => handleRemove(memberUsername)} className="p-2 text-red-600 hover:text-red-800"><Trash2 size={18}/></button>}
+                            </td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+            {canManage && (
+                <form onSubmit={handleInvite} className="flex flex-wrap items-center gap-2">
+                    <input type="text" value={newMember.username} onChange={(e) => setNewMember({ ...newMember, username: e.target.value })} placeholder="اسم المستخدم" className={`flex-1 ${inputClass}`} required />
+                    <select value={newMember.role} onChange={(e) => setNewMember({ ...newMember, role: e.target.value })} className={inputClass}>
+                        {Object.entries(ROLES).filter(([key]) => key !== 'owner').map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                    </select>
+                    <button type="submit" className="bg-blue-600 text-white font-bold py-2 px-4 rounded-md">دعوة عضو</button>
+                </form>
+            )}
+            {error && <p className="text-sm text-red-500 mt-2">{error}</p>}
+            <form onSubmit={handleCreateWorkspace} className="flex items-center gap-2 pt-6 mt-6 border-t dark:border-gray-700">
+                <input type="text" value={newWorkspaceName} onChange={(e) => setNewWorkspaceName(e.target.value)} placeholder="اسم مساحة عمل جديدة للفريق" className={`flex-1 ${inputClass}`} />
+                <button type="submit" className="bg-gray-700 text-white font-bold py-2 px-4 rounded-md">إنشاء مساحة عمل</button>
+            </form>
+        </div>
+    );
+};
@@ -0,0 +1,115 @@
+// --- Audit log: who changed which document, when, and how ---
+// Every create, update and delete of an audited document writes one entry to `auditLog` in the same transaction or
+// batch as the change. An entry keeps only the fields that changed, each with its value before and after, so the
+// log stays small while still showing exactly what an edit overwrote.
+import { canonicalJson } from './backup.js';
+
+export const AUDIT_ACTIONS = {
+    create: { label: 'إنشاء' },
+    update: { label: 'تعديل' },
+    delete: { label: 'حذف' },
+};
+
+export const AUDITED_COLLECTIONS = {
+    invoices: { label: 'الفواتير', documentLabel: invoice => invoice.invoiceNo || (invoice.invoiceNumber ? String(invoice.invoiceNumber) : '') },
+    customers: { label: 'العملاء', documentLabel: customer => customer.name || '' },
+    services: { label: 'الخدمات', documentLabel: service => service.name || '' },
+    vouchers: { label: 'سندات القبض', documentLabel: voucher => voucher.voucherNo || (voucher.voucherNumber ? String(voucher.voucherNumber) : '') },
+};
+
+export const AUDIT_FIELD_LABELS = {
+    name: 'الاسم',
+    email: 'البريد الإلكتروني',
+    phone: 'الهاتف',
+    description: 'الوصف',
+    price: 'السعر',
+    cost: 'التكلفة',
+    vatCategory: 'فئة الضريبة',
+    vatRate: 'نسبة الضريبة',
+    customerId: 'معرّف العميل',
+    customerName: 'العميل',
+    date: 'التاريخ',
+    dueDate: 'تاريخ الاستحقاق',
+    paymentTerms: 'شروط الدفع',
+    items: 'البنود',
+    discount: 'الخصم',
+    pricesIncludeVat: 'الأسعار شاملة الضريبة',
+    taxableAmount: 'المبلغ قبل الضريبة',
+    vatAmount: 'الضريبة',
+    grandTotal: 'الإجمالي',
+    total: 'الإجمالي',
+    paidAmount: 'المدفوع',
+    remainingAmount: 'المتبقي',
+    creditedAmount: 'المبلغ المردود',
+    status: 'الحالة',
+    amount: 'المبلغ',
+    paymentMethod: 'طريقة الدفع',
+    accountName: 'الحساب',
+    chequeNumber: 'رقم الشيك',
+    chequeDueDate: 'تاريخ استحقاق الشيك',
+    allocations: 'التخصيصات',
+    unappliedAmount: 'الرصيد غير المخصص',
+    voidReason: 'سبب الإلغاء',
+};
+
+const isTimestamp = (value) => Boolean(value) && typeof value.toDate === 'function' && typeof value.seconds === 'number';
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && [Object.prototype, null].includes(Object.getPrototypeOf(value));
+
+// Firestore sentinels such as serverTimestamp() or arrayUnion() only get their value on the server, so a field being
+// set to one is left out of the diff rather than recorded with a value nobody saw.
+const isSentinel = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value) && !isTimestamp(value) && !isPlainObject(value);
+
+// Timestamps are stored as ISO strings and missing values as null, which Firestore accepts inside arrays and maps.
+export const auditValue = (value) => {
+    if (value === undefined) return null;
+    if (isTimestamp(value)) return value.toDate().toISOString();
+    if (Array.isArray(value)) return value.map(auditValue);
+    if (isPlainObject(value)) return Object.fromEntries(Object.entries(value).map(([key, field]) => [key, auditValue(field)]));
+    return value;
+};
+
+// `auditId` changes on every audited write (it names the write's own entry), so it is never a change worth listing.
+export const fieldDiff = (before, after) => {
+    const previous = before || {};
+    const next = after || {};
+    const fields = [...new Set([...Object.keys(previous), ...Object.keys(next)])]
+        .filter(field => !['id', 'auditId'].includes(field) && !isSentinel(previous[field]) && !isSentinel(next[field]))
+        .sort();
+    return fields
+        .map(field => ({ field, before: auditValue(previous[field]), after: auditValue(next[field]) }))
+        .filter(change => canonicalJson(change.before) !== canonicalJson(change.after));
+};
+
+// `before` is the stored document (null for a create) and `after` the document as the change leaves it (null for a delete).
+export const buildAuditEntry = ({ action, collectionName, documentId, before = null, after = null, by, at = new Date().toISOString() }) => {
+    const labelOf = (AUDITED_COLLECTIONS[collectionName] || {}).documentLabel || (() => '');
+    return {
+        action,
+        collection: collectionName,
+        documentId,
+        documentLabel: labelOf(after || before || {}),
+        changes: fieldDiff(action === 'create' ? null : before, action === 'delete' ? null : after),
+        by,
+        at,
+    };
+};
+
+// An entry as the log views use it. `at` is a server timestamp (an ISO string on entries written before it was), read as
+// the local estimate while the write is still pending and turned into an ISO string, so entries sort and filter alike.
+export const readAuditEntry = (snapshot) => {
+    const data = snapshot.data({ serverTimestamps: 'estimate' });
+    return { id: snapshot.id, ...data, at: auditValue(data.at) || '' };
+};
+
+// `from` and `to` are inclusive `YYYY-MM-DD` dates; `search` matches the document label, the user and changed field names.
+export const filterAuditEntries = (entries, { collection = '', action = '', by = '', from = '', to = '', search = '' } = {}) => {
+    const needle = search.trim().toLowerCase();
+    return entries
+        .filter(entry => !collection || entry.collection === collection)
+        .filter(entry => !action || entry.action === action)
+        .filter(entry => !by || entry.by === by)
+        .filter(entry => (!from || entry.at.slice(0, 10) >= from) && (!to || entry.at.slice(0, 10) <= to))
+        .filter(entry => !needle || [entry.documentLabel, entry.by, ...(entry.changes || []).map(change => change.field)]
+            .some(text => String(text || '').toLowerCase().includes(needle)))
+        .sort((a, b) => (a.at < b.at ? 1 : a.at > b.at ? -1 : 0));
+};
@@ -0,0 +1,74 @@
+import { fieldDiff, buildAuditEntry, filterAuditEntries, readAuditEntry } from './audit';
+
+class Sentinel {}
+const timestamp = (iso) => ({ seconds: Date.parse(iso) / 1000, nanoseconds: 0, toDate: () => new Date(iso) });
+
+describe('fieldDiff', () => {
+    it('lists only the fields that changed, with their values before and after', () => {
+        expect(fieldDiff({ name: 'أحمد', phone: '0500', email: '' }, { name: 'أحمد', phone: '0555', email: 'a@b.sa' })).toEqual([
+            { field: 'email', before: '', after: 'a@b.sa' },
+            { field: 'phone', before: '0500', after: '0555' },
+        ]);
+    });
+
+    it('compares nested values by content and records missing fields as null', () => {
+        const items = [{ serviceId: 's1', quantity: 1 }];
+        expect(fieldDiff({ items }, { items: [{ quantity: 1, serviceId: 's1' }] })).toEqual([]);
+        expect(fieldDiff({ items }, { items: [{ serviceId: 's1', quantity: 2 }], discount: 5 })).toEqual([
+            { field: 'discount', before: null, after: 5 },
+            { field: 'items', before: items, after: [{ serviceId: 's1', quantity: 2 }] },
+        ]);
+    });
+
+    it('stores timestamps as ISO strings and leaves out server-side sentinels, the id and the audit id', () => {
+        expect(fieldDiff(
+            { id: 'x', auditId: 'a1', voidedAt: null, createdAt: timestamp('2024-05-01T10:00:00.000Z') },
+            { id: 'x', auditId: 'a2', voidedAt: new Sentinel(), createdAt: timestamp('2024-05-02T10:00:00.000Z') },
+        )).toEqual([{ field: 'createdAt', before: '2024-05-01T10:00:00.000Z', after: '2024-05-02T10:00:00.000Z' }]);
+    });
+});
+
+describe('buildAuditEntry', () => {
+    const invoice = { invoiceNo: 'INV-1001', total: 115, status: 'قيد الانتظار' };
+
+    it('records every field of a created document and labels it', () => {
+        const entry = buildAuditEntry({ action: 'create', collectionName: 'invoices', documentId: 'i1', after: invoice, by: 'sara', at: '2024-05-01T10:00:00.000Z' });
+        expect(entry).toMatchObject({ action: 'create', collection: 'invoices', documentId: 'i1', documentLabel: 'INV-1001', by: 'sara', at: '2024-05-01T10:00:00.000Z' });
+        expect(entry.changes.map(change => change.field)).toEqual(['invoiceNo', 'status', 'total']);
+        expect(entry.changes.every(change => change.before === null)).toBe(true);
+    });
+
+    it('records what a delete removed', () => {
+        const entry = buildAuditEntry({ action: 'delete', collectionName: 'customers', documentId: 'c1', before: { name: 'شركة النور' }, by: 'sara' });
+        expect(entry.documentLabel).toBe('شركة النور');
+        expect(entry.changes).toEqual([{ field: 'name', before: 'شركة النور', after: null }]);
+    });
+});
+
+describe('readAuditEntry', () => {
+    const snapshot = (id, data) => ({ id, data: () => data });
+
+    it('reads server timestamps and older ISO strings alike', () => {
+        expect(readAuditEntry(snapshot('e1', { by: 'sara', at: timestamp('2024-05-01T10:00:00.000Z') }))).toEqual({ id: 'e1', by: 'sara', at: '2024-05-01T10:00:00.000Z' });
+        expect(readAuditEntry(snapshot('e2', { by: 'omar', at: '2024-04-01T10:00:00.000Z' })).at).toBe('2024-04-01T10:00:00.000Z');
+    });
+});
+
+describe('filterAuditEntries', () => {
+    const entries = [
+        { collection: 'invoices', action: 'update', documentLabel: 'INV-1001', by: 'sara', at: '2024-05-01T10:00:00.000Z', changes: [{ field: 'total' }] },
+        { collection: 'customers', action: 'create', documentLabel: 'شركة النور', by: 'omar', at: '2024-05-03T08:00:00.000Z', changes: [{ field: 'name' }] },
+        { collection: 'invoices', action: 'update', documentLabel: 'INV-1002', by: 'omar', at: '2024-05-02T12:00:00.000Z', changes: [{ field: 'status' }] },
+    ];
+
+    it('returns the newest entries first', () => {
+        expect(filterAuditEntries(entries).map(entry => entry.documentLabel)).toEqual(['شركة النور', 'INV-1002', 'INV-1001']);
+    });
+
+    it('combines collection, action, user, date range and text filters', () => {
+        expect(filterAuditEntries(entries, { collection: 'invoices', by: 'omar' }).map(entry => entry.documentLabel)).toEqual(['INV-1002']);
+        expect(filterAuditEntries(entries, { from: '2024-05-02', to: '2024-05-02' }).map(entry => entry.documentLabel)).toEqual(['INV-1002']);
+        expect(filterAuditEntries(entries, { search: 'total' }).map(entry => entry.documentLabel)).toEqual(['INV-1001']);
+        expect(filterAuditEntries(entries, { action: 'delete' })).toEqual([]);
+    });
+});
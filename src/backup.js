@@ -0,0 +1,182 @@
+// --- Workspace backup: a versioned JSON archive of every collection, with checksums ---
+// Documents are kept with their ids so restoring them also restores every link between them (voucher allocations,
+// credit notes, quotations and recurring schedules all point at documents by id). Firestore timestamps are written as
+// `{ __type: 'timestamp', seconds, nanoseconds }` and turned back into timestamps on restore.
+
+export const BACKUP_FORMAT = 'workspace-backup';
+export const BACKUP_SCHEMA_VERSION = 1;
+
+// Restoring follows the same ledger rules as firestore.rules: issued invoices, vouchers and disbursements are never
+// deleted, credit notes and the recurring-invoice log are never rewritten, and numbering counters only move forward.
+// Whatever a restore may not touch is left as it is and reported as kept.
+export const BACKUP_COLLECTIONS = {
+    customers: { label: 'العملاء' },
+    services: { label: 'الخدمات' },
+    invoices: { label: 'الفواتير', keepOnReplace: true },
+    creditNotes: { label: 'الإشعارات الدائنة', immutable: true },
+    vouchers: { label: 'سندات القبض', keepOnReplace: true },
+    quotations: { label: 'عروض الأسعار' },
+    recurringSchedules: { label: 'الفواتير الدورية' },
+    recurringRuns: { label: 'سجل الفواتير الدورية', immutable: true },
+    accounts: { label: 'الصناديق والبنوك' },
+    disbursements: { label: 'سندات الصرف', keepOnReplace: true },
+    suppliers: { label: 'الموردون' },
+    expenseCategories: { label: 'بنود المصروفات' },
+    counters: { label: 'عدادات الترقيم', forwardOnly: true },
+};
+
+export const RESTORE_MODES = {
+    merge: { label: 'دمج مع البيانات الحالية' },
+    replace: { label: 'استبدال البيانات الحالية' },
+};
+
+export class BackupValidationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'BackupValidationError';
+    }
+}
+
+const isTimestamp = (value) => Boolean(value) && typeof value.toMillis === 'function' && typeof value.seconds === 'number';
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+export const encodeValue = (value) => {
+    if (isTimestamp(value)) return { __type: 'timestamp', seconds: value.seconds, nanoseconds: value.nanoseconds };
+    if (Array.isArray(value)) return value.map(encodeValue);
+    if (isPlainObject(value)) {
+        return Object.fromEntries(Object.entries(value).filter(([, field]) => field !== undefined).map(([key, field]) => [key, encodeValue(field)]));
+    }
+    return value;
+};
+
+// `makeTimestamp(seconds, nanoseconds)` builds the Firestore Timestamp; it is passed in to keep this module free of Firebase.
+export const decodeValue = (value, makeTimestamp) => {
+    if (Array.isArray(value)) return value.map(item => decodeValue(item, makeTimestamp));
+    if (isPlainObject(value)) {
+        if (value.__type === 'timestamp') return makeTimestamp(value.seconds, value.nanoseconds);
+        return Object.fromEntries(Object.entries(value).map(([key, field]) => [key, decodeValue(field, makeTimestamp)]));
+    }
+    return value;
+};
+
+// JSON with object keys sorted, so the same data always gives the same text and the same checksum.
+export const canonicalJson = (value) => {
+    if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+    if (isPlainObject(value)) return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+    return JSON.stringify(value === undefined ? null : value);
+};
+
+export const sha256Hex = async (text) => {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+const byId = (a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+
+// `collections` maps collection names to `{ id, data }` documents as read from Firestore.
+export const createBackupArchive = async ({ workspace, profile, collections }, createdAt = new Date().toISOString()) => {
+    const encodedCollections = Object.fromEntries(Object.keys(BACKUP_COLLECTIONS).map(name => [
+        name,
+        (collections[name] || []).map(document => ({ id: document.id, data: encodeValue(document.data) })).sort(byId),
+    ]));
+    const encodedProfile = profile ? encodeValue(profile) : null;
+
+    const checksums = { profile: await sha256Hex(canonicalJson(encodedProfile)) };
+    for (const name of Object.keys(encodedCollections)) {
+        checksums[name] = await sha256Hex(canonicalJson(encodedCollections[name]));
+    }
+
+    return {
+        format: BACKUP_FORMAT,
+        schemaVersion: BACKUP_SCHEMA_VERSION,
+        createdAt,
+        workspace: { id: workspace.id, name: workspace.name || '' },
+        profile: encodedProfile,
+        collections: encodedCollections,
+        checksums,
+    };
+};
+
+const isValidDocument = (document) => isPlainObject(document)
+    && typeof document.id === 'string' && document.id !== '' && !document.id.includes('/')
+    && isPlainObject(document.data);
+
+// Ledger links inside the archive that point at invoices it does not contain.
+const brokenLinks = (collections) => {
+    const invoiceIds = new Set((collections.invoices || []).map(document => document.id));
+    const links = [];
+    (collections.vouchers || []).forEach(({ id, data }) => {
+        const allocated = data.allocations ? data.allocations.map(allocation => allocation.invoiceId) : [data.invoiceId];
+        allocated.filter(invoiceId => invoiceId && !invoiceIds.has(invoiceId)).forEach(invoiceId => links.push({ collection: 'vouchers', id, invoiceId }));
+    });
+    (collections.creditNotes || []).forEach(({ id, data }) => {
+        if (data.invoiceId && !invoiceIds.has(data.invoiceId)) links.push({ collection: 'creditNotes', id, invoiceId: data.invoiceId });
+    });
+    return links;
+};
+
+// Throws BackupValidationError for anything that is not an intact archive this version can read. Links to invoices
+// missing from the archive do not stop a restore, since a merge may find those invoices already in the workspace,
+// so they are returned for the summary instead.
+export const validateBackupArchive = async (archive) => {
+    if (!isPlainObject(archive) || archive.format !== BACKUP_FORMAT) {
+        throw new BackupValidationError('الملف ليس نسخة احتياطية صادرة من هذا التطبيق.');
+    }
+    if (!Number.isInteger(archive.schemaVersion) || archive.schemaVersion < 1 || archive.schemaVersion > BACKUP_SCHEMA_VERSION) {
+        throw new BackupValidationError(`إصدار النسخة الاحتياطية (${archive.schemaVersion}) غير مدعوم في هذا الإصدار من التطبيق.`);
+    }
+    if (!isPlainObject(archive.collections) || !isPlainObject(archive.checksums)) {
+        throw new BackupValidationError('النسخة الاحتياطية ناقصة.');
+    }
+
+    for (const name of Object.keys(BACKUP_COLLECTIONS)) {
+        const documents = archive.collections[name] || [];
+        if (!Array.isArray(documents) || !documents.every(isValidDocument)) {
+            throw new BackupValidationError(`بيانات ${BACKUP_COLLECTIONS[name].label} في النسخة الاحتياطية غير صالحة.`);
+        }
+        if (new Set(documents.map(document => document.id)).size !== documents.length) {
+            throw new BackupValidationError(`تتكرر معرّفات في ${BACKUP_COLLECTIONS[name].label}.`);
+        }
+        if (archive.checksums[name] !== await sha256Hex(canonicalJson(documents))) {
+            throw new BackupValidationError(`المجموع الاختباري لـ ${BACKUP_COLLECTIONS[name].label} لا يطابق؛ ربما تم تعديل الملف أو تلفه.`);
+        }
+    }
+    if (archive.checksums.profile !== await sha256Hex(canonicalJson(archive.profile === undefined ? null : archive.profile))) {
+        throw new BackupValidationError('المجموع الاختباري لملف الشركة لا يطابق؛ ربما تم تعديل الملف أو تلفه.');
+    }
+
+    return { brokenLinks: brokenLinks(archive.collections) };
+};
+
+// What a restore would do to each collection. `current` has the workspace's documents encoded the same way as the
+// archive, so unchanged documents compare equal. The archive wins for every document it contains; replacing also
+// removes current documents the archive does not have, where the ledger rules allow it.
+export const planRestore = (archive, current, mode) => {
+    const collections = Object.fromEntries(Object.entries(BACKUP_COLLECTIONS).map(([name, rules]) => {
+        const existing = Object.fromEntries((current.collections[name] || []).map(document => [document.id, document.data]));
+        const plan = { create: [], update: [], delete: [], unchanged: 0, kept: 0 };
+        const archivedIds = new Set();
+
+        (archive.collections[name] || []).forEach(document => {
+            archivedIds.add(document.id);
+            const stored = existing[document.id];
+            if (!stored) plan.create.push(document);
+            else if (canonicalJson(stored) === canonicalJson(document.data)) plan.unchanged += 1;
+            else if (rules.immutable) plan.kept += 1;
+            else if (rules.forwardOnly && !(Number(document.data.lastNumber) > Number(stored.lastNumber))) plan.kept += 1;
+            else plan.update.push(document);
+        });
+
+        if (mode === 'replace') {
+            Object.keys(existing).filter(id => !archivedIds.has(id)).forEach(id => {
+                if (rules.immutable || rules.keepOnReplace || rules.forwardOnly) plan.kept += 1;
+                else plan.delete.push(id);
+            });
+        }
+        return [name, plan];
+    }));
+
+    const profileChanged = archive.profile !== null && archive.profile !== undefined && canonicalJson(archive.profile) !== canonicalJson(current.profile === undefined ? null : current.profile);
+    const writes = Object.values(collections).reduce((sum, plan) => sum + plan.create.length + plan.update.length + plan.delete.length, 0) + (profileChanged ? 1 : 0);
+    return { collections, profileChanged, writes };
+};
@@ -0,0 +1,94 @@
+/**
+ * @jest-environment node
+ */
+import { webcrypto } from 'crypto';
+import { createBackupArchive, validateBackupArchive, planRestore, encodeValue, decodeValue, canonicalJson, BackupValidationError } from './backup';
+
+beforeAll(() => {
+    if (!global.crypto) global.crypto = webcrypto;
+});
+
+// Stands in for a Firestore Timestamp, which is recognised by its `seconds` and `toMillis`.
+const timestamp = (seconds, nanoseconds = 0) => ({ seconds, nanoseconds, toMillis: () => seconds * 1000 });
+
+const source = {
+    workspace: { id: 'ws-1', name: 'الفريق' },
+    profile: { legalName: 'الفريق المحترف', invoicePrefix: 'INV-' },
+    collections: {
+        customers: [{ id: 'c2', data: { name: 'سارة' } }, { id: 'c1', data: { name: 'أحمد', createdAt: timestamp(1700000000, 5) } }],
+        invoices: [{ id: 'i1', data: { invoiceNumber: 1001, customerId: 'c1', grandTotal: 115 } }],
+        vouchers: [{ id: 'v1', data: { amount: 115, allocations: [{ invoiceId: 'i1', amount: 100 }, { invoiceId: 'gone', amount: 15 }] } }],
+        creditNotes: [{ id: 'n1', data: { invoiceId: 'i1', grandTotal: 15 } }],
+        counters: [{ id: 'invoices', data: { lastNumber: 1001 } }],
+    },
+};
+
+describe('encodeValue and decodeValue', () => {
+    it('round-trips timestamps inside nested data', () => {
+        const encoded = encodeValue({ a: [{ at: timestamp(10, 20) }], skip: undefined });
+        expect(encoded).toEqual({ a: [{ at: { __type: 'timestamp', seconds: 10, nanoseconds: 20 } }] });
+        expect(decodeValue(encoded, (seconds, nanoseconds) => `${seconds}.${nanoseconds}`)).toEqual({ a: [{ at: '10.20' }] });
+    });
+
+    it('writes keys in a stable order', () => {
+        expect(canonicalJson({ b: 1, a: { d: [2, { f: 1, e: 0 }], c: null } })).toBe('{"a":{"c":null,"d":[2,{"e":0,"f":1}]},"b":1}');
+    });
+});
+
+describe('createBackupArchive and validateBackupArchive', () => {
+    it('accepts an untouched archive and reports links to invoices it lacks', async () => {
+        const archive = await createBackupArchive(source, '2026-01-01T00:00:00.000Z');
+        expect(archive).toMatchObject({ format: 'workspace-backup', schemaVersion: 1, workspace: { id: 'ws-1', name: 'الفريق' } });
+        expect(archive.collections.customers.map(document => document.id)).toEqual(['c1', 'c2']);
+        expect(archive.collections.services).toEqual([]);
+
+        const restored = JSON.parse(JSON.stringify(archive));
+        await expect(validateBackupArchive(restored)).resolves.toEqual({ brokenLinks: [{ collection: 'vouchers', id: 'v1', invoiceId: 'gone' }] });
+    });
+
+    it('rejects edited, foreign and newer archives', async () => {
+        const archive = JSON.parse(JSON.stringify(await createBackupArchive(source)));
+
+        const edited = JSON.parse(JSON.stringify(archive));
+        edited.collections.invoices[0].data.grandTotal = 1;
+        await expect(validateBackupArchive(edited)).rejects.toThrow('المجموع الاختباري لـ الفواتير لا يطابق');
+
+        await expect(validateBackupArchive({ ...archive, format: 'other' })).rejects.toBeInstanceOf(BackupValidationError);
+        await expect(validateBackupArchive({ ...archive, schemaVersion: 2 })).rejects.toThrow('غير مدعوم');
+
+        const malformed = JSON.parse(JSON.stringify(archive));
+        malformed.collections.customers[0].id = 'a/b';
+        await expect(validateBackupArchive(malformed)).rejects.toThrow('العملاء');
+    });
+});
+
+describe('planRestore', () => {
+    const current = {
+        profile: { legalName: 'اسم قديم', invoicePrefix: 'INV-' },
+        collections: {
+            customers: [{ id: 'c1', data: { name: 'أحمد', createdAt: { __type: 'timestamp', seconds: 1700000000, nanoseconds: 5 } } }, { id: 'c3', data: { name: 'خالد' } }],
+            invoices: [{ id: 'i1', data: { invoiceNumber: 1001, customerId: 'c1', grandTotal: 230 } }, { id: 'i2', data: { invoiceNumber: 1002 } }],
+            creditNotes: [{ id: 'n1', data: { invoiceId: 'i1', grandTotal: 30 } }],
+            counters: [{ id: 'invoices', data: { lastNumber: 1002 } }],
+        },
+    };
+
+    it('adds missing documents and lets the archive win on merge', async () => {
+        const archive = await createBackupArchive(source);
+        const plan = planRestore(archive, current, 'merge');
+        expect(plan.collections.customers).toMatchObject({ unchanged: 1, delete: [] });
+        expect(plan.collections.customers.create.map(document => document.id)).toEqual(['c2']);
+        expect(plan.collections.invoices.update.map(document => document.id)).toEqual(['i1']);
+        expect(plan.collections.vouchers.create).toHaveLength(1);
+        expect(plan.profileChanged).toBe(true);
+        expect(plan.writes).toBe(4);
+    });
+
+    it('keeps issued history and counters while replacing', async () => {
+        const plan = planRestore(await createBackupArchive(source), current, 'replace');
+        expect(plan.collections.customers.delete).toEqual(['c3']);
+        expect(plan.collections.invoices).toMatchObject({ delete: [], kept: 1 });
+        expect(plan.collections.creditNotes).toMatchObject({ update: [], kept: 1 });
+        expect(plan.collections.counters).toMatchObject({ update: [], kept: 1 });
+    });
+});
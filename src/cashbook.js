@@ -0,0 +1,77 @@
+// --- Cashbook: payment methods, account balances and the daily cash closing ---
+// Receipt vouchers record how they were paid (`paymentMethod`) and which cash box or bank account received the money
+// (`accountId`). Vouchers saved before accounts existed have neither and are grouped under UNASSIGNED_ACCOUNT.
+// Disbursement vouchers carry the same two fields and take money out of the account they were paid from.
+import { round2, isActive } from './receivables.js';
+
+export const PAYMENT_METHODS = {
+    cash: { label: 'نقداً' },
+    bankTransfer: { label: 'تحويل بنكي' },
+    card: { label: 'بطاقة ائتمان' },
+    mada: { label: 'مدى' },
+    cheque: { label: 'شيك' },
+};
+
+export const ACCOUNT_TYPES = {
+    cash: { label: 'صندوق نقدي' },
+    bank: { label: 'حساب بنكي' },
+};
+
+export const UNASSIGNED_ACCOUNT = 'unassigned';
+
+const accountOf = (voucher) => voucher.accountId || UNASSIGNED_ACCOUNT;
+export const paymentMethodOf = (voucher) => (PAYMENT_METHODS[voucher.paymentMethod] ? voucher.paymentMethod : 'cash');
+
+const sumAmounts = (documents) => round2(documents.reduce((sum, document) => sum + (Number(document.amount) || 0), 0));
+
+// Balance of every account: its opening balance plus the active vouchers it received, less the active disbursements
+// paid from it, up to and including `asOf`.
+export const accountBalances = (accounts, vouchers, asOf, disbursements = []) => {
+    const balances = Object.fromEntries(accounts.map(account => [account.id, round2(Number(account.openingBalance) || 0)]));
+    const post = (documents, sign) => documents
+        .filter(document => isActive(document) && (!asOf || document.date <= asOf))
+        .forEach(document => {
+            const accountId = accountOf(document);
+            balances[accountId] = round2((balances[accountId] || 0) + sign * (Number(document.amount) || 0));
+        });
+    post(vouchers, 1);
+    post(disbursements, -1);
+    return balances;
+};
+
+// Receipts of one day per account and payment method and the disbursements paid that day, with each account's
+// balance before and after the day.
+export const buildDailyClosing = (accounts, vouchers, date, disbursements = []) => {
+    const before = (document) => document.date < date;
+    const opening = accountBalances(accounts, vouchers.filter(before), undefined, disbursements.filter(before));
+    const closing = accountBalances(accounts, vouchers, date, disbursements);
+    const dayVouchers = vouchers.filter(voucher => isActive(voucher) && voucher.date === date);
+    const dayDisbursements = disbursements.filter(disbursement => isActive(disbursement) && disbursement.date === date);
+
+    const accountIds = [...new Set([...accounts.map(account => account.id), ...dayVouchers.map(accountOf), ...dayDisbursements.map(accountOf)])];
+    const rows = accountIds.map(accountId => {
+        const received = dayVouchers.filter(voucher => accountOf(voucher) === accountId);
+        const byMethod = Object.fromEntries(Object.keys(PAYMENT_METHODS).map(method => [
+            method,
+            sumAmounts(received.filter(voucher => paymentMethodOf(voucher) === method)),
+        ]));
+        return {
+            accountId,
+            openingBalance: opening[accountId] || 0,
+            byMethod,
+            received: round2(Object.values(byMethod).reduce((sum, amount) => sum + amount, 0)),
+            paid: sumAmounts(dayDisbursements.filter(disbursement => accountOf(disbursement) === accountId)),
+            closingBalance: closing[accountId] || 0,
+            count: received.length,
+        };
+    });
+
+    return {
+        date,
+        rows,
+        vouchers: dayVouchers,
+        disbursements: dayDisbursements,
+        totalReceived: round2(rows.reduce((sum, row) => sum + row.received, 0)),
+        totalPaid: round2(rows.reduce((sum, row) => sum + row.paid, 0)),
+    };
+};
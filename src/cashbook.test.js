@@ -0,0 +1,67 @@
+import { accountBalances, buildDailyClosing, paymentMethodOf, UNASSIGNED_ACCOUNT } from './cashbook';
+
+const accounts = [
+    { id: 'box', name: 'الصندوق', openingBalance: 500 },
+    { id: 'bank', name: 'البنك', openingBalance: 0 },
+];
+
+const vouchers = [
+    { date: '2024-05-01', amount: 100, accountId: 'box', paymentMethod: 'cash' },
+    { date: '2024-05-02', amount: 250.5, accountId: 'bank', paymentMethod: 'bankTransfer' },
+    { date: '2024-05-02', amount: 80, accountId: 'box', paymentMethod: 'mada' },
+    { date: '2024-05-02', amount: 40, accountId: 'box', paymentMethod: 'cash' },
+    { date: '2024-05-02', amount: 999, accountId: 'box', paymentMethod: 'cash', status: 'void' },
+    { date: '2024-05-03', amount: 60, accountId: 'bank', paymentMethod: 'cheque' },
+    { date: '2024-05-02', amount: 30 },
+];
+
+describe('accountBalances', () => {
+    it('adds active vouchers to each opening balance', () => {
+        expect(accountBalances(accounts, vouchers)).toEqual({ box: 720, bank: 310.5, [UNASSIGNED_ACCOUNT]: 30 });
+    });
+
+    it('stops at the given date', () => {
+        expect(accountBalances(accounts, vouchers, '2024-05-01')).toEqual({ box: 600, bank: 0 });
+    });
+
+    it('takes active disbursements out of the account that paid them', () => {
+        const disbursements = [
+            { date: '2024-05-02', amount: 70, accountId: 'box' },
+            { date: '2024-05-02', amount: 500, accountId: 'box', status: 'void' },
+        ];
+        expect(accountBalances(accounts, vouchers, undefined, disbursements).box).toBe(650);
+    });
+});
+
+describe('buildDailyClosing', () => {
+    it('splits the day by account and payment method', () => {
+        const closing = buildDailyClosing(accounts, vouchers, '2024-05-02');
+        const box = closing.rows.find(row => row.accountId === 'box');
+        expect(box).toMatchObject({ openingBalance: 600, received: 120, closingBalance: 720, count: 2 });
+        expect(box.byMethod).toMatchObject({ cash: 40, mada: 80, bankTransfer: 0 });
+
+        const bank = closing.rows.find(row => row.accountId === 'bank');
+        expect(bank).toMatchObject({ openingBalance: 0, received: 250.5, closingBalance: 250.5 });
+
+        expect(closing.rows.find(row => row.accountId === UNASSIGNED_ACCOUNT)).toMatchObject({ received: 30 });
+        expect(closing.totalReceived).toBe(400.5);
+        expect(closing.vouchers).toHaveLength(4);
+    });
+
+    it('shows the day\'s disbursements against each account', () => {
+        const disbursements = [
+            { date: '2024-05-01', amount: 100, accountId: 'box' },
+            { date: '2024-05-02', amount: 20, accountId: 'box' },
+            { date: '2024-05-02', amount: 50, accountId: 'bank' },
+        ];
+        const closing = buildDailyClosing(accounts, vouchers, '2024-05-02', disbursements);
+        expect(closing.rows.find(row => row.accountId === 'box')).toMatchObject({ openingBalance: 500, received: 120, paid: 20, closingBalance: 600 });
+        expect(closing.totalPaid).toBe(70);
+        expect(closing.disbursements).toHaveLength(2);
+    });
+
+    it('treats vouchers without a method as cash', () => {
+        expect(paymentMethodOf({})).toBe('cash');
+        expect(paymentMethodOf({ paymentMethod: 'cheque' })).toBe('cheque');
+    });
+});
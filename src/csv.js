@@ -0,0 +1,67 @@
+// --- CSV export and import ---
+// Files start with a UTF-8 byte order mark and use CRLF line ends so Excel opens Arabic text correctly. `columns` are
+// `{ key, label, value? }`; `value(row)` formats a cell when the raw field is not what should be exported. The same
+// columns build the header and value rows for XLSX files.
+
+// Text starting with these characters would run as a formula when the file is opened in a spreadsheet.
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+export const toTable = (columns, rows) => [
+    columns.map(column => column.label),
+    ...rows.map(row => columns.map(column => {
+        const value = column.value ? column.value(row) : row[column.key];
+        return value === null || value === undefined ? '' : value;
+    })),
+];
+
+const escapeCell = (value) => {
+    let text = String(value);
+    if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (columns, rows) => `\uFEFF${toTable(columns, rows).map(cells => cells.map(escapeCell).join(',')).join('\r\n')}\r\n`;
+
+// Reads CSV text into rows of cell strings. Quoted cells may hold delimiters, doubled quotes and line breaks. Files saved
+// by Excel in locales that use a decimal comma are separated by semicolons, which is detected from the header line.
+export const parseCsv = (text) => {
+    const source = text.replace(/^\uFEFF/, '');
+    const headerLine = source.split(/\r?\n/, 1)[0];
+    const delimiter = (headerLine.match(/;/g) || []).length > (headerLine.match(/,/g) || []).length ? ';' : ',';
+
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    for (let index = 0; index < source.length; index += 1) {
+        const char = source[index];
+        if (quoted) {
+            if (char === '"' && source[index + 1] === '"') {
+                cell += '"';
+                index += 1;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[index + 1] === '\n') index += 1;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
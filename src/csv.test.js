@@ -0,0 +1,39 @@
+import { toCsv, toTable, parseCsv } from './csv';
+
+describe('toCsv', () => {
+    const columns = [
+        { key: 'name', label: 'الاسم' },
+        { key: 'amount', label: 'المبلغ', value: row => row.amount.toFixed(2) },
+    ];
+
+    it('starts with a byte order mark and ends lines with CRLF', () => {
+        expect(toCsv(columns, [{ name: 'أحمد', amount: 10 }])).toBe('﻿الاسم,المبلغ\r\nأحمد,10.00\r\n');
+    });
+
+    it('quotes commas, quotes and line breaks', () => {
+        expect(toCsv([{ key: 'note', label: 'note' }], [{ note: 'a, "b"\nc' }])).toBe('﻿note\r\n"a, ""b""\nc"\r\n');
+    });
+
+    it('keeps text from running as a spreadsheet formula but leaves numbers alone', () => {
+        expect(toCsv([{ key: 'v', label: 'v' }], [{ v: '=SUM(A1)' }, { v: -5 }, { v: null }])).toBe('﻿v\r\n\'=SUM(A1)\r\n-5\r\n\r\n');
+    });
+});
+
+describe('toTable', () => {
+    it('gives the header and raw values for spreadsheet files', () => {
+        expect(toTable([{ key: 'name', label: 'الاسم' }, { key: 'amount', label: 'المبلغ' }], [{ name: 'أحمد', amount: 10.5 }, { name: 'سارة' }])).toEqual([
+            ['الاسم', 'المبلغ'], ['أحمد', 10.5], ['سارة', ''],
+        ]);
+    });
+});
+
+describe('parseCsv', () => {
+    it('reads back what toCsv writes', () => {
+        const columns = [{ key: 'name', label: 'الاسم' }, { key: 'note', label: 'ملاحظة' }];
+        expect(parseCsv(toCsv(columns, [{ name: 'أحمد', note: 'a, "b"\r\nc' }]))).toEqual([['الاسم', 'ملاحظة'], ['أحمد', 'a, "b"\r\nc']]);
+    });
+
+    it('detects semicolon separated files and skips blank lines', () => {
+        expect(parseCsv('name;price\n\nتصميم;1,5\n')).toEqual([['name', 'price'], ['تصميم', '1,5']]);
+    });
+});
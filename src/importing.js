@@ -0,0 +1,118 @@
+// --- Bulk import: column mapping, validation and duplicate detection ---
+// A spreadsheet arrives as a header row and data rows of cell strings. Each importable field is mapped to one column
+// (or to none), and every row is checked before anything is written: rows with errors are skipped, and rows matching a
+// record that already exists are either skipped or update that record. Customers match on phone or email, services on name.
+
+export const IMPORT_FIELDS = {
+    customers: [
+        { key: 'name', label: 'الاسم', required: true, aliases: ['name', 'customer', 'customer name', 'العميل', 'اسم العميل', 'الاسم الكامل'] },
+        { key: 'email', label: 'البريد الإلكتروني', type: 'email', aliases: ['email', 'e-mail', 'mail', 'البريد'] },
+        { key: 'phone', label: 'الهاتف', aliases: ['phone', 'mobile', 'telephone', 'الجوال', 'رقم الهاتف', 'رقم الجوال'] },
+    ],
+    services: [
+        { key: 'name', label: 'اسم الخدمة', required: true, aliases: ['name', 'service', 'service name', 'الخدمة', 'الاسم'] },
+        { key: 'description', label: 'الوصف', aliases: ['description', 'details', 'التفاصيل'] },
+        { key: 'price', label: 'السعر', required: true, type: 'number', aliases: ['price', 'unit price', 'سعر البيع'] },
+        { key: 'cost', label: 'التكلفة', type: 'number', aliases: ['cost', 'unit cost'] },
+        { key: 'vatCategory', label: 'فئة الضريبة', type: 'vatCategory', aliases: ['vat', 'vat category', 'tax', 'الضريبة'] },
+    ],
+};
+
+export const IMPORT_STATUSES = {
+    new: { label: 'جديد' },
+    duplicate: { label: 'موجود مسبقاً' },
+    invalid: { label: 'غير صالح' },
+};
+
+const VAT_CATEGORY_ALIASES = {
+    standard: ['standard', '15', '15%', 'أساسي', 'أساسية', 'خاضع', 'خاضع للنسبة الأساسية (15%)'],
+    zero: ['zero', '0', '0%', 'صفر', 'صفري', 'خاضع لنسبة الصفر'],
+    exempt: ['exempt', 'معفى', 'معفي', 'معفى من الضريبة'],
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const normalizeText = (value) => String(value || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+// Spreadsheets typed in Arabic often use Arabic-Indic digits and the Arabic decimal separator.
+const toLatinDigits = (value) => String(value || '')
+    .replace(/[٠-٩]/g, digit => String(digit.charCodeAt(0) - 0x0660))
+    .replace(/[۰-۹]/g, digit => String(digit.charCodeAt(0) - 0x06F0));
+
+export const parseNumber = (value) => {
+    const text = toLatinDigits(value).replace(/٫/g, '.').replace(/[٬,\s]/g, '');
+    return text !== '' && Number.isFinite(Number(text)) ? Number(text) : null;
+};
+
+// Comparison key for phone numbers: digits only, without the Saudi country code or the trunk zero, so
+// +966 50 123 4567, 00966501234567 and 0501234567 are the same number.
+export const phoneKey = (phone) => toLatinDigits(phone).replace(/\D/g, '').replace(/^00/, '').replace(/^966/, '').replace(/^0+/, '');
+
+export const emailKey = (email) => normalizeText(email);
+
+const parseVatCategory = (value) => {
+    const text = normalizeText(value);
+    if (!text) return 'standard';
+    return Object.keys(VAT_CATEGORY_ALIASES).find(category => VAT_CATEGORY_ALIASES[category].includes(text)) || null;
+};
+
+// Maps each field to the first column whose header matches its key, label or one of its aliases.
+export const guessMapping = (headers, fields) => Object.fromEntries(fields.map(field => {
+    const names = [field.key, field.label, ...(field.aliases || [])].map(normalizeText);
+    const column = headers.findIndex(header => names.includes(normalizeText(header)));
+    return [field.key, column >= 0 ? column : ''];
+}));
+
+const duplicateKeys = (entity, values) => (entity === 'customers'
+    ? [values.phone && `phone:${phoneKey(values.phone)}`, values.email && `email:${emailKey(values.email)}`]
+    : [values.name && `name:${normalizeText(values.name)}`]
+).filter(Boolean);
+
+// `rows` are the data rows after the header; `mapping` maps field keys to column indexes. Each preview row keeps its line
+// number in the file (the header is line 1), the parsed values, its errors and the existing record it duplicates. Empty
+// cells leave their field out of `values`, so updating an existing record never blanks what is already stored.
+export const buildImportPreview = (entity, rows, mapping, existing = []) => {
+    const fields = IMPORT_FIELDS[entity];
+    const existingByKey = {};
+    existing.forEach(record => duplicateKeys(entity, record).forEach(key => { existingByKey[key] = existingByKey[key] || record; }));
+    const seenInFile = {};
+
+    const preview = rows.map((cells, index) => {
+        const line = index + 2;
+        const values = {};
+        const errors = [];
+        fields.forEach(field => {
+            const column = mapping[field.key];
+            const raw = column === '' || column === undefined ? '' : String(cells[column] === undefined ? '' : cells[column]).trim();
+            if (!raw) {
+                if (field.required) errors.push(`${field.label} مطلوب`);
+                return;
+            }
+            if (field.type === 'number') {
+                const number = parseNumber(raw);
+                if (number === null || number < 0) errors.push(`${field.label} ليس رقماً صالحاً`);
+                else values[field.key] = number;
+            } else if (field.type === 'vatCategory') {
+                const category = parseVatCategory(raw);
+                if (!category) errors.push(`فئة الضريبة غير معروفة: ${raw}`);
+                else values[field.key] = category;
+            } else if (field.type === 'email' && !EMAIL_PATTERN.test(raw)) {
+                errors.push(`${field.label} غير صالح`);
+            } else {
+                values[field.key] = raw;
+            }
+        });
+
+        const keys = duplicateKeys(entity, values);
+        const repeatedKey = keys.find(key => seenInFile[key]);
+        if (repeatedKey) errors.push(`مكرر في الملف مع السطر ${seenInFile[repeatedKey]}`);
+        keys.forEach(key => { seenInFile[key] = seenInFile[key] || line; });
+
+        const duplicateOf = keys.map(key => existingByKey[key]).find(Boolean) || null;
+        const status = errors.length > 0 ? 'invalid' : (duplicateOf ? 'duplicate' : 'new');
+        return { line, values, errors, duplicateOf, status };
+    });
+
+    const counts = Object.fromEntries(Object.keys(IMPORT_STATUSES).map(status => [status, preview.filter(row => row.status === status).length]));
+    return { rows: preview, counts };
+};
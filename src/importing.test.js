@@ -0,0 +1,58 @@
+import { guessMapping, buildImportPreview, parseNumber, phoneKey, IMPORT_FIELDS } from './importing';
+
+describe('guessMapping', () => {
+    it('matches headers by key, label or alias in either language', () => {
+        expect(guessMapping(['Email', 'اسم العميل', 'رقم الجوال', 'ملاحظات'], IMPORT_FIELDS.customers)).toEqual({ name: 1, email: 0, phone: 2 });
+        expect(guessMapping(['السعر'], IMPORT_FIELDS.services)).toMatchObject({ name: '', price: 0 });
+    });
+});
+
+describe('parseNumber and phoneKey', () => {
+    it('reads Arabic-Indic digits and separators', () => {
+        expect(parseNumber('١٬٢٥٠٫٥')).toBe(1250.5);
+        expect(parseNumber('1,250')).toBe(1250);
+        expect(parseNumber('abc')).toBeNull();
+    });
+
+    it('treats local and international forms of a number as the same', () => {
+        expect(phoneKey('+966 50 123 4567')).toBe('501234567');
+        expect(phoneKey('00966501234567')).toBe('501234567');
+        expect(phoneKey('٠٥٠١٢٣٤٥٦٧')).toBe('501234567');
+    });
+});
+
+describe('buildImportPreview', () => {
+    const existing = [{ id: 'c1', name: 'أحمد', phone: '0501234567', email: 'ahmad@example.com' }];
+    const mapping = { name: 0, email: 1, phone: 2 };
+
+    it('flags existing customers by phone or email and repeats within the file', () => {
+        const { rows, counts } = buildImportPreview('customers', [
+            ['أحمد علي', '', '+966501234567'],
+            ['سارة', 'SARA@example.com', ''],
+            ['سارة محمد', 'sara@example.com', '0555555555'],
+            ['', 'bad-email', ''],
+            ['خالد', 'AHMAD@example.com ', ''],
+        ], mapping, existing);
+
+        expect(rows.map(row => [row.line, row.status])).toEqual([[2, 'duplicate'], [3, 'new'], [4, 'invalid'], [5, 'invalid'], [6, 'duplicate']]);
+        expect(rows[0].duplicateOf.id).toBe('c1');
+        expect(rows[0].values).toEqual({ name: 'أحمد علي', phone: '+966501234567' });
+        expect(rows[2].errors).toEqual(['مكرر في الملف مع السطر 3']);
+        expect(rows[3].errors).toEqual(['الاسم مطلوب', 'البريد الإلكتروني غير صالح']);
+        expect(counts).toEqual({ new: 1, duplicate: 2, invalid: 2 });
+    });
+
+    it('parses service prices and VAT categories', () => {
+        const { rows } = buildImportPreview('services', [
+            ['تصميم', '١٥٠', 'معفى'],
+            ['تصدير', '200', ''],
+            ['ترجمة', 'مجاناً', 'مخفض'],
+            ['تصميم ', '100', ''],
+        ], { name: 0, price: 1, vatCategory: 2 }, [{ id: 's9', name: 'تصدير' }]);
+
+        expect(rows[0]).toMatchObject({ status: 'new', values: { name: 'تصميم', price: 150, vatCategory: 'exempt' } });
+        expect(rows[1]).toMatchObject({ status: 'duplicate', values: { name: 'تصدير', price: 200 } });
+        expect(rows[2].errors).toEqual(['السعر ليس رقماً صالحاً', 'فئة الضريبة غير معروفة: مخفض']);
+        expect(rows[3].status).toBe('invalid');
+    });
+});
@@ -0,0 +1,143 @@
+// --- Paged tables: search, sorting, filters and their URL state ---
+// The invoice, customer and voucher tables read one page at a time with orderBy/startAfter/limit instead of streaming
+// whole collections. Without a composite index Firestore can only range-filter the field a query is ordered by, so
+// the date or amount range goes to the server when it is on the sort field; the text search and every other filter
+// are applied to each batch as it is read (see `matchesListState`).
+// orderBy skips documents that lack the field, so every sort field below is one that all documents carry.
+
+export const PAGE_SIZE = 25;
+
+export const SORT_DIRECTIONS = ['asc', 'desc'];
+
+export const LIST_SPECS = {
+    invoices: {
+        sorts: {
+            number: { label: 'الرقم', field: 'invoiceNumber' },
+            customer: { label: 'العميل', field: 'customerName' },
+            amount: { label: 'الإجمالي', field: 'total' },
+            date: { label: 'التاريخ', field: 'date' },
+        },
+        defaultSort: { sort: 'date', dir: 'desc' },
+        dateField: 'date',
+        amountField: 'total',
+        filters: ['status'],
+        searchText: invoice => [invoice.customerName, invoice.invoiceNo, invoice.invoiceNumber],
+    },
+    customers: {
+        sorts: {
+            name: { label: 'الاسم', field: 'name' },
+            joinDate: { label: 'تاريخ الانضمام', field: 'joinDate' },
+        },
+        defaultSort: { sort: 'name', dir: 'asc' },
+        dateField: 'joinDate',
+        amountField: null,
+        filters: [],
+        searchText: customer => [customer.name, customer.phone, customer.email],
+    },
+    vouchers: {
+        sorts: {
+            number: { label: 'الرقم', field: 'voucherNumber' },
+            amount: { label: 'المبلغ', field: 'amount' },
+            date: { label: 'التاريخ', field: 'date' },
+        },
+        defaultSort: { sort: 'date', dir: 'desc' },
+        dateField: 'date',
+        amountField: 'amount',
+        filters: ['status', 'paymentMethod', 'accountId'],
+        searchText: voucher => [
+            voucher.customerName, voucher.voucherNo, voucher.voucherNumber, voucher.chequeNumber, voucher.invoiceNo,
+            ...(voucher.allocations || []).map(allocation => allocation.invoiceNo),
+        ],
+    },
+};
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const ARABIC_DIGITS = /[٠-٩۰-۹]/g;
+
+// Arabic-Indic and Persian digits are folded to ASCII so a phone typed either way matches.
+export const normalizeSearch = (text) => String(text === undefined || text === null ? '' : text)
+    .replace(ARABIC_DIGITS, digit => String(digit.charCodeAt(0) & 0xF))
+    .trim()
+    .toLowerCase();
+
+const numberParam = (value) => (value !== null && value !== '' && Number.isFinite(Number(value)) ? value : '');
+
+export const defaultListState = (spec) => ({
+    q: '', ...spec.defaultSort, from: '', to: '', min: '', max: '',
+    ...Object.fromEntries(spec.filters.map(key => [key, ''])),
+});
+
+// Unknown sort keys, malformed dates and non-numeric amounts in a hand-edited URL fall back to the defaults.
+export const readListState = (spec, search) => {
+    const params = new URLSearchParams(search);
+    const defaults = defaultListState(spec);
+    const sort = spec.sorts[params.get('sort')] ? params.get('sort') : defaults.sort;
+    const dir = SORT_DIRECTIONS.includes(params.get('dir')) ? params.get('dir') : defaults.dir;
+    const date = (key) => (ISO_DATE.test(params.get(key) || '') ? params.get(key) : '');
+    return {
+        ...defaults,
+        q: params.get('q') || '',
+        sort,
+        dir,
+        from: date('from'),
+        to: date('to'),
+        min: spec.amountField ? numberParam(params.get('min')) : '',
+        max: spec.amountField ? numberParam(params.get('max')) : '',
+        ...Object.fromEntries(spec.filters.map(key => [key, params.get(key) || ''])),
+    };
+};
+
+// Whether anything narrows the list, as opposed to only sorting it.
+export const isFiltered = (spec, state) => {
+    const defaults = defaultListState(spec);
+    return Object.keys(defaults).some(key => !['sort', 'dir'].includes(key) && state[key] !== defaults[key]);
+};
+
+// Returns the query string for `state` ('' when everything is at its default), leaving the defaults out.
+export const writeListState = (spec, state) => {
+    const defaults = defaultListState(spec);
+    const params = new URLSearchParams();
+    Object.keys(defaults).forEach((key) => {
+        if (state[key] !== undefined && state[key] !== '' && state[key] !== defaults[key]) params.set(key, state[key]);
+    });
+    const text = params.toString();
+    return text ? `?${text}` : '';
+};
+
+// What Firestore is asked for: the ordering, plus the range filters that apply to the sort field itself.
+export const listQueryPlan = (spec, state) => {
+    const { field } = spec.sorts[state.sort] || spec.sorts[spec.defaultSort.sort];
+    const where = [];
+    if (field === spec.dateField) {
+        if (state.from) where.push([field, '>=', state.from]);
+        if (state.to) where.push([field, '<=', state.to]);
+    }
+    if (field === spec.amountField) {
+        if (state.min !== '') where.push([field, '>=', Number(state.min)]);
+        if (state.max !== '') where.push([field, '<=', Number(state.max)]);
+    }
+    return { orderBy: [field, state.dir], where };
+};
+
+// The full filter, checked client-side on every document read. `accessors` maps a filter key to how a row's value is
+// derived (e.g. an invoice's displayed status); keys without one compare the stored field.
+export const matchesListState = (spec, state, row, accessors = {}) => {
+    const needle = normalizeSearch(state.q);
+    if (needle && !spec.searchText(row).some(text => normalizeSearch(text).includes(needle))) return false;
+
+    const date = row[spec.dateField] || '';
+    if (state.from && date < state.from) return false;
+    if (state.to && date > state.to) return false;
+
+    if (spec.amountField) {
+        const amount = Number(row[spec.amountField]) || 0;
+        if (state.min !== '' && amount < Number(state.min)) return false;
+        if (state.max !== '' && amount > Number(state.max)) return false;
+    }
+
+    return spec.filters.every((key) => {
+        if (!state[key]) return true;
+        const valueOf = accessors[key] || (item => item[key]);
+        return valueOf(row) === state[key];
+    });
+};
@@ -0,0 +1,71 @@
+import { LIST_SPECS, normalizeSearch, defaultListState, isFiltered, readListState, writeListState, listQueryPlan, matchesListState } from './listing';
+
+const invoices = LIST_SPECS.invoices;
+const vouchers = LIST_SPECS.vouchers;
+
+describe('normalizeSearch', () => {
+    it('folds Arabic-Indic digits and case', () => {
+        expect(normalizeSearch(' ٠٥٥١٢٣ ')).toBe('055123');
+        expect(normalizeSearch('INV-۱۰')).toBe('inv-10');
+        expect(normalizeSearch(undefined)).toBe('');
+    });
+});
+
+describe('URL state', () => {
+    it('round-trips a filtered view and leaves defaults out', () => {
+        const state = { ...defaultListState(invoices), q: 'النور', status: 'متأخرة', from: '2024-01-01', sort: 'amount', dir: 'asc' };
+        const search = writeListState(invoices, state);
+        expect(search).not.toContain('max');
+        expect(readListState(invoices, search)).toEqual(state);
+        expect(writeListState(invoices, defaultListState(invoices))).toBe('');
+    });
+
+    it('falls back to defaults for values a hand-edited URL got wrong', () => {
+        expect(readListState(invoices, '?sort=secret&dir=up&from=yesterday&min=abc&max=500')).toMatchObject({ sort: 'date', dir: 'desc', from: '', min: '', max: '500' });
+        expect(readListState(LIST_SPECS.customers, '?min=5')).toMatchObject({ min: '' });
+    });
+});
+
+describe('isFiltered', () => {
+    it('ignores sorting', () => {
+        expect(isFiltered(vouchers, { ...defaultListState(vouchers), sort: 'amount', dir: 'asc' })).toBe(false);
+        expect(isFiltered(vouchers, { ...defaultListState(vouchers), paymentMethod: 'cash' })).toBe(true);
+    });
+});
+
+describe('listQueryPlan', () => {
+    it('sends the range to Firestore only when it is on the sort field', () => {
+        const state = { ...defaultListState(invoices), from: '2024-01-01', to: '2024-03-31', min: '100' };
+        expect(listQueryPlan(invoices, state)).toEqual({ orderBy: ['date', 'desc'], where: [['date', '>=', '2024-01-01'], ['date', '<=', '2024-03-31']] });
+        expect(listQueryPlan(invoices, { ...state, sort: 'amount', dir: 'asc' })).toEqual({ orderBy: ['total', 'asc'], where: [['total', '>=', 100]] });
+        expect(listQueryPlan(invoices, { ...state, sort: 'customer' }).where).toEqual([]);
+    });
+});
+
+describe('matchesListState', () => {
+    const invoice = { customerName: 'شركة النور', invoiceNo: 'INV-1001', invoiceNumber: 1001, date: '2024-02-10', total: 230, status: 'قيد الانتظار' };
+
+    it('searches the customer name and invoice number', () => {
+        expect(matchesListState(invoices, { ...defaultListState(invoices), q: 'النور' }, invoice)).toBe(true);
+        expect(matchesListState(invoices, { ...defaultListState(invoices), q: 'inv-١٠٠١' }, invoice)).toBe(true);
+        expect(matchesListState(invoices, { ...defaultListState(invoices), q: 'الأمل' }, invoice)).toBe(false);
+    });
+
+    it('applies date and amount ranges inclusively', () => {
+        const state = { ...defaultListState(invoices), from: '2024-02-10', to: '2024-02-10', min: '230', max: '230' };
+        expect(matchesListState(invoices, state, invoice)).toBe(true);
+        expect(matchesListState(invoices, { ...state, min: '230.01' }, invoice)).toBe(false);
+        expect(matchesListState(invoices, { ...state, to: '2024-02-09' }, invoice)).toBe(false);
+    });
+
+    it('compares filters through accessors when the displayed value is derived', () => {
+        const state = { ...defaultListState(invoices), status: 'متأخرة' };
+        expect(matchesListState(invoices, state, invoice)).toBe(false);
+        expect(matchesListState(invoices, state, invoice, { status: () => 'متأخرة' })).toBe(true);
+    });
+
+    it('finds a voucher by the invoices it pays', () => {
+        const voucher = { customerName: 'أحمد', voucherNo: 'RV-7', amount: 50, date: '2024-02-11', allocations: [{ invoiceId: 'i1', invoiceNo: 'INV-1001', amount: 50 }] };
+        expect(matchesListState(vouchers, { ...defaultListState(vouchers), q: 'inv-1001' }, voucher)).toBe(true);
+    });
+});
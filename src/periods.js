@@ -0,0 +1,106 @@
+// --- Reporting periods: ranges, the period before them and month-by-month series ---
+// Ranges are `{ from, to }` pairs of inclusive `YYYY-MM-DD` strings; an open bound is null. Hijri months follow the
+// Umm al-Qura calendar through Intl, so their Gregorian bounds are found by walking day by day from a date inside them.
+import { addDays, daysBetween, round2 } from './receivables.js';
+
+export const PERIODS = {
+    month: { label: 'هذا الشهر' },
+    quarter: { label: 'هذا الربع' },
+    year: { label: 'هذه السنة' },
+    hijriMonth: { label: 'الشهر الهجري' },
+    custom: { label: 'فترة مخصصة' },
+    all: { label: 'كل الفترات' },
+};
+
+const MONTH_NAMES = ['يناير', 'فبراير', 'مارس', 'أبريل', 'مايو', 'يونيو', 'يوليو', 'أغسطس', 'سبتمبر', 'أكتوبر', 'نوفمبر', 'ديسمبر'];
+
+const pad = (value) => String(value).padStart(2, '0');
+const lastDayOfMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+const monthRange = (year, firstMonth, lastMonth) => ({
+    from: `${year}-${pad(firstMonth)}-01`,
+    to: `${year}-${pad(lastMonth)}-${pad(lastDayOfMonth(year, lastMonth))}`,
+});
+
+export const inRange = (date, { from, to } = {}) => (!from || date >= from) && (!to || date <= to);
+
+const hijriFormat = new Intl.DateTimeFormat('en-u-ca-islamic-umalqura', { year: 'numeric', month: 'numeric', timeZone: 'UTC' });
+const hijriMonthOf = (isoDate) => {
+    const parts = hijriFormat.formatToParts(new Date(`${isoDate}T00:00:00Z`));
+    return ['year', 'month'].map(type => parts.find(part => part.type === type).value).join('-');
+};
+
+// The Gregorian bounds of the Hijri month that contains `isoDate`.
+export const hijriMonthRange = (isoDate) => {
+    const month = hijriMonthOf(isoDate);
+    let from = isoDate;
+    while (hijriMonthOf(addDays(from, -1)) === month) from = addDays(from, -1);
+    let to = isoDate;
+    while (hijriMonthOf(addDays(to, 1)) === month) to = addDays(to, 1);
+    return { from, to };
+};
+
+export const hijriMonthLabel = (isoDate) => new Intl.DateTimeFormat('ar-SA-u-ca-islamic-umalqura', { year: 'numeric', month: 'long', timeZone: 'UTC' })
+    .format(new Date(`${isoDate}T00:00:00Z`));
+
+// The range of `period` that contains `today`; a custom period uses the picked bounds as they are.
+export const periodRange = (period, today, custom = {}) => {
+    const [year, month] = today.split('-').map(Number);
+    switch (period) {
+        case 'month': return monthRange(year, month, month);
+        case 'quarter': {
+            const firstMonth = Math.floor((month - 1) / 3) * 3 + 1;
+            return monthRange(year, firstMonth, firstMonth + 2);
+        }
+        case 'year': return monthRange(year, 1, 12);
+        case 'hijriMonth': return hijriMonthRange(today);
+        case 'custom': return { from: custom.from || null, to: custom.to || null };
+        default: return { from: null, to: null };
+    }
+};
+
+// The period of the same kind just before `range`: the previous calendar or Hijri month, quarter or year, or for a custom
+// range the same number of days ending the day before it. Open ranges have nothing to compare with.
+export const previousRange = (period, range) => {
+    if (!range.from || !range.to) return null;
+    const dayBefore = addDays(range.from, -1);
+    if (period === 'custom') return { from: addDays(dayBefore, -daysBetween(range.from, range.to)), to: dayBefore };
+    return periodRange(period, dayBefore);
+};
+
+// Percentage change from `previous` to `current`, or null when there is no base to compare with.
+export const percentChange = (current, previous) => (previous ? Math.round(((current - previous) / Math.abs(previous)) * 1000) / 10 : null);
+
+export const monthKey = (isoDate) => isoDate.slice(0, 7);
+
+export const monthLabel = (key) => {
+    const [year, month] = key.split('-').map(Number);
+    return `${MONTH_NAMES[month - 1]} ${year}`;
+};
+
+const nextMonthKey = (key) => {
+    const [year, month] = key.split('-').map(Number);
+    return month === 12 ? `${year + 1}-01` : `${year}-${pad(month + 1)}`;
+};
+
+const previousYearKey = (key) => `${Number(key.slice(0, 4)) - 1}${key.slice(4)}`;
+
+// One point per year-month across the range (or across the entries when the range is open), with months without
+// entries at zero. `previousYear` carries the same month a year earlier for the year-over-year overlay.
+export const monthlySeries = (entries, range = {}) => {
+    const totals = {};
+    entries.forEach(entry => {
+        const key = monthKey(entry.date);
+        totals[key] = round2((totals[key] || 0) + (Number(entry.amount) || 0));
+    });
+
+    const inPeriod = entries.filter(entry => inRange(entry.date, range)).map(entry => monthKey(entry.date)).sort();
+    const first = range.from ? monthKey(range.from) : inPeriod[0];
+    const last = range.to ? monthKey(range.to) : inPeriod[inPeriod.length - 1];
+    if (!first || !last) return [];
+
+    const series = [];
+    for (let key = first; key <= last; key = nextMonthKey(key)) {
+        series.push({ key, name: monthLabel(key), amount: totals[key] || 0, previousYear: totals[previousYearKey(key)] || 0 });
+    }
+    return series;
+};
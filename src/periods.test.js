@@ -0,0 +1,70 @@
+import { periodRange, previousRange, percentChange, hijriMonthRange, monthlySeries } from './periods';
+
+describe('periodRange', () => {
+    it('covers the whole month, including leap days', () => {
+        expect(periodRange('month', '2024-02-10')).toEqual({ from: '2024-02-01', to: '2024-02-29' });
+        expect(periodRange('month', '2023-12-31')).toEqual({ from: '2023-12-01', to: '2023-12-31' });
+    });
+
+    it('covers the calendar quarter and year', () => {
+        expect(periodRange('quarter', '2024-05-15')).toEqual({ from: '2024-04-01', to: '2024-06-30' });
+        expect(periodRange('year', '2024-06-15')).toEqual({ from: '2024-01-01', to: '2024-12-31' });
+    });
+
+    it('uses custom bounds as picked and leaves everything open for all', () => {
+        expect(periodRange('custom', '2024-06-15', { from: '2024-01-05', to: '' })).toEqual({ from: '2024-01-05', to: null });
+        expect(periodRange('all', '2024-06-15')).toEqual({ from: null, to: null });
+    });
+
+    it('finds the Gregorian bounds of the Umm al-Qura month', () => {
+        // Ramadan 1446 ran from 1 March to 29 March 2025.
+        expect(hijriMonthRange('2025-03-15')).toEqual({ from: '2025-03-01', to: '2025-03-29' });
+        expect(periodRange('hijriMonth', '2025-03-01')).toEqual({ from: '2025-03-01', to: '2025-03-29' });
+    });
+});
+
+describe('previousRange', () => {
+    it('steps back one period of the same kind', () => {
+        expect(previousRange('month', { from: '2024-03-01', to: '2024-03-31' })).toEqual({ from: '2024-02-01', to: '2024-02-29' });
+        expect(previousRange('quarter', { from: '2024-01-01', to: '2024-03-31' })).toEqual({ from: '2023-10-01', to: '2023-12-31' });
+        expect(previousRange('hijriMonth', { from: '2025-03-01', to: '2025-03-29' })).toEqual({ from: '2025-01-31', to: '2025-02-28' });
+    });
+
+    it('compares a custom range with the same number of days before it', () => {
+        expect(previousRange('custom', { from: '2024-03-11', to: '2024-03-20' })).toEqual({ from: '2024-03-01', to: '2024-03-10' });
+    });
+
+    it('has nothing to compare an open range with', () => {
+        expect(previousRange('all', { from: null, to: null })).toBeNull();
+    });
+});
+
+describe('percentChange', () => {
+    it('rounds to one decimal and needs a base', () => {
+        expect(percentChange(150, 120)).toBe(25);
+        expect(percentChange(50, -100)).toBe(150);
+        expect(percentChange(10, 0)).toBeNull();
+    });
+});
+
+describe('monthlySeries', () => {
+    const entries = [
+        { date: '2025-01-10', amount: 100 },
+        { date: '2026-01-05', amount: 300 },
+        { date: '2026-01-20', amount: -50 },
+        { date: '2026-03-02', amount: 80 },
+    ];
+
+    it('keeps the same month of different years apart and fills empty months', () => {
+        expect(monthlySeries(entries, { from: '2026-01-01', to: '2026-03-31' })).toEqual([
+            { key: '2026-01', name: 'يناير 2026', amount: 250, previousYear: 100 },
+            { key: '2026-02', name: 'فبراير 2026', amount: 0, previousYear: 0 },
+            { key: '2026-03', name: 'مارس 2026', amount: 80, previousYear: 0 },
+        ]);
+    });
+
+    it('spans the entries when the range is open', () => {
+        expect(monthlySeries(entries).map(point => point.key)).toHaveLength(15);
+        expect(monthlySeries([])).toEqual([]);
+    });
+});
@@ -0,0 +1,35 @@
+// --- Profit: net revenue, cost of services sold and expenses for a period ---
+// Everything is measured before VAT: output VAT on invoices and recoverable input VAT on disbursements belong to the
+// tax authority, not to the business. Dates are the `YYYY-MM-DD` strings stored on the documents and periods are the
+// `{ from, to }` ranges from periods.js.
+import { inRange } from './periods.js';
+import { round2, taxableOf } from './receivables.js';
+
+// Lines carry the service's `unitCost` from the moment they were invoiced; older lines fall back to the service's current cost.
+export const itemsCost = (items = [], serviceCosts = {}) => round2(items.reduce((sum, item) => {
+    const unitCost = item.unitCost !== undefined ? Number(item.unitCost) : Number(serviceCosts[item.serviceId]);
+    return sum + (Number(item.quantity) || 0) * (unitCost || 0);
+}, 0));
+
+// A disbursement's expense is its amount less the input VAT that will be reclaimed.
+export const expenseAmount = (disbursement) => round2((Number(disbursement.amount) || 0) - (Number(disbursement.vatAmount) || 0));
+
+// Credit notes reverse both the revenue and the cost of the units they give back; voided disbursements are ignored.
+export const buildProfitSummary = ({ invoices = [], creditNotes = [], disbursements = [], serviceCosts = {} }, range = {}) => {
+    const periodInvoices = invoices.filter(invoice => inRange(invoice.date, range));
+    const periodCreditNotes = creditNotes.filter(note => inRange(note.date, range));
+    const periodExpenses = disbursements.filter(disbursement => disbursement.status !== 'void' && inRange(disbursement.date, range));
+
+    const revenue = round2(periodInvoices.reduce((sum, invoice) => sum + taxableOf(invoice), 0)
+        - periodCreditNotes.reduce((sum, note) => sum + taxableOf(note), 0));
+    const costOfServices = round2(periodInvoices.reduce((sum, invoice) => sum + itemsCost(invoice.items, serviceCosts), 0)
+        - periodCreditNotes.reduce((sum, note) => sum + itemsCost(note.items, serviceCosts), 0));
+    const expenses = round2(periodExpenses.reduce((sum, disbursement) => sum + expenseAmount(disbursement), 0));
+
+    return {
+        revenue,
+        costOfServices,
+        expenses,
+        profit: round2(revenue - costOfServices - expenses),
+    };
+};
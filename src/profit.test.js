@@ -0,0 +1,48 @@
+import { itemsCost, expenseAmount, buildProfitSummary } from './profit';
+
+describe('itemsCost', () => {
+    it('prefers the cost stored on the line over the current service cost', () => {
+        const items = [
+            { serviceId: 's1', quantity: 2, unitCost: 100 },
+            { serviceId: 's2', quantity: 3 },
+            { serviceId: 'gone', quantity: 1 },
+        ];
+        expect(itemsCost(items, { s1: 999, s2: 40.5 })).toBe(321.5);
+    });
+});
+
+describe('buildProfitSummary', () => {
+    const data = {
+        invoices: [
+            { date: '2024-05-02', taxableAmount: 1000, grandTotal: 1150, items: [{ serviceId: 's1', quantity: 2, unitCost: 150 }] },
+            { date: '2024-05-20', total: 500, items: [{ serviceId: 's2', quantity: 1 }] },
+            { date: '2024-04-30', taxableAmount: 700, items: [{ serviceId: 's1', quantity: 1, unitCost: 150 }] },
+        ],
+        creditNotes: [
+            { date: '2024-05-25', taxableAmount: 500, items: [{ serviceId: 's1', quantity: 1, unitCost: 150 }] },
+        ],
+        disbursements: [
+            { date: '2024-05-03', amount: 115, vatAmount: 15 },
+            { date: '2024-05-04', amount: 60 },
+            { date: '2024-05-05', amount: 1000, status: 'void' },
+        ],
+        serviceCosts: { s2: 80 },
+    };
+
+    it('subtracts cost of services and expenses from revenue net of VAT', () => {
+        expect(buildProfitSummary(data, { from: '2024-05-01', to: '2024-05-31' })).toEqual({
+            revenue: 1000,
+            costOfServices: 230,
+            expenses: 160,
+            profit: 610,
+        });
+    });
+
+    it('reads input VAT out of the expense', () => {
+        expect(expenseAmount({ amount: 115, vatAmount: 15 })).toBe(100);
+    });
+
+    it('spans every document without a range', () => {
+        expect(buildProfitSummary(data).profit).toBe(610 + 700 - 150);
+    });
+});
@@ -0,0 +1,53 @@
+// --- Quotations: statuses, validity and conversion into an invoice ---
+// A quotation is stored with one of the QUOTATION_STATUSES keys. Expiry is never written back: an open quotation whose
+// `validUntil` has passed is simply shown as expired.
+import { addDays, todayIso } from './receivables.js';
+
+export const QUOTATION_STATUSES = {
+    draft: { label: 'مسودة' },
+    sent: { label: 'مرسل' },
+    accepted: { label: 'مقبول' },
+    rejected: { label: 'مرفوض' },
+    expired: { label: 'منتهي الصلاحية' },
+};
+
+export const DEFAULT_VALIDITY_DAYS = 30;
+
+const OPEN_QUOTATION_STATUSES = ['draft', 'sent'];
+
+export const defaultValidUntil = (date) => addDays(date, DEFAULT_VALIDITY_DAYS);
+
+export const quotationStatus = (quotation, today = todayIso()) => {
+    const status = QUOTATION_STATUSES[quotation.status] ? quotation.status : 'draft';
+    if (OPEN_QUOTATION_STATUSES.includes(status) && quotation.validUntil && quotation.validUntil < today) return 'expired';
+    return status;
+};
+
+// Only open or accepted quotations that have not produced an invoice yet can be converted.
+export const canConvertQuotation = (quotation, today = todayIso()) => !quotation.invoiceId
+    && [...OPEN_QUOTATION_STATUSES, 'accepted'].includes(quotationStatus(quotation, today));
+
+// Editing is limited to quotations that are still open.
+export const canEditQuotation = (quotation, today = todayIso()) => !quotation.invoiceId
+    && OPEN_QUOTATION_STATUSES.includes(quotationStatus(quotation, today));
+
+// The invoice copies the customer, the lines as quoted (price, VAT category and cost) and the pricing options; totals are
+// recomputed when the invoice is built.
+export const quotationToInvoice = (quotation, date) => ({
+    customerId: quotation.customerId,
+    customerName: quotation.customerName,
+    date,
+    items: (quotation.items || []).map(({ serviceId, name, quantity, price, unitCost, vatCategory, vatRate }) => ({
+        serviceId: serviceId || '',
+        name,
+        quantity,
+        price,
+        ...(unitCost !== undefined && { unitCost }),
+        vatCategory: vatCategory || 'standard',
+        ...(vatRate !== undefined && { vatRate }),
+    })),
+    pricesIncludeVat: Boolean(quotation.pricesIncludeVat),
+    discount: Number(quotation.discount) || 0,
+    paymentTerms: 'dueOnReceipt',
+    dueDate: '',
+});
@@ -0,0 +1,65 @@
+import { quotationStatus, canConvertQuotation, canEditQuotation, defaultValidUntil, quotationToInvoice } from './quotations';
+
+describe('quotationStatus', () => {
+    it('shows open quotations past their validity as expired', () => {
+        expect(quotationStatus({ status: 'sent', validUntil: '2024-03-31' }, '2024-04-01')).toBe('expired');
+        expect(quotationStatus({ status: 'draft', validUntil: '2024-03-31' }, '2024-03-31')).toBe('draft');
+    });
+
+    it('keeps decided quotations as they are', () => {
+        expect(quotationStatus({ status: 'accepted', validUntil: '2024-03-31' }, '2024-06-01')).toBe('accepted');
+        expect(quotationStatus({ status: 'rejected', validUntil: '2024-03-31' }, '2024-06-01')).toBe('rejected');
+    });
+
+    it('treats an unknown status as a draft', () => {
+        expect(quotationStatus({}, '2024-01-01')).toBe('draft');
+    });
+});
+
+describe('conversion rules', () => {
+    const today = '2024-03-15';
+
+    it('converts open and accepted quotations once', () => {
+        expect(canConvertQuotation({ status: 'sent', validUntil: '2024-04-01' }, today)).toBe(true);
+        expect(canConvertQuotation({ status: 'accepted', validUntil: '2024-01-01' }, today)).toBe(true);
+        expect(canConvertQuotation({ status: 'accepted', invoiceId: 'inv1' }, today)).toBe(false);
+    });
+
+    it('refuses rejected and expired quotations', () => {
+        expect(canConvertQuotation({ status: 'rejected' }, today)).toBe(false);
+        expect(canConvertQuotation({ status: 'draft', validUntil: '2024-03-01' }, today)).toBe(false);
+    });
+
+    it('only edits open quotations', () => {
+        expect(canEditQuotation({ status: 'draft', validUntil: '2024-04-01' }, today)).toBe(true);
+        expect(canEditQuotation({ status: 'accepted' }, today)).toBe(false);
+    });
+});
+
+describe('quotationToInvoice', () => {
+    it('copies the customer, lines and pricing options', () => {
+        const quotation = {
+            customerId: 'c1',
+            customerName: 'شركة الأفق',
+            pricesIncludeVat: true,
+            discount: 50,
+            validUntil: '2024-04-14',
+            quotationNo: 'QT-0001',
+            items: [{ serviceId: 's1', name: 'تأسيس شركة', quantity: 2, price: 1000, unitCost: 300, vatCategory: 'standard', vatRate: 0.15, netAmount: 1739.13, lineTotal: 2000 }],
+        };
+        expect(quotationToInvoice(quotation, '2024-03-20')).toEqual({
+            customerId: 'c1',
+            customerName: 'شركة الأفق',
+            date: '2024-03-20',
+            items: [{ serviceId: 's1', name: 'تأسيس شركة', quantity: 2, price: 1000, unitCost: 300, vatCategory: 'standard', vatRate: 0.15 }],
+            pricesIncludeVat: true,
+            discount: 50,
+            paymentTerms: 'dueOnReceipt',
+            dueDate: '',
+        });
+    });
+
+    it('defaults the validity to thirty days', () => {
+        expect(defaultValidUntil('2024-03-15')).toBe('2024-04-14');
+    });
+});
@@ -0,0 +1,149 @@
+// --- Receivables: payment terms, due dates and aging ---
+// Dates are the same `YYYY-MM-DD` strings stored on invoices, so they compare lexically and are
+// converted to UTC midnight whenever whole days between them are needed.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Rounds money to two decimals. Shared by every module that adds amounts up, so they all round the same way.
+export const round2 = (value) => Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+
+// Voided vouchers and disbursements stay on file but no longer count anywhere.
+export const isActive = (document) => document.status !== 'void';
+
+// Amount before VAT. Invoices saved before VAT support only have `total`, which had no VAT in it.
+export const taxableOf = (document) => Number(document.taxableAmount !== undefined ? document.taxableAmount : document.total) || 0;
+
+export const PAYMENT_TERMS = {
+    dueOnReceipt: { label: 'مستحقة عند الاستلام', days: 0 },
+    net15: { label: 'صافي 15 يوماً', days: 15 },
+    net30: { label: 'صافي 30 يوماً', days: 30 },
+    custom: { label: 'تاريخ مخصص', days: null },
+};
+
+export const AGING_BUCKETS = [
+    { key: 'current', label: '0–30 يوماً', maxDays: 30 },
+    { key: 'days31to60', label: '31–60 يوماً', maxDays: 60 },
+    { key: 'days61to90', label: '61–90 يوماً', maxDays: 90 },
+    { key: 'over90', label: 'أكثر من 90 يوماً', maxDays: Infinity },
+];
+
+export const todayIso = () => new Date().toISOString().slice(0, 10);
+
+const toUtcDay = (isoDate) => {
+    const [year, month, day] = isoDate.split('-').map(Number);
+    return Date.UTC(year, month - 1, day);
+};
+
+export const addDays = (isoDate, days) => new Date(toUtcDay(isoDate) + days * DAY_MS).toISOString().slice(0, 10);
+
+export const daysBetween = (fromIso, toIso) => Math.round((toUtcDay(toIso) - toUtcDay(fromIso)) / DAY_MS);
+
+// Custom terms keep the date the user picked; the fixed terms count days from the invoice date.
+export const computeDueDate = (invoiceDate, paymentTerms, customDueDate) => {
+    const terms = PAYMENT_TERMS[paymentTerms] || PAYMENT_TERMS.dueOnReceipt;
+    if (terms.days === null) return customDueDate || invoiceDate;
+    return addDays(invoiceDate, terms.days);
+};
+
+// Invoices created before due dates existed were due on receipt.
+export const dueDateOf = (invoice) => invoice.dueDate || invoice.date;
+
+export const isPastDue = (invoice, remaining, today = todayIso()) => remaining > 0 && Boolean(dueDateOf(invoice)) && dueDateOf(invoice) < today;
+
+export const agingBucketFor = (daysPastDue) => AGING_BUCKETS.find(bucket => Math.max(daysPastDue, 0) <= bucket.maxDays);
+
+// `receivables` are invoices carrying their outstanding `remaining` balance. Invoices not yet due count
+// towards the 0–30 bucket. Totals are per bucket and per customer so the same report can feed a
+// statement of account or the receivables report.
+export const buildAgingReport = (receivables, today = todayIso()) => {
+    const emptyBuckets = () => Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket.key, 0]));
+    const totals = emptyBuckets();
+    const customers = {};
+    let grandTotal = 0;
+
+    receivables.filter(invoice => invoice.remaining > 0).forEach(invoice => {
+        const { key } = agingBucketFor(daysBetween(dueDateOf(invoice), today));
+        const customerKey = invoice.customerId || invoice.customerName;
+        if (!customers[customerKey]) {
+            customers[customerKey] = { customerId: invoice.customerId, customerName: invoice.customerName, buckets: emptyBuckets(), total: 0 };
+        }
+        customers[customerKey].buckets[key] = round2(customers[customerKey].buckets[key] + invoice.remaining);
+        customers[customerKey].total = round2(customers[customerKey].total + invoice.remaining);
+        totals[key] = round2(totals[key] + invoice.remaining);
+        grandTotal = round2(grandTotal + invoice.remaining);
+    });
+
+    return {
+        totals,
+        grandTotal,
+        customers: Object.values(customers).sort((a, b) => b.total - a.total),
+    };
+};
+
+// Oldest-first suggestion for spreading one payment over a customer's open invoices: earliest due date first, then
+// earliest invoice date. `invoices` carry their outstanding `remaining`; the result maps invoice ids to amounts, and
+// whatever is not returned is left for the customer's credit.
+export const suggestAllocations = (invoices, amount) => {
+    let left = round2(Math.max(Number(amount) || 0, 0));
+    return [...invoices]
+        .sort((a, b) => (dueDateOf(a) === dueDateOf(b) ? (a.date < b.date ? -1 : a.date > b.date ? 1 : 0) : (dueDateOf(a) < dueDateOf(b) ? -1 : 1)))
+        .reduce((allocations, invoice) => {
+            const applied = round2(Math.min(left, Math.max(invoice.remaining, 0)));
+            left = round2(left - applied);
+            return { ...allocations, [invoice.id]: applied };
+        }, {});
+};
+
+// When a credit note takes an invoice below what has already been paid on it, the excess `amount` goes back to the
+// vouchers that paid it, newest first, as unapplied credit the customer can use on another invoice. `vouchers` are
+// { id, date, amount, allocations }; returns the vouchers that changed with their new allocations and unapplied amount,
+// and how much was released in total.
+export const releaseAllocations = (vouchers, invoiceId, amount) => {
+    const requested = round2(Math.max(Number(amount) || 0, 0));
+    let left = requested;
+    const changed = [];
+    [...vouchers]
+        .sort((a, b) => (a.date < b.date ? 1 : a.date > b.date ? -1 : 0))
+        .forEach((voucher) => {
+            const before = left;
+            const allocations = voucher.allocations.map((allocation) => {
+                if (allocation.invoiceId !== invoiceId) return allocation;
+                const released = round2(Math.min(allocation.amount, left));
+                left = round2(left - released);
+                return { ...allocation, amount: round2(allocation.amount - released) };
+            }).filter(allocation => allocation.amount > 0);
+            if (left === before) return;
+            const allocated = allocations.reduce((sum, allocation) => sum + allocation.amount, 0);
+            changed.push({ id: voucher.id, allocations, unappliedAmount: round2((Number(voucher.amount) || 0) - allocated) });
+        });
+    return { vouchers: changed, released: round2(requested - left) };
+};
+
+// Statement of account: `entries` are { date, debit, credit, ... } movements on one customer's account. Movements before
+// `from` are folded into the opening balance, movements after `to` are left out, and each line carries the running
+// balance (positive when the customer owes money). Movements on the same date keep the order they were given in.
+export const buildStatement = (entries, { from, to } = {}) => {
+    const sorted = entries
+        .map((entry, index) => ({ ...entry, debit: Number(entry.debit) || 0, credit: Number(entry.credit) || 0, index }))
+        .sort((a, b) => (a.date === b.date ? a.index - b.index : (a.date < b.date ? -1 : 1)));
+
+    const openingBalance = round2(sorted
+        .filter(entry => from && entry.date < from)
+        .reduce((balance, entry) => balance + entry.debit - entry.credit, 0));
+
+    let balance = openingBalance;
+    const lines = sorted
+        .filter(entry => (!from || entry.date >= from) && (!to || entry.date <= to))
+        .map(({ index, ...entry }) => {
+            balance = round2(balance + entry.debit - entry.credit);
+            return { ...entry, balance };
+        });
+
+    return {
+        openingBalance,
+        lines,
+        totalDebit: round2(lines.reduce((sum, line) => sum + line.debit, 0)),
+        totalCredit: round2(lines.reduce((sum, line) => sum + line.credit, 0)),
+        closingBalance: balance,
+    };
+};
@@ -0,0 +1,167 @@
+import { round2, isActive, taxableOf, computeDueDate, daysBetween, dueDateOf, isPastDue, agingBucketFor, buildAgingReport, buildStatement, suggestAllocations, releaseAllocations } from './receivables';
+
+describe('round2', () => {
+    it('rounds to two decimals, including halfway values and numeric strings', () => {
+        expect(round2(1.005)).toBe(1.01);
+        expect(round2(0.1 + 0.2)).toBe(0.3);
+        expect(round2('2.345')).toBe(2.35);
+    });
+});
+
+describe('isActive and taxableOf', () => {
+    it('counts every document except voided ones', () => {
+        expect(isActive({ status: 'active' })).toBe(true);
+        expect(isActive({})).toBe(true);
+        expect(isActive({ status: 'void' })).toBe(false);
+    });
+
+    it('falls back to the pre-VAT total on legacy invoices', () => {
+        expect(taxableOf({ taxableAmount: 100, total: 115 })).toBe(100);
+        expect(taxableOf({ total: 80 })).toBe(80);
+        expect(taxableOf({})).toBe(0);
+    });
+});
+
+describe('computeDueDate', () => {
+    it.each([
+        ['dueOnReceipt', '2024-01-15'],
+        ['net15', '2024-01-30'],
+        ['net30', '2024-02-14'],
+    ])('adds the days for %s', (terms, expected) => {
+        expect(computeDueDate('2024-01-15', terms)).toBe(expected);
+    });
+
+    it('crosses month and leap-year boundaries', () => {
+        expect(computeDueDate('2024-02-20', 'net15')).toBe('2024-03-06');
+    });
+
+    it('keeps the picked date for custom terms', () => {
+        expect(computeDueDate('2024-01-15', 'custom', '2024-03-01')).toBe('2024-03-01');
+        expect(computeDueDate('2024-01-15', 'custom', '')).toBe('2024-01-15');
+    });
+});
+
+describe('isPastDue', () => {
+    it('needs a balance and a due date before today', () => {
+        const invoice = { date: '2024-01-01', dueDate: '2024-01-31' };
+        expect(isPastDue(invoice, 100, '2024-02-01')).toBe(true);
+        expect(isPastDue(invoice, 100, '2024-01-31')).toBe(false);
+        expect(isPastDue(invoice, 0, '2024-02-01')).toBe(false);
+    });
+
+    it('treats legacy invoices as due on their invoice date', () => {
+        expect(dueDateOf({ date: '2024-01-01' })).toBe('2024-01-01');
+        expect(isPastDue({ date: '2024-01-01' }, 50, '2024-01-02')).toBe(true);
+    });
+});
+
+describe('aging', () => {
+    it.each([
+        [-5, 'current'],
+        [0, 'current'],
+        [30, 'current'],
+        [31, 'days31to60'],
+        [60, 'days31to60'],
+        [61, 'days61to90'],
+        [90, 'days61to90'],
+        [91, 'over90'],
+    ])('puts %i days past due in %s', (days, key) => {
+        expect(agingBucketFor(days).key).toBe(key);
+    });
+
+    it('totals remaining balances per bucket and per customer', () => {
+        const today = '2024-06-30';
+        expect(daysBetween('2024-05-31', today)).toBe(30);
+        const report = buildAgingReport([
+            { customerId: 'a', customerName: 'أحمد', dueDate: '2024-07-15', remaining: 100 },
+            { customerId: 'a', customerName: 'أحمد', dueDate: '2024-05-01', remaining: 50.1 },
+            { customerId: 'b', customerName: 'سارة', dueDate: '2024-01-01', remaining: 200.2 },
+            { customerId: 'b', customerName: 'سارة', dueDate: '2024-01-01', remaining: 0 },
+        ], today);
+
+        expect(report.totals).toEqual({ current: 100, days31to60: 50.1, days61to90: 0, over90: 200.2 });
+        expect(report.grandTotal).toBe(350.3);
+        expect(report.customers.map(c => [c.customerName, c.total])).toEqual([['سارة', 200.2], ['أحمد', 150.1]]);
+    });
+});
+
+describe('buildStatement', () => {
+    const entries = [
+        { date: '2024-03-05', reference: 'VCH-2', credit: 40 },
+        { date: '2024-01-10', reference: 'INV-1', debit: 100 },
+        { date: '2024-02-01', reference: 'VCH-1', credit: 30 },
+        { date: '2024-03-01', reference: 'INV-2', debit: 200 },
+        { date: '2024-03-01', reference: 'CN-1', credit: 50 },
+        { date: '2024-04-01', reference: 'INV-3', debit: 75 },
+    ];
+
+    it('runs the balance in date order across the whole history', () => {
+        const statement = buildStatement(entries);
+        expect(statement.openingBalance).toBe(0);
+        expect(statement.lines.map(line => [line.reference, line.balance])).toEqual([
+            ['INV-1', 100], ['VCH-1', 70], ['INV-2', 270], ['CN-1', 220], ['VCH-2', 180], ['INV-3', 255],
+        ]);
+        expect(statement.closingBalance).toBe(255);
+    });
+
+    it('folds earlier movements into the opening balance and drops later ones', () => {
+        const statement = buildStatement(entries, { from: '2024-03-01', to: '2024-03-31' });
+        expect(statement.openingBalance).toBe(70);
+        expect(statement.lines.map(line => line.reference)).toEqual(['INV-2', 'CN-1', 'VCH-2']);
+        expect(statement.totalDebit).toBe(200);
+        expect(statement.totalCredit).toBe(90);
+        expect(statement.closingBalance).toBe(180);
+    });
+
+    it('keeps the opening balance as the closing balance when nothing moved', () => {
+        const statement = buildStatement(entries, { from: '2024-05-01', to: '2024-05-31' });
+        expect(statement.lines).toEqual([]);
+        expect(statement.closingBalance).toBe(255);
+    });
+});
+
+describe('suggestAllocations', () => {
+    const invoices = [
+        { id: 'later', date: '2024-02-01', dueDate: '2024-03-01', remaining: 300 },
+        { id: 'oldest', date: '2024-01-01', dueDate: '2024-01-31', remaining: 100 },
+        { id: 'legacy', date: '2024-02-10', remaining: 50 },
+    ];
+
+    it('pays the earliest due invoices first', () => {
+        expect(suggestAllocations(invoices, 180)).toEqual({ oldest: 100, legacy: 50, later: 30 });
+    });
+
+    it('leaves anything beyond the open balances unallocated', () => {
+        const allocations = suggestAllocations(invoices, 500);
+        expect(allocations).toEqual({ oldest: 100, legacy: 50, later: 300 });
+    });
+
+    it('allocates nothing for an empty or negative amount', () => {
+        expect(suggestAllocations(invoices, -5)).toEqual({ oldest: 0, legacy: 0, later: 0 });
+    });
+});
+
+describe('releaseAllocations', () => {
+    const vouchers = [
+        { id: 'v1', date: '2024-03-01', amount: 600, allocations: [{ invoiceId: 'i1', amount: 600 }] },
+        { id: 'v2', date: '2024-03-05', amount: 500, allocations: [{ invoiceId: 'i1', amount: 400 }, { invoiceId: 'i2', amount: 100 }] },
+    ];
+
+    it('frees the credited part of a paid invoice from its newest vouchers as unapplied credit', () => {
+        // A fully paid invoice of 1000 credited by 700: the 700 already paid is no longer owed.
+        expect(releaseAllocations(vouchers, 'i1', 700)).toEqual({
+            vouchers: [
+                { id: 'v2', allocations: [{ invoiceId: 'i2', amount: 100 }], unappliedAmount: 400 },
+                { id: 'v1', allocations: [{ invoiceId: 'i1', amount: 300 }], unappliedAmount: 300 },
+            ],
+            released: 700,
+        });
+    });
+
+    it('releases no more than the vouchers allocated to the invoice', () => {
+        const result = releaseAllocations(vouchers, 'i1', 1500);
+        expect(result.released).toBe(1000);
+        expect(result.vouchers.map(voucher => voucher.unappliedAmount)).toEqual([400, 600]);
+        expect(releaseAllocations(vouchers, 'i3', 100)).toEqual({ vouchers: [], released: 0 });
+    });
+});
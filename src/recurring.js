@@ -0,0 +1,67 @@
+// --- Recurring invoices: schedule dates and catch-up planning ---
+// A schedule's runs are numbered from 0 and every run date is computed from the start date rather than from the
+// previous run, so a monthly schedule starting on the 31st bills on the last day of shorter months and returns to
+// the 31st afterwards. `runIndex` on the schedule is the first run that has not been generated or skipped yet.
+import { addDays } from './receivables.js';
+
+export const FREQUENCIES = {
+    weekly: { label: 'أسبوعي', days: 7 },
+    monthly: { label: 'شهري', months: 1 },
+    quarterly: { label: 'ربع سنوي', months: 3 },
+    yearly: { label: 'سنوي', months: 12 },
+};
+
+export const SCHEDULE_STATUSES = {
+    active: { label: 'نشط' },
+    paused: { label: 'متوقف مؤقتاً' },
+    completed: { label: 'منتهٍ' },
+};
+
+export const RUN_OUTCOMES = {
+    generated: { label: 'تم الإنشاء' },
+    skipped: { label: 'تم التخطي' },
+    failed: { label: 'فشل' },
+};
+
+export const SKIP_REASONS = {
+    catchUpLimit: 'تجاوز الحد الأقصى للفواتير المتأخرة في مرة واحدة',
+    paused: 'كان الجدول متوقفاً في تاريخ الإصدار',
+};
+
+// When the app has not been opened for a long time, only the most recent runs are invoiced; older ones are logged as skipped.
+export const MAX_CATCH_UP_RUNS = 12;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+export const runDateAt = (startDate, frequency, index) => {
+    const { days, months } = FREQUENCIES[frequency] || FREQUENCIES.monthly;
+    if (days) return addDays(startDate, days * index);
+    const [year, month, day] = startDate.split('-').map(Number);
+    const target = new Date(Date.UTC(year, month - 1 + months * index, 1));
+    const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+    return `${target.getUTCFullYear()}-${pad(target.getUTCMonth() + 1)}-${pad(Math.min(day, lastDay))}`;
+};
+
+// The schedule fields after everything before `runIndex` has been generated or skipped.
+export const advanceSchedule = (schedule, runIndex) => {
+    const nextRunDate = runDateAt(schedule.startDate, schedule.frequency, runIndex);
+    const completed = Boolean(schedule.endDate) && nextRunDate > schedule.endDate;
+    return { runIndex, nextRunDate, status: completed ? 'completed' : (schedule.status || 'active') };
+};
+
+// Runs due on or before `today` (and not after the end date), split into the ones to invoice and the older ones to skip.
+export const planRuns = (schedule, today, limit = MAX_CATCH_UP_RUNS) => {
+    const due = [];
+    let index = Number(schedule.runIndex) || 0;
+    let date = runDateAt(schedule.startDate, schedule.frequency, index);
+    while (date <= today && !(schedule.endDate && date > schedule.endDate)) {
+        due.push({ index, date });
+        index += 1;
+        date = runDateAt(schedule.startDate, schedule.frequency, index);
+    }
+    const skipCount = Math.max(due.length - limit, 0);
+    return {
+        generate: due.slice(skipCount),
+        skip: due.slice(0, skipCount).map(run => ({ ...run, reason: 'catchUpLimit' })),
+    };
+};
@@ -0,0 +1,44 @@
+import { runDateAt, advanceSchedule, planRuns } from './recurring';
+
+describe('runDateAt', () => {
+    it('steps weekly by seven days', () => {
+        expect(runDateAt('2024-12-30', 'weekly', 1)).toBe('2025-01-06');
+    });
+
+    it('keeps the start day of month, clamped to short months', () => {
+        expect([0, 1, 2, 3].map(index => runDateAt('2024-01-31', 'monthly', index))).toEqual(['2024-01-31', '2024-02-29', '2024-03-31', '2024-04-30']);
+    });
+
+    it('steps quarters and years across year ends', () => {
+        expect(runDateAt('2024-11-15', 'quarterly', 1)).toBe('2025-02-15');
+        expect(runDateAt('2024-02-29', 'yearly', 1)).toBe('2025-02-28');
+    });
+});
+
+describe('planRuns', () => {
+    const schedule = { startDate: '2024-01-10', frequency: 'monthly', runIndex: 0 };
+
+    it('returns every run due up to today', () => {
+        expect(planRuns(schedule, '2024-03-10').generate).toEqual([
+            { index: 0, date: '2024-01-10' }, { index: 1, date: '2024-02-10' }, { index: 2, date: '2024-03-10' },
+        ]);
+        expect(planRuns({ ...schedule, runIndex: 3 }, '2024-03-10').generate).toEqual([]);
+    });
+
+    it('stops at the end date', () => {
+        expect(planRuns({ ...schedule, endDate: '2024-02-15' }, '2024-06-01').generate.map(run => run.date)).toEqual(['2024-01-10', '2024-02-10']);
+    });
+
+    it('skips the oldest runs beyond the catch-up limit', () => {
+        const plan = planRuns(schedule, '2024-06-10', 2);
+        expect(plan.skip.map(run => [run.index, run.reason])).toEqual([[0, 'catchUpLimit'], [1, 'catchUpLimit'], [2, 'catchUpLimit'], [3, 'catchUpLimit']]);
+        expect(plan.generate.map(run => run.date)).toEqual(['2024-05-10', '2024-06-10']);
+    });
+});
+
+describe('advanceSchedule', () => {
+    it('moves the next run date and completes after the end date', () => {
+        expect(advanceSchedule({ startDate: '2024-01-10', frequency: 'monthly', endDate: '2024-03-31', status: 'active' }, 2)).toEqual({ runIndex: 2, nextRunDate: '2024-03-10', status: 'active' });
+        expect(advanceSchedule({ startDate: '2024-01-10', frequency: 'monthly', endDate: '2024-03-31', status: 'active' }, 3).status).toBe('completed');
+    });
+});
@@ -0,0 +1,123 @@
+// --- Reports: sales by customer and by service, collections and the VAT return ---
+// Every builder takes the documents as stored and a `{ from, to }` range from periods.js, and returns plain rows that
+// feed the report table, its chart and the CSV export alike. Invoices count on their own date and credit notes reduce
+// sales on the date they were issued, not on the date of the invoice they reverse.
+import { inRange, monthKey, monthLabel } from './periods.js';
+import { PAYMENT_METHODS, paymentMethodOf } from './cashbook.js';
+import { round2, isActive, taxableOf } from './receivables.js';
+
+export const VAT_RETURN_CATEGORIES = ['standard', 'zero', 'exempt'];
+
+export const COLLECTION_GRANULARITIES = {
+    day: { label: 'يومي' },
+    month: { label: 'شهري' },
+};
+
+// Invoices saved before VAT support only have `total`, which had no VAT in it.
+const grandTotalOf = (document) => Number(document.grandTotal !== undefined ? document.grandTotal : document.total) || 0;
+const hasVat = (document) => document.taxableAmount !== undefined;
+
+const byValueDesc = (field) => (a, b) => b[field] - a[field];
+
+export const salesByCustomer = ({ invoices = [], creditNotes = [] }, range = {}) => {
+    const rows = {};
+    const rowFor = (document) => {
+        const key = document.customerId || document.customerName || '';
+        if (!rows[key]) rows[key] = { customerId: document.customerId || '', customerName: document.customerName || '', invoiceCount: 0, sales: 0, returns: 0, taxableAmount: 0, vatAmount: 0, total: 0 };
+        return rows[key];
+    };
+
+    invoices.filter(invoice => inRange(invoice.date, range)).forEach(invoice => {
+        const row = rowFor(invoice);
+        row.invoiceCount += 1;
+        row.sales = round2(row.sales + grandTotalOf(invoice));
+        row.taxableAmount = round2(row.taxableAmount + taxableOf(invoice));
+        row.vatAmount = round2(row.vatAmount + (Number(invoice.vatAmount) || 0));
+    });
+    creditNotes.filter(note => inRange(note.date, range)).forEach(note => {
+        const row = rowFor(note);
+        row.returns = round2(row.returns + grandTotalOf(note));
+        row.taxableAmount = round2(row.taxableAmount - taxableOf(note));
+        row.vatAmount = round2(row.vatAmount - (Number(note.vatAmount) || 0));
+    });
+
+    return Object.values(rows)
+        .map(row => ({ ...row, total: round2(row.sales - row.returns) }))
+        .sort(byValueDesc('total'));
+};
+
+// Lines saved before VAT support have no `netAmount`, so their quantity times price is their net.
+const lineNet = (item) => Number(item.netAmount !== undefined ? item.netAmount : (Number(item.quantity) || 0) * (Number(item.price) || 0)) || 0;
+
+export const salesByService = ({ invoices = [], creditNotes = [] }, range = {}) => {
+    const rows = {};
+    const post = (documents, sign) => documents.filter(document => inRange(document.date, range)).forEach(document => {
+        (document.items || []).forEach(item => {
+            const key = item.serviceId || item.name || '';
+            if (!rows[key]) rows[key] = { serviceId: item.serviceId || '', name: item.name || '', quantity: 0, taxableAmount: 0, vatAmount: 0, total: 0, invoiceIds: new Set() };
+            const row = rows[key];
+            if (sign > 0) row.invoiceIds.add(document.id);
+            row.quantity = round2(row.quantity + sign * (Number(item.quantity) || 0));
+            row.taxableAmount = round2(row.taxableAmount + sign * lineNet(item));
+            row.vatAmount = round2(row.vatAmount + sign * (Number(item.vatAmount) || 0));
+        });
+    });
+    post(invoices, 1);
+    post(creditNotes, -1);
+
+    return Object.values(rows)
+        .map(({ invoiceIds, ...row }) => ({ ...row, invoiceCount: invoiceIds.size, total: round2(row.taxableAmount + row.vatAmount) }))
+        .sort(byValueDesc('taxableAmount'));
+};
+
+// Active receipt vouchers per day or per month, split by payment method. Each method is a field of its own on the row.
+export const collectionsByPeriod = (vouchers = [], range = {}, granularity = 'month') => {
+    const rows = {};
+    vouchers.filter(voucher => isActive(voucher) && inRange(voucher.date, range)).forEach(voucher => {
+        const key = granularity === 'day' ? voucher.date : monthKey(voucher.date);
+        if (!rows[key]) {
+            rows[key] = { key, label: granularity === 'day' ? key : monthLabel(key), count: 0, amount: 0, ...Object.fromEntries(Object.keys(PAYMENT_METHODS).map(method => [method, 0])) };
+        }
+        const method = paymentMethodOf(voucher);
+        const amount = Number(voucher.amount) || 0;
+        rows[key].count += 1;
+        rows[key].amount = round2(rows[key].amount + amount);
+        rows[key][method] = round2(rows[key][method] + amount);
+    });
+    return Object.values(rows).sort((a, b) => (a.key < b.key ? -1 : 1));
+};
+
+// Output VAT per category for a tax period with credit notes as adjustments, the input VAT reclaimable on the period's
+// disbursements, and the net VAT due. Invoices issued before VAT support carried no VAT and are reported on their own.
+export const vatReturn = ({ invoices = [], creditNotes = [], disbursements = [] }, range = {}) => {
+    const rows = Object.fromEntries(VAT_RETURN_CATEGORIES.map(category => [category, { category, sales: 0, vat: 0, adjustments: 0, vatAdjustments: 0 }]));
+    const categoryOf = (item) => (rows[item.vatCategory] ? item.vatCategory : 'standard');
+    let legacySales = 0;
+
+    invoices.filter(invoice => inRange(invoice.date, range)).forEach(invoice => {
+        if (!hasVat(invoice)) {
+            legacySales = round2(legacySales + taxableOf(invoice));
+            return;
+        }
+        (invoice.items || []).forEach(item => {
+            const row = rows[categoryOf(item)];
+            row.sales = round2(row.sales + lineNet(item));
+            row.vat = round2(row.vat + (Number(item.vatAmount) || 0));
+        });
+    });
+    creditNotes.filter(note => inRange(note.date, range)).forEach(note => {
+        (note.items || []).forEach(item => {
+            const row = rows[categoryOf(item)];
+            row.adjustments = round2(row.adjustments + lineNet(item));
+            row.vatAdjustments = round2(row.vatAdjustments + (Number(item.vatAmount) || 0));
+        });
+    });
+
+    const categories = Object.values(rows).map(row => ({ ...row, netSales: round2(row.sales - row.adjustments), netVat: round2(row.vat - row.vatAdjustments) }));
+    const outputVat = round2(categories.reduce((sum, row) => sum + row.netVat, 0));
+    const inputVat = round2(disbursements
+        .filter(disbursement => isActive(disbursement) && inRange(disbursement.date, range))
+        .reduce((sum, disbursement) => sum + (Number(disbursement.vatAmount) || 0), 0));
+
+    return { categories, legacySales, outputVat, inputVat, netVatDue: round2(outputVat - inputVat) };
+};
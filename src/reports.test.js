@@ -0,0 +1,87 @@
+import { salesByCustomer, salesByService, collectionsByPeriod, vatReturn } from './reports';
+
+const invoices = [
+    {
+        id: 'i1', date: '2024-04-03', customerId: 'a', customerName: 'أحمد', taxableAmount: 300, vatAmount: 45, grandTotal: 345,
+        items: [
+            { serviceId: 's1', name: 'تصميم', quantity: 2, netAmount: 200, vatAmount: 30, vatCategory: 'standard' },
+            { serviceId: 's2', name: 'تصدير', quantity: 1, netAmount: 100, vatAmount: 0, vatCategory: 'zero' },
+        ],
+    },
+    {
+        id: 'i2', date: '2024-05-10', customerId: 'b', customerName: 'سارة', taxableAmount: 100, vatAmount: 15, grandTotal: 115,
+        items: [{ serviceId: 's1', name: 'تصميم', quantity: 1, netAmount: 100, vatAmount: 15, vatCategory: 'standard' }],
+    },
+    { id: 'old', date: '2024-05-11', customerId: 'b', customerName: 'سارة', total: 50, items: [{ name: 'استشارة', quantity: 2, price: 25 }] },
+    { id: 'i3', date: '2024-07-01', customerId: 'a', customerName: 'أحمد', taxableAmount: 1000, vatAmount: 150, grandTotal: 1150, items: [] },
+];
+
+const creditNotes = [
+    {
+        date: '2024-06-01', customerId: 'a', customerName: 'أحمد', taxableAmount: 100, vatAmount: 15, grandTotal: 115,
+        items: [{ serviceId: 's1', name: 'تصميم', quantity: 1, netAmount: 100, vatAmount: 15, vatCategory: 'standard' }],
+    },
+];
+
+const secondQuarter = { from: '2024-04-01', to: '2024-06-30' };
+
+describe('salesByCustomer', () => {
+    it('nets credit notes off each customer and ranks by total', () => {
+        expect(salesByCustomer({ invoices, creditNotes }, secondQuarter)).toEqual([
+            { customerId: 'a', customerName: 'أحمد', invoiceCount: 1, sales: 345, returns: 115, taxableAmount: 200, vatAmount: 30, total: 230 },
+            { customerId: 'b', customerName: 'سارة', invoiceCount: 2, sales: 165, returns: 0, taxableAmount: 150, vatAmount: 15, total: 165 },
+        ]);
+    });
+});
+
+describe('salesByService', () => {
+    it('adds up invoice lines and takes back credited units', () => {
+        const rows = salesByService({ invoices, creditNotes }, secondQuarter);
+        expect(rows.map(row => [row.name, row.quantity, row.taxableAmount, row.invoiceCount])).toEqual([
+            ['تصميم', 2, 200, 2],
+            ['تصدير', 1, 100, 1],
+            ['استشارة', 2, 50, 1],
+        ]);
+        expect(rows[0].total).toBe(230);
+    });
+});
+
+describe('collectionsByPeriod', () => {
+    const vouchers = [
+        { date: '2024-05-02', amount: 100, paymentMethod: 'cash' },
+        { date: '2024-05-20', amount: 50.5, paymentMethod: 'mada' },
+        { date: '2024-05-20', amount: 20 },
+        { date: '2024-05-21', amount: 999, status: 'void' },
+        { date: '2024-04-30', amount: 70, paymentMethod: 'bankTransfer' },
+    ];
+
+    it('groups active vouchers by month and payment method', () => {
+        expect(collectionsByPeriod(vouchers, secondQuarter)).toEqual([
+            { key: '2024-04', label: 'أبريل 2024', count: 1, amount: 70, cash: 0, bankTransfer: 70, card: 0, mada: 0, cheque: 0 },
+            { key: '2024-05', label: 'مايو 2024', count: 3, amount: 170.5, cash: 120, bankTransfer: 0, card: 0, mada: 50.5, cheque: 0 },
+        ]);
+    });
+
+    it('groups by day within the range', () => {
+        expect(collectionsByPeriod(vouchers, { from: '2024-05-01', to: '2024-05-31' }, 'day').map(row => [row.key, row.amount])).toEqual([
+            ['2024-05-02', 100], ['2024-05-20', 70.5],
+        ]);
+    });
+});
+
+describe('vatReturn', () => {
+    it('reports output VAT per category with credit note adjustments and input VAT', () => {
+        const disbursements = [
+            { date: '2024-04-15', amount: 230, vatAmount: 30 },
+            { date: '2024-04-16', amount: 115, vatAmount: 15, status: 'void' },
+        ];
+        const result = vatReturn({ invoices, creditNotes, disbursements }, secondQuarter);
+        expect(result.categories).toEqual([
+            { category: 'standard', sales: 300, vat: 45, adjustments: 100, vatAdjustments: 15, netSales: 200, netVat: 30 },
+            { category: 'zero', sales: 100, vat: 0, adjustments: 0, vatAdjustments: 0, netSales: 100, netVat: 0 },
+            { category: 'exempt', sales: 0, vat: 0, adjustments: 0, vatAdjustments: 0, netSales: 0, netVat: 0 },
+        ]);
+        expect(result.legacySales).toBe(50);
+        expect(result).toMatchObject({ outputVat: 30, inputVat: 30, netVatDue: 0 });
+    });
+});
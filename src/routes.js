@@ -0,0 +1,50 @@
+// --- Routes: which section, document and modal a URL addresses ---
+// Invoices, quotations, customers, services and vouchers have addressable documents: `/invoices/INV-1042` shows one,
+// `/invoices/INV-1042/edit` opens it in the form and `/invoices/new` opens an empty form. Links carry the document number where the document
+// has one, so they can be read out and shared; a key is looked up as a document id first and then as a number.
+export const LOGIN_PATH = '/login';
+
+// URL segment -> view, for sections with more than a list. A document key can never be one of these or `new`.
+export const SECTION_VIEWS = {
+    invoices: { aging: 'aging', 'credit-notes': 'creditNotes', recurring: 'recurring' },
+    quotations: {},
+    customers: {},
+    services: {},
+    vouchers: {},
+};
+
+export const DOCUMENT_MODES = ['new', 'view', 'edit'];
+
+const LIST_ROUTE = { view: 'list', documentId: null, mode: null };
+
+// `subPath` is the router's splat below the section: segments are already decoded, except that a `/` inside one is
+// still escaped as %2F. Returns null for a path the section does not have.
+export const parseSectionPath = (section, subPath) => {
+    const views = SECTION_VIEWS[section] || {};
+    const segments = String(subPath || '').split('/').filter(Boolean).map(segment => segment.replace(/%2F/gi, '/'));
+    if (segments.length === 0) return LIST_ROUTE;
+    const [first, second] = segments;
+    if (segments.length === 1 && views[first]) return { ...LIST_ROUTE, view: views[first] };
+    if (segments.length === 1 && first === 'new') return { ...LIST_ROUTE, mode: 'new' };
+    if (views[first] || first === 'new') return null;
+    if (segments.length === 1) return { ...LIST_ROUTE, documentId: first, mode: 'view' };
+    if (segments.length === 2 && second === 'edit') return { ...LIST_ROUTE, documentId: first, mode: 'edit' };
+    return null;
+};
+
+export const sectionPath = (section, { view = 'list', documentId = null, mode = null } = {}) => {
+    if (mode === 'new') return `/${section}/new`;
+    if (documentId) return `/${section}/${encodeURIComponent(documentId)}${mode === 'edit' ? '/edit' : ''}`;
+    const slug = Object.keys(SECTION_VIEWS[section] || {}).find(key => SECTION_VIEWS[section][key] === view);
+    return slug ? `/${section}/${slug}` : `/${section}`;
+};
+
+// The key a document's links use: its number (`invoiceNo`, `voucherNo`) when it has one, otherwise its id.
+export const documentKey = (row, numberField) => (numberField && row[numberField]) || row.id;
+
+// Where to go once signed in: the page the guard turned away, as long as it is a path inside the app.
+export const returnPathAfterLogin = (from) => {
+    const pathname = from && typeof from.pathname === 'string' ? from.pathname : '';
+    if (!pathname.startsWith('/') || pathname.startsWith('//') || pathname === LOGIN_PATH) return '/';
+    return `${pathname}${from.search || ''}${from.hash || ''}`;
+};
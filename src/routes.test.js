@@ -0,0 +1,61 @@
+import { LOGIN_PATH, parseSectionPath, sectionPath, documentKey, returnPathAfterLogin } from './routes';
+
+describe('parseSectionPath', () => {
+    it('reads lists, views and new-document forms', () => {
+        expect(parseSectionPath('invoices', '')).toEqual({ view: 'list', documentId: null, mode: null });
+        expect(parseSectionPath('invoices', 'credit-notes')).toEqual({ view: 'creditNotes', documentId: null, mode: null });
+        expect(parseSectionPath('vouchers', 'new')).toEqual({ view: 'list', documentId: null, mode: 'new' });
+        expect(sectionPath('services', { mode: 'new' })).toBe('/services/new');
+    });
+
+    it('reads a document and its edit form', () => {
+        expect(parseSectionPath('invoices', 'INV-1042')).toEqual({ view: 'list', documentId: 'INV-1042', mode: 'view' });
+        expect(parseSectionPath('customers', 'c1/edit/')).toEqual({ view: 'list', documentId: 'c1', mode: 'edit' });
+        expect(parseSectionPath('quotations', 'QUO-12/edit')).toEqual({ view: 'list', documentId: 'QUO-12', mode: 'edit' });
+        expect(parseSectionPath('invoices', 'INV%2F2024%2F7')).toMatchObject({ documentId: 'INV/2024/7' });
+    });
+
+    it('rejects paths the section does not have', () => {
+        expect(parseSectionPath('invoices', 'INV-1042/delete')).toBeNull();
+        expect(parseSectionPath('invoices', 'aging/edit')).toBeNull();
+        expect(parseSectionPath('customers', 'aging/edit')).toEqual({ view: 'list', documentId: 'aging', mode: 'edit' });
+    });
+});
+
+describe('sectionPath', () => {
+    it('round-trips through parseSectionPath', () => {
+        [
+            { view: 'list', documentId: null, mode: null },
+            { view: 'recurring', documentId: null, mode: null },
+            { view: 'list', documentId: null, mode: 'new' },
+            { view: 'list', documentId: 'INV-1042', mode: 'edit' },
+        ].forEach((route) => {
+            expect(parseSectionPath('invoices', sectionPath('invoices', route).replace('/invoices', ''))).toEqual(route);
+        });
+    });
+
+    it('escapes document keys', () => {
+        expect(sectionPath('invoices', { documentId: 'INV/2024/7', mode: 'view' })).toBe('/invoices/INV%2F2024%2F7');
+        expect(sectionPath('customers')).toBe('/customers');
+    });
+});
+
+describe('documentKey', () => {
+    it('prefers the document number over the id', () => {
+        expect(documentKey({ id: 'abc', invoiceNo: 'INV-7' }, 'invoiceNo')).toBe('INV-7');
+        expect(documentKey({ id: 'abc', invoiceNumber: 7 }, 'invoiceNo')).toBe('abc');
+        expect(documentKey({ id: 'c1', name: 'أحمد' })).toBe('c1');
+    });
+});
+
+describe('returnPathAfterLogin', () => {
+    it('returns to the requested page with its query string', () => {
+        expect(returnPathAfterLogin({ pathname: '/invoices/INV-1042', search: '?status=x', hash: '' })).toBe('/invoices/INV-1042?status=x');
+    });
+
+    it('falls back to the dashboard for missing, external or login paths', () => {
+        expect(returnPathAfterLogin(undefined)).toBe('/');
+        expect(returnPathAfterLogin({ pathname: '//evil.example' })).toBe('/');
+        expect(returnPathAfterLogin({ pathname: LOGIN_PATH })).toBe('/');
+    });
+});
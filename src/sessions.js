@@ -0,0 +1,60 @@
+// --- Sessions ---
+// A session document is created on every login. The browser keeps only its id and a random token
+// (localStorage for "remember me", sessionStorage otherwise); Firestore keeps the token's SHA-256 hash.
+export const SESSION_STORAGE_KEY = 'proTeamSession';
+export const LAST_ACTIVITY_KEY = 'proTeamLastActivity';
+export const IDLE_TIMEOUT_MINUTES = 30;
+export const REMEMBER_ME_DAYS = 30;
+
+export const bytesToHex = (bytes) => Array.from(new Uint8Array(bytes), b => b.toString(16).padStart(2, '0')).join('');
+
+// Compares every character so the time taken does not reveal how much of the hash matched.
+export const constantTimeEquals = (a, b) => {
+    if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return false;
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) {
+        diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return diff === 0;
+};
+
+export const sha256Hex = async (text) => bytesToHex(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text)));
+
+export const newSessionToken = () => bytesToHex(crypto.getRandomValues(new Uint8Array(32)));
+
+export const sessionExpiresAt = (remember, now) => (remember ? now + REMEMBER_ME_DAYS * 24 * 60 * 60 * 1000 : null);
+
+export const readStoredSession = () => {
+    const raw = localStorage.getItem(SESSION_STORAGE_KEY) || sessionStorage.getItem(SESSION_STORAGE_KEY);
+    try {
+        return raw ? JSON.parse(raw) : null;
+    } catch (e) {
+        return null;
+    }
+};
+
+export const clearStoredSession = () => {
+    localStorage.removeItem(SESSION_STORAGE_KEY);
+    sessionStorage.removeItem(SESSION_STORAGE_KEY);
+};
+
+export const storeSession = (sessionId, token, remember) => {
+    clearStoredSession();
+    (remember ? localStorage : sessionStorage).setItem(SESSION_STORAGE_KEY, JSON.stringify({ sessionId, token }));
+};
+
+// Activity is shared through localStorage so that an idle tab does not log out a tab the user is working in.
+export const touchLastActivity = (now = Date.now()) => localStorage.setItem(LAST_ACTIVITY_KEY, String(now));
+export const getLastActivity = () => Number(localStorage.getItem(LAST_ACTIVITY_KEY)) || Date.now();
+
+export const isIdle = (lastActivity, now) => now - lastActivity >= IDLE_TIMEOUT_MINUTES * 60 * 1000;
+
+// Whether a stored session may be resumed by the signed-in `username`; `tokenHash` is the hash of the browser's token.
+// "Remember me" sessions last until `expiresAt` (REMEMBER_ME_DAYS) however long the browser was closed; any other
+// session also ends after IDLE_TIMEOUT_MINUTES without activity.
+export const isSessionValid = ({ session, username, tokenHash, lastActivity, now }) => Boolean(session)
+    && session.username === username
+    && !session.revoked
+    && (!session.expiresAt || session.expiresAt > now)
+    && (session.remember || !isIdle(Math.max(lastActivity, session.lastActiveAt || 0), now))
+    && constantTimeEquals(tokenHash, session.tokenHash);
@@ -0,0 +1,78 @@
+import { webcrypto } from 'crypto';
+import { TextEncoder } from 'util';
+import {
+    SESSION_STORAGE_KEY, IDLE_TIMEOUT_MINUTES, REMEMBER_ME_DAYS,
+    constantTimeEquals, sha256Hex, newSessionToken, sessionExpiresAt, readStoredSession, storeSession, clearStoredSession, isSessionValid,
+} from './sessions';
+
+beforeAll(() => {
+    if (!global.crypto || !global.crypto.subtle) global.crypto = webcrypto;
+    if (!global.TextEncoder) global.TextEncoder = TextEncoder;
+});
+
+afterEach(() => {
+    localStorage.clear();
+    sessionStorage.clear();
+});
+
+describe('tokens', () => {
+    it('hashes with SHA-256 and compares hashes exactly', async () => {
+        expect(await sha256Hex('abc')).toBe('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+        expect(constantTimeEquals('abc', 'abc')).toBe(true);
+        expect(constantTimeEquals('abc', 'abd')).toBe(false);
+        expect(constantTimeEquals('abc', undefined)).toBe(false);
+    });
+
+    it('makes a fresh 256-bit token every time', () => {
+        expect(newSessionToken()).toMatch(/^[0-9a-f]{64}$/);
+        expect(newSessionToken()).not.toBe(newSessionToken());
+    });
+});
+
+describe('stored session', () => {
+    it('keeps a remembered session in localStorage and any other in sessionStorage', () => {
+        storeSession('s1', 't1', true);
+        expect(JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY))).toEqual({ sessionId: 's1', token: 't1' });
+        storeSession('s2', 't2', false);
+        expect(localStorage.getItem(SESSION_STORAGE_KEY)).toBeNull();
+        expect(readStoredSession()).toEqual({ sessionId: 's2', token: 't2' });
+        clearStoredSession();
+        expect(readStoredSession()).toBeNull();
+    });
+
+    it('ignores a corrupted entry', () => {
+        localStorage.setItem(SESSION_STORAGE_KEY, '{not json');
+        expect(readStoredSession()).toBeNull();
+    });
+});
+
+describe('isSessionValid', () => {
+    const now = 1700000000000;
+    const session = { username: 'sara', tokenHash: 'h1', revoked: false, expiresAt: null, lastActiveAt: now - 60 * 1000 };
+    const check = (changes = {}) => isSessionValid({ session, username: 'sara', tokenHash: 'h1', lastActivity: now - 60 * 1000, now, ...changes });
+
+    it('accepts a live session with the right token for its own user', () => {
+        expect(check()).toBe(true);
+    });
+
+    it('rejects a session issued for another user, with another token, or revoked', () => {
+        expect(check({ username: 'omar' })).toBe(false);
+        expect(check({ tokenHash: 'h2' })).toBe(false);
+        expect(check({ session: { ...session, revoked: true } })).toBe(false);
+        expect(check({ session: null })).toBe(false);
+    });
+
+    it('ends sessions past their expiry or idle for too long', () => {
+        expect(sessionExpiresAt(false, now)).toBeNull();
+        expect(check({ session: { ...session, expiresAt: now } })).toBe(false);
+        const idleSince = now - IDLE_TIMEOUT_MINUTES * 60 * 1000;
+        expect(check({ session: { ...session, lastActiveAt: idleSince }, lastActivity: idleSince })).toBe(false);
+        expect(sessionExpiresAt(true, now)).toBe(now + REMEMBER_ME_DAYS * 24 * 60 * 60 * 1000);
+    });
+
+    it('keeps a remembered session across a long absence until it expires', () => {
+        const remembered = { ...session, remember: true, expiresAt: sessionExpiresAt(true, now - 24 * 60 * 60 * 1000), lastActiveAt: now - 20 * 60 * 60 * 1000 };
+        expect(check({ session: remembered, lastActivity: remembered.lastActiveAt })).toBe(true);
+        expect(check({ session: remembered, now: remembered.expiresAt, lastActivity: remembered.lastActiveAt })).toBe(false);
+    });
+});
@@ -0,0 +1,64 @@
+// --- Tafqeet (amount in Arabic words) ---
+// Writes an amount the way it appears on Arabic receipt vouchers, e.g.
+// "فقط ألف ومائتان وخمسون ريال سعودي وخمس وعشرون هللة لا غير".
+
+const ONES = ['', 'واحد', 'اثنان', 'ثلاثة', 'أربعة', 'خمسة', 'ستة', 'سبعة', 'ثمانية', 'تسعة'];
+const TEENS = ['عشرة', 'أحد عشر', 'اثنا عشر', 'ثلاثة عشر', 'أربعة عشر', 'خمسة عشر', 'ستة عشر', 'سبعة عشر', 'ثمانية عشر', 'تسعة عشر'];
+const TENS = ['', '', 'عشرون', 'ثلاثون', 'أربعون', 'خمسون', 'ستون', 'سبعون', 'ثمانون', 'تسعون'];
+const HUNDREDS = ['', 'مائة', 'مائتان', 'ثلاثمائة', 'أربعمائة', 'خمسمائة', 'ستمائة', 'سبعمائة', 'ثمانمائة', 'تسعمائة'];
+
+// singular, dual, plural (3-10), and the form used after 11 and above.
+const SCALES = [
+    null,
+    ['ألف', 'ألفان', 'آلاف', 'ألف'],
+    ['مليون', 'مليونان', 'ملايين', 'مليون'],
+    ['مليار', 'ملياران', 'مليارات', 'مليار'],
+];
+
+const belowThousand = (n) => {
+    const parts = [];
+    const hundreds = Math.floor(n / 100);
+    const rest = n % 100;
+    if (hundreds) parts.push(HUNDREDS[hundreds]);
+    if (rest >= 10 && rest < 20) {
+        parts.push(TEENS[rest - 10]);
+    } else if (rest) {
+        const ones = rest % 10;
+        const tens = Math.floor(rest / 10);
+        if (ones && tens) parts.push(`${ONES[ones]} و${TENS[tens]}`);
+        else parts.push(ones ? ONES[ones] : TENS[tens]);
+    }
+    return parts.join(' و');
+};
+
+const scaledGroup = (n, scale) => {
+    const [singular, dual, plural, counted] = SCALES[scale];
+    if (n === 1) return singular;
+    if (n === 2) return dual;
+    if (n <= 10) return `${belowThousand(n)} ${plural}`;
+    return `${belowThousand(n)} ${counted}`;
+};
+
+export const integerToArabicWords = (value) => {
+    let n = Math.floor(Math.abs(Number(value) || 0));
+    if (n === 0) return 'صفر';
+
+    const groups = [];
+    for (let scale = 0; n > 0 && scale < SCALES.length; scale++) {
+        const group = n % 1000;
+        if (group) groups.unshift(scale === 0 ? belowThousand(group) : scaledGroup(group, scale));
+        n = Math.floor(n / 1000);
+    }
+    return groups.join(' و');
+};
+
+// `currency` describes the unit names, e.g. { unit: 'ريال سعودي', subunit: 'هللة', subunits: 100 }.
+export const amountToArabicWords = (amount, currency) => {
+    const scaled = Math.round(Math.abs(Number(amount) || 0) * currency.subunits);
+    const whole = Math.floor(scaled / currency.subunits);
+    const fraction = scaled % currency.subunits;
+
+    const parts = [`${integerToArabicWords(whole)} ${currency.unit}`];
+    if (fraction) parts.push(`${integerToArabicWords(fraction)} ${currency.subunit}`);
+    return `فقط ${parts.join(' و')} لا غير`;
+};
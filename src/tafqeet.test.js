@@ -0,0 +1,40 @@
+import { integerToArabicWords, amountToArabicWords } from './tafqeet';
+
+const riyal = { unit: 'ريال سعودي', subunit: 'هللة', subunits: 100 };
+const dinar = { unit: 'دينار كويتي', subunit: 'فلس', subunits: 1000 };
+
+describe('integerToArabicWords', () => {
+    it.each([
+        [0, 'صفر'],
+        [7, 'سبعة'],
+        [11, 'أحد عشر'],
+        [20, 'عشرون'],
+        [25, 'خمسة وعشرون'],
+        [100, 'مائة'],
+        [215, 'مائتان وخمسة عشر'],
+        [1000, 'ألف'],
+        [2000, 'ألفان'],
+        [3000, 'ثلاثة آلاف'],
+        [11000, 'أحد عشر ألف'],
+        [1250, 'ألف ومائتان وخمسون'],
+        [100000, 'مائة ألف'],
+        [2500000, 'مليونان وخمسمائة ألف'],
+        [1000001, 'مليون وواحد'],
+    ])('writes %i as %s', (value, words) => {
+        expect(integerToArabicWords(value)).toBe(words);
+    });
+});
+
+describe('amountToArabicWords', () => {
+    it('writes whole amounts with the currency name', () => {
+        expect(amountToArabicWords(1500, riyal)).toBe('فقط ألف وخمسمائة ريال سعودي لا غير');
+    });
+
+    it('writes the fraction in subunits', () => {
+        expect(amountToArabicWords(1250.25, riyal)).toBe('فقط ألف ومائتان وخمسون ريال سعودي وخمسة وعشرون هللة لا غير');
+    });
+
+    it('supports currencies divided into a thousand subunits', () => {
+        expect(amountToArabicWords(3.5, dinar)).toBe('فقط ثلاثة دينار كويتي وخمسمائة فلس لا غير');
+    });
+});
@@ -0,0 +1,99 @@
+// --- ZATCA (Fatoora) Phase 1 QR Code ---
+// A simplified tax invoice QR code carries five TLV fields: a one-byte tag, a one-byte length and the
+// UTF-8 value. The concatenated bytes are Base64 encoded into the QR payload.
+
+export const ZATCA_TAGS = {
+    sellerName: 1,
+    vatNumber: 2,
+    timestamp: 3,
+    totalWithVat: 4,
+    vatAmount: 5,
+};
+
+const TAG_ORDER = ['sellerName', 'vatNumber', 'timestamp', 'totalWithVat', 'vatAmount'];
+const MAX_FIELD_BYTES = 255;
+
+export class ZatcaQrError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ZatcaQrError';
+    }
+}
+
+const bytesToBase64 = (bytes) => btoa(Array.from(bytes, b => String.fromCharCode(b)).join(''));
+const base64ToBytes = (base64) => Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+
+export const encodeTlv = (fields) => {
+    const chunks = TAG_ORDER.map(key => {
+        const value = new TextEncoder().encode(String(fields[key] === undefined || fields[key] === null ? '' : fields[key]));
+        if (value.length === 0) throw new ZatcaQrError(`Missing value for "${key}"`);
+        if (value.length > MAX_FIELD_BYTES) throw new ZatcaQrError(`Value for "${key}" is longer than ${MAX_FIELD_BYTES} bytes`);
+        return [ZATCA_TAGS[key], value.length, ...value];
+    });
+    return Uint8Array.from(chunks.flat());
+};
+
+export const decodeTlv = (bytes) => {
+    const fields = [];
+    let offset = 0;
+    while (offset < bytes.length) {
+        if (offset + 2 > bytes.length) throw new ZatcaQrError(`Truncated TLV header at byte ${offset}`);
+        const tag = bytes[offset];
+        const length = bytes[offset + 1];
+        const end = offset + 2 + length;
+        if (end > bytes.length) throw new ZatcaQrError(`Value of tag ${tag} runs past the end of the payload`);
+        fields.push({ tag, length, value: new TextDecoder().decode(bytes.slice(offset + 2, end)) });
+        offset = end;
+    }
+    return fields;
+};
+
+export const formatZatcaAmount = (amount) => (Math.round((Number(amount) + Number.EPSILON) * 100) / 100).toFixed(2);
+
+export const buildZatcaQrPayload = ({ sellerName, vatNumber, timestamp, totalWithVat, vatAmount }) => bytesToBase64(encodeTlv({
+    sellerName,
+    vatNumber,
+    timestamp,
+    totalWithVat: formatZatcaAmount(totalWithVat),
+    vatAmount: formatZatcaAmount(vatAmount),
+}));
+
+export const decodeZatcaQrPayload = (base64) => {
+    const fields = decodeTlv(base64ToBytes(base64));
+    return fields.reduce((decoded, { tag, value }) => {
+        const key = TAG_ORDER[tag - 1];
+        if (!key) throw new ZatcaQrError(`Unknown tag ${tag}`);
+        return { ...decoded, [key]: value };
+    }, {});
+};
+
+// Returns a list of problems; an empty list means the payload meets the Phase 1 rules.
+export const validateZatcaQrPayload = (base64) => {
+    let fields;
+    try {
+        fields = decodeTlv(base64ToBytes(base64));
+    } catch (e) {
+        return [e.message];
+    }
+
+    const errors = [];
+    const tags = fields.map(f => f.tag);
+    if (tags.join(',') !== '1,2,3,4,5') errors.push(`Expected tags 1-5 in order, found ${tags.join(',') || 'none'}`);
+
+    const byTag = Object.fromEntries(fields.map(f => [f.tag, f.value]));
+    if (!byTag[1]) errors.push('Seller name is empty');
+    if (!/^3\d{13}3$/.test(byTag[2] || '')) errors.push('VAT number must be 15 digits starting and ending with 3');
+    if (Number.isNaN(Date.parse(byTag[3])) || !/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}/.test(byTag[3] || '')) errors.push('Timestamp must be an ISO 8601 date and time');
+    if (!/^\d+\.\d{2}$/.test(byTag[4] || '')) errors.push('Total with VAT must be a decimal with two places');
+    if (!/^\d+\.\d{2}$/.test(byTag[5] || '')) errors.push('VAT amount must be a decimal with two places');
+    return errors;
+};
+
+// Invoices saved before `issuedAt` was recorded fall back to midnight UTC of their invoice date.
+export const zatcaQrForInvoice = (invoice, profile) => buildZatcaQrPayload({
+    sellerName: profile.legalName,
+    vatNumber: profile.vatNumber,
+    timestamp: invoice.issuedAt || `${invoice.date}T00:00:00Z`,
+    totalWithVat: invoice.grandTotal !== undefined ? invoice.grandTotal : invoice.total,
+    vatAmount: invoice.vatAmount || 0,
+});
@@ -0,0 +1,104 @@
+/**
+ * @jest-environment node
+ */
+import { encodeTlv, decodeTlv, buildZatcaQrPayload, decodeZatcaQrPayload, validateZatcaQrPayload, zatcaQrForInvoice, ZatcaQrError } from './zatca';
+
+const sample = {
+    sellerName: 'Bobs Records',
+    vatNumber: '310122393500003',
+    timestamp: '2022-04-25T15:30:00Z',
+    totalWithVat: 1000,
+    vatAmount: 150,
+};
+
+// Reference payload from the ZATCA QR code guideline for the sample above.
+const SAMPLE_PAYLOAD = 'AQxCb2JzIFJlY29yZHMCDzMxMDEyMjM5MzUwMDAwMwMUMjAyMi0wNC0yNVQxNTozMDowMFoEBzEwMDAuMDAFBjE1MC4wMA==';
+
+const bytesOf = (text) => Array.from(new TextEncoder().encode(text));
+
+describe('encodeTlv', () => {
+    it('writes tag, length and UTF-8 value for every field in order', () => {
+        const bytes = Array.from(encodeTlv({ ...sample, totalWithVat: '1000.00', vatAmount: '150.00' }));
+        expect(bytes).toEqual([
+            1, 12, ...bytesOf('Bobs Records'),
+            2, 15, ...bytesOf('310122393500003'),
+            3, 20, ...bytesOf('2022-04-25T15:30:00Z'),
+            4, 7, ...bytesOf('1000.00'),
+            5, 6, ...bytesOf('150.00'),
+        ]);
+    });
+
+    it('uses the UTF-8 byte length, not the character count, for Arabic text', () => {
+        const bytes = encodeTlv({ ...sample, sellerName: 'الفريق المحترف' });
+        const nameBytes = bytesOf('الفريق المحترف');
+        expect(nameBytes.length).toBe(27);
+        expect(bytes[0]).toBe(1);
+        expect(bytes[1]).toBe(27);
+        expect(Array.from(bytes.slice(2, 29))).toEqual(nameBytes);
+        expect(bytes[29]).toBe(2);
+    });
+
+    it('rejects missing and oversized values', () => {
+        expect(() => encodeTlv({ ...sample, vatNumber: '' })).toThrow(ZatcaQrError);
+        expect(() => encodeTlv({ ...sample, sellerName: 'x'.repeat(256) })).toThrow(ZatcaQrError);
+    });
+});
+
+describe('buildZatcaQrPayload', () => {
+    it('matches the reference Base64 payload', () => {
+        expect(buildZatcaQrPayload(sample)).toBe(SAMPLE_PAYLOAD);
+    });
+
+    it('formats amounts with two decimal places', () => {
+        const decoded = decodeZatcaQrPayload(buildZatcaQrPayload({ ...sample, totalWithVat: 115.005, vatAmount: 15 }));
+        expect(decoded.totalWithVat).toBe('115.01');
+        expect(decoded.vatAmount).toBe('15.00');
+    });
+});
+
+describe('decoding and validation', () => {
+    it('round-trips every field', () => {
+        expect(decodeZatcaQrPayload(SAMPLE_PAYLOAD)).toEqual({
+            sellerName: 'Bobs Records',
+            vatNumber: '310122393500003',
+            timestamp: '2022-04-25T15:30:00Z',
+            totalWithVat: '1000.00',
+            vatAmount: '150.00',
+        });
+    });
+
+    it('accepts a valid payload', () => {
+        expect(validateZatcaQrPayload(SAMPLE_PAYLOAD)).toEqual([]);
+    });
+
+    it('reports truncated payloads', () => {
+        const bytes = Uint8Array.from(atob(SAMPLE_PAYLOAD), c => c.charCodeAt(0)).slice(0, -3);
+        expect(() => decodeTlv(bytes)).toThrow(/runs past the end/);
+        expect(validateZatcaQrPayload(btoa(String.fromCharCode(...bytes)))).toHaveLength(1);
+    });
+
+    it('reports invalid field values', () => {
+        const payload = btoa(String.fromCharCode(...encodeTlv({ ...sample, vatNumber: '123', timestamp: '25/04/2022', totalWithVat: '1000', vatAmount: '150.00' })));
+        expect(validateZatcaQrPayload(payload)).toEqual([
+            'VAT number must be 15 digits starting and ending with 3',
+            'Timestamp must be an ISO 8601 date and time',
+            'Total with VAT must be a decimal with two places',
+        ]);
+    });
+});
+
+describe('zatcaQrForInvoice', () => {
+    const profile = { legalName: 'Bobs Records', vatNumber: '310122393500003' };
+
+    it('builds the payload from the invoice and company profile', () => {
+        const invoice = { issuedAt: '2022-04-25T15:30:00Z', grandTotal: 1000, vatAmount: 150 };
+        expect(zatcaQrForInvoice(invoice, profile)).toBe(SAMPLE_PAYLOAD);
+    });
+
+    it('falls back to the invoice date and legacy total', () => {
+        const decoded = decodeZatcaQrPayload(zatcaQrForInvoice({ date: '2022-04-25', total: 500 }, profile));
+        expect(decoded.timestamp).toBe('2022-04-25T00:00:00Z');
+        expect(decoded.totalWithVat).toBe('500.00');
+        expect(decoded.vatAmount).toBe('0.00');
+    });
+});